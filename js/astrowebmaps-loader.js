@@ -2,12 +2,20 @@
 // for debugging. . . load as separate files
 //
 //
+$.getScript( "/astrowebmaps4/js/astrowebmaps/Helpers/AstroTargetCatalog.js", function( data, textStatus, jqxhr ) {});
+$.getScript( "/astrowebmaps4/js/astrowebmaps/Map/AstroProjections.js", function( data, textStatus, jqxhr ) {});
 $.getScript( "/astrowebmaps4/js/astrowebmaps/Map/AstroMap.js", function( data, textStatus, jqxhr ) {});
 $.getScript( "/astrowebmaps4/js/astrowebmaps/Console/AstroConsole.js", function( data, textStatus, jqxhr ) {});
 $.getScript( "/astrowebmaps4/js/astrowebmaps/Map/AstroVector.js", function( data, textStatus, jqxhr ) {});
 $.getScript( "/astrowebmaps4/js/astrowebmaps/Map/AstroBoundingBox.js", function( data, textStatus, jqxhr ) {});
 $.getScript( "/astrowebmaps4/js/astrowebmaps/Map/AstroPoi.js", function( data, textStatus, jqxhr ) {});
+$.getScript( "/astrowebmaps4/js/astrowebmaps/Map/AstroNomenclature.js", function( data, textStatus, jqxhr ) {});
+$.getScript( "/astrowebmaps4/js/astrowebmaps/Map/AstroFallbackLayer.js", function( data, textStatus, jqxhr ) {});
+$.getScript( "/astrowebmaps4/js/astrowebmaps/Map/AstroTileCache.js", function( data, textStatus, jqxhr ) {});
+$.getScript( "/astrowebmaps4/js/astrowebmaps/Map/AstroImageOverlays.js", function( data, textStatus, jqxhr ) {});
 $.getScript( "/astrowebmaps4/js/astrowebmaps/Map/Control/AstroControls.js", function( data, textStatus, jqxhr ) {});
+$.getScript( "/astrowebmaps4/js/astrowebmaps/Map/Control/AstroWMSLoader.js", function( data, textStatus, jqxhr ) {});
+$.getScript( "/astrowebmaps4/js/astrowebmaps/Map/Control/AstroTimeline.js", function( data, textStatus, jqxhr ) {});
 $.getScript( "/astrowebmaps4/js/astrowebmaps/Helpers/AstroGeometry.js", function( data, textStatus, jqxhr ) {});
 $.getScript( "/astrowebmaps4/js/astrowebmaps/Map/Control/ol4-scalelinecontrol.js", function( data, textStatus, jqxhr ) {});
 //$.getScript( "/astrowebmaps4/js/astrowebmaps/Map/Control/ol4-layerswitcher.js", function( data, textStatus, jqxhr ) {});
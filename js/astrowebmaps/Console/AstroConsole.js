@@ -3,7 +3,7 @@
  *
  * Class to drive console.
  *
- * Dependencies: AstroMap.js
+ * Dependencies: AstroMap.js, AstroProjections.js
  */
 
 //over-ridable callbacks
@@ -51,17 +51,18 @@ function AstroConsole(astroMap, consoleSettings) {
   this.keyDiv = "astroConsoleKey";
   this.featureFinderDiv = "astroFeatureFinder";
 
-  //element ids . . . only one per page
-  this.targetImgId = "astroConsoleTargetImage";
-  this.northPoleImgId = "astroProjectionNorthPole";
-  this.cylindricalImgId = "astroProjectionCylindrical";
-  this.southPoleImgId = "astroProjectionSouthPole";
-  this.lonDirSelectId = "astroConsoleLonDirSelect";
-  this.lonDomSelectId = "astroConsoleLonDomSelect";
-  this.latTypeSelectId = "astroConsoleLatTypeSelect";
-  this.mouseLonLatDiv = "astroConsoleLonLat";
-  this.featureTypeSelectId = "astroFeatureType";
-  this.featureNameSelectId = "astroFeatureName";
+  //element ids, prefixed so each map on the page gets its own (see AstroMap.getElementId())
+  this.targetImgId = this.astroMap.getElementId("astroConsoleTargetImage");
+  this.targetNameId = this.astroMap.getElementId("astroConsoleTargetName");
+  this.northPoleImgId = this.astroMap.getElementId("astroProjectionNorthPole");
+  this.cylindricalImgId = this.astroMap.getElementId("astroProjectionCylindrical");
+  this.southPoleImgId = this.astroMap.getElementId("astroProjectionSouthPole");
+  this.lonDirSelectId = this.astroMap.getElementId("astroConsoleLonDirSelect");
+  this.lonDomSelectId = this.astroMap.getElementId("astroConsoleLonDomSelect");
+  this.latTypeSelectId = this.astroMap.getElementId("astroConsoleLatTypeSelect");
+  this.mouseLonLatDiv = this.astroMap.getElementId("astroConsoleLonLat");
+  this.featureTypeSelectId = this.astroMap.getElementId("astroFeatureType");
+  this.featureNameSelectId = this.astroMap.getElementId("astroFeatureName");
 
   // set up console according to supplied settings
   if (consoleSettings) {
@@ -133,11 +134,33 @@ AstroConsole.prototype.targetInfoSetup = function() {
   container.appendChild(targetImg);
 
   var targetSpan = document.createElement("span");
+  targetSpan.setAttribute('id', this.targetNameId);
   targetSpan.className ='astroConsoleTargetName';
   targetSpan.innerHTML = this.target + '<br/>';
   container.appendChild(targetSpan);
 };
 
+/*
+ * Updates the target info elements for a new target (see AstroMap.switchTarget()).
+ *
+ * Parameter: target - the target string (e.g. 'Moon')
+ * Returns: nothing
+ */
+AstroConsole.prototype.setTarget = function(target) {
+  this.target = target;
+
+  var targetImg = document.getElementById(this.targetImgId);
+  if (targetImg) {
+    targetImg.setAttribute('alt', this.target);
+    targetImg.setAttribute('title', this.target);
+    targetImg.setAttribute('src', this.imagePath + this.target.toLowerCase() + ".png");
+  }
+  var targetSpan = document.getElementById(this.targetNameId);
+  if (targetSpan) {
+    targetSpan.innerHTML = this.target + '<br/>';
+  }
+};
+
 /*
  * Creates the lon/lat display for the current mouse position
  * and adds it to target info div.
@@ -186,6 +209,7 @@ AstroConsole.prototype.featureFinderSetup = function() {
 
 //
 AstroConsole.prototype.featureFinderLoadTypes = function(target) {
+  var featureTypeSelectId = this.featureTypeSelectId;
 
   $.ajax({
 	   url: this.upcAjaxURLNoParams,
@@ -198,7 +222,7 @@ AstroConsole.prototype.featureFinderLoadTypes = function(target) {
 
 	               } else {
 
-			 var e = document.getElementById('upcFeatureType');
+			 var e = document.getElementById(featureTypeSelectId);
 			 e.options.length = 0;
 			 var newOption=document.createElement("option");
 			 newOption.innerHTML= 'Select Type. . .';
@@ -218,43 +242,54 @@ AstroConsole.prototype.featureFinderLoadTypes = function(target) {
 };
 
 /*
- * Creates the projection switch buttons.
+ * Creates the projection switch buttons, one for each registered projection (see
+ * AstroProjections.js). Projections with an image get an image button; the others get a
+ * text button.
  */
 AstroConsole.prototype.projButtonsSetup = function() {
   var container = document.getElementById(this.projButtonsDiv);
-
-  // north pole
-  var northPoleImg = document.createElement("img");
-  northPoleImg.setAttribute('id',this.northPoleImgId);
-  northPoleImg.setAttribute('alt','North Polar Stereographic');
-  northPoleImg.setAttribute('title','North Polar Stereographic');
-  northPoleImg.setAttribute('src',this.imagePath + "north-pole.png");
-  northPoleImg.className ='astroConsoleProjectionButton';
+  var names = AstroProjections.getNames();
   var that = this;
-  northPoleImg.addEventListener("click", function() {that.astroMap.switchProjection('north-polar stereographic');});
-
-  container.appendChild(northPoleImg);
-
-  // cylindrical
-  var cylindricalImg = document.createElement("img");
-  cylindricalImg.setAttribute('id', this.cylindricalImgId);
-  cylindricalImg.setAttribute('alt','Simple Cylindrical');
-  cylindricalImg.setAttribute('title','Simple Cylindrical');
-  cylindricalImg.setAttribute('src',this.imagePath + "cylindrical.png");
-  cylindricalImg.className ='astroConsoleProjectionButton';
-  cylindricalImg.addEventListener("click", function() {that.astroMap.switchProjection('cylindrical');});
-  container.appendChild(cylindricalImg);
-
-  // south pole
-  var southPoleImg = document.createElement("img");
-  southPoleImg.setAttribute('id', this.southPoleImgId);
-  southPoleImg.setAttribute('alt','South Polar Stereographic');
-  southPoleImg.setAttribute('title','South Polar Stereographic');
-  southPoleImg.setAttribute('src',this.imagePath + "south-pole.png");
-  southPoleImg.className ='astroConsoleProjectionButton';
-  southPoleImg.addEventListener("click", function() {that.astroMap.switchProjection('south-polar stereographic');});
-
-  container.appendChild(southPoleImg);
+
+  for (var i = 0; i < names.length; i++) {
+    var definition = AstroProjections.get(names[i]);
+    var button;
+    if (definition.image) {
+      button = document.createElement("img");
+      button.setAttribute('alt', definition.title);
+      button.setAttribute('src', this.imagePath + definition.image + ".png");
+      button.className = 'astroConsoleProjectionButton';
+    } else {
+      button = document.createElement("div");
+      button.innerHTML = definition.title;
+      button.className = 'astroConsoleProjectionButton astroConsoleProjectionText';
+    }
+    button.setAttribute('id', this.getProjectionButtonId(names[i]));
+    button.setAttribute('title', definition.title);
+    button.addEventListener("click", (function(name) {
+      return function() {that.astroMap.switchProjection(name);};
+    })(names[i]));
+    container.appendChild(button);
+  }
+};
+
+/*
+ * Returns the element id of a projection button. The original three projections keep
+ * their old ids.
+ *
+ * Parameter: projection - the projection string
+ * Returns: the id string
+ */
+AstroConsole.prototype.getProjectionButtonId = function(projection) {
+  switch(projection) {
+    case 'cylindrical':
+      return this.cylindricalImgId;
+    case 'north-polar stereographic':
+      return this.northPoleImgId;
+    case 'south-polar stereographic':
+      return this.southPoleImgId;
+  }
+  return this.astroMap.getElementId('astroProjection-' + projection.replace(/\W+/g, '-'));
 };
 
 /*
@@ -264,22 +299,19 @@ AstroConsole.prototype.projButtonsSetup = function() {
  * Returns: nothing
  */
 AstroConsole.prototype.toggleProjection = function(clickedProjection) {
-  switch(clickedProjection) {
-    case 'cylindrical':
-      document.getElementById(this.cylindricalImgId).src = this.imagePath + "cylindrical-hot.png";
-      document.getElementById(this.northPoleImgId).src = this.imagePath + "north-pole.png";
-      document.getElementById(this.southPoleImgId).src = this.imagePath + "south-pole.png";
-      break;
-    case 'north-polar stereographic':
-      document.getElementById(this.cylindricalImgId).src = this.imagePath + "cylindrical.png";
-      document.getElementById(this.northPoleImgId).src = this.imagePath + "north-pole-hot.png";
-      document.getElementById(this.southPoleImgId).src = this.imagePath + "south-pole.png";
-      break;
-    case 'south-polar stereographic':
-      document.getElementById(this.cylindricalImgId).src = this.imagePath + "cylindrical.png";
-      document.getElementById(this.northPoleImgId).src = this.imagePath + "north-pole.png";
-      document.getElementById(this.southPoleImgId).src = this.imagePath + "south-pole-hot.png";
-      break;
+  var names = AstroProjections.getNames();
+  for (var i = 0; i < names.length; i++) {
+    var button = document.getElementById(this.getProjectionButtonId(names[i]));
+    if (!button) {
+      continue;
+    }
+    var definition = AstroProjections.get(names[i]);
+    var hot = (names[i] == clickedProjection);
+    if (definition.image) {
+      button.src = this.imagePath + definition.image + ((hot) ? "-hot.png" : ".png");
+    } else {
+      button.className = 'astroConsoleProjectionButton astroConsoleProjectionText' + ((hot) ? ' astroConsoleProjectionTextHot' : '');
+    }
   }
 };
 
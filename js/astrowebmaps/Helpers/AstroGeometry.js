@@ -5,9 +5,14 @@
  *
  * This class should never need to be instantiated because all methods may be called
  * statically. For example,
- *   AstroGeometry.saturatePointArray(...);
+ *   AstroGeometry.splitOnDateline(...);
  *
- * Depends on OpenLayers.js
+ * Geometries are handled as plain GeoJSON-style objects, e.g.
+ *   {type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]]]}
+ * (see parseWkt() and parseGeoJSON()), so nothing here needs a mapping library and
+ * the file also runs in Node or a Web Worker.
+ *
+ * No dependencies
  */
 
 // constructor
@@ -46,166 +51,584 @@ AstroGeometry.extractGeometryType = function(wkt) {
   return wkt.substring(0, prefixEnd);
 };
 
+// WKT geometry type -> GeoJSON geometry type
+AstroGeometry.wktTypes = {
+  'POINT': 'Point',
+  'MULTIPOINT': 'MultiPoint',
+  'LINESTRING': 'LineString',
+  'MULTILINESTRING': 'MultiLineString',
+  'POLYGON': 'Polygon',
+  'MULTIPOLYGON': 'MultiPolygon',
+  'GEOMETRYCOLLECTION': 'GeometryCollection'
+};
+
 /*
- * Warps a geometry by adding extra points along the edges. Helps to maintain
- * shape on reprojections. Supported geometry types include POINT, MULTIPOINT,
- * POLYGON, MULTIPOLYGON, LINESTRING, MULTILINESTRING.
+ * Parses a WKT string into a plain geometry object. Coordinates are arrays of
+ * numbers, nested the same way as GeoJSON. Z/M values are kept as extra ordinates.
  *
- * IMPORTANT: Polygons and MultiPolygons containing holes (interior rings) are not supported.
+ * For example, 'POLYGON((0 0,10 0,10 10,0 0))' becomes
+ *   {type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]]]}
  *
- * Parameter: wkt - wkt string (EPSG:4326)
- * Returns: warped wkt string
+ * Parameter: wkt - the wkt string
+ * Returns: the geometry object, or null if bad WKT
  */
-AstroGeometry.warpWkt = function(wkt) {
-  // extract the geometry type (prefix)
-  var wktPrefix = this.extractGeometryType(wkt);
+AstroGeometry.parseWkt = function(wkt) {
+  var match = /^\s*([A-Za-z]+)\s*(ZM|Z|M)?\s*([\s\S]*?)\s*$/i.exec(String(wkt));
+  if (!match || !this.wktTypes[match[1].toUpperCase()]) {
+    return null;
+  }
+  var type = this.wktTypes[match[1].toUpperCase()];
+  var body = match[3];
 
-  //console.log('warp wkt ' + wkt);
+  if (/^EMPTY$/i.test(body)) {
+    return (type == 'GeometryCollection') ? {type: type, geometries: []} : {type: type, coordinates: []};
+  }
+  if ((body.charAt(0) != '(') || (body.charAt(body.length - 1) != ')')) {
+    return null;
+  }
 
-  if ((wktPrefix == "POINT") || (wktPrefix == "MULTIPOINT")) {
-    return wkt;
+  if (type == 'GeometryCollection') {
+    // split the members on the commas that aren't inside parentheses
+    var geometries = [];
+    var depth = 0;
+    var start = 1;
+    for (var i = 1; i < body.length; i++) {
+      var c = body.charAt(i);
+      if (c == '(') {
+        depth++;
+      } else if (c == ')') {
+        depth--;
+      }
+      if (((c == ',') && (depth == 0)) || (depth < 0)) {
+        var member = this.parseWkt(body.substring(start, i));
+        if (!member) {
+          return null;
+        }
+        geometries.push(member);
+        start = i + 1;
+      }
+    }
+    return {type: type, geometries: geometries};
+  }
+
+  var coordinates = this.parseWktCoordinates(body);
+  if (!coordinates) {
+    return null;
+  }
+  switch (type) {
+    case 'Point':
+      coordinates = coordinates[0];
+      break;
+    case 'MultiPoint':
+      // both MULTIPOINT(1 2,3 4) and MULTIPOINT((1 2),(3 4)) are allowed
+      for (var j = 0; j < coordinates.length; j++) {
+        if (typeof coordinates[j][0] != 'number') {
+          coordinates[j] = coordinates[j][0];
+        }
+      }
+      break;
+  }
+  return {type: type, coordinates: coordinates};
+};
+
+/*
+ * Parses the parenthesized part of a WKT string into nested coordinate arrays. Each
+ * level of parentheses becomes an array; each point becomes an array of numbers.
+ *
+ * Parameter: text - the WKT after the geometry type, e.g. '((0 0,10 0,10 10,0 0))'
+ * Returns: the nested arrays, or null if the text can't be parsed
+ */
+AstroGeometry.parseWktCoordinates = function(text) {
+  var pos = 0;
+  var parseGroup = function() {
+    var items = [];
+    pos++;  // skip '('
+    while (pos < text.length) {
+      var c = text.charAt(pos);
+      if (c == '(') {
+        var group = parseGroup();
+        if (!group) {
+          return null;
+        }
+        items.push(group);
+      } else if (c == ')') {
+        pos++;
+        return items;
+      } else if ((c == ',') || /\s/.test(c)) {
+        pos++;
+      } else {
+        // a point runs up to the next comma or closing paren
+        var end = pos;
+        while ((end < text.length) && (text.charAt(end) != ',') && (text.charAt(end) != ')')) {
+          end++;
+        }
+        var values = text.substring(pos, end).replace(/^\s+|\s+$/g, '').split(/\s+/);
+        var point = [];
+        for (var i = 0; i < values.length; i++) {
+          point.push(Number(values[i]));
+          if (isNaN(point[i])) {
+            return null;
+          }
+        }
+        if (point.length < 2) {
+          return null;
+        }
+        items.push(point);
+        pos = end;
+      }
+    }
+    // ran out of text before the closing paren
+    return null;
+  };
+
+  var coordinates = parseGroup();
+  return (pos == text.length) ? coordinates : null;
+};
+
+/*
+ * Writes a geometry object (see parseWkt()) as a WKT string.
+ *
+ * Parameter: geometry - the geometry object
+ * Returns: the wkt string
+ */
+AstroGeometry.writeWkt = function(geometry) {
+  var wktType = null;
+  for (var key in this.wktTypes) {
+    if (this.wktTypes[key] == geometry.type) {
+      wktType = key;
+    }
   }
-  else if (wktPrefix == "POLYGON") {
-    // extract points from wkt (ONLY WORKS FOR SIMPLE POLYGONS WITHOUT HOLES)
-    var points = wkt.slice(9, wkt.length - 2).split(',');
 
-    if (points.length <= 16) {
-      var newPoints = this.saturatePointArray(points);
-      // return warped wkt
-      return "POLYGON((" + newPoints.join() + "))";
+  if (geometry.type == 'GeometryCollection') {
+    if (geometry.geometries.length == 0) {
+      return wktType + ' EMPTY';
     }
-    else {
-      // we don't need to warp because there are too many points
-      return wkt;
+    var members = [];
+    for (var i = 0; i < geometry.geometries.length; i++) {
+      members.push(this.writeWkt(geometry.geometries[i]));
     }
+    return wktType + '(' + members.join(',') + ')';
   }
-  else if (wktPrefix == "LINESTRING") {
-    var points = wkt.slice(11, wkt.length - 1).split(',');
 
-    if (points.length <= 16) {
-      var newPoints = this.saturatePointArray(points);
-      return "LINESTRING(" + newPoints.join() + ")";
+  var coordinates = geometry.coordinates;
+  if (!coordinates || (coordinates.length == 0)) {
+    return wktType + ' EMPTY';
+  }
+  var writeGroup = function(group) {
+    // a point
+    if (typeof group[0] == 'number') {
+      return group.join(' ');
     }
-    else {
-      return wkt;
+    var items = [];
+    for (var j = 0; j < group.length; j++) {
+      items.push(writeGroup(group[j]));
     }
+    return '(' + items.join(',') + ')';
+  };
+  if (geometry.type == 'Point') {
+    return wktType + '(' + writeGroup(coordinates) + ')';
   }
-  else if (wktPrefix == "MULTIPOLYGON") {
-    // parse wkt
-    var wktParser = new ol.format.WKT();
-    var multiGeometry = wktParser.readGeometry(wkt);
+  if (geometry.type == 'MultiPoint') {
+    var points = [];
+    for (var k = 0; k < coordinates.length; k++) {
+      points.push('(' + writeGroup(coordinates[k]) + ')');
+    }
+    return wktType + '(' + points.join(',') + ')';
+  }
+  return wktType + writeGroup(coordinates);
+};
 
-    // grab individual polygons that comprise this geometry and warp them
-    var polys = multiGeometry.getPolygons();
-    var polyArray = [];
+/*
+ * Reads the geometry out of GeoJSON. Features give their geometry and feature
+ * collections give a GeometryCollection of their features' geometries.
+ *
+ * Parameter: geojson - GeoJSON string or object
+ * Returns: the geometry object (see parseWkt()), or null if bad GeoJSON
+ */
+AstroGeometry.parseGeoJSON = function(geojson) {
+  if (typeof geojson == 'string') {
+    try {
+      geojson = JSON.parse(geojson);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!geojson || !geojson.type) {
+    return null;
+  }
 
-    for (var i = 0, len = polys.length; i < len; i++) {
-      var points = polys[i].getCoordinates();
-      var pointsF = [];
-      points = points[0];
-      for (var j = 0, pLen = points.length; j < pLen; j++) {
-	pointsF[j] = points[j][0] + ' ' + points[j][1];
+  switch (geojson.type) {
+    case 'Feature':
+      return this.parseGeoJSON(geojson.geometry);
+    case 'FeatureCollection':
+      var geometries = [];
+      for (var i = 0; i < geojson.features.length; i++) {
+        var geometry = this.parseGeoJSON(geojson.features[i]);
+        if (geometry) {
+          geometries.push(geometry);
+        }
       }
-      if (points.length <= 16) {
-        var newPoints = this.saturatePointArray(pointsF);
-        polyArray[i] = "((" + newPoints.join() + "))";
-      } else {
-        polyArray[i] = "((" + pointsF.join() + "))";
+      return {type: 'GeometryCollection', geometries: geometries};
+    case 'GeometryCollection':
+      var members = [];
+      for (var j = 0; j < geojson.geometries.length; j++) {
+        var member = this.parseGeoJSON(geojson.geometries[j]);
+        if (!member) {
+          return null;
+        }
+        members.push(member);
       }
+      return {type: 'GeometryCollection', geometries: members};
+  }
+  if (!geojson.coordinates) {
+    return null;
+  }
+  return {type: geojson.type, coordinates: geojson.coordinates};
+};
+
+/*
+ * Writes a geometry object (see parseWkt()) as a GeoJSON geometry string.
+ *
+ * Parameter: geometry - the geometry object
+ * Returns: the GeoJSON string
+ */
+AstroGeometry.writeGeoJSON = function(geometry) {
+  return JSON.stringify(geometry);
+};
+
+/*
+ * Reads a geometry from WKT, GeoJSON (string or object) or a geometry object.
+ *
+ * Parameter: input - the geometry in any of the above forms
+ * Returns: the geometry object (see parseWkt()), or null if it can't be read
+ */
+AstroGeometry.readGeometry = function(input) {
+  if (input && (typeof input == 'object')) {
+    return this.parseGeoJSON(input);
+  }
+  var text = String(input).replace(/^\s+/, '');
+  return (text.charAt(0) == '{') ? this.parseGeoJSON(text) : this.parseWkt(text);
+};
+
+/*
+ * Copies coordinates (any nesting), passing a copy of each point through a
+ * transform function (e.g. AstroGeometry.transformDanglers).
+ *
+ * Parameters: coordinates - the coordinate array(s)
+ *             transform   - function taking a point array and returning the new point
+ * Returns: the transformed copy
+ */
+AstroGeometry.transformCoordinates = function(coordinates, transform) {
+  if (typeof coordinates[0] == 'number') {
+    return transform(coordinates.slice());
+  }
+  var copy = [];
+  for (var i = 0; i < coordinates.length; i++) {
+    copy.push(this.transformCoordinates(coordinates[i], transform));
+  }
+  return copy;
+};
+
+/*
+ * Copies a geometry, passing each of its points through a transform function.
+ *
+ * Parameters: geometry  - the geometry object (see parseWkt())
+ *             transform - function taking a point array and returning the new point
+ * Returns: the transformed geometry object
+ */
+AstroGeometry.transformGeometry = function(geometry, transform) {
+  if (geometry.type == 'GeometryCollection') {
+    var geometries = [];
+    for (var i = 0; i < geometry.geometries.length; i++) {
+      geometries.push(this.transformGeometry(geometry.geometries[i], transform));
     }
-    return "MULTIPOLYGON(" + polyArray.join() + ")";
+    return {type: geometry.type, geometries: geometries};
+  }
+  return {type: geometry.type, coordinates: this.transformCoordinates(geometry.coordinates, transform)};
+};
+
+/*
+ * Returns the extent of a geometry.
+ *
+ * Parameter: geometry - the geometry object (see parseWkt())
+ * Returns: [minX, minY, maxX, maxY] (all Infinity/-Infinity if the geometry is empty)
+ */
+AstroGeometry.getExtent = function(geometry) {
+  var extent = [Infinity, Infinity, -Infinity, -Infinity];
+  this.transformGeometry(geometry, function(point) {
+    extent[0] = Math.min(extent[0], point[0]);
+    extent[1] = Math.min(extent[1], point[1]);
+    extent[2] = Math.max(extent[2], point[0]);
+    extent[3] = Math.max(extent[3], point[1]);
+    return point;
+  });
+  return extent;
+};
+
+/*
+ * Warps a geometry by adding extra points along the edges. Helps to maintain
+ * shape on reprojections. Every line, polygon ring (holes included) and member of
+ * a MULTI* or GEOMETRYCOLLECTION is warped; points are returned unchanged.
+ *
+ * By default edges are split so that no piece is longer than maxStep degrees (in
+ * lon or lat), so long edges get more points than short ones. With greatCircle set,
+ * the new points follow the great circles between the points instead, so the edges
+ * keep their true ground-track shape once projected.
+ *
+ * Parameters: wkt          - wkt string (EPSG:4326)
+ *             warpSettings - the maxStep (number), or hash of options. Optional
+ *
+ * The following options may be set:
+ *   maxStep        - longest edge piece in degrees. Default: AstroGeometry.warpMaxStep
+ *   greatCircle    - boolean indicating whether or not to follow great circles (see
+ *                    densifyGreatCircle() for the options that go with it). Default: false
+ *
+ * Returns: warped wkt string
+ */
+AstroGeometry.warpWkt = function(wkt, warpSettings) {
+  var geometry = this.parseWkt(wkt);
+  if (!geometry) {
+    return wkt;
   }
-  else if (wktPrefix == "MULTILINESTRING") {
-    var wktParser = new OpenLayers.Format.WKT();
-    var multiFeature = wktParser.read(wkt);
+  return this.writeWkt(this.warpGeometry(geometry, warpSettings));
+};
 
-    var lines = multiFeature.getGeometry().components;
-    var lineArray = [];
-    for (var i = 0, len = lines.length; i < len; i++) {
-      var linesStr = lines[i].toString();
-      var points = linesStr.slice(11, linesStr.length - 1).split(',');
+// default longest edge piece (degrees) for warpWkt()
+AstroGeometry.warpMaxStep = 1;
 
-      if (points.length <= 16) {
-        var newPoints = this.saturatePointArray(points);
-        lineArray[i] = "(" + newPoints.join() + ")";
+/*
+ * Geometry object version of warpWkt().
+ *
+ * Parameters: geometry     - the geometry object (see parseWkt())
+ *             warpSettings - see warpWkt()
+ * Returns: the warped geometry object
+ */
+AstroGeometry.warpGeometry = function(geometry, warpSettings) {
+  var that = this;
+  var settings = (typeof warpSettings == 'object' && warpSettings) ? warpSettings : {maxStep: warpSettings};
+  var densify = function(points) {
+    if (settings.greatCircle) {
+      return that.densifyGreatCircle(points, settings);
+    }
+    return that.densifyCoordinates(points, settings.maxStep || that.warpMaxStep);
+  };
+  var warpLines = function(lines) {
+    var warped = [];
+    for (var i = 0; i < lines.length; i++) {
+      warped.push(densify(lines[i]));
+    }
+    return warped;
+  };
+
+  switch (geometry.type) {
+    case 'LineString':
+      return {type: geometry.type, coordinates: densify(geometry.coordinates)};
+    case 'MultiLineString':
+    case 'Polygon':
+      return {type: geometry.type, coordinates: warpLines(geometry.coordinates)};
+    case 'MultiPolygon':
+      var polygons = [];
+      for (var i = 0; i < geometry.coordinates.length; i++) {
+        polygons.push(warpLines(geometry.coordinates[i]));
       }
-      else {
-        lineArray[i] = "(" + points.join() + ")";
+      return {type: geometry.type, coordinates: polygons};
+    case 'GeometryCollection':
+      var geometries = [];
+      for (var j = 0; j < geometry.geometries.length; j++) {
+        geometries.push(this.warpGeometry(geometry.geometries[j], settings));
       }
-    }
-    return "MULTILINESTRING(" + lineArray.join() + ")";
+      return {type: geometry.type, geometries: geometries};
   }
-  else {
-    // unsupported geometry type, so just return it
-    return wkt;
+  // points
+  return geometry;
+};
+
+/*
+ * Adds points along each edge of a line (or ring) by straight-line interpolation in
+ * lon/lat, so that no piece is longer than maxStep degrees in lon or lat.
+ *
+ * Parameters: points  - array of [lon, lat] points
+ *             maxStep - longest edge piece in degrees
+ * Returns: the new array of points
+ */
+AstroGeometry.densifyCoordinates = function(points, maxStep) {
+  if (points.length == 0) {
+    return [];
+  }
+  var newPoints = [points[0]];
+  for (var i = 1; i < points.length; i++) {
+    var start = points[i - 1];
+    var end = points[i];
+    var pieces = Math.ceil(Math.max(Math.abs(end[0] - start[0]), Math.abs(end[1] - start[1])) / maxStep);
+    for (var j = 1; j < pieces; j++) {
+      newPoints.push([start[0] + (end[0] - start[0]) * j / pieces, start[1] + (end[1] - start[1]) * j / pieces]);
+    }
+    newPoints.push(end);
   }
+  return newPoints;
 };
 
+// default tolerance (meters) and deepest halving of an edge for densifyGreatCircle()
+AstroGeometry.greatCircleTolerance = 1000;
+AstroGeometry.greatCircleMaxDepth = 12;
+
 /*
- * Fills an array of points, helps to maintain shapes on reprojections.
+ * Adds points along each edge of a line (or ring) so that it follows the great
+ * circles between its points on the target body. On an ellipsoid (cAxisRadius
+ * different from aAxisRadius) the edges follow great circles of the reduced
+ * (parametric) latitude, which is very close to the true geodesic. Edges are halved
+ * until drawing them as straight lines strays from the great circle by no more
+ * than the tolerance.
+ *
+ * The tolerance is measured on the ground, or, if a transform is given, in the
+ * projection the line will be drawn in (e.g. polar stereographic meters). In pixels,
+ * it is measured on the map (the projection, or lon/lat without a transform) at the
+ * given resolution.
+ *
+ * Parameters: points              - array of [lon, lat] points
+ *             greatCircleSettings - hash of options
+ *
+ * The following options may be set:
+ *   aAxisRadius    - equatorial radius of the target in km. Required
+ *   cAxisRadius    - polar radius of the target in km. Default: aAxisRadius (a sphere)
+ *   tolerance      - how far a drawn edge may stray from the great circle. Default:
+ *                    AstroGeometry.greatCircleTolerance meters
+ *   toleranceUnits - 'meters' or 'pixels'. Default: 'meters'
+ *   resolution     - map units per pixel, for pixel tolerances (meters, or degrees on a
+ *                    lon/lat map when there's no transform)
+ *   transform      - function([lon, lat]) -> [x, y] meters in the projection the line
+ *                    will be drawn in. Default: none (the tolerance is measured on the ground)
  *
- * Parameter: pointArray - array of points
- * Returns: wkt-ready string (without prefix)
+ * Returns: the new array of points
  */
-AstroGeometry.saturatePointArray = function(pointArray) {
-  var newPointArray = [];
-  var n = 0;
+AstroGeometry.densifyGreatCircle = function(points, greatCircleSettings) {
+  var that = this;
+  var a = greatCircleSettings.aAxisRadius;
+  var c = greatCircleSettings.cAxisRadius || a;
+  var transform = greatCircleSettings.transform;
+  var tolerance = greatCircleSettings.tolerance || this.greatCircleTolerance;
+  var pixels = (greatCircleSettings.toleranceUnits == 'pixels');
+  if (pixels) {
+    tolerance = tolerance * greatCircleSettings.resolution;
+  }
 
-  for(var i = 0, len = (pointArray.length - 1); i < len; i++) {
-    var latlon = pointArray[i].toString().replace(/^\s+|\s+$/g,'').split(' ');
-    var nextlatlon = pointArray[i+1].toString().replace(/^\s+|\s+$/g,'').split(' ');
-    var skipPoint = false;
-    //dup points
-    if ( (Number(latlon[0]) == Number(nextlatlon[0])) && (Number(latlon[1]) == Number(nextlatlon[1])) )    {
-      skipPoint = true;
+  // how far the straight edge from start to end strays from the great circle at mid
+  var deviation = function(start, end, mid) {
+    if (transform) {
+      var d = that.distanceToSegment(transform(mid.slice()), transform(start.slice()), transform(end.slice()));
+      // off the map (e.g. the far side in orthographic): nothing to draw
+      return (isNaN(d)) ? 0 : d;
     }
-    //line to pole
-    if ( ((latlon[0] == 0) || (latlon[0] == 360)) && ((nextlatlon[0] == 0) || (nextlatlon[0] == 360)) )   {
-      skipPoint = true;
+    var endLon = start[0] + that.normalizeLonDelta(end[0] - start[0]);
+    var midLon = start[0] + that.normalizeLonDelta(mid[0] - start[0]);
+    if (pixels) {
+      // on a lon/lat map
+      return that.distanceToSegment([midLon, mid[1]], start, [endLon, end[1]]);
     }
-    if (skipPoint){
-      newPointArray[n] = [pointArray[i]];
-      n+=1;
-      continue;
+    var straight = [(start[0] + endLon) / 2, (start[1] + end[1]) / 2];
+    return that.haversineDistance([midLon, mid[1]], straight, a * 1000);
+  };
+
+  if (points.length == 0) {
+    return [];
+  }
+  var newPoints = [points[0]];
+  var wrap = false;
+  // adds the points between start and end
+  var addEdge = function(start, end, depth) {
+    var mid = that.greatCircleMidpoint(start, end, a, c);
+    if (mid && (depth < that.greatCircleMaxDepth) && (deviation(start, end, mid) > tolerance)) {
+      addEdge(start, mid, depth + 1);
+      newPoints.push((wrap) ? [that.transformLonTo0360(mid[0]), mid[1]] : mid);
+      addEdge(mid, end, depth + 1);
     }
-    var midLon = (Number(latlon[0])+Number(nextlatlon[0]))/2;
-    var midLat = (Number(latlon[1])+Number(nextlatlon[1]))/2;
-    var qLon = (Number(latlon[0])+Number(midLon))/2;
-    var qLat = (Number(latlon[1])+Number(midLat))/2;
-    var qqqLon = (Number(nextlatlon[0])+Number(midLon))/2;
-    var qqqLat = (Number(nextlatlon[1])+Number(midLat))/2;
-    var eLon = (Number(latlon[0])+Number(qLon))/2;
-    var eLat = (Number(latlon[1])+Number(qLat))/2;
-    var eeeLon = (Number(midLon)+Number(qLon))/2;
-    var eeeLat = (Number(midLat)+Number(qLat))/2;
-    var eeeeeLon = (Number(midLon)+Number(qqqLon))/2;
-    var eeeeeLat = (Number(midLat)+Number(qqqLat))/2;
-    var eeeeeeeLon = (Number(nextlatlon[0])+Number(qqqLon))/2;
-    var eeeeeeeLat = (Number(nextlatlon[1])+Number(qqqLat))/2;
-    newPointArray[n] = [pointArray[i]];
-    newPointArray[n+1] = [((Number(latlon[0])+eLon)/2)+' '+(Number(latlon[1])+eLat)/2];
-    newPointArray[n+2] = [eLon+' '+eLat];
-    newPointArray[n+3] = [((Number(qLon)+eLon)/2)+' '+(Number(qLat)+eLat)/2];
-    newPointArray[n+4] = [qLon+' '+qLat];
-    newPointArray[n+5] = [((Number(qLon)+eeeLon)/2)+' '+(Number(qLat)+eeeLat)/2];
-    newPointArray[n+6] = [eeeLon+' '+eeeLat];
-    newPointArray[n+7] = [((Number(midLon)+eeeLon)/2)+' '+(Number(midLat)+eeeLat)/2];
-    newPointArray[n+8] = [midLon+' '+midLat];
-    newPointArray[n+9] = [((Number(midLon)+eeeeeLon)/2)+' '+(Number(midLat)+eeeeeLat)/2];
-    newPointArray[n+10] = [eeeeeLon+' '+eeeeeLat];
-    newPointArray[n+11] = [((Number(qqqLon)+eeeeeLon)/2)+' '+(Number(qqqLat)+eeeeeLat)/2];
-    newPointArray[n+12] = [qqqLon+' '+qqqLat];
-    newPointArray[n+13] = [((Number(qqqLon)+eeeeeeeLon)/2)+' '+(Number(qqqLat)+eeeeeeeLat)/2];
-    newPointArray[n+14] = [eeeeeeeLon+' '+eeeeeeeLat];
-    newPointArray[n+15] = [((Number(nextlatlon[0])+eeeeeeeLon)/2)+' '+(Number(nextlatlon[1])+eeeeeeeLat)/2];
-    n+=16;
-  }
-  newPointArray[n] = [pointArray[i]];
-  return(newPointArray);
-};
-
-/*
- * Returns true if the wkt geometry crosses the dateline.
+  };
+  var inDomain = function(point) {
+    return ((point[0] >= 0) && (point[0] <= 360));
+  };
+  for (var i = 1; i < points.length; i++) {
+    // edges across the dateline in 0-360 keep their new points in 0-360 too
+    wrap = inDomain(points[i - 1]) && inDomain(points[i]);
+    addEdge(points[i - 1], points[i], 0);
+    newPoints.push(points[i]);
+  }
+  return newPoints;
+};
+
+/*
+ * Returns the point halfway along the great circle between two points. On an
+ * ellipsoid, the great circle of the reduced (parametric) latitude is used. The
+ * lon is kept continuous with the start point's (it may fall outside 0-360).
+ *
+ * Parameters: start       - [lon, lat] (degrees)
+ *             end         - [lon, lat] (degrees)
+ *             aAxisRadius - equatorial radius of the target in km
+ *             cAxisRadius - polar radius of the target in km
+ * Returns: [lon, lat] of the midpoint, or null if the points are antipodal
+ */
+AstroGeometry.greatCircleMidpoint = function(start, end, aAxisRadius, cAxisRadius) {
+  var ratio = (cAxisRadius || aAxisRadius) / aAxisRadius;
+  var toVector = function(point) {
+    var lon = point[0] * Math.PI / 180;
+    var beta = Math.atan(ratio * Math.tan(point[1] * Math.PI / 180));
+    return [Math.cos(beta) * Math.cos(lon), Math.cos(beta) * Math.sin(lon), Math.sin(beta)];
+  };
+  var v1 = toVector(start);
+  var v2 = toVector(end);
+  var x = v1[0] + v2[0];
+  var y = v1[1] + v2[1];
+  var z = v1[2] + v2[2];
+  var length = Math.sqrt(x * x + y * y + z * z);
+  if (length < 1e-12) {
+    return null;
+  }
+  var beta = Math.asin(z / length);
+  var lat = Math.atan(Math.tan(beta) / ratio) * 180 / Math.PI;
+  var lon = Math.atan2(y, x) * 180 / Math.PI;
+  return [start[0] + this.normalizeLonDelta(lon - start[0]), lat];
+};
+
+/*
+ * Returns the great circle distance between two points on a sphere.
+ *
+ * Parameters: start  - [lon, lat] (degrees)
+ *             end    - [lon, lat] (degrees)
+ *             radius - radius of the sphere (the distance comes back in the same units)
+ * Returns: the distance
+ */
+AstroGeometry.haversineDistance = function(start, end, radius) {
+  var lat1 = start[1] * Math.PI / 180;
+  var lat2 = end[1] * Math.PI / 180;
+  var dLat = lat2 - lat1;
+  var dLon = (end[0] - start[0]) * Math.PI / 180;
+  var h = Math.pow(Math.sin(dLat / 2), 2) + Math.cos(lat1) * Math.cos(lat2) * Math.pow(Math.sin(dLon / 2), 2);
+  return 2 * radius * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/*
+ * Returns the distance from a point to a line segment (in the plane).
+ *
+ * Parameters: point - [x, y]
+ *             start - [x, y] of one end of the segment
+ *             end   - [x, y] of the other end
+ * Returns: the distance
+ */
+AstroGeometry.distanceToSegment = function(point, start, end) {
+  var dx = end[0] - start[0];
+  var dy = end[1] - start[1];
+  var t = 0;
+  if ((dx != 0) || (dy != 0)) {
+    t = ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / (dx * dx + dy * dy);
+    t = Math.max(0, Math.min(1, t));
+  }
+  var x = start[0] + t * dx - point[0];
+  var y = start[1] + t * dy - point[1];
+  return Math.sqrt(x * x + y * y);
+};
+
+/*
+ * Returns true if the wkt geometry crosses the dateline. For MULTI* geometries and
+ * GEOMETRYCOLLECTIONs, true if any of the members crosses it.
  *
  * Note: for points, this function will always return false. Points can lie ON
  * the dateline, but they cannot cross it.
@@ -215,50 +638,62 @@ AstroGeometry.saturatePointArray = function(pointArray) {
  * Returns: boolean
  */
 AstroGeometry.crossesDateline = function(wktString, projection) {
+  var geometry = this.parseWkt(wktString);
+  if (!geometry) {
+    return false;
+  }
+  return this.geometryCrossesDateline(geometry, projection);
+};
+
+/*
+ * Geometry object version of crossesDateline().
+ *
+ * Parameters: geometry   - the geometry object (see parseWkt())
+ *             projection - the projection (string) of the map that the geometry will be drawn on
+ * Returns: boolean
+ */
+AstroGeometry.geometryCrossesDateline = function(geometry, projection) {
   var crossingDateline = false;
-  var format = new ol.format.WKT();
-  var geometry = format.readGeometry(wktString);
-  var ex = geometry.getExtent();
+
+  if (geometry.type == "GeometryCollection") {
+    for (var g = 0; g < geometry.geometries.length; g++) {
+      if (this.geometryCrossesDateline(geometry.geometries[g], projection)) {
+        return true;
+      }
+    }
+    return false;
+  }
 
   //
   if (projection == "cylindrical") {
-    var wktPrefix = this.extractGeometryType(wktString);
-
-    if ((wktPrefix == "POLYGON") || (wktPrefix == "LINESTRING")) {
-
-      var brX = ol.extent.getBottomRight(ex)[0];
-      var blX = ol.extent.getBottomLeft(ex)[0];
-      var maxX = Math.max (brX, blX);
-      var minX = Math.min (brX, blX);
-      //console.log('AG maxX ' + maxX + ' minX ' + minX);
-      //console.log('AG crossesdateline wkt ' + wktString);
+    if ((geometry.type == "Polygon") || (geometry.type == "LineString")) {
+      var ex = this.getExtent(geometry);
+      var maxX = ex[2];
+      var minX = ex[0];
 
       //bounds rule
       if ( ((maxX > 360) && (minX < 360)) || ((minX < 0) && (maxX > 0)) ) {
 	crossingDateline = true;
-      } else if (minX > maxX) {
-	//left-most-least rule (if undangled)
-	//crossingDateline = true; (not using, inconsistent with OL bounds)
       }
     }
-    else if (wktPrefix == "MULTIPOLYGON") { //|| (wktPrefix == "MULTILINESTRING")) {
+    else if ((geometry.type == "MultiPolygon") || (geometry.type == "MultiLineString")) {
       // check each geometry in multi geometry
-      var polys = geometry.getPolygons();
+      var childType = geometry.type.replace('Multi', '');
       var leftSplit = false;
       var rightSplit = false;
-      for (var i = 0, len = polys.length; i < len; i++) {
-        var childWkt = format.writeGeometry(polys[i]);
+      for (var i = 0, len = geometry.coordinates.length; i < len; i++) {
+        var child = {type: childType, coordinates: geometry.coordinates[i]};
 
-	if (this.crossesDateline(childWkt, projection)) {
+	if (this.geometryCrossesDateline(child, projection)) {
 	    crossingDateline = true;
 	  break;
 	}
         //check for clean splits on dateline
-	var childBounds = polys[i].getExtent();
-	if (Number(ol.extent.getBottomLeft(childBounds)[0]) == 0) {
+	var childBounds = this.getExtent(child);
+	if (childBounds[0] == 0) {
 	  leftSplit = true;
 	}
-	if (Number(ol.extent.getBottomRight(childBounds)[0]) == 360) {
+	if (childBounds[2] == 360) {
 	  rightSplit = true;
 	}
 
@@ -267,26 +702,21 @@ AstroGeometry.crossesDateline = function(wktString, projection) {
 	crossingDateline = true;
       }
     }
-    else if ((wktPrefix == "POINT") || (wktPrefix == "MULTIPOINT")) {
-      return false;
-    }
     else {
-      // we should never get here...
+      // points can't cross
       return false;
     }
 
   } else {
-    //polar
-    if (projection == "north-polar stereographic") {
-      geometryP = geometry.transform('EPSG:4326','EPSG:32661');
-    } else {
-      geometryP = geometry.transform('EPSG:4326','EPSG:32761');
+    //polar (only the shape matters here, so any radius will do)
+    var geometryP = this.transformGeometry(geometry, function(point) {
+      return AstroGeometry.transformLatLonToPolarMeters(point, projection, 1);
+    });
+    var exP = this.getExtent(geometryP);
+    // the dateline runs from the pole (0, 0) straight down (north) or up (south)
+    if ((exP[0] <= 0) && (exP[2] >= 0)) {
+      crossingDateline = (projection == 'north-polar stereographic') ? (exP[1] <= 0) : (exP[3] >= 0);
     }
-    var exP = geometryP.getExtent();
-    // create dateline
-    var points = (projection == 'north-polar stereographic') ? [[0, 0],[0, -2357032]] : [[0, 0],[0, 2357032]];
-    var dateline = new ol.geom.LineString(points);
-    crossingDateline = dateline.intersectsExtent(exP);
   }
 
   return crossingDateline;
@@ -297,7 +727,10 @@ AstroGeometry.crossesDateline = function(wktString, projection) {
  *
  * Turns geometry into MULTI*. If a MULTI* is passed in, each
  * geometry within the multi will be split (if necessary) and a
- * MULTI* will still be returned.
+ * MULTI* will still be returned. Each member of a GEOMETRYCOLLECTION
+ * is split the same way. Polygon holes are split along with their
+ * polygon, and polygons going all the way around a pole are closed
+ * along the pole.
  *
  * If no splitting is necessary for the supplied geometry, the
  * original WKT is returned, unchanged. If the geometry is a
@@ -308,239 +741,289 @@ AstroGeometry.crossesDateline = function(wktString, projection) {
  * Returns: MULTI* WKT (EPSG:4326) of split geometry
  */
 AstroGeometry.splitOnDateline = function(wktString, projection) {
-  var wktPrefix = this.extractGeometryType(wktString);
-  var wktParse = new ol.format.WKT();
-  var geometry = wktParse.readGeometry(wktString);
-  var childWkt, splitWkt, splitPrefix, splitGeo = '';
-  var childComponents = [];
-
-  if ((wktPrefix == "MULTIPOLYGON") || (wktPrefix == "MULTILINESTRING")) {
-    // check each of the geometries within multi geometry
-    var polys = geometry.getPolygons();
-    var newGeometry = (wktPrefix == "MULTIPOLYGON") ? new ol.geom.MultiPolygon : new ol.geom.MultiLineString;
-    for (var i = 0, len = polys.length; i < len; i++) {
-      childWkt = wktParse.writeGeometry(polys[i]);
-      splitWkt = this.splitOnDateline(childWkt, projection);
-      splitGeo = wktParse.readGeometry(splitWkt);
-      splitPrefix = this.extractGeometryType(splitWkt);
-      if ((splitPrefix == 'POLYGON') || (splitPrefix == 'LINESTRING')) {
-	childComponents[0] = splitGeo;
-      } else {
-	childComponents = (wktPrefix == "MULTIPOLYGON") ? splitGeo.getPolygons() : splitGeo.getLineStrings();
+  var geometry = this.parseWkt(wktString);
+  if (!geometry) {
+    return wktString;
+  }
+
+  switch (geometry.type) {
+    case "GeometryCollection":
+      var geometries = [];
+      for (var g = 0; g < geometry.geometries.length; g++) {
+        var member = this.writeWkt(geometry.geometries[g]);
+        geometries.push(this.parseWkt(this.splitOnDateline(member, projection)));
       }
-      for (var j = 0, innerLen = childComponents.length; j < innerLen; j++) {
-	if (wktPrefix == "MULTIPOLYGON") {
-	  newGeometry.appendPolygon(childComponents[j]);
-	} else {
-	  newGeometry.appendLineString(childComponents[j]);
-	}
+      return this.writeWkt({type: geometry.type, geometries: geometries});
+
+    case "MultiPolygon":
+    case "MultiLineString":
+      // check each of the geometries within multi geometry
+      var childType = geometry.type.replace('Multi', '');
+      var newComponents = [];
+      for (var i = 0, len = geometry.coordinates.length; i < len; i++) {
+        var childWkt = this.writeWkt({type: childType, coordinates: geometry.coordinates[i]});
+        var splitGeo = this.parseWkt(this.splitOnDateline(childWkt, projection));
+        if (splitGeo.type == childType) {
+	  newComponents.push(splitGeo.coordinates);
+        } else {
+	  newComponents = newComponents.concat(splitGeo.coordinates);
+        }
       }
-    }
-    return (wktParse.writeGeometry(newGeometry));
-  }
-
-  if (wktPrefix == "POLYGON") {
-
-    //undangle
-    wktString = this.undangle(wktString);
-
-    // ONLY WORKS FOR SIMPLE POLYGONS THAT SPAN LESS THAN 180 DEGREES!
-    //var geojson = new OpenLayers.Format.GeoJSON();
-    var geojson = new ol.format.GeoJSON();
-    var f = wktParse.readFeature(wktString);
-    var featureJson = geojson.writeFeature(f);
-    //console.log('json ' + featureJson);
-    var featureArray = eval('('+featureJson+')');
-    var coordinates = featureArray.geometry.coordinates.toString().split(",");
-    var poly = {1:'',2:''};
-    var polyNum = 1;
-    var polyRingPoint = [];
-    var pollLatLon = [];
-    var datelineCrosses = 0;
-    var poly1HighLon = true;
-
-
-    // loop through array of coordinates
-    for(var i = 0, len = coordinates.length; i < len; i = i+2) {
-      var lon = coordinates[i];
-      var lat = coordinates[i+1];
-      var nextLon = coordinates[i+2];
-      var nextLat = coordinates[i+3];
-      //jumps to poll at dateline mean pole-containing split already happened
-      if ( ((lat == 90) && (nextLat == 90)) || ((lat == -90) && (nextLat == -90)) ) {
-	if ( ((lon == 360) && (nextLon == 0)) || ((lon == 0) && (nextLon == 360)) || ((lon == 720) && (nextLon == 360)) || ((lon == 0) && (nextLon == -360)) ) {
-	  return wktString;
-	}
+      return this.writeWkt({type: geometry.type, coordinates: newComponents});
+
+    case "Polygon":
+      //undangle
+      var polygon = this.transformCoordinates(geometry.coordinates, this.transformDanglers);
+      //jumps to pole at dateline mean pole-containing split already happened
+      if (this.hasPoleEdge(polygon)) {
+        return this.writeWkt({type: 'Polygon', coordinates: polygon});
       }
+      var polygons = this.splitPolygonOnDateline(polygon, projection);
+      // return original wkt if it came back in one piece, unchanged
+      if ((polygons.length == 1) &&
+          (this.writeWkt({type: 'Polygon', coordinates: polygons[0]}) == this.writeWkt({type: 'Polygon', coordinates: polygon}))) {
+        return wktString;
+      }
+      return this.writeWkt({type: 'MultiPolygon', coordinates: polygons});
 
-      // store first ring point
-      if (i==0) {polyRingPoint[polyNum] = ','+lon+' '+lat;}
-
-      // WARNING - for this to work, polygons must span less than 180 degrees!!
-      if (((nextLon - lon) > 180) || ((nextLon - lon) < -180)) {
-        datelineCrosses += 1;
-        // polygon moves from 360 to 0 degrees - find lat where it hits dateline:
-        var newLat;
-        if (projection != "cylindrical") {
-          var equationLat = (((nextLon-lon) * (lat-90)) - ((nextLat-lat)*lon)) / (-180 * (nextLon-lon));
-          newLat = (Number(lat) + Number(equationLat * (nextLat - lat)));
-        }
-        else {
-          // make sure lat/lons are numbers, not strings
-          lat = lat / 1;
-          lon = lon / 1;
-          nextLat = nextLat / 1;
-          nextLon = nextLon / 1;
-
-          // find slope of line segment. lon offset depends on which side
-          // of the dateline we are on. We add 360 to the smaller of the
-          // two lons so that there isn't a 'wrap' from 360 back to 0.
-          // Once we've found the slope, we use point-slope form to determine
-          // the lat of where the line segment hits the dateline.
-
-          // figure out which side of the dateline we are on
-          // (left -> right, or right -> left)
-          if (lon > nextLon) {
-            // we are crossing from left to right (ex. 357 to 3):
-            // add 360 to the next longitude as it is smaller than the current lon,
-            // and needs to be greater than 360 (this avoids the wrap back to 0)
-            var slope = ((nextLat - lat) / ((360 + nextLon) - lon));
-
-            // calculate lat of where the line segment connecting the two points
-            // hits the dateline using point-slope form
-            newLat = (lat + (slope * (360 - lon)));
-          }
-          else {
-            // we are crossing from right to left (ex. 357 to 3):
-            // current lon is smaller than next lon, so add 360 to it
-            // to make it greater than 360 and avoid the 'wrap'
-            var slope = ((nextLat - lat) / (nextLon - (360 + lon)));
-            newLat = (lat + (slope * (360 - (360 + lon))));
-          }
-        }
-
-        // add current point
-        if (poly[polyNum]) {poly[polyNum] = poly[polyNum]+',';}
-        poly[polyNum] = poly[polyNum]+lon+' '+lat;
-
-        // toggle polygon.. change dateline...
-        if (poly[polyNum]) {poly[polyNum] = poly[polyNum]+',';}
-        if ((nextLon-lon) > 180)  {
-          datelineLon= 0;
-          poly[polyNum] = poly[polyNum]+datelineLon+' '+newLat;
-          pollLatLon = (projection == 'north-polar stereographic') ? {1:',0 90',2:',360 90'} : {1:',0 -90',2:',360 -90'};
-          polyNum = (polyNum == 1) ? 2 : 1; // switch sides
-        }
-        if ((nextLon -lon) < -180) {
-          datelineLon= 360;
-          poly[polyNum] = poly[polyNum]+datelineLon+' '+newLat;
-          pollLatLon = (projection == 'north-polar stereographic') ? {2:',0 90',1:',360 90'} : {2:',0 -90',1:',360 -90'};
-          if (polyNum == 1) {
-            polyNum =  2;
-          }
-          else {
-            polyNum =  1;
-            poly1HighLon = false;
-          }
-        }
-
-        // add dateline point for toggled polygon
-        datelineLon= (datelineLon == 360) ? 0 : 360;
-        if (poly[polyNum]) {poly[polyNum] = poly[polyNum]+',';}
-        poly[polyNum] = poly[polyNum]+datelineLon+' '+newLat;
-
-        // record end ring point (for second poly that starts on dateline)
-        polyRingPoint[polyNum] = ','+datelineLon+' '+newLat;
+    case "LineString":
+      // return original wkt if it doesn't cross the dateline
+      if (!this.crossesDateline(wktString, projection)) {
+        return wktString;
       }
-      else {
-        // just push point
-        if (poly[polyNum]) {poly[polyNum] = poly[polyNum]+',';}
-        poly[polyNum] = poly[polyNum]+lon+' '+lat;
+      return this.writeWkt({type: 'MultiLineString', coordinates: this.splitLineOnDateline(geometry.coordinates)});
+  }
+  // we never need to split points, so just return the original wkt unchanged
+  return wktString;
+};
+
+/*
+ * Returns true if any ring of the polygon runs along a pole from one side of the
+ * dateline to the other (e.g. 360 90 to 0 90), which is how polygons around a pole
+ * look once they've been split.
+ *
+ * Parameter: polygon - array of rings (arrays of [lon, lat] points)
+ * Returns: boolean
+ */
+AstroGeometry.hasPoleEdge = function(polygon) {
+  for (var r = 0; r < polygon.length; r++) {
+    var ring = polygon[r];
+    for (var i = 1; i < ring.length; i++) {
+      var a = ring[i - 1];
+      var b = ring[i];
+      if ((Math.abs(a[1]) == 90) && (a[1] == b[1]) && (Math.abs(b[0] - a[0]) == 360)) {
+        return true;
       }
-    } // for loop
+    }
+  }
+  return false;
+};
 
-    // make multipolygon
-    if (!poly[2]) { //no second poly made...use poly 1
-      return('MULTIPOLYGON((('+poly[1]+')))');
-    } else if (datelineCrosses == 1) { //dateline crossed once, combine polys
-      // combine polys
-      poly[1] += pollLatLon[1] + pollLatLon[2] + ',' +poly[2];
-      return('MULTIPOLYGON((('+poly[1]+')))');
+/*
+ * Unwraps the lons of a line (or ring) so it is continuous: steps of more than 180
+ * degrees are taken to cross the dateline (e.g. 357 to 3 becomes 357 to 363).
+ *
+ * Parameter: points - array of [lon, lat] points
+ * Returns: the new array of points
+ */
+AstroGeometry.unwrapCoordinates = function(points) {
+  if (points.length == 0) {
+    return [];
+  }
+  var unwrapped = [points[0].slice()];
+  for (var i = 1; i < points.length; i++) {
+    var point = points[i].slice();
+    var previous = points[i - 1];
+    var delta = point[0] - previous[0];
+    // running along a pole isn't a jump
+    if ((Math.abs(point[1]) != 90) || (point[1] != previous[1])) {
+      delta = this.normalizeLonDelta(delta);
     }
-    else {
-      // close second polygon
-      poly[2] += polyRingPoint[2];
-      return('MULTIPOLYGON((('+poly[1]+')),(('+poly[2]+')))');
-    }
-  }
-  else if (wktPrefix == "LINESTRING") {
-    // return original wkt if it doesn't cross the dateline
-    if (!this.crossesDateline(wktString, projection)) {
-      return wktString;
-    }
-
-    // ONLY WORKS FOR SIMPLE LINESTRINGS THAT SPAN LESS THAN 180 DEGREES!
-    var geojson = new OpenLayers.Format.GeoJSON();
-    var featureJson = geojson.write(wktParse.read(wktString));
-    var featureArray = eval('('+featureJson+')');
-    var coordinates = featureArray.geometry.coordinates.toString().split(",");
-
-    // build 'normalized' wkt where dateline crosses don't stay within 0-360
-    var normalizedWktArrayStr = [];  // use an array to concat strings for better performance
-    normalizedWktArrayStr.push("LINESTRING(");
-
-    // loop through array of coordinates
-    var added = false;  // was the previous point normalized and added already?
-    for(i = 0, len = coordinates.length; i < len; i = i+2) {
-      var lon = coordinates[i];
-      var lat = coordinates[i+1];
-      var nextLon = coordinates[i+2];
-      var nextLat = coordinates[i+3];
-
-      // WARNING - for this to work, linestrings must span less than 180 degrees!!
-      if (((nextLon - lon) > 180) || ((nextLon - lon) < -180)) {
-        // figure out which side of the dateline we are on
-        // (left -> right, or right -> left)
-        if (lon > nextLon) {
-          // we are crossing from left to right (ex. 357 to 3)
-          // add current point and shift next lon before adding it too
-          normalizedWktArrayStr.push(lon + ' ' + lat + ",");
-          normalizedWktArrayStr.push((360 + (nextLon / 1)) + ' ' + nextLat + ",");
-        }
-        else {
-          // shift current lon and add next lon
-          normalizedWktArrayStr.push((360 + (lon / 1)) + ' ' + lat + ",");
-          normalizedWktArrayStr.push(nextLon + ' ' + nextLat + ",");
-        }
-        added = true;
+    point[0] = unwrapped[i - 1][0] + delta;
+    unwrapped.push(point);
+  }
+  return unwrapped;
+};
+
+/*
+ * Splits a polygon (0-360 lons, may have holes) where it crosses the dateline.
+ * Steps of more than 180 degrees of longitude are taken to cross the dateline, so
+ * for this to work neighbouring points must be less than 180 degrees apart.
+ *
+ * A polygon whose outside ring goes all the way around (i.e. it contains a pole)
+ * is closed along the pole: the one of the projection for the polar projections,
+ * otherwise the one on the polygon's side of the equator.
+ *
+ * Parameters: polygon    - array of rings (arrays of [lon, lat] points), outside ring first
+ *             projection - projection string (to projection)
+ * Returns: array of polygons, each within 0-360
+ */
+AstroGeometry.splitPolygonOnDateline = function(polygon, projection) {
+  var outer = this.unwrapCoordinates(polygon[0]);
+  var first = outer[0];
+  var last = outer[outer.length - 1];
+
+  // goes around a pole: close it along the pole
+  if (Math.abs(last[0] - first[0]) >= 359.999999) {
+    var poleLat;
+    if (projection == 'north-polar stereographic') {
+      poleLat = 90;
+    } else if (projection == 'south-polar stereographic') {
+      poleLat = -90;
+    } else {
+      var ex = this.getExtent({type: 'LineString', coordinates: outer});
+      poleLat = ((ex[1] + ex[3]) >= 0) ? 90 : -90;
+    }
+    outer.push([last[0], poleLat], [first[0], poleLat], first.slice());
+  }
+
+  // holes are moved next to the outside ring
+  var outerEx = this.getExtent({type: 'LineString', coordinates: outer});
+  var outerMid = (outerEx[0] + outerEx[2]) / 2;
+  var rings = [outer];
+  for (var h = 1; h < polygon.length; h++) {
+    var hole = this.unwrapCoordinates(polygon[h]);
+    var holeEx = this.getExtent({type: 'LineString', coordinates: hole});
+    var shift = 360 * Math.round((outerMid - (holeEx[0] + holeEx[2]) / 2) / 360);
+    rings.push(this.transformCoordinates(hole, function(p) {
+      p[0] = p[0] + shift;
+      return p;
+    }));
+  }
+
+  // cut out each 360 degree wide strip the outside ring covers
+  var polygons = [];
+  var firstStrip = Math.floor(outerEx[0] / 360);
+  var lastStrip = Math.ceil(outerEx[2] / 360) - 1;
+  for (var s = firstStrip; s <= lastStrip; s++) {
+    var piece = [];
+    for (var r = 0; r < rings.length; r++) {
+      var clipped = this.clipRing(rings[r], 360 * s, 360 * (s + 1));
+      if (clipped) {
+        piece.push(this.transformCoordinates(clipped, function(p) {
+          p[0] = p[0] - 360 * s;
+          return p;
+        }));
+      } else if (r == 0) {
+        // nothing of the outside ring in this strip
+        break;
       }
-      else {
-        if (!added) {
-          normalizedWktArrayStr.push(lon + ' ' + lat + ",");
+    }
+    if (piece.length > 0) {
+      polygons.push(piece);
+    }
+  }
+  return polygons;
+};
+
+/*
+ * Clips a ring to the lons between minLon and maxLon (Sutherland-Hodgman). Where
+ * the ring leaves and comes back into the strip, the clipped ring runs along the
+ * edge of the strip.
+ *
+ * Parameters: ring   - array of [lon, lat] points (closed)
+ *             minLon - west edge of the strip
+ *             maxLon - east edge of the strip
+ * Returns: the clipped ring (closed), or null if nothing (with an area) is left
+ */
+AstroGeometry.clipRing = function(ring, minLon, maxLon) {
+  var clipEdge = function(points, lon, keepWest) {
+    var output = [];
+    var inside = function(p) {
+      return (keepWest) ? (p[0] <= lon) : (p[0] >= lon);
+    };
+    for (var i = 0; i < points.length; i++) {
+      var current = points[i];
+      var previous = points[(i + points.length - 1) % points.length];
+      var crossing = function() {
+        return [lon, previous[1] + (current[1] - previous[1]) * (lon - previous[0]) / (current[0] - previous[0])];
+      };
+      if (inside(current)) {
+        if (!inside(previous)) {
+          output.push(crossing());
         }
-        added = false;
+        output.push(current);
+      } else if (inside(previous)) {
+        output.push(crossing());
       }
     }
+    return output;
+  };
 
-    // finish normalized wkt
-    var normalizedWkt = normalizedWktArrayStr.join("");  // create string
-    normalizedWkt = normalizedWkt.substring(0, normalizedWkt.length - 1);
-    normalizedWkt += ")";
-
-    // split the linestring using OL's split function (only works for linestrings)
-    var featureGeometry = wktParse.read(normalizedWkt).geometry;
-    var datelineFeatureGeometry = wktParse.read("LINESTRING(360 -90, 360 90)").geometry;
-
-    var splitGeos = featureGeometry.splitWith(datelineFeatureGeometry);
-    var splitGeometry = new OpenLayers.Geometry.MultiLineString(splitGeos);
-    var splitFeature = new OpenLayers.Feature.Vector(splitGeometry);
+  // work on the open ring
+  var points = ring.slice(0, ring.length - 1);
+  points = clipEdge(points, minLon, false);
+  points = clipEdge(points, maxLon, true);
+
+  // drop repeated points and anything without an area
+  var clipped = [];
+  for (var i = 0; i < points.length; i++) {
+    var previous = clipped[clipped.length - 1];
+    if (!previous || (previous[0] != points[i][0]) || (previous[1] != points[i][1])) {
+      clipped.push(points[i]);
+    }
+  }
+  if (clipped.length < 3) {
+    return null;
+  }
+  clipped.push(clipped[0].slice());
+  var area = 0;
+  for (var j = 1; j < clipped.length; j++) {
+    area = area + (clipped[j - 1][0] * clipped[j][1]) - (clipped[j][0] * clipped[j - 1][1]);
+  }
+  return (Math.abs(area) > 1e-12) ? clipped : null;
+};
 
-    return wktParse.write(splitFeature);
+/*
+ * Splits a line (0-360 lons) where it crosses the dateline. Steps of more than 180
+ * degrees of longitude are taken to cross the dateline, so for this to work the
+ * points must be less than 180 degrees apart.
+ *
+ * Parameter: points - array of [lon, lat] points
+ * Returns: array of lines (arrays of [lon, lat] points), each within 0-360
+ */
+AstroGeometry.splitLineOnDateline = function(points) {
+  var unwrapped = this.unwrapCoordinates(points);
+
+  // cut the line wherever it crosses a multiple of 360
+  var lines = [];
+  var line = [unwrapped[0]];
+  for (var j = 1; j < unwrapped.length; j++) {
+    var a = unwrapped[j - 1];
+    var b = unwrapped[j];
+    var sideA = Math.floor(a[0] / 360);
+    var sideB = Math.floor(b[0] / 360);
+    if (sideA != sideB) {
+      var dateline = 360 * Math.max(sideA, sideB);
+      var lat = a[1] + (b[1] - a[1]) * (dateline - a[0]) / (b[0] - a[0]);
+      if (a[0] != dateline) {
+        line.push([dateline, lat]);
+      }
+      if (line.length > 1) {
+        lines.push(line);
+      }
+      line = [[dateline, lat]];
+    }
+    if ((b[0] != line[line.length - 1][0]) || (b[1] != line[line.length - 1][1])) {
+      line.push(b);
+    }
   }
-  else {
-    // we never need to split points, so just return the original wkt unchanged
-    return wktString;
+  if (line.length > 1) {
+    lines.push(line);
+  }
+
+  // bring each piece back into 0-360
+  for (var k = 0; k < lines.length; k++) {
+    var ex = this.getExtent({type: 'LineString', coordinates: lines[k]});
+    var shift = 360 * Math.floor(((ex[0] + ex[2]) / 2) / 360);
+    if (shift != 0) {
+      lines[k] = this.transformCoordinates(lines[k], function(p) {
+        p[0] = p[0] - shift;
+        return p;
+      });
+    }
   }
+  return lines;
 };
 
 /*
@@ -550,91 +1033,56 @@ AstroGeometry.splitOnDateline = function(wktString, projection) {
  * split vector crossing the dateline. The supplied WKT
  * should have already been split on the dateline. This function
  * only needs to be called when rendering geometries in
- * cylindrical projection.
+ * cylindrical projection. Each member of a GEOMETRYCOLLECTION is
+ * shifted the same way.
  *
  * Parameters: wkt - the geometry (always EPSG:4326)
  * Returns: wkt string with added extra dateline-shifted geometries
  */
 AstroGeometry.datelineShift = function(wkt) {
+  var geometry = this.parseWkt(wkt);
+  if (!geometry) {
+    return wkt;
+  }
+  return this.writeWkt(this.shiftGeometry(geometry));
+};
 
-  var wktParser = new ol.format.WKT();
-  var geometry = wktParser.readGeometry(wkt);
-  var wktPrefix = this.extractGeometryType(wkt);
-
-  var shiftProjection = new ol.proj.Projection({
-      code: 'shift',
-      units: 'degrees'
-  });
-  ol.proj.addProjection(shiftProjection);
-  ol.proj.addCoordinateTransforms('EPSG:4326', 'shift',
-				  function(coordinate) {
-				    return AstroGeometry.transformDatelineShift(coordinate);
-				  },
-				  function(coordinate) {
-				    return AstroGeometry.transformDatelineUnShift(coordinate);
-				  });
-
-    var geometries = [];
-    switch (wktPrefix) {
-      case "POLYGON":
-      case "MULTIPOLYGON":
-	if (wktPrefix == "MULTIPOLYGON") {
-	  geometries = geometry.getPolygons();
-	} else {
-	  geometries[0] = geometry;
-	}
-	shiftedGeometry = new ol.geom.MultiPolygon();
-	pushFX = 'appendPolygon';
-	break;
-      case "LINESTRING":
-      case "MULTILINESTRING":
-	if (wktPrefix == "MULTILINESTRING") {
-	  geometries = geometry.getLineStrings();
-	} else {
-	  geometries[0] = geometry;
-	}
-	shiftedGeometry = new ol.geom.MultiLineString();
-	pushFX = 'appendLineString';
-	break;
-      case "POINT":
-      case "MULTIPOINT":
-	if (wktPrefix == "MULTIPOINT") {
-	  geometries = geometry.getPoints();
-	} else {
-	  geometries[0] = geometry;
-	}
-      	shiftedGeometry = new ol.geom.MultiPoint();
-	pushFX = 'appendPoint';
-      break;
+/*
+ * Geometry object version of datelineShift().
+ *
+ * Parameter: geometry - the geometry object (see parseWkt())
+ * Returns: the MULTI* geometry object (or GeometryCollection of them)
+ */
+AstroGeometry.shiftGeometry = function(geometry) {
+  if (geometry.type == 'GeometryCollection') {
+    var members = [];
+    for (var g = 0; g < geometry.geometries.length; g++) {
+      members.push(this.shiftGeometry(geometry.geometries[g]));
     }
+    return {type: geometry.type, geometries: members};
+  }
 
-    // loop through each geometry and shift it
-    var newGeometries = [];
-    for (var i = 0, len = geometries.length; i < len; i++) {
-      var copy1 = geometries[i].clone();
-      var copy2 = geometries[i].clone();
-      newGeometries.push(geometries[i]);  // original
-      shiftedGeometry[pushFX](geometries[i]);
+  var isMulti = (geometry.type.indexOf('Multi') == 0);
+  var geometries = (isMulti) ? geometry.coordinates : [geometry.coordinates];
 
-      copy1 = copy1.transform('EPSG:4326','shift');
-      newGeometries.push(copy1);
-      shiftedGeometry[pushFX](copy1);
-      copy2 = copy2.transform('shift', 'EPSG:4326');
-      newGeometries.push(copy2);
-      shiftedGeometry[pushFX](copy2);
-    }
-    shiftedWKT = wktParser.writeGeometry(shiftedGeometry);
-    return shiftedWKT;
+  // loop through each geometry and shift it
+  var shifted = [];
+  for (var i = 0, len = geometries.length; i < len; i++) {
+    shifted.push(geometries[i]);  // original
+    shifted.push(this.transformCoordinates(geometries[i], this.transformDatelineShift));
+    shifted.push(this.transformCoordinates(geometries[i], this.transformDatelineUnShift));
+  }
+  var type = (isMulti) ? geometry.type : 'Multi' + geometry.type;
+  return {type: type, coordinates: shifted};
 };
 
-// get rid of lon >0 and <360
+// get rid of lon >0 and <360 (any geometry type, holes included)
 AstroGeometry.undangle = function(wkt) {
-
-  var format = new ol.format.WKT();
-  var geometry = format.readGeometry(wkt);
-  geometry = geometry.transform('EPSG:4326','undangle');
-  wkt = format.writeGeometry(geometry);
-  return wkt;
+  var geometry = this.parseWkt(wkt);
+  if (!geometry) {
+    return wkt;
+  }
+  return this.writeWkt(this.transformGeometry(geometry, this.transformDanglers));
 };
 
 //
@@ -710,6 +1158,212 @@ AstroGeometry.transformLatLonToPolarMeters = function(point, projection, caxisra
   return point;
 };
 
+/*
+ * Normalizes a longitude difference (degrees) into -180 to 180.
+ */
+AstroGeometry.normalizeLonDelta = function(delta) {
+  while (delta > 180) {delta = delta - 360;}
+  while (delta < -180) {delta = delta + 360;}
+  return delta;
+};
+
+/*
+ * Orthographic projection (sphere) centered on centerLat/centerLon. Points on the far
+ * side of the body can't be seen and come back as NaN.
+ *
+ * Parameters: point     - [lon, lat] (degrees)
+ *             radius    - radius of the target in km
+ *             centerLat - latitude of the projection center (degrees)
+ *             centerLon - longitude of the projection center (degrees)
+ * Returns: [x, y] in meters
+ */
+AstroGeometry.transformLatLonToOrthographic = function(point, radius, centerLat, centerLon) {
+  var R = radius * 1000;
+  var lat = point[1] * Math.PI / 180;
+  var dLon = AstroGeometry.normalizeLonDelta(point[0] - centerLon) * Math.PI / 180;
+  var lat0 = centerLat * Math.PI / 180;
+
+  var cosC = Math.sin(lat0) * Math.sin(lat) + Math.cos(lat0) * Math.cos(lat) * Math.cos(dLon);
+  if (cosC < 0) {
+    point[0] = NaN;
+    point[1] = NaN;
+    return point;
+  }
+  point[0] = R * Math.cos(lat) * Math.sin(dLon);
+  point[1] = R * (Math.cos(lat0) * Math.sin(lat) - Math.sin(lat0) * Math.cos(lat) * Math.cos(dLon));
+  return point;
+};
+
+/*
+ * Inverse of transformLatLonToOrthographic(). Points off the disk come back as NaN.
+ *
+ * Parameters: point - [x, y] in meters; see transformLatLonToOrthographic() for the rest
+ * Returns: [lon, lat] (degrees, 0-360 lon)
+ */
+AstroGeometry.transformOrthographicToLatLon = function(point, radius, centerLat, centerLon) {
+  var R = radius * 1000;
+  var x = point[0];
+  var y = point[1];
+  var lat0 = centerLat * Math.PI / 180;
+  var p = Math.sqrt(x * x + y * y);
+
+  if (p > R) {
+    point[0] = NaN;
+    point[1] = NaN;
+    return point;
+  }
+  var c = Math.asin(p / R);
+  var lat = (p == 0) ? lat0 : Math.asin(Math.cos(c) * Math.sin(lat0) + (y * Math.sin(c) * Math.cos(lat0) / p));
+  var dLon = Math.atan2(x * Math.sin(c), p * Math.cos(c) * Math.cos(lat0) - y * Math.sin(c) * Math.sin(lat0));
+  point[0] = AstroGeometry.transformLonTo0360(centerLon + dLon * 180 / Math.PI);
+  point[1] = lat * 180 / Math.PI;
+  return point;
+};
+
+/*
+ * Lambert azimuthal equal-area projection (sphere) centered on centerLat/centerLon.
+ * The whole body fits in a disk of twice the radius; the antipode of the center is
+ * the edge of the disk.
+ *
+ * Parameters: point     - [lon, lat] (degrees)
+ *             radius    - radius of the target in km
+ *             centerLat - latitude of the projection center (degrees)
+ *             centerLon - longitude of the projection center (degrees)
+ * Returns: [x, y] in meters
+ */
+AstroGeometry.transformLatLonToLambertAzimuthal = function(point, radius, centerLat, centerLon) {
+  var R = radius * 1000;
+  var lat = point[1] * Math.PI / 180;
+  var dLon = AstroGeometry.normalizeLonDelta(point[0] - centerLon) * Math.PI / 180;
+  var lat0 = centerLat * Math.PI / 180;
+
+  var cosC = Math.sin(lat0) * Math.sin(lat) + Math.cos(lat0) * Math.cos(lat) * Math.cos(dLon);
+  var k = Math.sqrt(2 / Math.max(1 + cosC, 1e-12));
+  point[0] = R * k * Math.cos(lat) * Math.sin(dLon);
+  point[1] = R * k * (Math.cos(lat0) * Math.sin(lat) - Math.sin(lat0) * Math.cos(lat) * Math.cos(dLon));
+  return point;
+};
+
+/*
+ * Inverse of transformLatLonToLambertAzimuthal(). Points off the disk come back as NaN.
+ *
+ * Parameters: point - [x, y] in meters; see transformLatLonToLambertAzimuthal() for the rest
+ * Returns: [lon, lat] (degrees, 0-360 lon)
+ */
+AstroGeometry.transformLambertAzimuthalToLatLon = function(point, radius, centerLat, centerLon) {
+  var R = radius * 1000;
+  var x = point[0];
+  var y = point[1];
+  var lat0 = centerLat * Math.PI / 180;
+  var p = Math.sqrt(x * x + y * y);
+
+  if (p > 2 * R) {
+    point[0] = NaN;
+    point[1] = NaN;
+    return point;
+  }
+  var c = 2 * Math.asin(p / (2 * R));
+  var lat = (p == 0) ? lat0 : Math.asin(Math.cos(c) * Math.sin(lat0) + (y * Math.sin(c) * Math.cos(lat0) / p));
+  var dLon = Math.atan2(x * Math.sin(c), p * Math.cos(lat0) * Math.cos(c) - y * Math.sin(lat0) * Math.sin(c));
+  point[0] = AstroGeometry.transformLonTo0360(centerLon + dLon * 180 / Math.PI);
+  point[1] = lat * 180 / Math.PI;
+  return point;
+};
+
+/*
+ * Mollweide projection (sphere) with the given central meridian. The map is an
+ * ellipse 4 * sqrt(2) radii wide and 2 * sqrt(2) radii high.
+ *
+ * Parameters: point     - [lon, lat] (degrees)
+ *             radius    - radius of the target in km
+ *             centerLon - central meridian (degrees)
+ * Returns: [x, y] in meters
+ */
+AstroGeometry.transformLatLonToMollweide = function(point, radius, centerLon) {
+  var R = radius * 1000;
+  var lat = point[1] * Math.PI / 180;
+  var dLon = AstroGeometry.normalizeLonDelta(point[0] - centerLon) * Math.PI / 180;
+
+  // solve 2t + sin(2t) = pi * sin(lat) for the auxiliary angle t (Newton-Raphson)
+  var theta = lat;
+  if (Math.abs(lat) < Math.PI / 2) {
+    var target = Math.PI * Math.sin(lat);
+    for (var i = 0; i < 50; i++) {
+      var delta = (2 * theta + Math.sin(2 * theta) - target) / (2 + 2 * Math.cos(2 * theta));
+      theta = theta - delta;
+      if (Math.abs(delta) < 1e-10) {
+        break;
+      }
+    }
+  }
+  point[0] = (2 * Math.SQRT2 / Math.PI) * R * dLon * Math.cos(theta);
+  point[1] = Math.SQRT2 * R * Math.sin(theta);
+  return point;
+};
+
+/*
+ * Inverse of transformLatLonToMollweide(). Points outside the ellipse come back as NaN.
+ *
+ * Parameters: point - [x, y] in meters; see transformLatLonToMollweide() for the rest
+ * Returns: [lon, lat] (degrees, 0-360 lon)
+ */
+AstroGeometry.transformMollweideToLatLon = function(point, radius, centerLon) {
+  var R = radius * 1000;
+  var x = point[0];
+  var y = point[1];
+
+  if (Math.abs(y) > Math.SQRT2 * R) {
+    point[0] = NaN;
+    point[1] = NaN;
+    return point;
+  }
+  var theta = Math.asin(y / (Math.SQRT2 * R));
+  var lat = Math.asin((2 * theta + Math.sin(2 * theta)) / Math.PI);
+  var dLon = (Math.cos(theta) == 0) ? 0 : (Math.PI * x) / (2 * Math.SQRT2 * R * Math.cos(theta));
+  if (Math.abs(dLon) > Math.PI + 1e-9) {
+    point[0] = NaN;
+    point[1] = NaN;
+    return point;
+  }
+  point[0] = AstroGeometry.transformLonTo0360(centerLon + dLon * 180 / Math.PI);
+  point[1] = lat * 180 / Math.PI;
+  return point;
+};
+
+/*
+ * Brings a longitude (degrees) into 0-360.
+ */
+AstroGeometry.transformLonTo0360 = function(lon) {
+  lon = lon % 360;
+  return (lon < 0) ? lon + 360 : lon;
+};
+
+/*
+ * Distance from the pole (in meters) of a latitude circle in polar stereographic.
+ * Works for either pole; the sign of the latitude is ignored.
+ *
+ * Parameters: lat         - latitude in degrees
+ *             caxisradius - polar radius of the target in km
+ * Returns: the distance in meters
+ */
+AstroGeometry.polarDistanceFromLat = function(lat, caxisradius) {
+  var latRadians = Math.abs(lat) * Math.PI / 180;
+  return (2 * caxisradius * 1000 * Math.tan(Math.PI / 4 - latRadians / 2));
+};
+
+/*
+ * Latitude (in degrees, positive) of the circle at the given distance from the pole
+ * in polar stereographic. Inverse of polarDistanceFromLat().
+ *
+ * Parameters: distance    - distance from the pole in meters
+ *             caxisradius - polar radius of the target in km
+ * Returns: the latitude in degrees
+ */
+AstroGeometry.polarLatFromDistance = function(distance, caxisradius) {
+  var c = 2 * Math.atan(Math.abs(distance) / (2 * caxisradius * 1000));
+  return (90 - (c * 180 / Math.PI));
+};
+
 AstroGeometry.transform180180To0360 = function(point) {
   var x = point[0];
   if (x < 0) {point[0] = x + 360;}
@@ -770,160 +1424,401 @@ AstroGeometry.transformDecimalPlaces = function(point, places) {
   return point;
 };
 
-// Vincenty Inverse Formula - translated to js by Chris Veness 2002-2011
-AstroGeometry.LatLonToKM = function(lat1, lon1, lat2, lon2, aaxisradius, caxisradius) {
-
-  if (typeof(Number.prototype.toRad) === "undefined") {
-    Number.prototype.toRad = function() {return(this * Math.PI / 180);};
-  }
+/*
+ * Solves the inverse geodesic problem on an oblate spheroid (Vincenty's formulae):
+ * the shortest distance between two points and the azimuths at either end. The
+ * formulae work on planetographic latitudes, so the planetocentric ones passed in are
+ * converted first.
+ *
+ * For nearly antipodal points, where Vincenty's iteration doesn't converge, the
+ * great circle on the sphere of the mean radius is used instead. That is only an
+ * approximation: on an oblate body the distance can be off by up to about the
+ * flattening (e.g. 0.6% on Mars), and the azimuths by more.
+ *
+ * Parameters: lat1, lon1  - the start point (planetocentric, degrees)
+ *             lat2, lon2  - the end point (planetocentric, degrees)
+ *             aAxisRadius - equatorial radius of the target in km
+ *             cAxisRadius - polar radius of the target in km. Optional, default: aAxisRadius
+ * Returns: hash with the distance (km), initialAzimuth and finalAzimuth (degrees
+ *          clockwise from north, 0-360; NaN for coincident points)
+ */
+AstroGeometry.geodesicInverse = function(lat1, lon1, lat2, lon2, aAxisRadius, cAxisRadius) {
+  var a = Number(aAxisRadius);
+  var b = Number(cAxisRadius || aAxisRadius);
+  var f = (a - b) / a;
+  var toRad = Math.PI / 180;
+  var toAzimuth = function(radians) {
+    return AstroGeometry.transformLonTo0360(radians / toRad);
+  };
 
-  var a = aaxisradius; b = caxisradius;
-  var f = 0; //(a - b) / a;
-  var L = (lon2-lon1).toRad();
-  var U1 = Math.atan((1-f) * Math.tan(lat1.toRad()));
-  var U2 = Math.atan((1-f) * Math.tan(lat2.toRad()));
+  var L = this.normalizeLonDelta(lon2 - lon1) * toRad;
+  var ographic1 = this.transformOcentricToOgraphic([lon1, lat1], a, b)[1];
+  var ographic2 = this.transformOcentricToOgraphic([lon2, lat2], a, b)[1];
+  var U1 = Math.atan((1 - f) * Math.tan(ographic1 * toRad));
+  var U2 = Math.atan((1 - f) * Math.tan(ographic2 * toRad));
   var sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
   var sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
 
   var lambda = L, lambdaP, iterLimit = 100;
-    do {
-      var sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
-      var sinSigma = Math.sqrt((cosU2*sinLambda) * (cosU2*sinLambda) +
-			       (cosU1*sinU2-sinU1*cosU2*cosLambda) * (cosU1*sinU2-sinU1*cosU2*cosLambda));
-      if (sinSigma==0) return 0;  // co-incident points
-      var cosSigma = sinU1*sinU2 + cosU1*cosU2*cosLambda;
-      var sigma = Math.atan2(sinSigma, cosSigma);
-      var sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
-      var cosSqAlpha = 1 - sinAlpha*sinAlpha;
-      var cos2SigmaM = cosSigma - 2*sinU1*sinU2/cosSqAlpha;
-      if (isNaN(cos2SigmaM)) cos2SigmaM = 0;  // equatorial line: cosSqAlpha=0
-      var C = f/16*cosSqAlpha*(4+f*(4-3*cosSqAlpha));
-      lambdaP = lambda;
-      lambda = L + (1-C) * f * sinAlpha *
-	(sigma + C*sinSigma*(cos2SigmaM+C*cosSigma*(-1+2*cos2SigmaM*cos2SigmaM)));
-    } while (Math.abs(lambda-lambdaP) > 1e-12 && --iterLimit>0);
-
-  if (iterLimit==0) return NaN;  // formula failed to converge
-
-  var uSq = cosSqAlpha * (a*a - b*b) / (b*b);
-  var A = 1 + uSq/16384*(4096+uSq*(-768+uSq*(320-175*uSq)));
-  var B = uSq/1024 * (256+uSq*(-128+uSq*(74-47*uSq)));
-  var deltaSigma = B*sinSigma*(cos2SigmaM+B/4*(cosSigma*(-1+2*cos2SigmaM*cos2SigmaM)-
-					       B/6*cos2SigmaM*(-3+4*sinSigma*sinSigma)*(-3+4*cos2SigmaM*cos2SigmaM)));
-  var s = b*A*(sigma-deltaSigma);
-
-  s = s.toFixed(3); // round to 1mm precision
-  return s;
+  var sinLambda, cosLambda, sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+  do {
+    sinLambda = Math.sin(lambda);
+    cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt((cosU2 * sinLambda) * (cosU2 * sinLambda) +
+      (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) * (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda));
+    if (sinSigma == 0) {
+      // co-incident points
+      return {distance: 0, initialAzimuth: NaN, finalAzimuth: NaN};
+    }
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    var sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    // equatorial line: cosSqAlpha = 0
+    cos2SigmaM = (cosSqAlpha != 0) ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+    var C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    lambdaP = lambda;
+    lambda = L + (1 - C) * f * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+  } while ((Math.abs(lambda - lambdaP) > 1e-12) && (--iterLimit > 0) && (Math.abs(lambda) <= Math.PI));
+
+  if ((iterLimit == 0) || (Math.abs(lambda) > Math.PI)) {
+    // formula failed to converge (nearly antipodal points): approximate on a sphere
+    var radius = (2 * a + b) / 3;
+    var phi1 = lat1 * toRad, phi2 = lat2 * toRad;
+    return {
+      distance: this.haversineDistance([lon1, lat1], [lon2, lat2], radius),
+      initialAzimuth: toAzimuth(Math.atan2(Math.sin(L) * Math.cos(phi2),
+        Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(L))),
+      finalAzimuth: toAzimuth(Math.atan2(Math.sin(L) * Math.cos(phi1),
+        -Math.cos(phi2) * Math.sin(phi1) + Math.sin(phi2) * Math.cos(phi1) * Math.cos(L)))
+    };
+  }
 
+  var uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+  var A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  var B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+  var deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+    B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+  return {
+    distance: b * A * (sigma - deltaSigma),
+    initialAzimuth: toAzimuth(Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda)),
+    finalAzimuth: toAzimuth(Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda))
+  };
 };
 
-//
-//TODO - make work with multi-line
+/*
+ * Solves the direct geodesic problem on an oblate spheroid (Vincenty's formulae):
+ * the point reached by going a distance along a geodesic from a start point. The
+ * latitudes are converted to planetographic for the formulae and back.
+ *
+ * Parameters: lat, lon     - the start point (planetocentric, degrees)
+ *             azimuth      - the initial azimuth (degrees clockwise from north)
+ *             distance     - the distance in km
+ *             aAxisRadius  - equatorial radius of the target in km
+ *             cAxisRadius  - polar radius of the target in km. Optional, default: aAxisRadius
+ * Returns: hash with the lat (planetocentric) and lon (0-360) of the destination point
+ *          and the finalAzimuth there (degrees, 0-360)
+ */
+AstroGeometry.geodesicDirect = function(lat, lon, azimuth, distance, aAxisRadius, cAxisRadius) {
+  var a = Number(aAxisRadius);
+  var b = Number(cAxisRadius || aAxisRadius);
+  var f = (a - b) / a;
+  var toRad = Math.PI / 180;
+
+  var alpha1 = azimuth * toRad;
+  var sinAlpha1 = Math.sin(alpha1), cosAlpha1 = Math.cos(alpha1);
+  var tanU1 = (1 - f) * Math.tan(this.transformOcentricToOgraphic([lon, lat], a, b)[1] * toRad);
+  var cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1), sinU1 = tanU1 * cosU1;
+  var sigma1 = Math.atan2(tanU1, cosAlpha1);
+  var sinAlpha = cosU1 * sinAlpha1;
+  var cosSqAlpha = 1 - sinAlpha * sinAlpha;
+  var uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+  var A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+  var B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+
+  var sigma = distance / (b * A), sigmaP, iterLimit = 100;
+  var sinSigma, cosSigma, cos2SigmaM;
+  do {
+    cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+    sinSigma = Math.sin(sigma);
+    cosSigma = Math.cos(sigma);
+    var deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+      B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+    sigmaP = sigma;
+    sigma = distance / (b * A) + deltaSigma;
+  } while ((Math.abs(sigma - sigmaP) > 1e-12) && (--iterLimit > 0));
+
+  var x = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+  var lat2 = Math.atan2(sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1, (1 - f) * Math.sqrt(sinAlpha * sinAlpha + x * x));
+  var lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+  var C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+  var L = lambda - (1 - C) * f * sinAlpha *
+    (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+  return {
+    lat: this.transformOgraphicToOcentric([0, lat2 / toRad], a, b)[1],
+    lon: this.transformLonTo0360(lon + L / toRad),
+    finalAzimuth: this.transformLonTo0360(Math.atan2(sinAlpha, -x) / toRad)
+  };
+};
+
+/*
+ * Returns the geodesic distance between two points (see geodesicInverse()).
+ *
+ * Parameters: lat1, lon1, lat2, lon2 - the points (planetocentric, degrees)
+ *             aaxisradius            - equatorial radius of the target in km
+ *             caxisradius            - polar radius of the target in km
+ * Returns: the distance in km
+ */
+AstroGeometry.LatLonToKM = function(lat1, lon1, lat2, lon2, aaxisradius, caxisradius) {
+  return this.geodesicInverse(Number(lat1), Number(lon1), Number(lat2), Number(lon2), aaxisradius, caxisradius).distance;
+};
+
+/*
+ * Returns the initial azimuth of the geodesic from one point to another (see geodesicInverse()).
+ *
+ * Parameters: see LatLonToKM()
+ * Returns: the azimuth in degrees clockwise from north (0-360)
+ */
+AstroGeometry.getInitialAzimuth = function(lat1, lon1, lat2, lon2, aAxisRadius, cAxisRadius) {
+  return this.geodesicInverse(lat1, lon1, lat2, lon2, aAxisRadius, cAxisRadius).initialAzimuth;
+};
+
+/*
+ * Returns the azimuth at the end of the geodesic from one point to another (see geodesicInverse()).
+ *
+ * Parameters: see LatLonToKM()
+ * Returns: the azimuth in degrees clockwise from north (0-360)
+ */
+AstroGeometry.getFinalAzimuth = function(lat1, lon1, lat2, lon2, aAxisRadius, cAxisRadius) {
+  return this.geodesicInverse(lat1, lon1, lat2, lon2, aAxisRadius, cAxisRadius).finalAzimuth;
+};
+
+/*
+ * Returns the point reached by going a distance from a start point along a
+ * geodesic (see geodesicDirect()).
+ *
+ * Parameters: point       - [lon, lat] of the start point (planetocentric, degrees)
+ *             azimuth     - the initial azimuth (degrees clockwise from north)
+ *             distance    - the distance in km
+ *             aAxisRadius - equatorial radius of the target in km
+ *             cAxisRadius - polar radius of the target in km
+ * Returns: [lon, lat] of the destination point (0-360 lon)
+ */
+AstroGeometry.getDestinationPoint = function(point, azimuth, distance, aAxisRadius, cAxisRadius) {
+  var destination = this.geodesicDirect(point[1], point[0], azimuth, distance, aAxisRadius, cAxisRadius);
+  return [destination.lon, destination.lat];
+};
+
+/*
+ * Returns the geodesic length of a line (or all lines of a multi-line) on the target.
+ *
+ * Parameters: geometry    - the line as WKT, GeoJSON or a geometry object (see readGeometry()),
+ *                           in meters for the polar projections, otherwise in lat/lon (planetocentric)
+ *             aAxisRadius - equatorial radius of the target in km
+ *             cAxisRadius - polar radius of the target in km
+ *             projection  - the projection (string) the line is in
+ * Returns: the length in km (0 if the geometry isn't a line)
+ */
 AstroGeometry.getLengthOfLine = function(geometry, aAxisRadius, cAxisRadius, projection) {
   var length = 0;
-  var newGeometry = geometry;
+  var newGeometry = this.readGeometry(geometry);
+  if (!newGeometry) {
+    return length;
+  }
   if ((projection == 'north-polar stereographic') || (projection == 'south-polar stereographic')) {
-    var wktParseR = new OpenLayers.Format.WKT();
-    wktParseR.internalProjection = new OpenLayers.Projection("EPSG:4326");
-    wktParseR.externalProjection = new OpenLayers.Projection(projection);
-    newGeometry = wktParseR.read(geometry.toString()).geometry;
+    newGeometry = this.transformGeometry(newGeometry, function(point) {
+      return AstroGeometry.transformPolarMetersToLatLon(point, projection, cAxisRadius);
+    });
   }
-  var lineStringArray = newGeometry.getVertices();
-  var currentPoint, nextPoint;
-  if (lineStringArray.length > 1) {
-    for (var i=0; i < (lineStringArray.length -1); i++) {
-      currentPoint = lineStringArray[i];
-      nextPoint = lineStringArray[i + 1];
-      length = (length + Number(this.LatLonToKM(currentPoint.y, currentPoint.x, nextPoint.y, nextPoint.x, aAxisRadius, cAxisRadius)));
+
+  var lines = [];
+  switch (newGeometry.type) {
+    case 'LineString':
+      lines = [newGeometry.coordinates];
+      break;
+    case 'MultiLineString':
+      lines = newGeometry.coordinates;
+      break;
+    case 'GeometryCollection':
+      // already in lat/lon
+      for (var g = 0; g < newGeometry.geometries.length; g++) {
+        length = length + this.getLengthOfLine(newGeometry.geometries[g], aAxisRadius, cAxisRadius);
+      }
+      return length;
+  }
+  for (var l = 0; l < lines.length; l++) {
+    var lineStringArray = lines[l];
+    for (var i = 0; i < (lineStringArray.length - 1); i++) {
+      var currentPoint = lineStringArray[i];
+      var nextPoint = lineStringArray[i + 1];
+      length = length + this.LatLonToKM(currentPoint[1], currentPoint[0], nextPoint[1], nextPoint[0], aAxisRadius, cAxisRadius);
     }
   }
   return length;
 };
 
 
-//
+/*
+ * Returns the area of a polygon (or multipolygon) on the target body, an oblate
+ * spheroid with the given radii (or a sphere if they're the same). Holes are taken
+ * out, rings may cross the dateline, and a ring that goes all the way around a pole
+ * takes in the pole (the one of the projection for the polar projections, otherwise
+ * the one on the ring's side of the equator).
+ *
+ * Edges are taken as straight lines in lon/lat, as they are drawn on the cylindrical
+ * map; warp the polygon along great circles first (see warpWkt()) for geodesic edges.
+ *
+ * The planetocentric latitudes are turned into planetographic ones and mapped to
+ * authalic latitudes, which keeps areas the same on a sphere of the authalic radius,
+ * and the area is found there by integrating along the edges.
+ *
+ * Parameters: polyGeometry - the polygon as WKT, GeoJSON or a geometry object (see readGeometry()),
+ *                            in lat/lon (planetocentric, any lon domain)
+ *             aAxisRadius  - equatorial radius of the target in km
+ *             cAxisRadius  - polar radius of the target in km. Optional, default: aAxisRadius
+ *             projection   - the map projection string. Optional
+ * Returns: the area in square km (0 if the geometry isn't a polygon)
+ */
 AstroGeometry.getAreaOfPolygon = function(polyGeometry, aAxisRadius, cAxisRadius, projection) {
-
-
-  if (projection == 'cylindrical') {
-      var wktParse = new OpenLayers.Format.WKT();
-      wktParse.internalProjection = new OpenLayers.Projection("north-polar-stereographic");
-      wktParse.externalProjection = new OpenLayers.Projection("EPSG:4326");
-      newGeometry = wktParse.read(polyGeometry.toString()).geometry;
-    }
-  //console.log('meters geo ' + newGeometry.toString());
-
-  /*
-    var coordinates = polyGeometry.coordinates.toString().split(",");
-    for(i = 0, len = coordinates.length; i < len; i = i+2) {
-      var lon = coordinates[i];
-      var lat = coordinates[i+1];
+  var geometry = this.readGeometry(polyGeometry);
+  var polygons = [];
+  if (geometry && (geometry.type == 'Polygon')) {
+    polygons = [geometry.coordinates];
+  } else if (geometry && (geometry.type == 'MultiPolygon')) {
+    polygons = geometry.coordinates;
+  } else if (geometry && (geometry.type == 'GeometryCollection')) {
+    var area = 0;
+    for (var g = 0; g < geometry.geometries.length; g++) {
+      area = area + this.getAreaOfPolygon(geometry.geometries[g], aAxisRadius, cAxisRadius, projection);
     }
+    return area;
+  }
 
-    var area = 0;         // Accumulates area in the loop
-    j = numPoints-1;  // The last vertex is the 'previous' one to the first
+  var a = Number(aAxisRadius);
+  var c = Number(cAxisRadius || aAxisRadius);
+  var authalic = this.authalicSine(a, c);
 
-    for (i=0; i<numPoints; i++) {
-      area = area +  (X[j]+X[i]) * (Y[j]-Y[i]);
-      j = i;  //j is previous vertex to i
+  var total = 0;
+  for (var p = 0; p < polygons.length; p++) {
+    for (var r = 0; r < polygons[p].length; r++) {
+      var ringArea = this.getRingArea(polygons[p][r], authalic, projection);
+      // the first ring is the outside, the rest are holes
+      total = (r == 0) ? total + ringArea : total - ringArea;
     }
-    return area/2;
-*/
+  }
+  return Math.max(0, total) * authalic.radius * authalic.radius;
 };
 
-
-//
-// http://forum.worldwindcentral.com/showthread.php?20724-A-method-to-compute-the-area-of-a-spherical-polygon
-//
+/*
+ * Area of a polygon on a sphere.
+ *
+ * Parameters: polyGeometry - see getAreaOfPolygon()
+ *             radius       - radius of the sphere in km
+ * Returns: the area in square km
+ */
 AstroGeometry.getSphericalAreaOfPolygon = function(polyGeometry, radius) {
+  return this.getAreaOfPolygon(polyGeometry, radius, radius);
+};
 
-  var haversine = function(x) {
-    return ( 1.0 - Math.Cos( x ) ) / 2.0;
+/*
+ * Works out the authalic (equal-area) sphere of an oblate spheroid.
+ *
+ * Parameters: aAxisRadius - equatorial radius in km
+ *             cAxisRadius - polar radius in km
+ * Returns: hash with the authalic radius (km) and sine(lat), a function taking a
+ *          planetocentric latitude (degrees) and returning the sine of its authalic latitude
+ */
+AstroGeometry.authalicSine = function(aAxisRadius, cAxisRadius) {
+  var e2 = 1 - (cAxisRadius * cAxisRadius) / (aAxisRadius * aAxisRadius);
+  if (e2 <= 1e-12) {
+    // a sphere (prolate bodies are measured on the sphere of their mean radius)
+    var radius = (e2 < 0) ? (2 * aAxisRadius + cAxisRadius) / 3 : aAxisRadius;
+    return {
+      radius: radius,
+      sine: function(lat) {
+        return Math.sin(lat * Math.PI / 180);
+      }
+    };
+  }
+  var e = Math.sqrt(e2);
+  var q = function(sinLat) {
+    return (1 - e2) * ((sinLat / (1 - e2 * sinLat * sinLat)) -
+      (1 / (2 * e)) * Math.log((1 - e * sinLat) / (1 + e * sinLat)));
+  };
+  var qPole = q(1);
+  var that = this;
+  return {
+    radius: aAxisRadius * Math.sqrt(qPole / 2),
+    sine: function(lat) {
+      // q() takes the planetographic latitude
+      var ographic = that.transformOcentricToOgraphic([0, lat], aAxisRadius, cAxisRadius)[1];
+      return q(Math.sin(ographic * Math.PI / 180)) / qPole;
+    }
   };
+};
 
-  var lam1 = 0, lam2 = 0, beta1 =0, beta2 = 0, cosB1 =0, cosB2 = 0;
-  var hav = 0;
-  var sum = 0;
+/*
+ * Area of a ring on the unit authalic sphere (see getAreaOfPolygon()).
+ *
+ * Parameters: ring       - array of [lon, lat] points
+ *             authalic   - see authalicSine()
+ *             projection - the map projection string (picks the pole of rings around one). Optional
+ * Returns: the area (steradians)
+ */
+AstroGeometry.getRingArea = function(ring, authalic, projection) {
+  var points = this.unwrapCoordinates(ring);
+  if (points.length < 3) {
+    return 0;
+  }
+  // close the ring if it isn't
+  var first = points[0];
+  var last = points[points.length - 1];
+  if (last[1] != first[1] || (Math.abs(last[0] - first[0]) % 360 != 0)) {
+    points.push([last[0] + this.normalizeLonDelta(first[0] - last[0]), first[1]]);
+    last = points[points.length - 1];
+  }
 
-  for(var j = 0 ; j < lat.Length ; j++ ) {
-    var k = j + 1;
+  // sum of sine(authalic lat) d(lon) along the edges; lat goes straight with lon
+  // along an edge, so each edge is integrated in steps (Simpson's rule)
+  var maxStep = 0.5;  // degrees of lon
+  var sum = 0;
+  for (var i = 1; i < points.length; i++) {
+    var start = points[i - 1];
+    var end = points[i];
+    var dLon = end[0] - start[0];
+    if (dLon == 0) {
+      continue;
+    }
+    var steps = Math.max(1, Math.ceil(Math.abs(dLon) / maxStep));
+    var h = dLon / steps;
+    for (var s = 0; s < steps; s++) {
+      var lat0 = start[1] + (end[1] - start[1]) * s / steps;
+      var lat1 = start[1] + (end[1] - start[1]) * (s + 1) / steps;
+      sum = sum + (h / 6) * (authalic.sine(lat0) + 4 * authalic.sine((lat0 + lat1) / 2) + authalic.sine(lat1));
+    }
+  }
 
-    if ( j == 0 ) {
-      lam1 = lon[j];
-      beta1 = lat[j];
-      lam2 = lon[j + 1];
-      beta2 = lat[j + 1];
-      cosB1 = Math.Cos( beta1 );
-      cosB2 = Math.Cos( beta2 );
+  // around a pole: close the ring along the pole it takes in
+  var turn = last[0] - first[0];
+  if (Math.abs(turn) > 180) {
+    var poleSine;
+    if (projection == 'north-polar stereographic') {
+      poleSine = 1;
+    } else if (projection == 'south-polar stereographic') {
+      poleSine = -1;
     } else {
-      k = ( j + 1 ) % lat.Length;
-      lam1 = lam2;
-      beta1 = beta2;
-      lam2 = lon[k];
-      beta2 = lat[k];
-      cosB1 = cosB2;
-      cosB2 = Math.Cos( beta2 );
-    }
-
-    if( lam1 != lam2 ) {
-
-      hav = haversine( beta2 - beta1 ) +
-	cosB1 * cosB2 * haversine( lam2 - lam1 );
-      var a = 2 * Math.Asin( Math.Sqrt( hav ) );
-      var b = Math.PI / 2 - beta2;
-      var c = Math.PI / 2 - beta1;
-      var s = 0.5 * ( a + b + c );
-      var t = Math.Tan( s / 2 ) * Math.Tan( ( s - a ) / 2 ) *
-	Math.Tan( ( s - b ) / 2 ) * Math.Tan( ( s - c ) / 2 );
-      var excess = Math.Abs( 4 * Math.Atan( Math.Sqrt(Math.Abs( t ) ) ) );
-
-      if( lam2 < lam1 ) {
-	excess = -excess;
-      }
-
-      sum += excess;
+      var ex = this.getExtent({type: 'LineString', coordinates: points});
+      poleSine = ((ex[1] + ex[3]) >= 0) ? 1 : -1;
     }
+    sum = sum - poleSine * turn;
   }
-  return(Math.Abs( sum ) * r * r);
-
+  return Math.abs(sum * Math.PI / 180);
 };
+
+// so the geometry core can be loaded with require() in Node
+if ((typeof module !== 'undefined') && module.exports) {
+  module.exports = AstroGeometry;
+}
@@ -0,0 +1,605 @@
+/*
+ * Helpers/AstroTargetCatalog.js
+ *
+ * Holds the list of targets (planetary bodies) and their web map layers. This
+ * replaces the page-global myJSONmaps object from maps.js: a catalog can be built
+ * from an inline object, or loaded from a URL or a local JSON file, and each
+ * target and layer entry is checked before it is handed to AstroMap.
+ *
+ * The catalog uses the same layout as maps.js:
+ *
+ *   {targets: [{name: 'Mars', aaxisradius: 3396.19, baxisradius: 3396.19, caxisradius: 3376.2,
+ *               webmap: [{type: 'WMS', projection: 'cylindrical', url: '...', map: '...',
+ *                         layer: '...', units: 'dd', transparent: 'false', primary: 'true',
+ *                         displayname: '...', citation: '...', notes: '...',
+ *                         bounds: {left: 0, right: 360, top: 90, bottom: -90}}, ...]}, ...]}
+ *
+ * Layers may also override what the map works out from the bounds: cutoffLat (the
+ * latitude where a polar layer ends) and maxResolution (map units per pixel).
+ * WMS layers answer GetFeatureInfo queries (see AstroControls.queryButton()) unless
+ * they have queryable: 'false'; infoFormat sets the format they are asked for.
+ *
+ * Time-series (and other multi-dimensional) WMS layers declare their dimensions, by
+ * WMS dimension name, with the values the way WMS capabilities list them: a list, or
+ * start/end/resolution intervals (ISO 8601 periods for times), or both, comma separated:
+ *
+ *   dimensions: {TIME: {values: '2004-01-01/2008-12-01/P1M', default: '2008-12-01'},
+ *                ELEVATION: {values: [0, 500, 1000]}}
+ *
+ * The values are expanded into a list (see parseDimensionValues()). The default is the
+ * value the layer is first shown at, the last value if not given. The timeline control
+ * (AstroTimeline.js) steps through them.
+ *
+ * Entries that fail validation are dropped from the catalog and reported through
+ * the errorHandler.
+ *
+ * No dependencies.
+ */
+
+/*
+ * Constructor validates the catalog object and stores the valid targets.
+ *
+ * Parameters: catalogJSON     - the catalog object (see above)
+ *             catalogSettings - hash of catalog options. If null, uses sensible defaults
+ *
+ * The following options may be set:
+ *   source       - description of where the catalog came from, used in error messages. Default: 'inline catalog'
+ *   errorHandler - callback function passed the array of error strings when validation fails.
+ *                  Default: function that writes each error to the browser console
+ */
+function AstroTargetCatalog(catalogJSON, catalogSettings) {
+  this.targets = [];
+  this.errors = [];
+
+  // defaults
+  this.source = 'inline catalog';
+  this.errorHandler = function(errors) {
+    for (var i = 0; i < errors.length; i++) {
+      console.error(errors[i]);
+    }
+  };
+
+  if (catalogSettings) {
+    if (catalogSettings.source) {
+      this.source = catalogSettings.source;
+    }
+    if (catalogSettings.errorHandler) {
+      this.errorHandler = catalogSettings.errorHandler;
+    }
+  }
+
+  this.validate(catalogJSON);
+  if (this.errors.length > 0) {
+    this.errorHandler(this.errors);
+  }
+}
+
+// layer types understood by AstroMap.loadLayers() (see AstroMap.createLayerSource())
+AstroTargetCatalog.layerTypes = ['WMS', 'WMTS', 'XYZ', 'TMS', 'IMAGE', 'WFS'];
+
+// projections that a layer may be served in (when AstroProjections.js isn't loaded)
+AstroTargetCatalog.projections = ['cylindrical', 'north-polar stereographic', 'south-polar stereographic'];
+
+/*
+ * Returns the projections that a layer may be served in: the registered projections
+ * (see AstroProjections.js) or, without the registry, AstroTargetCatalog.projections.
+ */
+AstroTargetCatalog.getProjections = function() {
+  return (typeof AstroProjections != 'undefined') ? AstroProjections.getNames() : AstroTargetCatalog.projections;
+};
+
+/*
+ * Builds a catalog from an inline object, a URL or a local JSON file. Inline objects
+ * (and existing catalogs) are handled synchronously, so the callback is called before
+ * this method returns. URLs and files are read asynchronously.
+ *
+ * The text read from a URL or file may be plain JSON or a maps.js style script
+ * ('var myJSONmaps = {...};').
+ *
+ * Parameters: source          - an AstroTargetCatalog, a catalog object, a URL string or a File/Blob
+ *             callback        - function that is passed the new catalog, or null if it could not be read
+ *             catalogSettings - hash of catalog options (see constructor)
+ * Returns: nothing
+ */
+AstroTargetCatalog.load = function(source, callback, catalogSettings) {
+  var settings = {};
+  if (catalogSettings) {
+    for (var key in catalogSettings) {
+      settings[key] = catalogSettings[key];
+    }
+  }
+
+  var fail = function(message) {
+    var error = 'Target catalog (' + (settings.source || 'unknown source') + '): ' + message;
+    if (settings.errorHandler) {
+      settings.errorHandler([error]);
+    } else {
+      console.error(error);
+    }
+    callback(null);
+  };
+
+  var parse = function(text) {
+    var json = AstroTargetCatalog.parseText(text);
+    if (json == null) {
+      fail('could not parse catalog text as JSON');
+      return;
+    }
+    callback(new AstroTargetCatalog(json, settings));
+  };
+
+  if (source instanceof AstroTargetCatalog) {
+    callback(source);
+  } else if (typeof source == 'string') {
+    if (!settings.source) {settings.source = source;}
+    var request = new XMLHttpRequest();
+    request.open('GET', source, true);
+    request.onload = function() {
+      // status is 0 for file:// urls
+      if ((request.status == 200) || (request.status == 0 && request.responseText)) {
+        parse(request.responseText);
+      } else {
+        fail('request failed with status ' + request.status);
+      }
+    };
+    request.onerror = function() {
+      fail('request failed (network error or cross-origin request blocked)');
+    };
+    request.send();
+  } else if ((typeof Blob != 'undefined') && (source instanceof Blob)) {
+    if (!settings.source) {settings.source = (source.name) ? source.name : 'local file';}
+    var reader = new FileReader();
+    reader.onload = function() {
+      parse(reader.result);
+    };
+    reader.onerror = function() {
+      fail('file could not be read');
+    };
+    reader.readAsText(source);
+  } else if (source && (typeof source == 'object')) {
+    callback(new AstroTargetCatalog(source, settings));
+  } else {
+    fail('no catalog source given');
+  }
+};
+
+/*
+ * Parses catalog text. Accepts plain JSON, or a maps.js script that assigns the
+ * catalog object to a variable.
+ *
+ * Parameter: text - the catalog text
+ * Returns: the catalog object, or null if the text could not be parsed
+ */
+AstroTargetCatalog.parseText = function(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    // maps.js style - grab the object literal
+    var start = text.indexOf('{');
+    var end = text.lastIndexOf('}');
+    if ((start == -1) || (end < start)) {
+      return null;
+    }
+    try {
+      return JSON.parse(text.substring(start, end + 1));
+    } catch (e2) {
+      return null;
+    }
+  }
+};
+
+/*
+ * Validates the catalog object. Valid targets (with their valid layers) are stored in
+ * this.targets and problems are appended to this.errors.
+ *
+ * Parameter: catalogJSON - the catalog object
+ * Returns: true if no errors were found
+ */
+AstroTargetCatalog.prototype.validate = function(catalogJSON) {
+  var prefix = 'Target catalog (' + this.source + ')';
+  if (!catalogJSON || !(catalogJSON['targets'] instanceof Array)) {
+    this.errors.push(prefix + ": missing 'targets' array");
+    return false;
+  }
+
+  var targets = catalogJSON['targets'];
+  for (var i = 0, len = targets.length; i < len; i++) {
+    var target = this.validateTarget(targets[i], prefix + ': targets[' + i + ']');
+    if (target) {
+      this.targets.push(target);
+    }
+  }
+  return (this.errors.length == 0);
+};
+
+/*
+ * Checks a single target entry.
+ *
+ * Parameters: target - the target entry
+ *             path   - description of the entry for error messages
+ * Returns: a normalized copy of the target, or null if it is not usable
+ */
+AstroTargetCatalog.prototype.validateTarget = function(target, path) {
+  if (!target || (typeof target != 'object')) {
+    this.errors.push(path + ': not an object');
+    return null;
+  }
+  if ((typeof target['name'] != 'string') || (target['name'].length == 0)) {
+    this.errors.push(path + ": missing 'name'");
+    return null;
+  }
+  path += ' (' + target['name'] + ')';
+
+  var valid = true;
+  var newTarget = {};
+  for (var key in target) {
+    newTarget[key] = target[key];
+  }
+
+  // radii are in km. baxisradius is optional and defaults to aaxisradius.
+  var radii = ['aaxisradius', 'baxisradius', 'caxisradius'];
+  for (var i = 0; i < radii.length; i++) {
+    if ((radii[i] == 'baxisradius') && (target[radii[i]] == null)) {
+      continue;
+    }
+    var radius = Number(target[radii[i]]);
+    if ((target[radii[i]] === '') || isNaN(radius) || (radius <= 0)) {
+      this.errors.push(path + ": '" + radii[i] + "' must be a positive number (km)");
+      valid = false;
+    }
+    newTarget[radii[i]] = radius;
+  }
+  if (newTarget['baxisradius'] == null) {
+    newTarget['baxisradius'] = newTarget['aaxisradius'];
+  }
+
+  if (target['webmap'] == null) {
+    newTarget['webmap'] = [];
+  } else if (!(target['webmap'] instanceof Array)) {
+    this.errors.push(path + ": 'webmap' must be an array of layers");
+    valid = false;
+  } else {
+    newTarget['webmap'] = [];
+    for (var j = 0, len = target['webmap'].length; j < len; j++) {
+      var layer = this.validateLayer(target['webmap'][j], path + '.webmap[' + j + ']');
+      if (layer) {
+        newTarget['webmap'].push(layer);
+      }
+    }
+  }
+
+  return (valid) ? newTarget : null;
+};
+
+/*
+ * Checks a single layer entry.
+ *
+ * Parameters: layer - the layer entry
+ *             path  - description of the entry for error messages
+ * Returns: a normalized copy of the layer, or null if it is not usable
+ */
+AstroTargetCatalog.prototype.validateLayer = function(layer, path) {
+  if (!layer || (typeof layer != 'object')) {
+    this.errors.push(path + ': not an object');
+    return null;
+  }
+  if (layer['displayname']) {
+    path += ' (' + layer['displayname'] + ')';
+  }
+
+  var newLayer = {};
+  for (var key in layer) {
+    newLayer[key] = layer[key];
+  }
+
+  if (AstroTargetCatalog.layerTypes.indexOf(layer['type']) == -1) {
+    this.errors.push(path + ": unknown layer type '" + layer['type'] + "'. Known types: " +
+                     AstroTargetCatalog.layerTypes.join(', '));
+    return null;
+  }
+  if ((typeof layer['url'] != 'string') || (layer['url'].length == 0)) {
+    this.errors.push(path + ": missing 'url'");
+    return null;
+  }
+
+  // WFS entries only point at the nomenclature service
+  if (layer['type'] == 'WFS') {
+    return newLayer;
+  }
+
+  var valid = true;
+  if (!layer['layer'] && ((layer['type'] == 'WMS') || (layer['type'] == 'WMTS'))) {
+    this.errors.push(path + ": missing 'layer'");
+    valid = false;
+  }
+  if ((layer['type'] == 'XYZ') || (layer['type'] == 'TMS')) {
+    var placeholders = ['{z}', '{x}', '{y}'];
+    for (var p = 0; p < placeholders.length; p++) {
+      if (layer['url'].indexOf(placeholders[p]) == -1) {
+        this.errors.push(path + ": 'url' template is missing " + placeholders[p]);
+        valid = false;
+      }
+    }
+    if ((layer['maxZoom'] != null) && !(Number(layer['maxZoom']) >= 0)) {
+      this.errors.push(path + ": 'maxZoom' must be a number >= 0");
+      valid = false;
+    }
+  }
+  if (!layer['displayname']) {
+    this.errors.push(path + ": missing 'displayname'");
+    valid = false;
+  }
+  var projections = AstroTargetCatalog.getProjections();
+  if (projections.indexOf(layer['projection']) == -1) {
+    this.errors.push(path + ": unknown projection '" + layer['projection'] + "'. Known projections: " +
+                     projections.join(', '));
+    valid = false;
+  }
+
+  if (layer['cutoffLat'] != null) {
+    newLayer['cutoffLat'] = Number(layer['cutoffLat']);
+    if (!(Math.abs(newLayer['cutoffLat']) > 0) || !(Math.abs(newLayer['cutoffLat']) < 90)) {
+      this.errors.push(path + ": 'cutoffLat' must be a latitude between 0 and 90 degrees (either sign)");
+      valid = false;
+    }
+  }
+  if (layer['maxResolution'] != null) {
+    newLayer['maxResolution'] = Number(layer['maxResolution']);
+    if (!(newLayer['maxResolution'] > 0)) {
+      this.errors.push(path + ": 'maxResolution' must be a number > 0");
+      valid = false;
+    }
+  }
+
+  var bounds = layer['bounds'];
+  if (!bounds || (typeof bounds != 'object')) {
+    this.errors.push(path + ": missing 'bounds'");
+    valid = false;
+  } else {
+    var newBounds = {};
+    var sides = ['left', 'right', 'top', 'bottom'];
+    for (var i = 0; i < sides.length; i++) {
+      newBounds[sides[i]] = Number(bounds[sides[i]]);
+      if ((bounds[sides[i]] == null) || (bounds[sides[i]] === '') || isNaN(newBounds[sides[i]])) {
+        this.errors.push(path + ": 'bounds." + sides[i] + "' is not a number");
+        valid = false;
+      }
+    }
+    if (valid && ((newBounds.left >= newBounds.right) || (newBounds.bottom >= newBounds.top))) {
+      this.errors.push(path + ": 'bounds' must have left < right and bottom < top");
+      valid = false;
+    }
+    newLayer['bounds'] = newBounds;
+  }
+
+  if (layer['dimensions'] != null) {
+    newLayer['dimensions'] = this.validateDimensions(layer['dimensions'], path);
+    if (newLayer['dimensions'] == null) {
+      valid = false;
+    }
+  }
+
+  // optional text fields are used to build attributions
+  var textFields = ['citation', 'notes'];
+  for (var j = 0; j < textFields.length; j++) {
+    if (newLayer[textFields[j]] == null) {
+      newLayer[textFields[j]] = '';
+    }
+  }
+
+  return (valid) ? newLayer : null;
+};
+
+/*
+ * Checks the dimensions of a layer entry (see the class comments).
+ *
+ * Parameters: dimensions - the layer's dimensions hash
+ *             path       - description of the layer for error messages
+ * Returns: a normalized copy (upper case names, values expanded into arrays of strings),
+ *          or null if the dimensions are not usable
+ */
+AstroTargetCatalog.prototype.validateDimensions = function(dimensions, path) {
+  if (typeof dimensions != 'object') {
+    this.errors.push(path + ": 'dimensions' must be a hash of dimensions by name");
+    return null;
+  }
+  var newDimensions = {};
+  for (var name in dimensions) {
+    var dimension = dimensions[name];
+    var values = (dimension) ? AstroTargetCatalog.parseDimensionValues(dimension['values']) : null;
+    if (values == null || values.length == 0) {
+      this.errors.push(path + ": 'dimensions." + name + ".values' must be a list or start/end/resolution " +
+                       'intervals (at most ' + AstroTargetCatalog.maxDimensionValues + ' values)');
+      return null;
+    }
+    var newDimension = {};
+    for (var key in dimension) {
+      newDimension[key] = dimension[key];
+    }
+    newDimension['values'] = values;
+    newDimension['default'] = (dimension['default'] != null) ? String(dimension['default']) : values[values.length - 1];
+    newDimensions[name.toUpperCase()] = newDimension;
+  }
+  return newDimensions;
+};
+
+// the most values a dimension may expand into
+AstroTargetCatalog.maxDimensionValues = 10000;
+
+/*
+ * Expands the values of a dimension into a list. The values may be an array, or a string
+ * of comma separated values and start/end/resolution intervals, as in WMS capabilities.
+ * Time intervals step by an ISO 8601 period (e.g. 'P1M', 'PT6H') and the times are written
+ * with the precision of the start time; number intervals step by a number.
+ *
+ * Parameter: values - the values (array or string)
+ * Returns: array of value strings, or null if the values can't be read
+ */
+AstroTargetCatalog.parseDimensionValues = function(values) {
+  if (values instanceof Array) {
+    return values.map(function(value) {
+      return String(value);
+    });
+  }
+  if ((typeof values != 'string') && (typeof values != 'number')) {
+    return null;
+  }
+
+  var list = [];
+  var items = String(values).split(',');
+  for (var i = 0; i < items.length; i++) {
+    var item = items[i].trim();
+    if (item == '') {
+      continue;
+    }
+    var parts = item.split('/');
+    if (parts.length == 1) {
+      list.push(item);
+      continue;
+    }
+    if (parts.length != 3) {
+      return null;
+    }
+    var interval = AstroTargetCatalog.expandInterval(parts[0], parts[1], parts[2],
+                                                     AstroTargetCatalog.maxDimensionValues - list.length);
+    if (interval == null) {
+      return null;
+    }
+    list = list.concat(interval);
+  }
+  return (list.length <= AstroTargetCatalog.maxDimensionValues) ? list : null;
+};
+
+/*
+ * Expands a start/end/resolution interval into its values.
+ *
+ * Parameters: start      - first value (a number or an ISO 8601 time)
+ *             end        - last value
+ *             resolution - step (a number, or an ISO 8601 period for times)
+ *             maxValues  - the most values to expand into
+ * Returns: array of value strings, or null if the interval can't be read or is too long
+ */
+AstroTargetCatalog.expandInterval = function(start, end, resolution, maxValues) {
+  var values = [];
+  var value;
+
+  // numbers (e.g. elevations)
+  if (!isNaN(Number(start)) && !isNaN(Number(end)) && (Number(resolution) > 0)) {
+    var step = Number(resolution);
+    for (var n = 0; Number(start) + n * step <= Number(end) + step * 1e-9; n++) {
+      if (values.length >= maxValues) {
+        return null;
+      }
+      // round away the float error of the steps
+      values.push(String(Number((Number(start) + n * step).toPrecision(12))));
+    }
+    return values;
+  }
+
+  // times
+  var startTime = AstroTargetCatalog.parseTime(start);
+  var endTime = AstroTargetCatalog.parseTime(end);
+  var period = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(resolution);
+  if ((startTime == null) || (endTime == null) || !period || (resolution == 'P') || (resolution == 'PT')) {
+    return null;
+  }
+  var months = 12 * Number(period[1] || 0) + Number(period[2] || 0);
+  var millis = 1000 * (604800 * Number(period[3] || 0) + 86400 * Number(period[4] || 0) +
+                       3600 * Number(period[5] || 0) + 60 * Number(period[6] || 0) + Number(period[7] || 0));
+  if ((months == 0) && (millis == 0)) {
+    return null;
+  }
+  var precision = start.length;
+  for (var k = 0; ; k++) {
+    // step from the start each time, so month ends don't drift
+    var date = new Date(startTime);
+    if (months) {
+      var day = date.getUTCDate();
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + k * months);
+      var monthLength = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      date.setUTCDate(Math.min(day, monthLength));
+    }
+    value = date.getTime() + k * millis;
+    if (value > endTime) {
+      break;
+    }
+    if (values.length >= maxValues) {
+      return null;
+    }
+    values.push(AstroTargetCatalog.formatTime(value, precision));
+  }
+  return values;
+};
+
+/*
+ * Parses an ISO 8601 time (UTC unless a zone is given): '2004', '2004-06', '2004-06-15',
+ * '2004-06-15T12:00', '2004-06-15T12:00:00Z', ...
+ *
+ * Parameter: text - the time string
+ * Returns: milliseconds since 1970, or null if the text isn't a time
+ */
+AstroTargetCatalog.parseTime = function(text) {
+  var match = /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?(Z|[+-]\d{2}:?\d{2})?)?)?)?$/.exec(String(text).trim());
+  if (!match) {
+    return null;
+  }
+  var time = Date.UTC(Number(match[1]), Number(match[2] || 1) - 1, Number(match[3] || 1),
+                      Number(match[4] || 0), Number(match[5] || 0), 0) + 1000 * Number(match[6] || 0);
+  if (match[7] && (match[7] != 'Z')) {
+    var offset = match[7].replace(':', '');
+    var minutes = 60 * Number(offset.substring(1, 3)) + Number(offset.substring(3, 5));
+    time -= ((offset.charAt(0) == '-') ? -1 : 1) * minutes * 60000;
+  }
+  return time;
+};
+
+/*
+ * Writes a time as ISO 8601 (UTC) with the given precision: the length of the time
+ * string it should look like (4 for '2004', 7 for '2004-06', 10 for '2004-06-15',
+ * anything longer for '2004-06-15T12:00:00Z').
+ *
+ * Parameters: time      - milliseconds since 1970
+ *             precision - the string length
+ * Returns: the time string
+ */
+AstroTargetCatalog.formatTime = function(time, precision) {
+  var iso = new Date(time).toISOString();
+  if (precision <= 10) {
+    return iso.substring(0, precision);
+  }
+  return iso.substring(0, 19) + 'Z';
+};
+
+/*
+ * Returns the target entry with the given name (case insensitive).
+ *
+ * Parameter: name - the target name
+ * Returns: the target entry, or null if the catalog has no such target
+ */
+AstroTargetCatalog.prototype.getTarget = function(name) {
+  if (!name) {
+    return null;
+  }
+  name = name.toLowerCase();
+  for (var i = 0, len = this.targets.length; i < len; i++) {
+    if (this.targets[i]['name'].toLowerCase() == name) {
+      return this.targets[i];
+    }
+  }
+  return null;
+};
+
+/*
+ * Returns the names of all targets in the catalog.
+ *
+ * Parameters: none
+ * Returns: array of target name strings
+ */
+AstroTargetCatalog.prototype.getTargetNames = function() {
+  var names = [];
+  for (var i = 0, len = this.targets.length; i < len; i++) {
+    names.push(this.targets[i]['name']);
+  }
+  return names;
+};
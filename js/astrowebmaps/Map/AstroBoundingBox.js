@@ -29,6 +29,7 @@ AstroBoundingBox.prototype.constructor = AstroBoundingBox;
  *   formIdTopLeftLat  - the id of the form field to contain the bounding box's top left latitude. Default: 'astroBBTopLeftLat'
  *   formIdBotRightLon - the id of the form field to contain the bounding box's bottom right longitude. Default: 'astroBBBotRightLon'
  *   formIdBotRightLat - the id of the form field to contain the bounding box's bottom right latitude. Default: 'astroBBBotRightLat'
+ *   formIdArea        - the id of the form field to contain the bounding box's area in km2. Default: 'astroBBArea'
  *   boundingBoxRemoveTrigger              - callback function to handle removal of bounding boxes event. Default: empty function
  *   boundingBoxFeatureSearchResultHandler - callback function to handle results of a feature search. Default: empty function
  */
@@ -55,11 +56,24 @@ function AstroBoundingBox(astroMap, layer, boundingBoxSettings) {
   this.formIdCenterLon = 'astroBBCenterLon';
   this.formIdCenterLat = 'astroBBCenterLat';
   this.formIdLength = 'astroBBLength';
+  this.formIdArea = 'astroBBArea';
 
   this.centerPoint = null; //for editing center point
 
+  // so the map can redraw us on projection switches
+  this.astroMap.vectorDrawers.push(this);
+
+  // true while a box drawn with the bounding box control is stored (see drawFromControl())
+  this.drawingFromControl = false;
+
   // event callbacks
   this.boundingBoxRemoveTrigger = function() {};
+  var that = this;
+  astroMap.on('bboxchange', function(e) {
+    if ((e.drawer == that) && (e.wkt == null)) {
+      that.boundingBoxRemoveTrigger();
+    }
+  });
 
 
   // this function is called when an AJAX feature search (using the nomen service) is
@@ -89,6 +103,9 @@ function AstroBoundingBox(astroMap, layer, boundingBoxSettings) {
     if (boundingBoxSettings.formIdBotRightLat) {
       this.formIdBotRightLat = boundingBoxSettings.formIdBotRightLat;
     }
+    if (boundingBoxSettings.formIdArea) {
+      this.formIdArea = boundingBoxSettings.formIdArea;
+    }
     if (boundingBoxSettings.boundingBoxRemoveTrigger) {
       this.boundingBoxRemoveTrigger = boundingBoxSettings.boundingBoxRemoveTrigger;
     }
@@ -231,7 +248,11 @@ AstroBoundingBox.prototype.drawFromBounds = function(dontResetForm) {
 	      //crossPoint2 +
 	      tlx + " " + bry + "," +
 	      tlx + " " + tly + "))";
-	wkt = AstroGeometry.splitOnDateline(wkt,this.astroMap.projection);
+	// split by the dateline rules of the projection (none for orthographic, LAEA, ...)
+	var splitAs = AstroProjections.get(this.astroMap.projection).splitAs;
+	if (splitAs) {
+	  wkt = AstroGeometry.splitOnDateline(wkt, splitAs);
+	}
       }
       dontResetForm=true;
   } else {
@@ -254,23 +275,52 @@ AstroBoundingBox.prototype.drawFromBounds = function(dontResetForm) {
 
 AstroBoundingBox.prototype.drawFromControl = function(wkt) {
 
-  //convert polars
-  if (this.astroMap.projection != 'cylindrical') {
+  //convert projected (polar, orthographic, ...) boxes to lat/lon
+  if (AstroProjections.get(this.astroMap.projection).units != 'degrees') {
     var format = new ol.format.WKT();
     geometry = format.readGeometry(wkt);
-    if (this.astroMap.projection == 'north-polar stereographic') {
-      geometry = geometry.transform('EPSG:32661','EPSG:4326');
-    } else {
-      geometry = geometry.transform('EPSG:32761','EPSG:4326');
-    }
-    if (!AstroVector.prototype.isDrawable(geometry)) {
-      alert('Bounding Box is not visable in this projection!');
+    geometry = geometry.transform(this.astroMap.currentProj, 'EPSG:4326');
+    if (!this.isDrawable(geometry)) {
+      this.astroMap.reportError('Bounding Box is not visible in this projection');
       return null;
     }
     wkt = format.writeGeometry(geometry);
 
   }
-  return this.drawAndStore(wkt);
+  this.drawingFromControl = true;
+  var bboxState = this.drawAndStore(wkt);
+  this.drawingFromControl = false;
+  return bboxState;
+};
+
+/*
+ * Fires the map event for a newly drawn bounding box (see AstroMap.on()).
+ *
+ * Parameter: bboxState - the stored bbox state
+ * Returns: nothing
+ */
+AstroBoundingBox.prototype.fireAdded = function(bboxState) {
+  this.astroMap.fire('bboxchange', {
+    drawer: this,
+    wkt: this.astroMap.wktToLongitudeConvention(bboxState.searchWKT),
+    splitWkt: this.astroMap.wktToLongitudeConvention(bboxState.splitWKT),
+    fromControl: this.drawingFromControl
+  });
+};
+
+/*
+ * Fires the map event for a removed bounding box (see AstroMap.on()).
+ *
+ * Parameter: bboxState - the removed bbox state, or null if all of them were removed
+ * Returns: nothing
+ */
+AstroBoundingBox.prototype.fireRemoved = function(bboxState) {
+  this.astroMap.fire('bboxchange', {
+    drawer: this,
+    wkt: null,
+    splitWkt: null,
+    fromControl: false
+  });
 };
 
 
@@ -400,10 +450,11 @@ AstroBoundingBox.prototype.populateForm = function(drawWKT, searchWKT, splitWKT)
       var maxX = ol.extent.getBottomLeft(ex)[0];
       var minX = ol.extent.getBottomRight(ex)[0];
       var exSplit = splitGeometry.getExtent();
-      if ((this.astroMap.projection == 'north-polar stereographic') && (ol.extent.getTopRight(exSplit)[1] == 90)){
+      var pole = AstroProjections.get(this.astroMap.projection).pole;
+      if ((pole == 'north') && (ol.extent.getTopRight(exSplit)[1] == 90)){
 	maxY = 90;
       }
-      if ((this.astroMap.projection == 'south-polar stereographic') && (ol.extent.getBottomRight(exSplit)[1] == -90)){
+      if ((pole == 'south') && (ol.extent.getBottomRight(exSplit)[1] == -90)){
 	minY = -90;
       }
     } else {
@@ -417,6 +468,12 @@ AstroBoundingBox.prototype.populateForm = function(drawWKT, searchWKT, splitWKT)
     document.getElementById(this.formIdTopLeftLat).value = (truncate) ? maxY.toFixed(truncate) : maxY;
     document.getElementById(this.formIdBotRightLat).value = (truncate) ? minY.toFixed(truncate) : minY;
   }
+
+  //area (km2, on the target's spheroid)
+  if (document.getElementById(this.formIdArea)) {
+    var area = AstroGeometry.getAreaOfPolygon(searchWKT, this.astroMap.aAxisRadius, this.astroMap.cAxisRadius, this.astroMap.getPoleProjection());
+    document.getElementById(this.formIdArea).value = (truncate) ? area.toFixed(truncate) : area;
+  }
   /*
   if (document.getElementById(this.formIdCenterLat)) {
     newCenter = drawGeometry.getCentroid();
@@ -453,11 +510,9 @@ AstroBoundingBox.prototype.removeAndUnstoreAll = function(dontResetForm) {
   // call overridden superclass method
   AstroVector.prototype.removeAndUnstoreAll.call(this);
 
-  this.boundingBoxRemoveTrigger();
-
   if (!dontResetForm) {
     var elements = [this.formIdWKT, this.formIdDatelineWKT,  this.formIdCenterpoint, this.formIdCenterLon, this.formIdCenterLat,
-		    this.formIdTopLeftLon, this.formIdTopLeftLat, this.formIdBotRightLon, this.formIdBotRightLat, this.formIdLength];
+		    this.formIdTopLeftLon, this.formIdTopLeftLat, this.formIdBotRightLon, this.formIdBotRightLat, this.formIdLength, this.formIdArea];
     for (var i = 0; i < elements.length; i++) {
       if (document.getElementById(elements[i])) {
 	document.getElementById(elements[i]).value = "";
@@ -572,9 +627,12 @@ AstroBoundingBox.prototype.vectorFeatureModified = function(evt) {
   }
   if (!centerPointEdit) {
     var geometry = newGeo;
-    if (astroMap.controls.decimalPlaces) {
+    var controls = this.astroMap.controls;
+    if (controls.decimalPlaces) {
       OpenLayers.Projection.addTransform("LatLonTruncate", "EPSG:4326", AstroGeometry.transformCylindricalToLatLon);
-      OpenLayers.Projection.addTransform("EPSG:4326", "LatLonTruncate", astroMap.controls.transformDecimalPlaces);
+      OpenLayers.Projection.addTransform("EPSG:4326", "LatLonTruncate", function(point) {
+        return controls.transformDecimalPlaces(point);
+      });
       var latLon = new OpenLayers.Projection("EPSG:4326");
       var latLonTruncate = new OpenLayers.Projection("LatLonTruncate");
       geometry = geometry.transform(latLon, latLonTruncate);
@@ -591,7 +649,7 @@ AstroBoundingBox.prototype.vectorFeatureModified = function(evt) {
 //
 AstroBoundingBox.prototype.editCenterPointStart = function(evt) {
 
-  var wkt=document.getElementById('astroBBCenterPoint').value;
+  var wkt=document.getElementById(this.formIdCenterpoint).value;
   if (!this.centerPoint) {
     this.centerPoint = this.astroMap.boundingBoxDrawer.draw(wkt, null, "blue");
   }
@@ -610,14 +668,10 @@ AstroBoundingBox.prototype.editCenterPointStop = function(evt) {
 
 AstroBoundingBox.prototype.polarSafeWKT = function(wkt) {
 
-  if (this.astroMap.projection != 'cylindrical') {
+  if (AstroProjections.get(this.astroMap.projection).units != 'degrees') {
     var format = new ol.format.WKT();
     geometry = format.readGeometry(wkt);
-    if (this.astroMap.projection == 'north-polar stereographic') {
-      geometry = geometry.transform('EPSG:4326','EPSG:32661');
-    } else {
-      geometry = geometry.transform('EPSG:4326','EPSG:32761');
-    }
+    geometry = geometry.transform('EPSG:4326', this.astroMap.currentProj);
     wkt = format.writeGeometry(geometry);
   }
   return(wkt);
@@ -648,7 +702,7 @@ AstroBoundingBox.prototype.setCenterWKT = function(x, y) {
 
 //
 AstroBoundingBox.prototype.mergeVectors = function(wkt1, wkt2) {
-  var wktParser = astroMap.wktParse;
+  var wktParser = this.astroMap.wktParse;
   var vector1 = wktParser.read(wkt1).geometry;
   var vector2 = wktParser.read(wkt2).geometry;
   var vectorArray = [];
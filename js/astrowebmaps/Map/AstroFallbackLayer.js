@@ -0,0 +1,330 @@
+/*
+ * Map/AstroFallbackLayer.js
+ *
+ * Builds the base layer used when no image layers are available for the current
+ * target and projection. The tiles are drawn locally on a canvas (placeholder
+ * shaded terrain, a lat/lon grid and the target name), so the map, vectors and
+ * controls stay usable without any network.
+ *
+ * Dependencies: AstroMap.js, OpenLayers.js
+ */
+
+/*
+ * Constructor creates the fallback layer helper. The layer itself is created by
+ * createLayer() for each target/projection.
+ *
+ * Parameters: astroMap         - the map the fallback layer belongs to
+ *             fallbackSettings - hash of options. If null, uses sensible defaults
+ *
+ * The following options may be set (AstroMap passes its mapSettings):
+ *   fallbackGridSpacing - spacing (in degrees) of the lat/lon grid lines. Default: 30
+ *   fallbackCellSize    - size (in pixels) of the terrain shading cells. Default: 8
+ */
+function AstroFallbackLayer(astroMap, fallbackSettings) {
+  this.astroMap = astroMap;
+
+  // defaults
+  this.title = 'NO IMAGE AVAILABLE';
+  this.tileSize = 256;
+  this.gridSpacing = 30;
+  this.cellSize = 8;
+  this.gridColor = 'rgba(255, 255, 255, 0.35)';
+  this.labelColor = 'rgba(255, 255, 255, 0.6)';
+
+  if (fallbackSettings) {
+    if (fallbackSettings.fallbackGridSpacing) {
+      this.gridSpacing = Number(fallbackSettings.fallbackGridSpacing);
+    }
+    if (fallbackSettings.fallbackCellSize) {
+      this.cellSize = Number(fallbackSettings.fallbackCellSize);
+    }
+  }
+
+  this.terrain = null;  // terrain terms for the target (see createTerrain())
+}
+
+
+/*
+ * Creates the fallback base layer for the map's current target and projection.
+ *
+ * Parameters: none
+ * Returns: the OL tile layer
+ */
+AstroFallbackLayer.prototype.createLayer = function() {
+  var that = this;
+  var projection = this.astroMap.currentProj;
+  var tileGrid = this.createTileGrid();
+  var label = this.astroMap.target.toUpperCase();
+  this.terrain = this.createTerrain(this.astroMap.target);
+
+  return new ol.layer.Tile({
+    title: this.title,
+    type: 'base',
+    visible: true,
+    source: new ol.source.XYZ({
+      projection: projection,
+      tileGrid: tileGrid,
+      wrapX: (projection.getUnits() == 'degrees'),
+      tileUrlFunction: function(tileCoord) {
+        return that.renderTile(tileGrid, tileCoord, label);
+      }
+    })
+  });
+};
+
+
+/*
+ * Creates a tile grid covering the projection extent, with the map's zoom range
+ * (see AstroMap.getZoomRange()).
+ *
+ * Parameters: none
+ * Returns: the OL tile grid
+ */
+AstroFallbackLayer.prototype.createTileGrid = function() {
+  var extent = this.astroMap.currentProj.getExtent();
+  var zoomRange = this.astroMap.getZoomRange();
+  var resolutions = [];
+  for (var z = 0; z <= zoomRange.maxZoom; z++) {
+    resolutions.push(zoomRange.maxResolution / Math.pow(2, z));
+  }
+  return new ol.tilegrid.TileGrid({
+    extent: extent,
+    origin: ol.extent.getTopLeft(extent),
+    resolutions: resolutions,
+    tileSize: this.tileSize
+  });
+};
+
+
+/*
+ * Builds the terms of the placeholder terrain from the target name, so each
+ * target gets its own (but always the same) look. The terms use whole wave
+ * numbers in longitude so the terrain joins up across the 0/360 seam.
+ *
+ * Parameters: targetName - the target name
+ * Returns: hash with the terrain terms and base color
+ */
+AstroFallbackLayer.prototype.createTerrain = function(targetName) {
+  var seed = 0;
+  for (var i = 0; i < targetName.length; i++) {
+    seed = (seed * 31 + targetName.charCodeAt(i)) % 2147483647;
+  }
+  var random = function() {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  var terms = [];
+  for (var j = 0; j < 6; j++) {
+    var k = j + 2;
+    terms.push({
+      amplitude: 1 / k,
+      lonWave: k + Math.floor(random() * 3),
+      latWave: k + Math.floor(random() * 3),
+      lonPhase: random() * 2 * Math.PI,
+      latPhase: random() * 2 * Math.PI
+    });
+  }
+
+  var hue = random();
+  return {
+    terms: terms,
+    color: [
+      Math.round(110 + 60 * hue),
+      Math.round(100 + 30 * (1 - hue)),
+      Math.round(90 + 40 * random())
+    ]
+  };
+};
+
+
+/*
+ * Returns the placeholder terrain height at a lon/lat.
+ *
+ * Parameters: lon - longitude in degrees
+ *             lat - latitude in degrees
+ * Returns: the height, roughly -1 to 1
+ */
+AstroFallbackLayer.prototype.getHeight = function(lon, lat) {
+  var lonRad = lon * Math.PI / 180;
+  var latRad = lat * Math.PI / 180;
+  var cosLat = Math.cos(latRad);
+  var height = 0;
+  var terms = this.terrain.terms;
+  for (var i = 0; i < terms.length; i++) {
+    var t = terms[i];
+    // fade the longitude variation out towards the poles so they don't pinch
+    height += t.amplitude * Math.sin(t.latWave * latRad + t.latPhase) *
+      (1 - cosLat + cosLat * Math.sin(t.lonWave * lonRad + t.lonPhase));
+  }
+  return height;
+};
+
+
+/*
+ * Draws a fallback tile and returns it as an image URL.
+ *
+ * Parameters: tileGrid  - the OL tile grid
+ *             tileCoord - the OL tile coordinate
+ *             label     - the text to write on the tile
+ * Returns: the data URL of the tile image
+ */
+AstroFallbackLayer.prototype.renderTile = function(tileGrid, tileCoord, label) {
+  var extent = tileGrid.getTileCoordExtent(tileCoord);
+  var resolution = tileGrid.getResolution(tileCoord[0]);
+
+  var canvas = document.createElement('canvas');
+  canvas.width = this.tileSize;
+  canvas.height = this.tileSize;
+  var context = canvas.getContext('2d');
+
+  this.drawTerrain(context, extent, resolution);
+  this.drawGrid(context, extent, resolution);
+  this.drawLabel(context, label);
+
+  return canvas.toDataURL();
+};
+
+
+/*
+ * Returns the lon/lat (0 to 360 longitude) of a point in the current projection,
+ * or null if the point is off the body.
+ *
+ * Parameters: point - [x, y] in the current projection
+ * Returns: [lon, lat] or null
+ */
+AstroFallbackLayer.prototype.toLonLat = function(point) {
+  var lonLat = point;
+  if (this.astroMap.currentProj.getUnits() != 'degrees') {
+    lonLat = ol.proj.transform(point, this.astroMap.currentProj, 'EPSG:4326');
+  }
+  if (!isFinite(lonLat[0]) || !isFinite(lonLat[1]) || Math.abs(lonLat[1]) > 90) {
+    return null;
+  }
+  return [((lonLat[0] % 360) + 360) % 360, lonLat[1]];
+};
+
+
+/*
+ * Shades the placeholder terrain onto a tile, one cell at a time.
+ *
+ * Parameters: context    - the tile's canvas context
+ *             extent     - the tile extent in the current projection
+ *             resolution - the tile resolution
+ * Returns: nothing
+ */
+AstroFallbackLayer.prototype.drawTerrain = function(context, extent, resolution) {
+  var cellSize = this.cellSize;
+  var color = this.terrain.color;
+  // slope step in degrees
+  var step = 0.5;
+
+  for (var y = 0; y < this.tileSize; y += cellSize) {
+    for (var x = 0; x < this.tileSize; x += cellSize) {
+      var lonLat = this.toLonLat([
+        extent[0] + (x + cellSize / 2) * resolution,
+        extent[3] - (y + cellSize / 2) * resolution
+      ]);
+      if (lonLat == null) {
+        continue;
+      }
+      var height = this.getHeight(lonLat[0], lonLat[1]);
+      // light from the north-west
+      var shade = (this.getHeight(lonLat[0] - step, lonLat[1]) - height) +
+        (height - this.getHeight(lonLat[0], lonLat[1] - step));
+      var brightness = Math.max(0.2, Math.min(1.3, 0.75 + 0.2 * height + 8 * shade));
+      context.fillStyle = 'rgb(' + Math.round(Math.min(255, color[0] * brightness)) + ',' +
+        Math.round(Math.min(255, color[1] * brightness)) + ',' +
+        Math.round(Math.min(255, color[2] * brightness)) + ')';
+      context.fillRect(x, y, cellSize, cellSize);
+    }
+  }
+};
+
+
+/*
+ * Draws the lat/lon grid onto a tile. In cylindrical the lines are straight; in
+ * other projections each line is traced through the projection.
+ *
+ * Parameters: context    - the tile's canvas context
+ *             extent     - the tile extent in the current projection
+ *             resolution - the tile resolution
+ * Returns: nothing
+ */
+AstroFallbackLayer.prototype.drawGrid = function(context, extent, resolution) {
+  var spacing = this.gridSpacing;
+  context.strokeStyle = this.gridColor;
+  context.lineWidth = 1;
+  context.beginPath();
+
+  if (this.astroMap.currentProj.getUnits() == 'degrees') {
+    for (var lon = Math.ceil(extent[0] / spacing) * spacing; lon <= extent[2]; lon += spacing) {
+      var x = Math.round((lon - extent[0]) / resolution) + 0.5;
+      context.moveTo(x, Math.max(0, (extent[3] - 90) / resolution));
+      context.lineTo(x, Math.min(this.tileSize, (extent[3] + 90) / resolution));
+    }
+    for (var lat = Math.ceil(extent[1] / spacing) * spacing; lat <= Math.min(90, extent[3]); lat += spacing) {
+      var y = Math.round((extent[3] - lat) / resolution) + 0.5;
+      context.moveTo(0, y);
+      context.lineTo(this.tileSize, y);
+    }
+    context.stroke();
+    return;
+  }
+
+  var that = this;
+  // trace steps in degrees
+  var step = 2;
+  var toPixel = function(lonLat) {
+    var point = ol.proj.transform(lonLat, 'EPSG:4326', that.astroMap.currentProj);
+    if (!isFinite(point[0]) || !isFinite(point[1])) {
+      return null;
+    }
+    return [(point[0] - extent[0]) / resolution, (extent[3] - point[1]) / resolution];
+  };
+  var trace = function(lonLats) {
+    var previous = null;
+    for (var i = 0; i < lonLats.length; i++) {
+      var pixel = (that.astroMap.isVisibleInProjection(lonLats[i], that.astroMap.projection)) ?
+        toPixel(lonLats[i]) : null;
+      if (pixel && previous) {
+        context.lineTo(pixel[0], pixel[1]);
+      } else if (pixel) {
+        context.moveTo(pixel[0], pixel[1]);
+      }
+      previous = pixel;
+    }
+  };
+
+  for (var m = 0; m < 360; m += spacing) {
+    var meridian = [];
+    for (var mLat = -90; mLat <= 90; mLat += step) {
+      meridian.push([m, mLat]);
+    }
+    trace(meridian);
+  }
+  for (var p = -90 + spacing; p < 90; p += spacing) {
+    var parallel = [];
+    for (var pLon = 0; pLon <= 360; pLon += step) {
+      parallel.push([pLon, p]);
+    }
+    trace(parallel);
+  }
+  context.stroke();
+};
+
+
+/*
+ * Writes the label (the target name) in the corner of a tile.
+ *
+ * Parameters: context - the tile's canvas context
+ *             label   - the text
+ * Returns: nothing
+ */
+AstroFallbackLayer.prototype.drawLabel = function(context, label) {
+  context.font = '12px sans-serif';
+  context.fillStyle = this.labelColor;
+  context.textBaseline = 'top';
+  context.fillText(label, 6, 6);
+  context.fillText(this.title, 6, 22);
+};
@@ -0,0 +1,498 @@
+/*
+ * Map/AstroImageOverlays.js
+ *
+ * Manages the georeferenced images (e.g. footprint images) shown over the map. Each
+ * image has its own id, lat/lon extent, opacity and visibility, and its own layer in
+ * the 'Footprint Images' group of the layer switcher. The images are stored in lat/lon
+ * (EPSG:4326), so OL reprojects them into the polar and other projected views.
+ *
+ * Images can also be draped onto a four-corner footprint (e.g. a spacecraft browse image
+ * on its footprint polygon). The image is cut into a mesh of triangles, each corner of the
+ * mesh is placed in lat/lon by a bilinear or projective warp of the footprint and then
+ * projected into the view, so draped images follow the footprint in every projection.
+ *
+ * Dependencies: AstroMap.js, OpenLayers.js
+ */
+
+/*
+ * Constructor creates the (empty) image layer group.
+ *
+ * Parameters: astroMap - the map the images belong to
+ */
+function AstroImageOverlays(astroMap) {
+  this.astroMap = astroMap;
+  this.title = 'Footprint Images';
+  this.images = {};  // image entries by id (see add())
+  this.nextId = 1;
+  this.group = new ol.layer.Group({
+    title: this.title,
+    layers: []
+  });
+
+  // draped images are drawn in the view projection, so they are redrawn for a new one
+  var that = this;
+  this.astroMap.on('projectionchange', function(e) {
+    for (var id in that.images) {
+      if (that.images[id].footprint) {
+        that.images[id].layer.getSource().changed();
+      }
+    }
+  });
+}
+
+
+/*
+ * Adds an image to the map. An image with the same id is replaced (in place).
+ *
+ * Parameters: options - hash with
+ *   url                - the image url
+ *   extent             - [west, south, east, north] or {left, bottom, right, top} the image covers,
+ *                        in the conventions given below
+ *   footprint          - instead of an extent, the footprint to drape the image onto: the corners
+ *                        of the image as [[lon, lat], ...] or a POLYGON WKT (e.g. the searchWKT of
+ *                        a stored AstroVector), in the conventions given below. The corners are
+ *                        the image's upper left, upper right, lower right and lower left corners,
+ *                        in that order
+ *   warp               - how a footprint is filled, 'bilinear' or 'projective'. Default: 'bilinear'
+ *   id                 - id of the image. Default: generated ('image1', 'image2', ...)
+ *   title              - title in the layer switcher. Default: the id
+ *   opacity            - opacity, 0 to 1. Default: 1
+ *   visible            - boolean indicating whether or not the image is shown. Default: true
+ *   longitudeDirection - direction of the longitudes, 'PositiveEast' or 'PositiveWest'. Default: the map's
+ *   latitudeType       - type of the latitudes, 'Planetocentric' or 'Planetographic'. Default: the map's
+ *   crossOrigin        - crossOrigin setting for the image (needed for map downloads). Default: none
+ * Returns: the image id, or null if the footprint isn't a four-corner polygon
+ */
+AstroImageOverlays.prototype.add = function(options) {
+  var id = (options.id != null) ? String(options.id) : 'image' + this.nextId++;
+  var index = this.getIndex(id);
+  if (index != -1) {
+    this.remove(id);
+  }
+
+  var corners = null;
+  var extent, source;
+  if (options.footprint) {
+    corners = this.getFootprintCorners(options.footprint, options);
+    if (corners == null) {
+      return null;
+    }
+    extent = ol.extent.boundingExtent(corners);
+    source = this.createFootprintSource(options.url, corners, options.warp, options.crossOrigin);
+  } else {
+    extent = this.toLonLatExtent(options.extent, options);
+    source = new ol.source.ImageStatic({
+      url: options.url,
+      projection: 'EPSG:4326',
+      imageExtent: extent,
+      crossOrigin: options.crossOrigin
+    });
+  }
+  var layer = new ol.layer.Image({
+    title: options.title || id,
+    opacity: (options.opacity != null) ? Number(options.opacity) : 1,
+    visible: (options.visible !== false),
+    enableOpacitySliders: true,
+    source: source
+  });
+  layer.set('imageId', id);
+  this.images[id] = {id: id, url: options.url, extent: extent, footprint: corners, layer: layer};
+
+  var layers = this.group.getLayers();
+  if (index != -1) {
+    layers.insertAt(index, layer);
+  } else {
+    layers.push(layer);
+  }
+  this.astroMap.watchLayers();
+  this.refreshLayerSwitcher();
+  this.astroMap.fire('imageadded', {id: id, layer: layer, extent: extent});
+  return id;
+};
+
+
+/*
+ * Removes an image from the map.
+ *
+ * Parameters: id - the image id
+ * Returns: false if there is no such image, true otherwise
+ */
+AstroImageOverlays.prototype.remove = function(id) {
+  var image = this.images[id];
+  if (!image) {
+    return false;
+  }
+  this.group.getLayers().remove(image.layer);
+  delete this.images[id];
+  this.refreshLayerSwitcher();
+  this.astroMap.fire('imageremoved', {id: id, layer: image.layer});
+  return true;
+};
+
+
+/*
+ * Removes all the images from the map.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroImageOverlays.prototype.removeAll = function() {
+  var ids = this.getIds();
+  for (var i = 0; i < ids.length; i++) {
+    this.remove(ids[i]);
+  }
+};
+
+
+/*
+ * Returns an image.
+ *
+ * Parameters: id - the image id
+ * Returns: hash with id, url, extent ([west, south, east, north], 0 to 360 positive east and
+ *          planetocentric), footprint (the [lon, lat] corners of a draped image, otherwise null)
+ *          and layer (the OL layer), or null if there is no such image
+ */
+AstroImageOverlays.prototype.get = function(id) {
+  return this.images[id] || null;
+};
+
+
+/*
+ * Returns the ids of the images, from the bottom one to the top one.
+ *
+ * Parameters: none
+ * Returns: array of ids
+ */
+AstroImageOverlays.prototype.getIds = function() {
+  return this.group.getLayers().getArray().map(function(layer) {
+    return layer.get('imageId');
+  });
+};
+
+
+/*
+ * Returns the position of an image in the drawing order (0 is the bottom).
+ *
+ * Parameters: id - the image id
+ * Returns: the index, or -1 if there is no such image
+ */
+AstroImageOverlays.prototype.getIndex = function(id) {
+  return this.getIds().indexOf(String(id));
+};
+
+
+/*
+ * Moves an image up or down the drawing order.
+ *
+ * Parameters: id    - the image id
+ *             index - the new position, 0 is the bottom. Out of range indexes move the image
+ *                     to the bottom or top
+ * Returns: false if there is no such image, true otherwise
+ */
+AstroImageOverlays.prototype.setIndex = function(id, index) {
+  var image = this.images[id];
+  if (!image) {
+    return false;
+  }
+  var layers = this.group.getLayers();
+  layers.remove(image.layer);
+  index = Math.max(0, Math.min(Number(index), layers.getLength()));
+  layers.insertAt(index, image.layer);
+  this.refreshLayerSwitcher();
+  return true;
+};
+
+
+/*
+ * Changes how an image is shown.
+ *
+ * Parameters: id      - the image id
+ *             options - hash with any of opacity (0 to 1), visible (boolean) and title
+ * Returns: false if there is no such image, true otherwise
+ */
+AstroImageOverlays.prototype.setStyle = function(id, options) {
+  var image = this.images[id];
+  if (!image) {
+    return false;
+  }
+  if (options.opacity != null) {
+    image.layer.setOpacity(Number(options.opacity));
+  }
+  if (options.visible != null) {
+    image.layer.setVisible(options.visible);
+  }
+  if (options.title != null) {
+    image.layer.set('title', options.title);
+    this.refreshLayerSwitcher();
+  }
+  return true;
+};
+
+
+/*
+ * Converts an image extent to lat/lon: 0 to 360 positive east (east past 360 for images
+ * crossing the seam) and planetocentric.
+ *
+ * Parameters: extent  - [west, south, east, north] or {left, bottom, right, top}
+ *             options - hash with longitudeDirection and latitudeType (see add())
+ * Returns: [west, south, east, north]
+ */
+AstroImageOverlays.prototype.toLonLatExtent = function(extent, options) {
+  if (!Array.isArray(extent)) {
+    extent = [extent.left, extent.bottom, extent.right, extent.top];
+  }
+  var southWest = this.astroMap.fromCoordinateConvention([Number(extent[0]), Number(extent[1])],
+                                                         options.longitudeDirection, options.latitudeType);
+  var northEast = this.astroMap.fromCoordinateConvention([Number(extent[2]), Number(extent[3])],
+                                                         options.longitudeDirection, options.latitudeType);
+  var west = southWest[0];
+  var east = northEast[0];
+  if (east <= west) {
+    east += 360;
+  }
+  return [west, Math.min(southWest[1], northEast[1]), east, Math.max(southWest[1], northEast[1])];
+};
+
+
+/*
+ * Redraws the layer switcher panel so it lists the current images.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroImageOverlays.prototype.refreshLayerSwitcher = function() {
+  var controls = this.astroMap.controls;
+  if (controls && controls.layerSwitcherControl) {
+    controls.layerSwitcherControl.renderPanel();
+  }
+};
+
+
+/*
+ * Reads the corners of a footprint and converts them to 0 to 360 positive east and
+ * planetocentric. Footprints crossing the dateline (see AstroGeometry.crossesDateline())
+ * get their eastern corners past 360, so the footprint stays in one piece.
+ *
+ * Parameters: footprint - [[lon, lat], ...] corners or a POLYGON WKT (see add())
+ *             options   - hash with longitudeDirection and latitudeType (see add())
+ * Returns: array of four [lon, lat] corners, or null (after reporting it) if the footprint isn't
+ *          a polygon with four corners
+ */
+AstroImageOverlays.prototype.getFootprintCorners = function(footprint, options) {
+  var points = footprint;
+  if (typeof footprint == 'string') {
+    var geometry = AstroGeometry.parseWkt(footprint);
+    if (!geometry || (geometry.type != 'Polygon')) {
+      this.astroMap.reportError('AstroImageOverlays: an image footprint must be a POLYGON, not ' + footprint);
+      return null;
+    }
+    points = geometry.coordinates[0];
+  }
+  if (!Array.isArray(points)) {
+    this.astroMap.reportError('AstroImageOverlays: an image footprint must be an array of corners or a POLYGON');
+    return null;
+  }
+  points = points.slice();
+  var last = points.length - 1;
+  if ((last > 0) && (points[0][0] == points[last][0]) && (points[0][1] == points[last][1])) {
+    points.pop();
+  }
+  if (points.length != 4) {
+    this.astroMap.reportError('AstroImageOverlays: an image footprint needs 4 corners, not ' + points.length);
+    return null;
+  }
+
+  var corners = [];
+  for (var i = 0; i < points.length; i++) {
+    corners.push(this.astroMap.fromCoordinateConvention(points[i], options.longitudeDirection, options.latitudeType));
+  }
+  var ring = corners.concat([corners[0]]).map(function(corner) {
+    return corner.join(' ');
+  });
+  if (AstroGeometry.crossesDateline('POLYGON((' + ring.join(',') + '))', 'cylindrical')) {
+    for (i = 0; i < corners.length; i++) {
+      if (corners[i][0] < 180) {
+        corners[i][0] += 360;
+      }
+    }
+  }
+  return corners;
+};
+
+
+/*
+ * Returns the warp placing points of an image inside its footprint.
+ *
+ * Parameters: corners - the four [lon, lat] corners (upper left, upper right, lower right, lower left)
+ *             warp    - 'bilinear' or 'projective'. Default: 'bilinear'
+ * Returns: function(u, v) -> [lon, lat], where u runs from 0 (left) to 1 (right) of the image
+ *          and v from 0 (top) to 1 (bottom)
+ */
+AstroImageOverlays.prototype.createWarp = function(corners, warp) {
+  var x0 = corners[0][0], y0 = corners[0][1];
+  var x1 = corners[1][0], y1 = corners[1][1];
+  var x2 = corners[2][0], y2 = corners[2][1];
+  var x3 = corners[3][0], y3 = corners[3][1];
+
+  if (warp != 'projective') {
+    return function(u, v) {
+      return [(1 - u) * (1 - v) * x0 + u * (1 - v) * x1 + u * v * x2 + (1 - u) * v * x3,
+              (1 - u) * (1 - v) * y0 + u * (1 - v) * y1 + u * v * y2 + (1 - u) * v * y3];
+    };
+  }
+
+  // the unit square to quadrilateral homography
+  var sx = x0 - x1 + x2 - x3;
+  var sy = y0 - y1 + y2 - y3;
+  var g = 0, h = 0;
+  if ((sx != 0) || (sy != 0)) {
+    var dx1 = x1 - x2, dx2 = x3 - x2;
+    var dy1 = y1 - y2, dy2 = y3 - y2;
+    var den = dx1 * dy2 - dx2 * dy1;
+    g = (sx * dy2 - dx2 * sy) / den;
+    h = (dx1 * sy - sx * dy1) / den;
+  }
+  var a = x1 - x0 + g * x1, b = x3 - x0 + h * x3;
+  var d = y1 - y0 + g * y1, e = y3 - y0 + h * y3;
+  return function(u, v) {
+    var w = g * u + h * v + 1;
+    return [(a * u + b * v + x0) / w, (d * u + e * v + y0) / w];
+  };
+};
+
+
+/*
+ * Creates the source drawing an image draped onto a footprint, in whatever projection
+ * the map is in.
+ *
+ * Parameters: url         - the image url
+ *             corners     - the four [lon, lat] corners (see getFootprintCorners())
+ *             warp        - 'bilinear' or 'projective' (see createWarp())
+ *             crossOrigin - crossOrigin setting for the image
+ * Returns: the OL source
+ */
+AstroImageOverlays.prototype.createFootprintSource = function(url, corners, warp, crossOrigin) {
+  var that = this;
+  var warpFunction = this.createWarp(corners, warp);
+  var image = new Image();
+  var loaded = false;
+
+  var source = new ol.source.ImageCanvas({
+    ratio: 1,
+    canvasFunction: function(extent, resolution, pixelRatio, size, projection) {
+      var canvas = document.createElement('canvas');
+      canvas.width = Math.round(size[0]);
+      canvas.height = Math.round(size[1]);
+      if (loaded) {
+        that.drawFootprint(canvas.getContext('2d'), image, warpFunction, extent, resolution / pixelRatio, projection);
+      }
+      return canvas;
+    }
+  });
+
+  image.onload = function() {
+    loaded = true;
+    source.changed();
+  };
+  image.onerror = function() {
+    that.astroMap.reportError('AstroImageOverlays: the image ' + url + ' could not be loaded');
+  };
+  if (crossOrigin) {
+    image.crossOrigin = crossOrigin;
+  }
+  image.src = url;
+  return source;
+};
+
+
+/*
+ * Draws an image draped onto its footprint, as a mesh of triangles. In cylindrical the
+ * footprint is also drawn a body width to either side, for views across the seam.
+ *
+ * Parameters: context     - the canvas context
+ *             image       - the loaded image
+ *             warp        - the warp function (see createWarp())
+ *             extent      - the extent the canvas covers, in the view projection
+ *             resolution  - view units per canvas pixel
+ *             projection  - the view projection
+ * Returns: nothing
+ */
+AstroImageOverlays.prototype.drawFootprint = function(context, image, warp, extent, resolution, projection) {
+  var steps = 16;
+  var isDegrees = (projection.getUnits() == 'degrees');
+
+  // the mesh, projected into the view
+  var mesh = [];
+  for (var i = 0; i <= steps; i++) {
+    var row = [];
+    for (var j = 0; j <= steps; j++) {
+      var lonLat = warp(j / steps, i / steps);
+      row.push((isDegrees) ? lonLat : ol.proj.transform(lonLat, 'EPSG:4326', projection));
+    }
+    mesh.push(row);
+  }
+
+  var shifts = (isDegrees) ? [-360, 0, 360] : [0];
+  var cellWidth = image.naturalWidth / steps;
+  var cellHeight = image.naturalHeight / steps;
+  for (var k = 0; k < shifts.length; k++) {
+    var toPixel = function(point) {
+      return [(point[0] + shifts[k] - extent[0]) / resolution, (extent[3] - point[1]) / resolution];
+    };
+    for (i = 0; i < steps; i++) {
+      for (j = 0; j < steps; j++) {
+        var points = [mesh[i][j], mesh[i][j + 1], mesh[i + 1][j + 1], mesh[i + 1][j]];
+        if (!points.every(function(point) { return isFinite(point[0]) && isFinite(point[1]); })) {
+          continue;
+        }
+        var pixels = points.map(toPixel);
+        var source = [[j * cellWidth, i * cellHeight], [(j + 1) * cellWidth, i * cellHeight],
+                      [(j + 1) * cellWidth, (i + 1) * cellHeight], [j * cellWidth, (i + 1) * cellHeight]];
+        this.drawTriangle(context, image, [source[0], source[1], source[2]], [pixels[0], pixels[1], pixels[2]]);
+        this.drawTriangle(context, image, [source[0], source[2], source[3]], [pixels[0], pixels[2], pixels[3]]);
+      }
+    }
+  }
+};
+
+
+/*
+ * Draws a triangle of an image onto a triangle of the canvas (an affine warp).
+ *
+ * Parameters: context - the canvas context
+ *             image   - the image
+ *             from    - three [x, y] image pixels
+ *             to      - three [x, y] canvas pixels
+ * Returns: nothing
+ */
+AstroImageOverlays.prototype.drawTriangle = function(context, image, from, to) {
+  var sx1 = from[1][0] - from[0][0], sy1 = from[1][1] - from[0][1];
+  var sx2 = from[2][0] - from[0][0], sy2 = from[2][1] - from[0][1];
+  var dx1 = to[1][0] - to[0][0], dy1 = to[1][1] - to[0][1];
+  var dx2 = to[2][0] - to[0][0], dy2 = to[2][1] - to[0][1];
+  var det = sx1 * sy2 - sx2 * sy1;
+  var area = dx1 * dy2 - dx2 * dy1;
+  if ((det == 0) || (area == 0)) {
+    return;
+  }
+  var a = (dx1 * sy2 - dx2 * sy1) / det;
+  var b = (dy1 * sy2 - dy2 * sy1) / det;
+  var c = (sx1 * dx2 - dx1 * sx2) / det;
+  var d = (sx1 * dy2 - dy1 * sx2) / det;
+
+  // grow the clip a little so the triangles don't leave hairline gaps
+  var centerX = (to[0][0] + to[1][0] + to[2][0]) / 3;
+  var centerY = (to[0][1] + to[1][1] + to[2][1]) / 3;
+  context.save();
+  context.beginPath();
+  for (var i = 0; i < 3; i++) {
+    var x = to[i][0] - centerX, y = to[i][1] - centerY;
+    var length = Math.sqrt(x * x + y * y) || 1;
+    context.lineTo(to[i][0] + 0.7 * x / length, to[i][1] + 0.7 * y / length);
+  }
+  context.closePath();
+  context.clip();
+  context.transform(a, b, c, d, to[0][0] - a * from[0][0] - c * from[0][1], to[0][1] - b * from[0][0] - d * from[0][1]);
+  context.drawImage(image, 0, 0);
+  context.restore();
+};
@@ -3,7 +3,9 @@
  *
  * This class wraps an OpenLayers map with Astro-specific functionality.
  *
- * Dependencies: OpenLayers.js, AstroGeometry.js, AstroVector.js, AstroBoundingBox.js, AstroControls.js
+ * Dependencies: OpenLayers.js, AstroGeometry.js, AstroTargetCatalog.js, AstroProjections.js, AstroVector.js,
+ *               AstroBoundingBox.js, AstroControls.js, AstroNomenclature.js, AstroFallbackLayer.js,
+ *               AstroTileCache.js, AstroImageOverlays.js
  */
 
 /*
@@ -19,16 +21,58 @@
  *
  * The following map options may be set:
  *   mapDiv                       - the id (string) of the div to hold the OL map. Default: 'map'
+ *   idPrefix                     - prefix for the ids of the DOM elements this map and its controls and console
+ *                                  create, so several maps can share a page (see getElementId()). Default: ''
+ *                                  for a map in the 'map' div, otherwise the mapDiv followed by '-'
  *   target                       - the target name. Default: 'mars'
- *   projection                   - the default map projection (string). Choices: 'cylindrical', 'north-polar stereographic',
- *                                  'south-polar stereographic'. Default: 'cylindrical'
+ *   targetCatalog                - the target catalog: an AstroTargetCatalog, an inline catalog object, a URL
+ *                                  or a File holding the catalog JSON (see AstroTargetCatalog.js). URLs and files
+ *                                  are read asynchronously, so the map is initialized once the catalog arrives.
+ *                                  Default: the page-global myJSONmaps object (maps.js), if there is one
+ *   projection                   - the default map projection (string). Choices: any projection registered in
+ *                                  AstroProjections.js; built in are 'cylindrical', 'north-polar stereographic',
+ *                                  'south-polar stereographic', 'orthographic', 'lambert azimuthal equal-area' and
+ *                                  'mollweide'. Default: 'cylindrical'
+ *   projectionOptions            - hash of options for each projection, by projection name. Eg.
+ *                                  {'orthographic': {centerLat: 30, centerLon: 200}}. Default: none
  *   vectorLayerName              - the name for the vector feature layer to appear in the layer switcher. Default: 'Vectors'
  *   showNomenclature             - boolean indicating whether or not to load nomenclature layer (if available). Default: false
+ *   nomenWFSURL                  - nomenclature WFS endpoint, '{target}' is replaced by the target name. Default: the
+ *                                  target's WFS entry in the catalog, or the USGS nomenclature service
+ *   nomenServerType              - nomenclature server type, 'geoserver' or 'mapserver'. Default: 'geoserver'
+ *   nomenFeatureNS               - nomenclature feature namespace URI. Default: none
+ *   nomenFeatureType             - nomenclature feature type name. Default: none
  *   datelineWrap                 - boolean indicating whether or not to wrap the map at the dateline. Default: true
- *   defaultZoomLevel             - number for default zoom level. Default: 3
+ *   defaultZoomLevel             - number for default zoom level, in every projection. Default: 3
  *   defaultCenterLat             - default center latitude of the map. Default: 0
- *   defaultCenterLon             - default center longitude of the map. Default: 180
+ *   defaultCenterLon             - default center longitude of the map (0 to 360 positive east). Default: 180.
+ *                                  Projections that can't show the default center (the polar caps) open on
+ *                                  their own center (the pole)
+ *   deepZoom                     - boolean indicating whether or not to allow zooming 2 levels past the native
+ *                                  resolution of the base layer. Default: false
+ *   fallbackGridSpacing          - lat/lon grid spacing (degrees) on the locally drawn base layer used when no
+ *                                  images are available. Default: 30
+ *   fallbackCellSize             - terrain shading cell size (pixels) on that layer. Default: 8
+ *   tileCache                    - boolean indicating whether or not to keep the WMS tiles in the browser, for
+ *                                  use offline (see AstroTileCache.js and tileCache.prefetch()). Default: false
+ *   tileCacheQuota               - the most the tile cache may hold, in megabytes. Default: 200
  *   projectionSwitchTrigger      - callback function for map projection switches. Default: empty function
+ *   targetSwitchTrigger          - callback function for target switches (see switchTarget()). Passed the new
+ *                                  and the previous target name. Default: empty function
+ *   mapReadyTrigger              - callback function for when the catalog is loaded and the map is initialized.
+ *                                  Passed the AstroMap. Default: empty function
+ *   errorHandler                 - callback function passed the message of each error the map and its
+ *                                  components run into (catalog errors, layers that fail to load, bad
+ *                                  arguments, ...), see the error event (on()). Default: function that writes
+ *                                  the message to the browser console
+ *   hashSync                     - boolean indicating whether or not to keep the map state in the URL hash (see
+ *                                  getState()), so the URL is a permalink to the view. Default: false
+ *   latitudeType                 - 'Planetocentric' or 'Planetographic', kept in the map state. The console's
+ *                                  lon/lat dropdowns take precedence. Default: 'Planetocentric'
+ *   longitudeDirection           - 'PositiveEast' or 'PositiveWest', the longitudes in event payloads (see on()).
+ *                                  The console's lon/lat dropdowns take precedence. Default: 'PositiveEast'
+ *   longitudeDomain              - 360 (0 to 360) or 180 (-180 to 180), the longitudes in event payloads. The
+ *                                  console's lon/lat dropdowns take precedence. Default: 360
  *   imagePath                    - path to the images directory, be sure to include the trailing slash. Required.
  */
 
@@ -59,18 +103,28 @@ function AstroMap(mapSettings, controlSettings, consoleSettings, boundingBoxSett
   this.poiSource = null;
   this.poiLayer = null;
 
-  this.imageSource = null;
-  this.imageLayer = null;
+  this.imageOverlays = null;  // AstroImageOverlays for the footprint images
+  this.userLayers = [];  // layer entries added from other WMS services (see addUserLayers())
+  this.dimensionValues = {};  // values chosen for the layer dimensions (TIME, ...), by name (see setDimension())
 
   this.dummyLayer = null;
 
+  this.vectorDrawers = [];  // AstroVector/AstroPoi drawers to redraw on projection switches
+  this.polarSettings = {};  // extent, cutoffLat and maxResolution of each polar projection (computePolarSettings())
+  this.projectionOptions = {};  // options for each projection, by name (see getProjectionOptions())
+  this.nativeProjections = {};  // projections the current target has catalog layers for
+
+  this.targetCatalog = null;  // AstroTargetCatalog holding the targets and their layers
   this.homeLonLat = null;
   this.mapsLoaded = false;
   this.hasNorthPolar = false;
   this.hasSouthPolar = false;
   this.nomenWFSURL = null;
+  this.nomenclature = null;  // AstroNomenclature for the nomenclature layer
+  this.fallbackLayer = null;  // AstroFallbackLayer for the base layer used when no images are available
+  this.tileCache = null;  // AstroTileCache holding the WMS tiles (tileCache setting)
   this.longitudeDirection = 'PositiveEast';
-  this.longitudeDomain = '360';
+  this.longitudeDomain = 360;  // a number, 360 or 180
   this.latitudeType = 'Planetocentric';
   this.displayProjection = "EPSG:4326";  // controls (eg. mouse position) should display in normal lat/lon projection
   this.fullBoundingBox = null;
@@ -82,6 +136,7 @@ function AstroMap(mapSettings, controlSettings, consoleSettings, boundingBoxSett
 
   // map default settings
   this.mapDiv = "map";  // div id to hold map
+  this.idPrefix = null;  // prefix for created element ids (see getElementId())
   this.target = "mars";
   this.projection = "cylindrical";
   this.currentProj = 'EPSG:4326';
@@ -92,12 +147,65 @@ function AstroMap(mapSettings, controlSettings, consoleSettings, boundingBoxSett
   this.defaultZoomLevel = 3;
   this.defaultCenterLat = 0;
   this.defaultCenterLon = 180;
+  this.defaultPolarCutoffLat = 60;
+  this.minZoomLevel = 2;
+  this.nativeZoom = null;  // {maxResolution, numZoomLevels} of the primary base layer (see loadLayers())
+
+  this.hashSync = false;
+  this.applyingState = false;  // true while setState() is at work, so the hash isn't written halfway
+  this.lastHash = null;  // the hash last written or read (see writeHash() and startHashSync())
+
+  // event listeners, by event type (see on())
+  this.listeners = {};
 
   // event callbacks
   this.projectionSwitchTrigger = function() {};
+  this.targetSwitchTrigger = function() {};
+  this.mapReadyTrigger = function() {};
+  if (this.mapSettings && this.mapSettings.mapReadyTrigger) {
+    this.mapReadyTrigger = this.mapSettings.mapReadyTrigger;
+  }
+  this.errorHandler = function(message) {
+    console.error(message);
+  };
+  if (this.mapSettings && this.mapSettings.errorHandler) {
+    this.errorHandler = this.mapSettings.errorHandler;
+  }
+
+  // the old callbacks are listeners like any other
+  var that = this;
+  this.on('projectionchange', function(e) {
+    that.projectionSwitchTrigger();
+  });
+  this.on('targetchange', function(e) {
+    that.targetSwitchTrigger(e.targetName, e.previousTargetName);
+  });
+  this.on('layervisibilitychange', function(e) {
+    if (typeof olLayerSwitcherHook == 'function') {
+      olLayerSwitcherHook(e.layer);
+    }
+  });
+  this.on('error', function(e) {
+    that.errorHandler(e.message);
+  });
 
-  // initialize everything
-  this.init();
+  // initialize everything once the target catalog is available
+  var catalogSource = (this.mapSettings) ? this.mapSettings.targetCatalog : null;
+  if (!catalogSource && (typeof myJSONmaps != 'undefined')) {
+    catalogSource = myJSONmaps;
+  }
+  var this_ = this;
+  var catalogErrors = function(errors) {
+    for (var i = 0; i < errors.length; i++) {
+      this_.reportError(errors[i]);
+    }
+  };
+  AstroTargetCatalog.load(catalogSource, function(catalog) {
+    // an empty catalog still gives us a (dummy) map to work with
+    this_.targetCatalog = (catalog) ? catalog : new AstroTargetCatalog({targets: []});
+    this_.init();
+    this_.mapReadyTrigger(this_);
+  }, {errorHandler: catalogErrors});
 }
 
 
@@ -111,17 +219,18 @@ AstroMap.prototype.destroy = function() {
 
 //
 AstroMap.prototype.home = function() {
+  var view = this.map.getView();
   if (this.homeLonLat) {
-    var view = this.map.getView();
-    view.setCenter(this.homeLonLat);
+    view.animate({center: this.homeLonLat, duration: 500});
+  } else {
+    view.animate({center: this.getDefaultCenter(), zoom: this.defaultZoomLevel, duration: 500});
   }
 };
 
 /*
  * Initializes a new map and its associated components. This is essentially a
  * helper method that does the 'heavy lifting' for the AstroMap constructor.
- * This method can also come in handy when needing to recreate the map for a
- * new projection.
+ * Projection switches don't go through here (see switchProjection()).
  *
  * Parameters: none
  * Returns: nothing
@@ -132,12 +241,18 @@ AstroMap.prototype.init = function() {
     if (this.mapSettings.mapDiv) {
       this.mapDiv = this.mapSettings.mapDiv;
     }
+    if (this.mapSettings.idPrefix != null) {
+      this.idPrefix = this.mapSettings.idPrefix;
+    }
     if (this.mapSettings.target) {
       this.target = this.mapSettings.target.toLowerCase();
     }
     if (this.mapSettings.projection) {
       this.projection = this.mapSettings.projection;
     }
+    if (this.mapSettings.projectionOptions) {
+      this.projectionOptions = this.mapSettings.projectionOptions;
+    }
     if (this.mapSettings.vectorLayerName) {
       this.vectorLayerName = this.mapSettings.vectorLayerName;
     }
@@ -148,122 +263,76 @@ AstroMap.prototype.init = function() {
       this.datelineWrap = false;
     }
     this.deepZoom = (!this.mapSettings.deepZoom || (this.mapSettings.deepZoom == 'false')) ? false : true;
-    if (this.mapSettings.defaultZoomLevel) {
-      this.defaultZoomLevel = this.mapSettings.defaultZoomLevel;
+    if (this.mapSettings.defaultZoomLevel != null) {
+      this.defaultZoomLevel = Number(this.mapSettings.defaultZoomLevel);
     }
-    if (this.mapSettings.defaultCenterLat) {
-      this.defaultCenterLat = this.mapSettings.defaultCenterLat;
+    if (this.mapSettings.defaultCenterLat != null) {
+      this.defaultCenterLat = Number(this.mapSettings.defaultCenterLat);
     }
-    if (this.mapSettings.defaultCenterLon) {
-      this.defaultCenterLon = this.mapSettings.defaultCenterLon;
+    if (this.mapSettings.defaultCenterLon != null) {
+      this.defaultCenterLon = Number(this.mapSettings.defaultCenterLon);
     }
     if (this.mapSettings.projectionSwitchTrigger) {
       this.projectionSwitchTrigger = this.mapSettings.projectionSwitchTrigger;
     }
+    if (this.mapSettings.targetSwitchTrigger) {
+      this.targetSwitchTrigger = this.mapSettings.targetSwitchTrigger;
+    }
     if (this.mapSettings.imagePath) {
       this.imagePath = this.mapSettings.imagePath;
     }
+    if (this.mapSettings.longitudeDirection) {
+      this.longitudeDirection = this.mapSettings.longitudeDirection;
+    }
+    if (this.mapSettings.longitudeDomain) {
+      this.longitudeDomain = Number(this.mapSettings.longitudeDomain);
+    }
+    if (this.mapSettings.latitudeType) {
+      this.latitudeType = this.mapSettings.latitudeType;
+    }
+    if (this.mapSettings.hashSync) {
+      this.hashSync = true;
+    }
+    if (this.mapSettings.tileCache && (this.tileCache == null)) {
+      this.tileCache = new AstroTileCache(this, this.mapSettings);
+      if (!this.tileCache.isSupported()) {
+        this.reportError('AstroMap: this browser has no IndexedDB, tiles will not be cached');
+        this.tileCache = null;
+      }
+    }
+  }
+
+  if (this.idPrefix == null) {
+    this.idPrefix = (this.mapDiv == 'map') ? '' : this.mapDiv + '-';
   }
 
-  // load WMS layers or a dummy layer if that fails
+  // the projection transforms need the radii of the target
+  var currentTarget = this.targetCatalog.getTarget(this.target);
+  if (currentTarget) {
+    this.aAxisRadius = currentTarget['aaxisradius'];
+    this.bAxisRadius = currentTarget['baxisradius'];
+    this.cAxisRadius = currentTarget['caxisradius'];
+  }
+
+  //set projection
+  this.registerProjections();
+  this.currentProj = this.getOLProjection(this.projection);
+
+  // load layers (tile sources need the projection) or a dummy layer if that fails
   this.mapsLoaded = this.loadLayers(this.target, this.projection, this.showNomenclature, this.datelineWrap);
   var numMaps = this.mapsLoaded[0].getLayers().getLength();
   if (numMaps == 0) {
     this.mapsLoaded = this.loadDummyLayer();
   }
 
-  // center map and set zoom
-  var currentZoom = (this.projection == 'cylindrical') ? this.defaultZoomLevel : 3;
-
-  var caxis = this.cAxisRadius;
-
-  //Polar Projections
-  var currentCaxis = 0;
-  var northPolarProjection = new ol.proj.Projection({
-      code: 'EPSG:32661',
-      extent: [-2357032, -2357032, 2357032, 2357032],
-      worldExtent: [0, 60, 360, 90],
-      units: 'm'
-  });
-  ol.proj.addProjection(northPolarProjection);
-
-  ol.proj.addCoordinateTransforms('EPSG:32661', northPolarProjection,
-				  function(coordinate) {
-				       return AstroGeometry.transformLatLonToPolarMeters(coordinate, 'north-polar stereographic', caxis);
-				     },
-				     function(coordinate) {
-				       return AstroGeometry.transformPolarMetersToLatLon(coordinate, 'north-polar stereographic', caxis);
-				     });
-  ol.proj.addCoordinateTransforms('EPSG:4326', 'EPSG:32661',
-				     function(coordinate) {
-				       return AstroGeometry.transformLatLonToPolarMeters(coordinate, 'north-polar stereographic', caxis);
-					 },
-				  function(coordinate) {
-				       return AstroGeometry.transformPolarMetersToLatLon(coordinate, 'north-polar stereographic', caxis);
-				     });
-
-  var southPolarProjection = new ol.proj.Projection({
-      code: 'EPSG:32761',
-      extent: [-2357032, -2357032, 2357032, 2357032],
-      worldExtent: [0, -90, 360, -60],
-      units: 'm'
-  });
-  ol.proj.addProjection(southPolarProjection);
-  ol.proj.addCoordinateTransforms('EPSG:32761', southPolarProjection,
-				  function(coordinate) {
-				       return AstroGeometry.transformLatLonToPolarMeters(coordinate, 'south-polar stereographic', caxis);
-				     },
-				     function(coordinate) {
-				       return AstroGeometry.transformPolarMetersToLatLon(coordinate, 'south-polar stereographic', caxis);
-				     });
-  ol.proj.addCoordinateTransforms('EPSG:4326', 'EPSG:32761',
-				     function(coordinate) {
-				       return AstroGeometry.transformLatLonToPolarMeters(coordinate, 'south-polar stereographic', caxis);
-				     },
-				  function(coordinate) {
-				       return AstroGeometry.transformPolarMetersToLatLon(coordinate, 'south-polar stereographic', caxis);
-				     });
-
-
-  // secondary projections
-  var undangleProjection = new ol.proj.Projection({
-      code: 'undangle',
-      units: 'degrees'
-  });
-  ol.proj.addProjection(undangleProjection);
-  ol.proj.addCoordinateTransforms('EPSG:4326', 'undangle',
-				  function(coordinate) {
-				    return AstroGeometry.transformDanglers(coordinate);
-				  },
-				  function(coordinate) {
-				    return AstroGeometry.transformDanglers(coordinate);
-				  });
-  var truncateProjection = new ol.proj.Projection({
-      code: 'truncate',
-      units: 'degrees'
-  });
-  ol.proj.addProjection(truncateProjection);
-  ol.proj.addCoordinateTransforms('EPSG:4326', 'truncate',
-				  function(coordinate) {
-				    return AstroGeometry.transformTruncate(coordinate);
-				  },
-				  function(coordinate) {
-				    return AstroGeometry.transformTruncate(coordinate);
-				  });
-
 
-  //set projection
-  if (this.projection == 'cylindrical') {
-    this.currentProj = 'EPSG:4326';
-  } else if (this.projection == 'north-polar stereographic') {
-    this.currentProj = northPolarProjection;
-  } else {
-    this.currentProj = southPolarProjection;
+  //pop-up overlay (create the popup element if the page doesn't have one)
+  var mapPopup = document.getElementById(this.getElementId('mapPopup'));
+  if (!mapPopup) {
+    mapPopup = document.createElement('div');
+    mapPopup.id = this.getElementId('mapPopup');
   }
-
-
-  //pop-up overlay
-  mapPopup = document.getElementById('mapPopup');
+  mapPopup.className += ' astroMapPopup';
   var overlayPopup = new ol.Overlay(({
     element: mapPopup,
     autoPan: true,
@@ -274,23 +343,23 @@ AstroMap.prototype.init = function() {
   this.mapOverlay = overlayPopup;
 
 
-  view = new ol.View({
-     zoom: currentZoom,
-     center:[180,0],
-     projection: this.currentProj,
-     minZoom:2,
-     maxZoom:10
-  });
+  var view = this.createView(this.getDefaultCenter());
 
   var options = {
     controls: [],
-    target:"map",
+    target: this.mapDiv,
     view:view,
     overlays: [overlayPopup],
     layers: this.mapsLoaded
   };
 
   this.map = new ol.Map(options);
+  this.nomenclature.popupSetup();
+
+  var this_ = this;
+  this.map.on('moveend', function(e) {
+    this_.fireMoveEnd();
+  });
 
   if (this.console == null && (this.consoleSettings != null)) {
     this.console = new AstroConsole(this, this.consoleSettings);
@@ -376,246 +445,2101 @@ AstroMap.prototype.init = function() {
   this.poiLayer.set('selectable',true);
   this.map.addLayer(this.poiLayer);
 
-  //image layer
-  imageTitle = 'Footprint Images';
-  this.imageSource = null;
-  this.imageLayer = new ol.layer.Image({
-					 title: imageTitle
-					 });
+  //image layers
+  this.imageOverlays = new AstroImageOverlays(this);
   if (this.overLayerGroup) {
-    this.overLayerGroup.getLayers().push(this.imageLayer);
+    this.overLayerGroup.getLayers().push(this.imageOverlays.group);
   }
+  this.watchLayers();
 
   //controls
   if (this.controls == null) {
     this.controls = new AstroControls(this, this.controlSettings);
   }
 
+  if (this.hashSync) {
+    this.startHashSync();
+  }
 };
 
-//
-AstroMap.prototype.loadImage = function(url, extent) {
-
-  imageTitle = 'Footprint Images';
-  this.imageSource = new ol.source.ImageStatic({
-    attributions: [
-      new ol.Attribution({
-	html: ''
-			 })
-    ],
-    url: url,
-    projection: this.projection,
-    imageExtent: extent
-    });
-  this.imageLayer.setSource(this.imageSource);
 
+/*
+ * Returns the id for a DOM element created by this map or one of its components
+ * (controls, console, ...): the name with the map's idPrefix in front, so two maps on
+ * one page don't fight over the same element.
+ *
+ * Parameter: name - the element name (e.g. 'downloadAnchor')
+ * Returns: the id string
+ */
+AstroMap.prototype.getElementId = function(name) {
+  return this.idPrefix + name;
 };
 
 
-//
-//
-AstroMap.prototype.setImageOpacity = function(val) {
-  this.imageLayer.setOpacity(val);
-};
+// the events listeners can register for (see on())
+AstroMap.events = ['moveend', 'projectionchange', 'targetchange', 'layervisibilitychange', 'opacitychange',
+                   'vectoradded', 'vectorremoved', 'bboxchange', 'poiadded', 'select', 'unselect',
+                   'tileloaderror', 'imageadded', 'imageremoved', 'featureinfo', 'measure', 'dimensionchange', 'timechange',
+                   'error'];
 
+/*
+ * Registers a listener for a map event. The listener is passed an event object with the
+ * event type, the AstroMap (map) and the payload below. Longitudes are in the map's
+ * longitude convention (see getLongitudeConvention()) and WKT is in lat/lon.
+ *
+ *   moveend               - the view stopped moving: center ([lon, lat]), zoom, resolution and
+ *                           extent ([minLon, minLat, maxLon, maxLat], null if the view isn't all on the globe)
+ *   projectionchange      - projection, previousProjection
+ *   targetchange          - targetName, previousTargetName
+ *   layervisibilitychange - layer (the OL layer), title, visible
+ *   opacitychange         - layer, title, opacity
+ *   vectoradded           - a vector was stored (AstroVector): drawer, id, index, wkt, splitWkt
+ *   vectorremoved         - a stored vector was removed: drawer, id, index, wkt (null for all of them)
+ *   bboxchange            - the bounding box was drawn or removed: drawer, wkt and splitWkt (null if
+ *                           removed), fromControl (true if drawn with the bounding box control)
+ *   poiadded              - a POI was stored (AstroPoi): drawer, id, index, lonLat
+ *   select / unselect     - a feature was selected or unselected: feature (the OL feature), wkt
+ *   tileloaderror         - a tile or image of a layer failed to load: layer, title, url
+ *   imageadded            - an image was added (see AstroImageOverlays.js): id, layer, extent
+ *   imageremoved          - an image was removed: id, layer
+ *   featureinfo           - the answers to a layer query (see AstroControls.queryFeatureInfo()):
+ *                           lonLat, coordinate (view projection) and results
+ *   measure               - a shape was measured with the measure button (see
+ *                           AstroControls.measureGeometry()): length (km), area (square km) and wkt
+ *   dimensionchange       - a layer dimension was set (see setDimension()): name, value and layers
+ *                           (the OL layers that have the dimension)
+ *   timechange            - the TIME dimension was set: time and layers
+ *   error                 - something went wrong (see reportError()): message
+ *
+ * The old callbacks (projectionSwitchTrigger, targetSwitchTrigger, errorHandler, the controls' selectHandler,
+ * unselectHandler, boundingBoxDrawHandler and zoomEndHandler, the bounding box's
+ * boundingBoxRemoveTrigger and the global olLayerSwitcherHook) are called from listeners on
+ * these events.
+ *
+ * Parameters: type     - the event type
+ *             listener - function(event)
+ * Returns: the listener (for off())
+ */
+AstroMap.prototype.on = function(type, listener) {
+  if (AstroMap.events.indexOf(type) == -1) {
+    this.reportError("Unknown AstroMap event '" + type + "'. Known events: " + AstroMap.events.join(', '));
+    return listener;
+  }
+  if (!this.listeners[type]) {
+    this.listeners[type] = [];
+  }
+  this.listeners[type].push(listener);
+  return listener;
+};
 
 /*
- * Loads the map layers for the given target and projection and adds them to the map.
- * The JSON map layers should be imported before this method is called.
+ * Removes a listener registered with on() or once().
  *
- * Parameters: target           - lowercased target string (e.g. 'mars')
- *             mapProjection    - map projection string (e.g. 'cylindrical')
- *             showNomenclature - boolean for whether or not to include nomenclature layers
- *             datelineWrap     - boolean for whether or not the layer should wrap at the dateline
- * Returns: true if layer(s) were loaded, false if none were loaded
+ * Parameters: type     - the event type
+ *             listener - the listener. If null, all listeners for the event are removed
+ * Returns: nothing
  */
-AstroMap.prototype.loadLayers = function(target, mapProjection, showNomenclature, datelineWrap) {
-  var loadSuccess = false;
-  this.hasNorthPolar = false;
-  this.hasSouthPolar = false;
-  baseLayers= [];
-  overLayers=[];
+AstroMap.prototype.off = function(type, listener) {
+  if (!this.listeners[type]) {
+    return;
+  }
+  if (!listener) {
+    this.listeners[type] = [];
+    return;
+  }
+  var index = this.listeners[type].indexOf(listener);
+  if (index > -1) {
+    this.listeners[type].splice(index, 1);
+  }
+};
 
-  // find the correct target first, and then load the appropriate layers
-  var targets = myJSONmaps['targets'];
-  for (var i = 0, len = targets.length; i < len; i++) {
-    var currentTarget = targets[i];
-    if (currentTarget['name'].toLowerCase() == target) {
-      // set the default dd length (in inches) to match the current target, not earth
-      var equatorialRadius = currentTarget['aaxisradius'];
-      var equatorLength = (2 * Math.PI * equatorialRadius * 39370.0787);
-      //ol.INCHES_PER_UNIT.dd = (equatorLength / 360.0);
+/*
+ * Registers a listener that is removed after the first time the event fires.
+ *
+ * Parameters: type     - the event type
+ *             listener - function(event)
+ * Returns: the registered wrapper (for off())
+ */
+AstroMap.prototype.once = function(type, listener) {
+  var that = this;
+  var wrapper = function(e) {
+    that.off(type, wrapper);
+    listener(e);
+  };
+  return this.on(type, wrapper);
+};
 
-      this.aAxisRadius = currentTarget['aaxisradius'];
-      this.bAxisRadius = currentTarget['baxisradius'];
-      this.cAxisRadius = currentTarget['caxisradius'];
+/*
+ * Fires a map event (see on()).
+ *
+ * Parameters: type    - the event type
+ *             payload - hash of event properties
+ * Returns: nothing
+ */
+AstroMap.prototype.fire = function(type, payload) {
+  var listeners = this.listeners[type];
+  if (!listeners || (listeners.length == 0)) {
+    return;
+  }
+  var event = {type: type, map: this};
+  for (var key in payload) {
+    event[key] = payload[key];
+  }
+  // listeners may remove themselves (once())
+  listeners = listeners.slice();
+  for (var i = 0; i < listeners.length; i++) {
+    listeners[i].call(this, event);
+  }
+};
 
-      var jsonLayers = currentTarget['webmap'];
-      for (var j = 0, innerLen = jsonLayers.length; j < innerLen; j++) {
-        var currentLayer = jsonLayers[j];
-	switch(currentLayer['type']) {
-          case 'WMS':
-            if (currentLayer['projection'] == 'north-polar stereographic') {
-              this.hasNorthPolar = true;
-            }
-            else if (currentLayer['projection'] == 'south-polar stereographic') {
-              this.hasSouthPolar = true;
-            }
+/*
+ * Reports an error through the error event (see on()), which the errorHandler
+ * setting listens to.
+ *
+ * Parameter: message - the error message
+ * Returns: nothing
+ */
+AstroMap.prototype.reportError = function(message) {
+  this.fire('error', {message: message});
+};
 
-            // if the layer matches, add it to the map
-            if (currentLayer['projection'] == mapProjection) {
-              var wrapCheck = datelineWrap;
-              var computedMaxResolution = (360 / 256);
-              var computedNumZoomLevels = 11;
-              var extent = [currentLayer['bounds']['left'],currentLayer['bounds']['bottom'],currentLayer['bounds']['right'],currentLayer['bounds']['top']];
-
-              if (currentLayer['units'] =='m') {
-                wrapCheck = false;
-                computedMaxResolution = 20000;
-                computedNumZoomLevels = 8;
-                boundsExtent = extent;
-              }
-	      var extraZoom = (this.deepZoom) ? 2 : 0;
-              var baseLayerCheck = (currentLayer['transparent'] == 'false') ? true : false;
-              var visibilityCheck =((currentLayer['layer'] == 'NOMENCLATURE') && (showNomenclature)) ? true : false;
-              var singleTileCheck  = (currentLayer['layer'] == 'NOMENCLATURE') ? true : false;
-
-              // Set up attribution (note at bottom of map).
-              var attributionValue = '';
-              attributionValue += (currentLayer['citation'].length > 0) ? ' ' + currentLayer['citation'] : '';
-              attributionValue += (currentLayer['notes'].length > 0) ?  ' ' + currentLayer['notes'] : '';
-
-       if (baseLayerCheck) {
-	 isPrimary = (currentLayer['primary'] == 'true');
-	 baseLayers.push(new ol.layer.Tile({
-				title: currentLayer['displayname'],
-				type: 'base',
-				visible: isPrimary,
-				maxResolution: computedMaxResolution,
-				source: new ol.source.TileWMS({
-					url: currentLayer['url'] + '?map=' + currentLayer['map'],
-					params:{ 'LAYERS':currentLayer['layer']},
-					serverType: 'mapserver',
-					crossOrigin: 'anonymous',
-					wrapX: wrapCheck
-				})
-	   }));
-	 } else {
-	   overLayers.push(new ol.layer.Tile({
-				title: currentLayer['displayname'],
-				visible: false,
-				maxResolution: computedMaxResolution,
-				enableOpacitySliders: true,
-				source: new ol.source.TileWMS({
-					url: currentLayer['url'] + '?map=' + currentLayer['map'],
-					params:{ 'LAYERS':currentLayer['layer'], 'TILED':true },
-					crossOrigin: 'anonymous',
-					wrapX: wrapCheck
-		       })
-	     }));
-	 }
-
-            } // if projection matches
-            break;
-          case 'WFS':
-            this.nomenWFSURL = currentLayer['url'];
-            break;
-        }
-      } // for each layer
-    }
-  } // for each target
-
-  //add nomen WFS
-  var wfsSource = new ol.source.Vector({
-    format: new ol.format.GeoJSON(),
-    url: function(extent) {
-      return 'https://astrocloud.wr.usgs.gov/dataset/data/nomenclature/' +
-	currentTarget['name'].toUpperCase() + '/WFS?service=WFS&version=1.1.0&request=GetFeature&' +
-	'outputFormat=application/json&srsname=EPSG:4326&' +
-	'bbox=' + extent.join(',') + ',EPSG:4326';
-    },
-    serverType: 'geoserver',
-    crossOrigin: 'anonymous',
-    strategy: ol.loadingstrategy.bbox
-  });
-  var wfs = new ol.layer.Vector({
-    source: wfsSource,
-    style: new ol.style.Style({
-      stroke: new ol.style.Stroke({
-	color: 'rgba(0, 0, 255, 1.0)',
-	width: 2
-      })
-    })
-  });
-  overLayers.push(wfs);
+/*
+ * Returns the longitude convention of event payloads: the console's lon/lat dropdowns if
+ * there are any, otherwise the longitudeDirection and longitudeDomain settings.
+ *
+ * Parameters: none
+ * Returns: {direction: 'PositiveEast' or 'PositiveWest', domain: 360 or 180}
+ */
+AstroMap.prototype.getLongitudeConvention = function() {
+  var convention = {direction: this.longitudeDirection, domain: this.longitudeDomain};
+  var lonDir = document.getElementById(this.getElementId('astroConsoleLonDirSelect'));
+  var lonDom = document.getElementById(this.getElementId('astroConsoleLonDomSelect'));
+  if (lonDir) {
+    convention.direction = (lonDir.options[lonDir.selectedIndex].value.indexOf('PositiveWest') == 0) ? 'PositiveWest' : 'PositiveEast';
+  }
+  if (lonDom) {
+    convention.domain = (lonDom.options[lonDom.selectedIndex].value.indexOf('180') == 0) ? 180 : 360;
+  }
+  return convention;
+};
 
-  group1 = new ol.layer.Group({'title': 'Base maps', layers: baseLayers});
-  this.baseLayerGroup = group1;
-  if (overLayers.length > 0) {
-    group2 = new ol.layer.Group({'title': 'Overlays', layers: overLayers});
-    this.overLayerGroup = group2;
-    return [group1, group2];
-  } else {
-    return [group1];
+/*
+ * Converts a 0 to 360, positive east [lon, lat] to the map's longitude convention.
+ *
+ * Parameter: lonLat - [lon, lat]
+ * Returns: a new [lon, lat]
+ */
+AstroMap.prototype.toLongitudeConvention = function(lonLat) {
+  var convention = this.getLongitudeConvention();
+  var point = [AstroGeometry.transformLonTo0360(lonLat[0]), lonLat[1]];
+  if (convention.direction == 'PositiveWest') {
+    point = AstroGeometry.transformPosEastPosWest(point);
   }
+  if (convention.domain == 180) {
+    point = AstroGeometry.transform0360To180180(point);
+  }
+  return point;
+};
 
+/*
+ * Converts a lat/lon WKT string (0 to 360, positive east) to the map's longitude convention.
+ *
+ * Parameter: wkt - the WKT string (may be empty)
+ * Returns: the WKT string, or null if there was none
+ */
+AstroMap.prototype.wktToLongitudeConvention = function(wkt) {
+  if (!wkt) {
+    return null;
+  }
+  var format = new ol.format.WKT();
+  var geometry = format.readGeometry(wkt);
+  var that = this;
+  geometry.applyTransform(function(input, output, stride) {
+    for (var i = 0; i < input.length; i += stride) {
+      var point = that.toLongitudeConvention([input[i], input[i + 1]]);
+      output[i] = point[0];
+      output[i + 1] = point[1];
+    }
+    return output;
+  });
+  return format.writeGeometry(geometry);
 };
 
-//
-AstroMap.prototype.loadDummyLayer = function() {
-  var dummyURL ="http://planetarymaps.usgs.gov/cgi-bin/mapserv";
-  var dummyMap = "/maps/generic/generic_simp_cyl.map";
-  var dummyLayer = "MINECRAFT";
-  //var dummyLayer = "OLD";
-  var extent = [0, -90, 360, 90];
-  var computedMaxResolution = (360 / 256);
-  var baseLayers = [];
-  baseLayers.push(new ol.layer.Tile({
-    title: "NO IMAGE AVAILABLE",
-    type: 'base',
-    visible: true,
-    maxResolution: computedMaxResolution,
-    source: new ol.source.TileWMS({
-      url: dummyURL + '?map=' + dummyMap,
-      params:{ 'LAYERS': dummyLayer},
-      serverType: 'mapserver',
-      wrapX: true
-	})
-      }));
-  group1 = new ol.layer.Group({'title': 'Base map', layers: baseLayers});
-  return [group1];
+/*
+ * Returns the lat/lon WKT (in the map's longitude convention) of a geometry in the view projection.
+ *
+ * Parameter: geometry - the OL geometry
+ * Returns: the WKT string
+ */
+AstroMap.prototype.geometryToLonLatWKT = function(geometry) {
+  var format = new ol.format.WKT();
+  var lonLat = geometry.clone().transform(this.currentProj, 'EPSG:4326');
+  return this.wktToLongitudeConvention(format.writeGeometry(lonLat));
 };
 
-//
-AstroMap.prototype.switchProjection = function(newProjection) {
-  if ((newProjection == 'north-polar stereographic') && (!this.hasNorthPolar)) {
-    alert('North Polar image is NOT AVAILABLE');
+/*
+ * Fires the moveend event for the current view (see on()).
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroMap.prototype.fireMoveEnd = function() {
+  var view = this.map.getView();
+  if (!view.getCenter()) {
     return;
   }
-  if ((newProjection == 'south-polar stereographic') && (!this.hasSouthPolar)) {
-    alert('South Polar image is NOT AVAILABLE');
-    return;
+  var center = ol.proj.transform(view.getCenter(), this.currentProj, 'EPSG:4326');
+  var extent = null;
+  if (this.map.getSize()) {
+    extent = ol.proj.transformExtent(view.calculateExtent(this.map.getSize()), this.currentProj, 'EPSG:4326');
+    for (var i = 0; i < extent.length; i++) {
+      if (!isFinite(extent[i])) {
+        extent = null;
+        break;
+      }
+    }
+  }
+  if (extent) {
+    var bottomLeft = this.toLongitudeConvention([extent[0], extent[1]]);
+    var topRight = this.toLongitudeConvention([extent[2], extent[3]]);
+    extent = [Math.min(bottomLeft[0], topRight[0]), extent[1], Math.max(bottomLeft[0], topRight[0]), extent[3]];
   }
-  this.destroy();
-  this.mapSettings.projection = newProjection;
-  this.init();
+  this.fire('moveend', {
+    center: (isFinite(center[0])) ? this.toLongitudeConvention(center) : null,
+    zoom: view.getZoom(),
+    resolution: view.getResolution(),
+    extent: extent
+  });
+};
 
-  // event callback
-  this.projectionSwitchTrigger();
+/*
+ * Fires layervisibilitychange, opacitychange and tileloaderror events for the layers of
+ * the map (see on()). Layers that are already watched are skipped, so this is called
+ * again whenever layers are reloaded.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroMap.prototype.watchLayers = function() {
+  var that = this;
+  var watchSource = function(layer) {
+    var source = layer.getSource();
+    if (!source) {
+      return;
+    }
+    var fireError = function(url) {
+      that.fire('tileloaderror', {layer: layer, title: layer.get('title'), url: url});
+    };
+    source.on('tileloaderror', function(e) {
+      fireError((e.tile.getImage) ? e.tile.getImage().src : null);
+    });
+    source.on('imageloaderror', function(e) {
+      fireError((e.image.getImage) ? e.image.getImage().src : null);
+    });
+  };
+  var watchLayer = function(layer) {
+    if (layer.getLayers) {
+      layer.getLayers().forEach(watchLayer);
+      return;
+    }
+    if (layer.get('astroWatched')) {
+      return;
+    }
+    layer.set('astroWatched', true);
+    layer.on('change:visible', function(e) {
+      that.fire('layervisibilitychange', {layer: layer, title: layer.get('title'), visible: layer.getVisible()});
+    });
+    layer.on('change:opacity', function(e) {
+      that.fire('opacitychange', {layer: layer, title: layer.get('title'), opacity: layer.getOpacity()});
+    });
+    watchSource(layer);
+    // WMTS sources arrive with the capabilities
+    layer.on('change:source', function(e) {
+      watchSource(layer);
+    });
+  };
+  this.map.getLayers().forEach(watchLayer);
 };
 
 
 /*
- * Pans to the homeLonLat and zooms to the specified level.
+ * Works out the polar caps of the current target (see computePolarSettings()) and
+ * registers the secondary projections used when warping vectors with OL. This has to be
+ * called again whenever the target changes.
  *
- * Parameter: zoomLevel - the zoom level
+ * Parameters: none
  * Returns: nothing
  */
-AstroMap.prototype.zoom = function(zoomLevel) {
-  if (this.homeLonLat) {
-    this.map.moveTo(this.homeLonLat, zoomLevel);
-  } else {
-    astroMap.map.zoomTo(zoomLevel);
+AstroMap.prototype.registerProjections = function() {
+  this.computePolarSettings(this.targetCatalog.getTarget(this.target));
+
+  // map projections (see AstroProjections.js) are registered as they are used, see getOLProjection()
+
+  // secondary projections
+  var undangleProjection = new ol.proj.Projection({
+      code: 'undangle',
+      units: 'degrees'
+  });
+  ol.proj.addProjection(undangleProjection);
+  ol.proj.addCoordinateTransforms('EPSG:4326', 'undangle',
+				  function(coordinate) {
+				    return AstroGeometry.transformDanglers(coordinate);
+				  },
+				  function(coordinate) {
+				    return AstroGeometry.transformDanglers(coordinate);
+				  });
+  var truncateProjection = new ol.proj.Projection({
+      code: 'truncate',
+      units: 'degrees'
+  });
+  ol.proj.addProjection(truncateProjection);
+  ol.proj.addCoordinateTransforms('EPSG:4326', 'truncate',
+				  function(coordinate) {
+				    return AstroGeometry.transformTruncate(coordinate);
+				  },
+				  function(coordinate) {
+				    return AstroGeometry.transformTruncate(coordinate);
+				  });
+};
+
+
+/*
+ * Works out the extent, latitude cutoff and max resolution of the polar projections
+ * for a target, from its polar radius and the bounds of its polar layers:
+ *   - a layer in meters covers its bounds, and ends at the largest latitude circle that
+ *     fits inside them
+ *   - a layer in degrees ends at its bottom (north) or top (south) bound
+ *   - a layer's cutoffLat and maxResolution (see AstroTargetCatalog.js) override both
+ * The projection covers all of its layers. Without polar layers the cutoff is
+ * defaultPolarCutoffLat. The results are stored in this.polarSettings.
+ *
+ * Parameter: currentTarget - the target entry from the catalog (may be null)
+ * Returns: nothing
+ */
+AstroMap.prototype.computePolarSettings = function(currentTarget) {
+  var projections = AstroProjections.getNames().filter(function(name) {
+    return (AstroProjections.get(name).pole != null);
+  });
+  var layers = (currentTarget) ? currentTarget['webmap'] : [];
+  var caxis = this.cAxisRadius;
+
+  this.polarSettings = {};
+  for (var i = 0; i < projections.length; i++) {
+    var cutoffLat = null;  // degrees from the equator, always positive here
+    var radius = 0;        // meters from the pole to the edge of the extent
+    var maxResolution = null;
+
+    for (var j = 0; j < layers.length; j++) {
+      var layer = layers[j];
+      if ((layer['projection'] != projections[i]) || !layer['bounds']) {
+        continue;
+      }
+      var bounds = layer['bounds'];
+      var layerCutoff;
+      var layerRadius;
+      if (layer['units'] == 'm') {
+        layerRadius = Math.max(Math.abs(bounds.left), Math.abs(bounds.right), Math.abs(bounds.top), Math.abs(bounds.bottom));
+        var inside = Math.min(bounds.right - bounds.left, bounds.top - bounds.bottom) / 2;
+        layerCutoff = AstroGeometry.polarLatFromDistance(inside, caxis);
+      } else {
+        layerCutoff = Math.min(Math.abs(bounds.top), Math.abs(bounds.bottom));
+        layerRadius = AstroGeometry.polarDistanceFromLat(layerCutoff, caxis);
+      }
+      if (layer['cutoffLat'] != null) {
+        layerCutoff = Math.abs(layer['cutoffLat']);
+        layerRadius = Math.max(layerRadius, AstroGeometry.polarDistanceFromLat(layerCutoff, caxis));
+      }
+      if ((cutoffLat == null) || (layerCutoff < cutoffLat)) {
+        cutoffLat = layerCutoff;
+      }
+      radius = Math.max(radius, layerRadius);
+      if (layer['maxResolution'] != null) {
+        maxResolution = Math.max(maxResolution, layer['maxResolution']);
+      }
+    }
+
+    if (cutoffLat == null) {
+      cutoffLat = this.defaultPolarCutoffLat;
+    }
+    radius = Math.max(radius, AstroGeometry.polarDistanceFromLat(cutoffLat, caxis));
+    this.polarSettings[projections[i]] = {
+      cutoffLat: (AstroProjections.get(projections[i]).pole == 'north') ? cutoffLat : -cutoffLat,
+      extent: [-radius, -radius, radius, radius],
+      maxResolution: (maxResolution != null) ? maxResolution : ((2 * radius) / 256)  // whole extent in one tile
+    };
+  }
+};
+
+
+/*
+ * Returns the latitude where the given polar projection ends for the current target
+ * (negative for the south pole). Cylindrical has no cutoff and returns null.
+ *
+ * Parameter: projection - map projection string (e.g. 'north-polar stereographic')
+ * Returns: the cutoff latitude in degrees
+ */
+AstroMap.prototype.getPolarCutoffLat = function(projection) {
+  var settings = this.polarSettings[projection];
+  return (settings) ? settings.cutoffLat : null;
+};
+
+
+/*
+ * Returns the OL projection used for the given map projection string, for the radii of
+ * the current target (see AstroProjections.js).
+ *
+ * Parameters: projection - map projection string (e.g. 'cylindrical')
+ * Returns: the OL projection object
+ */
+AstroMap.prototype.getOLProjection = function(projection) {
+  var bounds = null;
+  var polar = this.polarSettings[projection];
+  if (polar) {
+    bounds = {
+      extent: polar.extent,
+      worldExtent: (polar.cutoffLat > 0) ? [0, polar.cutoffLat, 360, 90] : [0, -90, 360, polar.cutoffLat]
+    };
+  }
+  return AstroProjections.getOLProjection(projection, this.getRadii(), this.getProjectionOptions(projection), bounds);
+};
+
+
+/*
+ * Returns the radii of the current target in km.
+ *
+ * Parameters: none
+ * Returns: {a, b, c}
+ */
+AstroMap.prototype.getRadii = function() {
+  return {a: this.aAxisRadius, b: this.bAxisRadius, c: this.cAxisRadius};
+};
+
+
+/*
+ * Returns the options (e.g. the center of an orthographic map) for a projection: its
+ * defaults overridden by mapSettings.projectionOptions and switchProjection().
+ *
+ * Parameter: projection - map projection string (e.g. 'orthographic')
+ * Returns: hash of options
+ */
+AstroMap.prototype.getProjectionOptions = function(projection) {
+  return AstroProjections.getOptions(projection, this.projectionOptions[projection]);
+};
+
+
+/*
+ * Returns the default center of the map (defaultCenterLat/Lon) in the current projection.
+ * If the projection can't show it, the center of the projection is used instead (the pole
+ * for the polar projections).
+ *
+ * Parameters: none
+ * Returns: [x, y] center
+ */
+AstroMap.prototype.getDefaultCenter = function() {
+  var lonLat = [this.defaultCenterLon, this.defaultCenterLat];
+  if (!this.isVisibleInProjection(lonLat, this.projection)) {
+    return [0, 0];
+  }
+  return ol.proj.transform(lonLat, 'EPSG:4326', this.currentProj);
+};
+
+
+/*
+ * Returns the zoom range of views in the current projection, from the native resolutions
+ * of the primary base layer (see loadLayers()). Deep zoom adds 2 levels past the finest
+ * native resolution. Without a native layer, zoom level 0 shows the whole projection
+ * extent in 256 pixels.
+ *
+ * Parameters: none
+ * Returns: {maxResolution, minZoom, maxZoom}
+ */
+AstroMap.prototype.getZoomRange = function() {
+  var maxResolution = (this.nativeZoom) ? this.nativeZoom.maxResolution : null;
+  var numZoomLevels = (this.nativeZoom) ? this.nativeZoom.numZoomLevels : 11;
+  if (!maxResolution) {
+    maxResolution = ol.extent.getWidth(this.currentProj.getExtent()) / 256;
+  }
+  var extraZoom = (this.deepZoom) ? 2 : 0;
+  return {
+    maxResolution: maxResolution,
+    minZoom: this.minZoomLevel,
+    maxZoom: Math.max(this.minZoomLevel, numZoomLevels - 1 + extraZoom)
+  };
+};
+
+
+/*
+ * Creates a view for the current projection (see getZoomRange()).
+ *
+ * Parameters: center - [x, y] center in the current projection
+ *             zoom   - zoom level, kept within the zoom range. Default: defaultZoomLevel
+ * Returns: the OL view
+ */
+AstroMap.prototype.createView = function(center, zoom) {
+  var zoomRange = this.getZoomRange();
+  if (zoom == null) {
+    zoom = this.defaultZoomLevel;
+  }
+  return new ol.View({
+     zoom: Math.min(Math.max(zoom, zoomRange.minZoom), zoomRange.maxZoom),
+     center: center,
+     projection: this.currentProj,
+     maxResolution: zoomRange.maxResolution,
+     minZoom: zoomRange.minZoom,
+     maxZoom: zoomRange.maxZoom
+  });
+};
+
+/*
+ * Shows a footprint image, replacing the one shown before (see AstroImageOverlays.js to
+ * manage several images).
+ *
+ * Parameters: url    - the image url
+ *             extent - [west, south, east, north] the image covers, in the map's coordinate conventions
+ * Returns: the image id
+ */
+AstroMap.prototype.loadImage = function(url, extent) {
+  return this.imageOverlays.add({id: 'footprint', title: 'Footprint', url: url, extent: extent});
+};
+
+
+/*
+ * Sets the opacity of all the footprint images.
+ *
+ * Parameter: val - opacity, 0 to 1
+ * Returns: nothing
+ */
+AstroMap.prototype.setImageOpacity = function(val) {
+  this.imageOverlays.group.setOpacity(Number(val));
+};
+
+
+/*
+ * Loads the map layers for the given target and projection and adds them to the map.
+ * The layers are read from the target catalog (this.targetCatalog). Projections that
+ * don't need layers of their own (see AstroProjections.js) show the cylindrical layers,
+ * reprojected by OL, when the catalog has none for them.
+ *
+ * Parameters: target           - lowercased target string (e.g. 'mars')
+ *             mapProjection    - map projection string (e.g. 'cylindrical')
+ *             showNomenclature - boolean for whether or not to include nomenclature layers
+ *             datelineWrap     - boolean for whether or not the layer should wrap at the dateline
+ * Returns: true if layer(s) were loaded, false if none were loaded
+ */
+AstroMap.prototype.loadLayers = function(target, mapProjection, showNomenclature, datelineWrap) {
+  var loadSuccess = false;
+  this.hasNorthPolar = false;
+  this.hasSouthPolar = false;
+  this.nativeProjections = {};
+  this.nativeZoom = null;
+  this.nomenWFSURL = null;
+  var wfsEntry = null;
+  var baseLayers = [];
+  var overLayers = [];
+
+  // find the correct target first, and then load the appropriate layers
+  var currentTarget = this.targetCatalog.getTarget(target);
+  if (currentTarget == null) {
+    this.reportError("Target catalog (" + this.targetCatalog.source + "): no target named '" + target + "'");
+  } else {
+      this.aAxisRadius = currentTarget['aaxisradius'];
+      this.bAxisRadius = currentTarget['baxisradius'];
+      this.cAxisRadius = currentTarget['caxisradius'];
+
+      var jsonLayers = currentTarget['webmap'];
+      for (var j = 0, innerLen = jsonLayers.length; j < innerLen; j++) {
+        if (jsonLayers[j]['type'] != 'WFS') {
+          this.nativeProjections[jsonLayers[j]['projection']] = true;
+        }
+      }
+      this.hasNorthPolar = (this.nativeProjections['north-polar stereographic'] == true);
+      this.hasSouthPolar = (this.nativeProjections['south-polar stereographic'] == true);
+      var layerProjection = mapProjection;
+      if (!this.nativeProjections[mapProjection] && !AstroProjections.get(mapProjection).requiresLayers) {
+        layerProjection = 'cylindrical';
+      }
+
+      for (j = 0; j < innerLen; j++) {
+        var currentLayer = jsonLayers[j];
+        if (currentLayer['type'] == 'WFS') {
+          this.nomenWFSURL = currentLayer['url'];
+          wfsEntry = currentLayer;
+          continue;
+        }
+
+        // if the layer matches, add it to the map
+        if (currentLayer['projection'] == layerProjection) {
+          var wrapCheck = datelineWrap;
+          var computedMaxResolution = (360 / 256);
+          var computedNumZoomLevels = 11;
+          var extent = [currentLayer['bounds']['left'],currentLayer['bounds']['bottom'],currentLayer['bounds']['right'],currentLayer['bounds']['top']];
+
+          if (currentLayer['units'] =='m') {
+            wrapCheck = false;
+            computedMaxResolution = (this.polarSettings[mapProjection]) ? this.polarSettings[mapProjection].maxResolution : 20000;
+            computedNumZoomLevels = 8;
+          }
+          if (currentLayer['maxResolution'] != null) {
+            computedMaxResolution = currentLayer['maxResolution'];
+          }
+          if (layerProjection != mapProjection) {
+            // the resolution is in the units of the layer, not of the map
+            computedMaxResolution = undefined;
+          }
+          if (currentLayer['maxZoom'] != null) {
+            computedNumZoomLevels = Number(currentLayer['maxZoom']) + 1;
+          }
+          var baseLayerCheck = (currentLayer['transparent'] == 'false') ? true : false;
+
+          // the view zooms over the native resolutions of the primary base layer (see getZoomRange())
+          if (baseLayerCheck && ((this.nativeZoom == null) || (currentLayer['primary'] == 'true'))) {
+            this.nativeZoom = {maxResolution: computedMaxResolution, numZoomLevels: computedNumZoomLevels};
+          }
+          var visibilityCheck =((currentLayer['layer'] == 'NOMENCLATURE') && (showNomenclature)) ? true : false;
+          var singleTileCheck  = (currentLayer['layer'] == 'NOMENCLATURE') ? true : false;
+
+          // static images get an image layer, everything else is tiled. The citation, notes,
+          // bounds and legend are shown in the layer switcher's info panel.
+          var layerOptions = {
+            title: currentLayer['displayname'],
+            citation: currentLayer['citation'] || '',
+            notes: currentLayer['notes'] || '',
+            bounds: extent,
+            units: currentLayer['units'],
+            legendUrl: currentLayer['legendUrl'],
+            maxResolution: computedMaxResolution,
+            queryable: (currentLayer['type'] == 'WMS') && (currentLayer['queryable'] != 'false'),
+            infoFormat: currentLayer['infoFormat'],
+            dimensions: currentLayer['dimensions']
+          };
+          if (baseLayerCheck) {
+            layerOptions.type = 'base';
+            layerOptions.visible = (currentLayer['primary'] == 'true');
+          } else {
+            layerOptions.visible = false;
+            layerOptions.enableOpacitySliders = true;
+          }
+          var newLayer = (currentLayer['type'] == 'IMAGE') ? new ol.layer.Image(layerOptions) : new ol.layer.Tile(layerOptions);
+          var newSource = this.createLayerSource(currentLayer, newLayer, baseLayerCheck, wrapCheck);
+          if (newSource) {
+            newLayer.setSource(newSource);
+          }
+          if (baseLayerCheck) {
+            baseLayers.push(newLayer);
+          } else {
+            overLayers.push(newLayer);
+          }
+        } // if projection matches
+      } // for each layer
+  } // if target found
+
+  // layers added from other WMS services (see addUserLayers())
+  for (var k = 0; k < this.userLayers.length; k++) {
+    if (this.userLayers[k].target != target.toLowerCase()) {
+      continue;
+    }
+    var userLayer = this.createUserLayer(this.userLayers[k], mapProjection, datelineWrap);
+    if (userLayer == null) {
+      continue;
+    }
+    if (userLayer.get('type') == 'base') {
+      baseLayers.push(userLayer);
+    } else {
+      overLayers.push(userLayer);
+    }
+  }
+
+  //add nomen WFS (uses the current target's catalog entry, if it has one)
+  if (this.nomenclature == null) {
+    this.nomenclature = new AstroNomenclature(this, this.mapSettings);
+  }
+  var targetName = (currentTarget) ? currentTarget['name'] : target;
+  overLayers.push(this.nomenclature.createLayer(targetName, wfsEntry, showNomenclature));
+  this.nomenWFSURL = this.nomenclature.url;
+
+  var group1 = new ol.layer.Group({'title': 'Base maps', layers: baseLayers});
+  this.baseLayerGroup = group1;
+  if (overLayers.length > 0) {
+    var group2 = new ol.layer.Group({'title': 'Overlays', layers: overLayers});
+    this.overLayerGroup = group2;
+    return [group1, group2];
+  } else {
+    return [group1];
+  }
+
+};
+
+/*
+ * Creates the OL source for a catalog layer entry. Supported layer types:
+ *   WMS   - tiled WMS (url, layer, and optionally map)
+ *   WMTS  - WMTS driven by the service's GetCapabilities document (url, layer, and optionally
+ *           matrixSet, format, style, capabilitiesUrl). The capabilities are requested asynchronously,
+ *           so the source is set on the layer once they arrive and null is returned.
+ *   XYZ   - tile url template containing {z}, {x} and {y} (url, and optionally maxZoom, tileSize)
+ *   TMS   - same as XYZ, with the tile rows counted from the bottom of the bounds
+ *   IMAGE - a single image covering the layer bounds (url)
+ *
+ * XYZ/TMS tile pyramids start with the bounds split into square tiles along the shorter side
+ * (2x1 tiles for a global cylindrical layer, 1 tile for a polar layer).
+ *
+ * Layers with dimensions (see AstroTargetCatalog.js) are requested at the value chosen with
+ * setDimension(), or at their default.
+ *
+ * Layers in another projection than the map's are reprojected by OL. The layer's citation
+ * is the source's attribution, shown by the attribution control (see AstroControls.js).
+ * WMS layers without a legendUrl in the catalog get a GetLegendGraphic url.
+ *
+ * Parameters: currentLayer - the catalog layer entry
+ *             layer        - the OL layer the source is for
+ *             isBaseLayer  - boolean indicating whether or not the layer is a base layer
+ *             wrapX        - boolean indicating whether or not the source should wrap at the dateline
+ * Returns: the OL source, or null if it is set on the layer later
+ */
+AstroMap.prototype.createLayerSource = function(currentLayer, layer, isBaseLayer, wrapX) {
+  var extent = [currentLayer['bounds']['left'], currentLayer['bounds']['bottom'],
+                currentLayer['bounds']['right'], currentLayer['bounds']['top']];
+  var source = null;
+  var projection = (currentLayer['projection'] == this.projection) ? this.currentProj : this.getOLProjection(currentLayer['projection']);
+  var attributions = (currentLayer['citation']) ? currentLayer['citation'] : undefined;
+  var this_ = this;
+
+  switch(currentLayer['type']) {
+    case 'WMS':
+      var params = {'LAYERS': currentLayer['layer']};
+      if (!isBaseLayer) {
+        params['TILED'] = true;
+      }
+      var dimensions = currentLayer['dimensions'] || {};
+      for (var name in dimensions) {
+        params[this.getDimensionParam(name)] = this.getDimensionValue(name, dimensions[name]);
+      }
+      var wmsUrl = currentLayer['url'];
+      if (currentLayer['map']) {
+        wmsUrl += ((wmsUrl.indexOf('?') == -1) ? '?' : '&') + 'map=' + currentLayer['map'];
+      }
+      if (!layer.get('legendUrl')) {
+        layer.set('legendUrl', wmsUrl + ((wmsUrl.indexOf('?') == -1) ? '?' : '&') +
+                  'SERVICE=WMS&VERSION=1.1.1&REQUEST=GetLegendGraphic&FORMAT=image/png' +
+                  '&LAYER=' + encodeURIComponent(currentLayer['layer']));
+      }
+      source = new ol.source.TileWMS({
+        url: wmsUrl,
+        attributions: attributions,
+        params: params,
+        serverType: (isBaseLayer) ? 'mapserver' : undefined,
+        projection: AstroProjections.getWMSProjection(currentLayer['projection'], projection),
+        crossOrigin: 'anonymous',
+        wrapX: wrapX
+      });
+      if (this.tileCache) {
+        var layerName = (currentLayer['map']) ? currentLayer['map'] + ':' + currentLayer['layer'] : currentLayer['layer'];
+        this.tileCache.wrapSource(source, this.tileCache.getCacheKey(this.target, currentLayer['projection'], layerName));
+      }
+      break;
+    case 'WMTS':
+      var capabilitiesUrl = currentLayer['capabilitiesUrl'];
+      if (!capabilitiesUrl) {
+        capabilitiesUrl = currentLayer['url'] + ((currentLayer['url'].indexOf('?') == -1) ? '?' : '&') +
+          'SERVICE=WMTS&REQUEST=GetCapabilities';
+      }
+      var request = new XMLHttpRequest();
+      var fail = function(message) {
+        this_.reportError('WMTS capabilities for ' + currentLayer['displayname'] + ' ' + message);
+      };
+      request.open('GET', capabilitiesUrl, true);
+      request.onload = function() {
+        if (request.status != 200) {
+          fail('failed with status ' + request.status);
+          return;
+        }
+        var config = {layer: currentLayer['layer'], projection: ol.proj.get(projection)};
+        if (currentLayer['format']) {
+          config.format = currentLayer['format'];
+        }
+        if (currentLayer['style']) {
+          config.style = currentLayer['style'];
+        }
+        var options = null;
+        try {
+          var capabilities = new ol.format.WMTSCapabilities().read(request.responseText);
+
+          // only offer the requested tile matrix set
+          if (currentLayer['matrixSet']) {
+            var capLayers = capabilities['Contents']['Layer'];
+            for (var i = 0; i < capLayers.length; i++) {
+              if (capLayers[i]['Identifier'] == currentLayer['layer']) {
+                capLayers[i]['TileMatrixSetLink'] = capLayers[i]['TileMatrixSetLink'].filter(function(link) {
+                  return (link['TileMatrixSet'] == currentLayer['matrixSet']);
+                });
+              }
+            }
+          }
+          options = ol.source.WMTS.optionsFromCapabilities(capabilities, config);
+        } catch (e) {
+          fail('could not be read: ' + e.message);
+          return;
+        }
+        if (!options) {
+          fail("have no layer '" + currentLayer['layer'] + "'");
+          return;
+        }
+        options.crossOrigin = 'anonymous';
+        options.wrapX = wrapX;
+        options.attributions = attributions;
+        if (currentLayer['dimensions']) {
+          options.dimensions = options.dimensions || {};
+          for (var dimensionName in currentLayer['dimensions']) {
+            options.dimensions[dimensionName] = this_.getDimensionValue(dimensionName, currentLayer['dimensions'][dimensionName]);
+          }
+        }
+        layer.setSource(new ol.source.WMTS(options));
+      };
+      request.onerror = function() {
+        fail('could not be loaded');
+      };
+      request.send();
+      break;
+    case 'XYZ':
+    case 'TMS':
+      var tileSize = (currentLayer['tileSize']) ? Number(currentLayer['tileSize']) : 256;
+      var maxZoom = (currentLayer['maxZoom'] != null) ? Number(currentLayer['maxZoom']) : 10;
+      var resolutions = [];
+      var maxResolution = Math.min(ol.extent.getWidth(extent), ol.extent.getHeight(extent)) / tileSize;
+      for (var z = 0; z <= maxZoom; z++) {
+        resolutions.push(maxResolution / Math.pow(2, z));
+      }
+      var tileGrid = new ol.tilegrid.TileGrid({
+        extent: extent,
+        origin: ol.extent.getTopLeft(extent),
+        resolutions: resolutions,
+        tileSize: tileSize
+      });
+      var url = currentLayer['url'];
+      if (currentLayer['type'] == 'TMS') {
+        url = url.replace(/\{y\}/g, '{-y}');
+      }
+      source = new ol.source.XYZ({
+        url: url,
+        attributions: attributions,
+        projection: projection,
+        tileGrid: tileGrid,
+        crossOrigin: 'anonymous',
+        wrapX: wrapX
+      });
+      break;
+    case 'IMAGE':
+      source = new ol.source.ImageStatic({
+        url: currentLayer['url'],
+        attributions: attributions,
+        projection: projection,
+        imageExtent: extent,
+        crossOrigin: 'anonymous'
+      });
+      break;
+  }
+  return source;
+};
+
+/*
+ * Adds layers from a WMS service that isn't in the target catalog (see AstroWMSLoader.js).
+ * The layers are kept with the current target and loaded again with the catalog layers
+ * whenever the layers are reloaded, so they survive projection switches (in the layer
+ * switcher they come after the catalog layers). The new layers are made visible; a new
+ * base layer replaces the visible one.
+ *
+ * Parameters: entries - array of catalog style layer entries (see AstroTargetCatalog.js) with
+ *                       type 'WMS', and also
+ *                         crs       - the CRS codes the service offers the layer in
+ *                         crsBounds - hash of the layer bounds ({left, bottom, right, top}) by CRS
+ *                                     code. A CRS without bounds covers the whole projection
+ *                       Entries with transparent: 'false' are base layers, the others overlays.
+ * Returns: nothing
+ */
+AstroMap.prototype.addUserLayers = function(entries) {
+  var layerStates = this.getLayerStates();
+  for (var i = 0; i < entries.length; i++) {
+    var entry = entries[i];
+    entry.target = this.target;
+    this.removeUserLayer(entry['displayname'], true);
+    this.userLayers.push(entry);
+    if (entry['transparent'] == 'false') {
+      layerStates.base = entry['displayname'];
+    } else {
+      layerStates.overlays[entry['displayname']] = {visible: true, opacity: 1};
+    }
+  }
+  this.reloadLayers();
+  this.setLayerStates(layerStates);
+  this.watchLayers();
+  if (this.controls) {
+    this.controls.updateLayers();
+  }
+};
+
+/*
+ * Removes a layer added by addUserLayers().
+ *
+ * Parameters: title  - the layer title (the entry's displayname)
+ *             noLoad - boolean, if true the map layers are left alone (used when
+ *                      the caller reloads them itself). Optional
+ * Returns: boolean indicating whether or not there was such a layer
+ */
+AstroMap.prototype.removeUserLayer = function(title, noLoad) {
+  var found = false;
+  for (var i = this.userLayers.length - 1; i >= 0; i--) {
+    if ((this.userLayers[i].target == this.target) && (this.userLayers[i]['displayname'] == title)) {
+      this.userLayers.splice(i, 1);
+      found = true;
+    }
+  }
+  if (found && !noLoad) {
+    var layerStates = this.getLayerStates();
+    this.reloadLayers();
+    this.setLayerStates(layerStates);
+    this.watchLayers();
+    if (this.controls) {
+      this.controls.updateLayers();
+    }
+  }
+  return found;
+};
+
+/*
+ * Returns the projection a layer from another WMS service is loaded in for a map
+ * projection: the map projection itself when the service offers its CRS (its wmsCode
+ * or code, see AstroProjections.js), otherwise cylindrical (EPSG:4326) reprojected
+ * by OL.
+ *
+ * Parameters: crs           - the CRS codes the service offers the layer in
+ *             mapProjection - the map projection string
+ * Returns: the projection string, or null if the layer can't be shown
+ */
+AstroMap.prototype.getUserLayerProjection = function(crs, mapProjection) {
+  var definition = AstroProjections.get(mapProjection);
+  if (definition == null) {
+    return null;
+  }
+  var code = definition.wmsCode || definition.code;
+  if (code && (crs.indexOf(code) != -1)) {
+    return mapProjection;
+  }
+  if (crs.indexOf('EPSG:4326') != -1) {
+    return 'cylindrical';
+  }
+  return null;
+};
+
+/*
+ * Creates the OL layer for a layer added by addUserLayers(), in the given map projection.
+ *
+ * Parameters: entry         - the layer entry
+ *             mapProjection - the map projection string
+ *             datelineWrap  - boolean indicating whether or not to wrap the layer at the dateline
+ * Returns: the OL layer, or null if the service doesn't offer the layer in a usable projection
+ */
+AstroMap.prototype.createUserLayer = function(entry, mapProjection, datelineWrap) {
+  var projection = this.getUserLayerProjection(entry['crs'], mapProjection);
+  if (projection == null) {
+    return null;
+  }
+  var definition = AstroProjections.get(projection);
+  var bounds = (entry['crsBounds']) ? entry['crsBounds'][definition.wmsCode || definition.code] : null;
+  var units = (this.getOLProjection(projection).getUnits() == 'degrees') ? 'dd' : 'm';
+  if (!bounds && (units == 'dd')) {
+    bounds = {left: 0, bottom: -90, right: 360, top: 90};
+  } else if (!bounds) {
+    var projectionExtent = this.getOLProjection(projection).getExtent();
+    bounds = {left: projectionExtent[0], bottom: projectionExtent[1], right: projectionExtent[2], top: projectionExtent[3]};
+  }
+
+  // the catalog entry for this projection
+  var currentLayer = {};
+  for (var key in entry) {
+    currentLayer[key] = entry[key];
+  }
+  currentLayer['projection'] = projection;
+  currentLayer['bounds'] = bounds;
+  currentLayer['units'] = units;
+
+  var isBaseLayer = (entry['transparent'] == 'false');
+  var layerOptions = {
+    title: entry['displayname'],
+    citation: entry['citation'] || '',
+    notes: entry['notes'] || '',
+    bounds: [bounds.left, bounds.bottom, bounds.right, bounds.top],
+    units: currentLayer['units'],
+    legendUrl: entry['legendUrl'],
+    queryable: (entry['queryable'] != 'false'),
+    infoFormat: entry['infoFormat'],
+    dimensions: entry['dimensions'],
+    userLayer: true,
+    enableOpacitySliders: true,
+    visible: false
+  };
+  if (isBaseLayer) {
+    layerOptions.type = 'base';
+  }
+  var layer = new ol.layer.Tile(layerOptions);
+  var wrapX = datelineWrap && (currentLayer['units'] != 'm');
+  layer.setSource(this.createLayerSource(currentLayer, layer, isBaseLayer, wrapX));
+  return layer;
+};
+
+/*
+ * Returns the WMS request parameter for a dimension: TIME and ELEVATION go by their
+ * name, the others get the 'DIM_' prefix.
+ *
+ * Parameters: name - the dimension name (upper case)
+ * Returns: the parameter name
+ */
+AstroMap.prototype.getDimensionParam = function(name) {
+  return ((name == 'TIME') || (name == 'ELEVATION')) ? name : 'DIM_' + name;
+};
+
+/*
+ * Returns the value a layer is requested at for one of its dimensions: the value chosen
+ * with setDimension() if the layer has it, otherwise the layer's default.
+ *
+ * Parameters: name      - the dimension name
+ *             dimension - the layer's dimension entry (values, default)
+ * Returns: the value string
+ */
+AstroMap.prototype.getDimensionValue = function(name, dimension) {
+  var value = this.dimensionValues[name];
+  if ((value != null) && (dimension['values'].indexOf(value) != -1)) {
+    return value;
+  }
+  return dimension['default'];
+};
+
+/*
+ * Returns the dimensions of the map's layers, with the values of all the layers that
+ * have each (sorted), the current value and the layers.
+ *
+ * Parameters: none
+ * Returns: hash of {values, value, layers} by dimension name
+ */
+AstroMap.prototype.getDimensions = function() {
+  var that = this;
+  var result = {};
+  var collect = function(layer) {
+    if (layer.getLayers) {
+      layer.getLayers().forEach(collect);
+      return;
+    }
+    var dimensions = layer.get('dimensions');
+    for (var name in dimensions) {
+      if (!result[name]) {
+        result[name] = {values: [], value: null, layers: []};
+      }
+      var dimension = result[name];
+      dimension.layers.push(layer);
+      var values = dimensions[name]['values'];
+      for (var i = 0; i < values.length; i++) {
+        if (dimension.values.indexOf(values[i]) == -1) {
+          dimension.values.push(values[i]);
+        }
+      }
+      if (dimension.value == null) {
+        dimension.value = that.getDimensionValue(name, dimensions[name]);
+      }
+    }
+  };
+  this.map.getLayers().forEach(collect);
+
+  for (var name in result) {
+    var values = result[name].values;
+    var numeric = values.every(function(value) {
+      return !isNaN(Number(value));
+    });
+    values.sort(function(a, b) {
+      if (numeric) {
+        return Number(a) - Number(b);
+      }
+      return (a < b) ? -1 : ((a > b) ? 1 : 0);
+    });
+    if (this.dimensionValues[name] != null) {
+      result[name].value = this.dimensionValues[name];
+    }
+  }
+  return result;
+};
+
+/*
+ * Sets a dimension (e.g. TIME) on all the layers that have it. Layers that don't have
+ * the value stay at their default. The value is kept for layers loaded later (projection
+ * and target switches). Fires a 'dimensionchange' event, and a 'timechange' event for TIME.
+ *
+ * Parameters: name  - the dimension name (e.g. 'TIME', 'ELEVATION')
+ *             value - the value (e.g. '2004-06-01')
+ * Returns: nothing
+ */
+AstroMap.prototype.setDimension = function(name, value) {
+  var that = this;
+  name = name.toUpperCase();
+  value = String(value);
+  this.dimensionValues[name] = value;
+
+  var layers = [];
+  var update = function(layer) {
+    if (layer.getLayers) {
+      layer.getLayers().forEach(update);
+      return;
+    }
+    var dimensions = layer.get('dimensions');
+    if (!dimensions || !dimensions[name]) {
+      return;
+    }
+    layers.push(layer);
+    var source = layer.getSource();
+    var layerValue = that.getDimensionValue(name, dimensions[name]);
+    if (source && source.updateParams) {
+      var params = {};
+      params[that.getDimensionParam(name)] = layerValue;
+      source.updateParams(params);
+    } else if (source && source.updateDimensions) {
+      var wmtsDimensions = {};
+      wmtsDimensions[name] = layerValue;
+      source.updateDimensions(wmtsDimensions);
+    }
+  };
+  this.map.getLayers().forEach(update);
+
+  this.fire('dimensionchange', {name: name, value: value, layers: layers});
+  if (name == 'TIME') {
+    this.fire('timechange', {time: value, layers: layers});
+  }
+};
+
+/*
+ * Creates the fallback base layer group, used when no image layers are available
+ * for the current target and projection. The tiles are drawn locally (see
+ * AstroFallbackLayer.js), so the map works without any network.
+ *
+ * Parameters: none
+ * Returns: array holding the base layer group
+ */
+AstroMap.prototype.loadDummyLayer = function() {
+  if (this.fallbackLayer == null) {
+    this.fallbackLayer = new AstroFallbackLayer(this, this.mapSettings);
+  }
+  var baseLayers = [this.fallbackLayer.createLayer()];
+  var group1 = new ol.layer.Group({'title': 'Base map', layers: baseLayers});
+  return [group1];
+};
+
+/*
+ * Swaps the base/overlay layer groups on the map for freshly loaded ones for the
+ * current target and projection (or the dummy layer if there are none). The
+ * footprint image group is moved into the new overlay group.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroMap.prototype.reloadLayers = function() {
+  var mapLayers = this.map.getLayers();
+  for (var i = 0; i < this.mapsLoaded.length; i++) {
+    mapLayers.remove(this.mapsLoaded[i]);
+  }
+  this.mapsLoaded = this.loadLayers(this.target, this.projection, this.showNomenclature, this.datelineWrap);
+  if (this.mapsLoaded[0].getLayers().getLength() == 0) {
+    this.mapsLoaded = this.loadDummyLayer();
+  }
+  for (i = this.mapsLoaded.length - 1; i >= 0; i--) {
+    mapLayers.insertAt(0, this.mapsLoaded[i]);
+  }
+  if (this.overLayerGroup) {
+    this.overLayerGroup.getLayers().push(this.imageOverlays.group);
+  }
+};
+
+
+/*
+ * Switches the map to another target (body). The layers are reloaded for the new
+ * target, the polar projections are registered again with the new radii and the
+ * console and scale line are updated. The map is recentered at the default center.
+ *
+ * Parameters: targetName - the target name (e.g. 'Moon')
+ *             options    - hash of options, if null uses sensible defaults
+ *
+ * The following options may be set:
+ *   projection - projection to show the new target in. Falls back to 'cylindrical' if the target
+ *                doesn't have the layers it needs (an unknown one is reported and the current
+ *                projection used instead). Default: the current projection
+ *   vectors    - what to do with the stored vectors, bounding boxes and POIs: 'keep' (redraw them
+ *                on the new target), 'clear' (remove them and the console keys), or a callback
+ *                function(vectorDrawers, previousTarget, newTarget) that handles them itself.
+ *                Default: 'keep'
+ *
+ * Fires a 'targetchange' event (see on()), which also calls the targetSwitchTrigger callback.
+ *
+ * Returns: nothing
+ */
+AstroMap.prototype.switchTarget = function(targetName, options) {
+  var projection = this.projection;
+  var vectors = 'keep';
+  if (options) {
+    if (options.projection) {
+      projection = options.projection;
+    }
+    if (options.vectors) {
+      vectors = options.vectors;
+    }
+  }
+
+  var newTarget = this.targetCatalog.getTarget(targetName);
+  if (newTarget == null) {
+    this.reportError("Target catalog (" + this.targetCatalog.source + "): no target named '" + targetName + "'");
+    return;
+  }
+  if (AstroProjections.get(projection) == null) {
+    this.reportError("Unknown projection '" + projection + "', keeping '" + this.projection + "'");
+    projection = this.projection;
+  }
+  var hasProjection = !AstroProjections.get(projection).requiresLayers;
+  for (var i = 0; i < newTarget.webmap.length; i++) {
+    if (newTarget.webmap[i].projection == projection) {
+      hasProjection = true;
+    }
+  }
+  if (!hasProjection) {
+    projection = 'cylindrical';
+  }
+
+  var previousTarget = this.target;
+  this.target = targetName.toLowerCase();
+  this.projection = projection;
+  if (this.mapSettings) {
+    this.mapSettings.target = targetName;
+    this.mapSettings.projection = projection;
+  }
+
+  // the polar transforms need the radii of the new target
+  this.aAxisRadius = newTarget['aaxisradius'];
+  this.bAxisRadius = newTarget['baxisradius'];
+  this.cAxisRadius = newTarget['caxisradius'];
+  this.registerProjections();
+  this.currentProj = this.getOLProjection(this.projection);
+
+  // footprint images belong to the old target
+  this.imageOverlays.removeAll();
+  this.reloadLayers();
+  this.watchLayers();
+
+  this.map.setView(this.createView(this.getDefaultCenter()));
+  this.homeLonLat = null;
+
+  if (this.nomenclature) {
+    this.nomenclature.hidePopup();
+  }
+  if (this.console) {
+    this.console.setTarget(newTarget.name);
+    this.console.toggleProjection(this.projection);
+  }
+
+  // stored vectors
+  if (vectors == 'clear') {
+    for (i = 0; i < this.vectorDrawers.length; i++) {
+      this.vectorDrawers[i].removeAndUnstoreAll();
+    }
+    if (this.console) {
+      this.console.removeAllKeys();
+    }
+  } else if (typeof vectors == 'function') {
+    vectors(this.vectorDrawers, previousTarget, this.target);
+  } else {
+    for (i = 0; i < this.vectorDrawers.length; i++) {
+      this.vectorDrawers[i].redraw();
+    }
+  }
+
+  if (this.controls) {
+    this.controls.updateTarget();
+  }
+
+  this.fire('targetchange', {targetName: this.target, previousTargetName: previousTarget});
+};
+
+
+/*
+ * Switches the map to the given projection in place. The OL map, the controls and the
+ * vector layers are kept; only the view and the base/overlay layers are swapped out.
+ * The stored vectors, bounding boxes and POIs are redrawn in the new projection, the
+ * layers keep the visibility and opacity the user chose, and the current center (and
+ * scale) is carried over when it is still visible in the new projection.
+ *
+ * Parameters: newProjection - map projection string (e.g. 'north-polar stereographic')
+ *             options       - hash of projection options (e.g. {centerLat: 30, centerLon: 200} for
+ *                             orthographic), kept for later switches. Optional
+ * Returns: false (after firing an 'error' event) if the projection is unknown or has no
+ *          layers for this target, nothing otherwise
+ */
+AstroMap.prototype.switchProjection = function(newProjection, options) {
+  var definition = AstroProjections.get(newProjection);
+  if (definition == null) {
+    this.reportError("Unknown projection '" + newProjection + "'. Known projections: " + AstroProjections.getNames().join(', '));
+    return false;
+  }
+  if (definition.requiresLayers && !this.nativeProjections[newProjection]) {
+    this.reportError(definition.title + ' image is NOT AVAILABLE');
+    return false;
+  }
+  if ((newProjection == this.projection) && !options) {
+    return;
+  }
+
+  // remember where we are and what the user turned on before swapping things out
+  var previousProjection = this.projection;
+  var oldView = this.map.getView();
+  var oldProj = this.currentProj;
+  var centerLonLat = ol.proj.transform(oldView.getCenter(), oldProj, 'EPSG:4326');
+  centerLonLat[0] = ((centerLonLat[0] % 360) + 360) % 360;
+  var homeLonLat = (this.homeLonLat) ? ol.proj.transform(this.homeLonLat, oldProj, 'EPSG:4326') : null;
+  var metersPerDegree = (Math.PI * this.aAxisRadius * 1000) / 180;
+  var metersPerPixel = oldView.getResolution() * ((oldProj.getUnits() == 'degrees') ? metersPerDegree : 1);
+  var layerStates = this.getLayerStates();
+
+  this.projection = newProjection;
+  if (this.mapSettings) {
+    this.mapSettings.projection = newProjection;
+  }
+  if (options) {
+    this.projectionOptions[newProjection] = this.getProjectionOptions(newProjection);
+    for (var key in options) {
+      this.projectionOptions[newProjection][key] = options[key];
+    }
+  }
+  this.currentProj = this.getOLProjection(newProjection);
+
+  this.reloadLayers();
+  this.setLayerStates(layerStates);
+  this.watchLayers();
+
+  // new view, keeping the center and scale if we can still see the old center
+  var view;
+  if (metersPerDegree && this.isVisibleInProjection(centerLonLat, newProjection)) {
+    view = this.createView(ol.proj.transform(centerLonLat, 'EPSG:4326', this.currentProj));
+    var resolution = metersPerPixel / ((this.currentProj.getUnits() == 'degrees') ? metersPerDegree : 1);
+    view.setResolution(view.constrainResolution(resolution));
+  } else {
+    view = this.createView(this.getDefaultCenter());
+  }
+  this.map.setView(view);
+  this.homeLonLat = null;
+  if (homeLonLat && this.isVisibleInProjection(homeLonLat, newProjection)) {
+    this.homeLonLat = ol.proj.transform(homeLonLat, 'EPSG:4326', this.currentProj);
+  }
+
+  // redraw the stored vectors, bounding boxes and POIs in the new projection
+  for (var i = 0; i < this.vectorDrawers.length; i++) {
+    this.vectorDrawers[i].redraw();
+  }
+
+  if (this.nomenclature) {
+    this.nomenclature.hidePopup();
+  }
+  if (this.console) {
+    this.console.toggleProjection(this.projection);
+  }
+  if (this.controls) {
+    this.controls.updateProjection();
+  }
+
+  this.fire('projectionchange', {projection: this.projection, previousProjection: previousProjection});
+};
+
+
+/*
+ * Returns the visible base layer and the visibility/opacity of each overlay, keyed by
+ * layer title, so that they can be restored after the layers are reloaded.
+ *
+ * Parameters: none
+ * Returns: object with a 'base' title and an 'overlays' hash of {visible, opacity}
+ */
+AstroMap.prototype.getLayerStates = function() {
+  var states = {base: null, overlays: {}};
+
+  if (this.baseLayerGroup) {
+    this.baseLayerGroup.getLayers().forEach(function(layer) {
+      if (layer.getVisible()) {
+        states.base = layer.get('title');
+      }
+    });
+  }
+  if (this.overLayerGroup) {
+    this.overLayerGroup.getLayers().forEach(function(layer) {
+      states.overlays[layer.get('title')] = {visible: layer.getVisible(), opacity: layer.getOpacity()};
+    });
+  }
+  return states;
+};
+
+
+/*
+ * Restores layer visibility/opacity saved by getLayerStates(). Layers are matched by
+ * title; layers that didn't exist before keep their defaults.
+ *
+ * Parameters: states - object returned by getLayerStates()
+ * Returns: nothing
+ */
+AstroMap.prototype.setLayerStates = function(states) {
+  var baseFound = false;
+
+  if (this.baseLayerGroup && states.base) {
+    this.baseLayerGroup.getLayers().forEach(function(layer) {
+      if (layer.get('title') == states.base) {
+        baseFound = true;
+      }
+    });
+    if (baseFound) {
+      this.baseLayerGroup.getLayers().forEach(function(layer) {
+        layer.setVisible(layer.get('title') == states.base);
+      });
+    }
+  }
+  if (this.overLayerGroup) {
+    this.overLayerGroup.getLayers().forEach(function(layer) {
+      var state = states.overlays[layer.get('title')];
+      if (state) {
+        layer.setVisible(state.visible);
+        layer.setOpacity(state.opacity);
+      }
+    });
+  }
+};
+
+
+/*
+ * Returns the state of the map, for permalinks (see setState() and the hashSync setting).
+ * Longitudes are 0 to 360 positive east and latitudes planetocentric, whatever the
+ * conventions shown to the user.
+ *
+ * Parameters: none
+ * Returns: hash with
+ *   target            - the target name
+ *   projection        - the projection string
+ *   projectionOptions - options of the projection (see switchProjection()), null if it has none
+ *   center            - [lon, lat] of the view center, null if the center isn't on the globe
+ *   zoom              - the zoom level
+ *   base              - title of the visible base layer (null if none)
+ *   overlays          - hash of the visible overlays' opacity, by layer title
+ *   graticule         - boolean, whether or not the graticule is shown
+ *   bbox              - WKT of the bounding box in lat/lon, null if there is none
+ *   longitudeDirection, longitudeDomain, latitudeType - the coordinate conventions (see
+ *                       getLongitudeConvention() and getLatitudeType())
+ */
+AstroMap.prototype.getState = function() {
+  var view = this.map.getView();
+  var center = ol.proj.transform(view.getCenter(), this.currentProj, 'EPSG:4326');
+  var layerStates = this.getLayerStates();
+  var convention = this.getLongitudeConvention();
+  var definition = AstroProjections.get(this.projection);
+
+  var overlays = {};
+  for (var title in layerStates.overlays) {
+    if (layerStates.overlays[title].visible) {
+      overlays[title] = layerStates.overlays[title].opacity;
+    }
+  }
+
+  var bbox = null;
+  if (this.boundingBoxDrawer) {
+    var stored = this.boundingBoxDrawer.storedVectors;
+    for (var i = 0; i < stored.length; i++) {
+      if (stored[i] != null) {
+        bbox = stored[i].searchWKT;
+      }
+    }
+  }
+
+  return {
+    target: this.target,
+    projection: this.projection,
+    projectionOptions: (Object.keys(definition.defaults).length > 0) ? this.getProjectionOptions(this.projection) : null,
+    center: (isFinite(center[0])) ? [AstroGeometry.transformLonTo0360(center[0]), center[1]] : null,
+    zoom: view.getZoom(),
+    base: layerStates.base,
+    overlays: overlays,
+    graticule: (this.controls) ? this.controls.isGraticuleVisible() : false,
+    bbox: bbox,
+    longitudeDirection: convention.direction,
+    longitudeDomain: convention.domain,
+    latitudeType: this.getLatitudeType()
+  };
+};
+
+/*
+ * Restores a map state returned by getState(). Switches target and projection first, so
+ * the center and zoom are those of the new projection. Properties missing from the state
+ * are left alone.
+ *
+ * Parameter: state - hash as returned by getState()
+ * Returns: nothing
+ */
+AstroMap.prototype.setState = function(state) {
+  if (!state) {
+    return;
+  }
+  this.applyingState = true;
+  // reset even if something below throws, or the hash would stop being written
+  try {
+    if (state.target && (state.target.toLowerCase() != this.target.toLowerCase())) {
+      this.switchTarget(state.target, {projection: state.projection});
+    }
+    if (state.projection && AstroProjections.get(state.projection)) {
+      var sameOptions = !state.projectionOptions ||
+        (JSON.stringify(AstroProjections.getOptions(state.projection, state.projectionOptions)) ==
+         JSON.stringify(this.getProjectionOptions(state.projection)));
+      if ((state.projection != this.projection) || !sameOptions) {
+        this.switchProjection(state.projection, (sameOptions) ? null : state.projectionOptions);
+      }
+    }
+
+    if ((state.base !== undefined) || state.overlays) {
+      var layerStates = this.getLayerStates();
+      if (state.base) {
+        layerStates.base = state.base;
+      }
+      if (state.overlays) {
+        for (var title in layerStates.overlays) {
+          var opacity = state.overlays[title];
+          layerStates.overlays[title].visible = (opacity != null);
+          if (opacity != null) {
+            layerStates.overlays[title].opacity = Number(opacity);
+          }
+        }
+      }
+      this.setLayerStates(layerStates);
+    }
+
+    if ((state.graticule != null) && this.controls) {
+      this.controls.setGraticuleVisible(state.graticule);
+    }
+
+    if (state.longitudeDirection || state.longitudeDomain || state.latitudeType) {
+      this.setCoordinateConventions(state.longitudeDirection, state.longitudeDomain, state.latitudeType);
+    }
+
+    // the box is drawn before the view is set, since drawing it zooms to it
+    if ((state.bbox !== undefined) && this.boundingBoxDrawer) {
+      if (state.bbox) {
+        this.boundingBoxDrawer.drawAndStore(state.bbox);
+      } else {
+        this.boundingBoxDrawer.removeAndUnstoreAll();
+      }
+    }
+
+    var view = this.map.getView();
+    if (state.center && this.isVisibleInProjection(state.center, this.projection)) {
+      view.setCenter(ol.proj.transform([Number(state.center[0]), Number(state.center[1])], 'EPSG:4326', this.currentProj));
+    }
+    if (state.zoom != null) {
+      view.setZoom(Number(state.zoom));
+    }
+  } finally {
+    this.applyingState = false;
+  }
+  if (this.hashSync) {
+    this.writeHash();
+  }
+};
+
+/*
+ * Returns the latitude type of the map state: the console's dropdown if there is one,
+ * otherwise the latitudeType setting.
+ *
+ * Parameters: none
+ * Returns: 'Planetocentric' or 'Planetographic'
+ */
+AstroMap.prototype.getLatitudeType = function() {
+  var latType = document.getElementById(this.getElementId('astroConsoleLatTypeSelect'));
+  if (latType) {
+    return latType.options[latType.selectedIndex].value;
+  }
+  return this.latitudeType;
+};
+
+/*
+ * Sets the coordinate conventions, on the console's dropdowns if there are any.
+ *
+ * Parameters: longitudeDirection - 'PositiveEast' or 'PositiveWest' (null to leave it alone)
+ *             longitudeDomain    - 360 or 180 (null to leave it alone)
+ *             latitudeType       - 'Planetocentric' or 'Planetographic' (null to leave it alone)
+ * Returns: nothing
+ */
+AstroMap.prototype.setCoordinateConventions = function(longitudeDirection, longitudeDomain, latitudeType) {
+  var selectOption = function(select, value) {
+    for (var i = 0; i < select.options.length; i++) {
+      if (select.options[i].value.indexOf(value) == 0) {
+        select.selectedIndex = i;
+      }
+    }
+  };
+  var settings = [
+    {value: longitudeDirection, field: 'longitudeDirection', select: 'astroConsoleLonDirSelect'},
+    {value: longitudeDomain, field: 'longitudeDomain', select: 'astroConsoleLonDomSelect'},
+    {value: latitudeType, field: 'latitudeType', select: 'astroConsoleLatTypeSelect'}
+  ];
+  for (var i = 0; i < settings.length; i++) {
+    if (settings[i].value == null) {
+      continue;
+    }
+    this[settings[i].field] = (settings[i].field == 'longitudeDomain') ? Number(settings[i].value) : settings[i].value;
+    var select = document.getElementById(this.getElementId(settings[i].select));
+    if (select) {
+      selectOption(select, String(settings[i].value));
+    }
+  }
+};
+
+// names of the URL hash parameters of a map state (see stateToHashParams())
+AstroMap.hashParams = ['target', 'projection', 'projectionOptions', 'center', 'zoom', 'base', 'overlays',
+                       'graticule', 'bbox', 'lon', 'lat'];
+
+/*
+ * Encodes a map state (see getState()) as URL hash parameters. The parameter names get the
+ * map's idPrefix, so several maps can share the hash.
+ *
+ * Parameter: state - hash as returned by getState()
+ * Returns: array of 'name=value' strings
+ */
+AstroMap.prototype.stateToHashParams = function(state) {
+  var params = [];
+  var that = this;
+  var add = function(name, value) {
+    params.push(that.getElementId(name) + '=' + value);
+  };
+  var encodeHash = function(hash) {
+    var pairs = [];
+    for (var key in hash) {
+      pairs.push(encodeURIComponent(key) + ':' + encodeURIComponent(hash[key]));
+    }
+    return pairs.join(';');
+  };
+
+  add('target', encodeURIComponent(state.target));
+  add('projection', encodeURIComponent(state.projection));
+  if (state.projectionOptions) {
+    add('projectionOptions', encodeHash(state.projectionOptions));
+  }
+  if (state.center) {
+    add('center', state.center[0].toFixed(4) + ',' + state.center[1].toFixed(4));
+  }
+  add('zoom', Math.round(state.zoom * 100) / 100);
+  if (state.base) {
+    add('base', encodeURIComponent(state.base));
+  }
+  add('overlays', encodeHash(state.overlays));
+  add('graticule', (state.graticule) ? 1 : 0);
+  if (state.bbox) {
+    add('bbox', encodeURIComponent(state.bbox));
+  }
+  add('lon', state.longitudeDirection + ',' + state.longitudeDomain);
+  add('lat', state.latitudeType);
+  return params;
+};
+
+/*
+ * Decodes this map's state from a URL hash (see stateToHashParams()).
+ *
+ * Parameter: hash - the URL hash, with or without the leading '#'
+ * Returns: the state (see setState()), or null if the hash has none for this map
+ */
+AstroMap.prototype.stateFromHash = function(hash) {
+  var params = {};
+  var found = false;
+  var pairs = hash.replace(/^#/, '').split('&');
+  for (var i = 0; i < pairs.length; i++) {
+    var split = pairs[i].indexOf('=');
+    if (split == -1) {
+      continue;
+    }
+    var name = pairs[i].substring(0, split);
+    if ((name.indexOf(this.idPrefix) != 0) || (AstroMap.hashParams.indexOf(name.substring(this.idPrefix.length)) == -1)) {
+      continue;
+    }
+    params[name.substring(this.idPrefix.length)] = pairs[i].substring(split + 1);
+    found = true;
+  }
+  if (!found || !params.target) {
+    return null;
+  }
+
+  // malformed escapes (e.g. a hand-edited link) are reported and left out
+  var that = this;
+  var decode = function(name, value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (e) {
+      that.reportError("URL hash: can't decode " + name + " '" + value + "'");
+      return null;
+    }
+  };
+  var decodeHash = function(name, value) {
+    var decoded = {};
+    var items = (value) ? value.split(';') : [];
+    for (var i = 0; i < items.length; i++) {
+      var split = items[i].indexOf(':');
+      if (split == -1) {
+        that.reportError("URL hash: can't decode " + name + " '" + items[i] + "'");
+        continue;
+      }
+      var key = decode(name, items[i].substring(0, split));
+      var keyValue = decode(name, items[i].substring(split + 1));
+      if ((key != null) && (keyValue != null)) {
+        decoded[key] = keyValue;
+      }
+    }
+    return decoded;
+  };
+
+  var target = decode('target', params.target);
+  if (target == null) {
+    return null;
+  }
+  var state = {
+    target: target,
+    projection: (params.projection) ? decode('projection', params.projection) : null,
+    overlays: decodeHash('overlays', params.overlays),
+    base: (params.base) ? decode('base', params.base) : null,
+    bbox: (params.bbox) ? decode('bbox', params.bbox) : null
+  };
+  if (params.projectionOptions) {
+    state.projectionOptions = decodeHash('projectionOptions', params.projectionOptions);
+    for (var key in state.projectionOptions) {
+      if (!isNaN(Number(state.projectionOptions[key]))) {
+        state.projectionOptions[key] = Number(state.projectionOptions[key]);
+      }
+    }
+  }
+  if (params.center) {
+    state.center = params.center.split(',').map(Number);
+  }
+  if (params.zoom) {
+    state.zoom = Number(params.zoom);
+  }
+  if (params.graticule) {
+    state.graticule = (params.graticule == '1');
+  }
+  if (params.lon) {
+    var lon = params.lon.split(',');
+    state.longitudeDirection = lon[0];
+    state.longitudeDomain = Number(lon[1]);
+  }
+  if (params.lat) {
+    state.latitudeType = params.lat;
+  }
+  return state;
+};
+
+/*
+ * Writes the map state to the URL hash, keeping the parameters of other maps.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroMap.prototype.writeHash = function() {
+  if (this.applyingState || !this.map) {
+    return;
+  }
+  var that = this;
+  var others = window.location.hash.replace(/^#/, '').split('&').filter(function(pair) {
+    var name = pair.split('=')[0];
+    return (pair != '') && (AstroMap.hashParams.indexOf(name.substring(that.idPrefix.length)) == -1 ||
+                            (name.indexOf(that.idPrefix) != 0));
+  });
+  var hash = '#' + others.concat(this.stateToHashParams(this.getState())).join('&');
+  if (hash == window.location.hash) {
+    return;
+  }
+  this.lastHash = hash;
+  if (window.history && window.history.replaceState) {
+    window.history.replaceState(null, '', hash);
+  } else {
+    window.location.hash = hash;
+  }
+};
+
+/*
+ * Restores the map state from the URL hash (if it has one for this map) and keeps the
+ * hash up to date from then on. Hash changes made by someone else (the back button, a
+ * pasted link) are applied to the map.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroMap.prototype.startHashSync = function() {
+  var that = this;
+  var applyHash = function() {
+    if (window.location.hash == that.lastHash) {
+      return;
+    }
+    that.lastHash = window.location.hash;
+    var state = that.stateFromHash(window.location.hash);
+    if (state) {
+      that.setState(state);
+    }
+  };
+  applyHash();
+
+  var write = function(e) {
+    that.writeHash();
+  };
+  var events = ['moveend', 'projectionchange', 'targetchange', 'layervisibilitychange', 'opacitychange', 'bboxchange'];
+  for (var i = 0; i < events.length; i++) {
+    this.on(events[i], write);
+  }
+  window.addEventListener('hashchange', applyHash);
+};
+
+
+/*
+ * Checks whether a lon/lat point can be seen in the given projection. The polar
+ * projections only cover their cap; the others decide for themselves (see
+ * AstroProjections.js), e.g. orthographic only shows one hemisphere.
+ *
+ * Parameters: lonLat     - [lon, lat] (EPSG:4326)
+ *             projection - map projection string (e.g. 'cylindrical')
+ * Returns: boolean
+ */
+AstroMap.prototype.isVisibleInProjection = function(lonLat, projection) {
+  var cutoffLat = this.getPolarCutoffLat(projection);
+  if (cutoffLat != null) {
+    return (cutoffLat > 0) ? (lonLat[1] >= cutoffLat) : (lonLat[1] <= cutoffLat);
+  }
+  return AstroProjections.isVisible(projection, lonLat, this.getRadii(), this.getProjectionOptions(projection));
+};
+
+
+/*
+ * Returns the projection string whose pole AstroGeometry should close rings around
+ * (see AstroGeometry.getRingArea()) for shapes drawn in the current view: the polar
+ * projection of the view's pole for the polar views and for azimuthal views centered
+ * off the equator, otherwise the projection's dateline rules (splitAs), which leave the
+ * choice to the ring.
+ *
+ * Parameters: none
+ * Returns: the projection string, or null
+ */
+AstroMap.prototype.getPoleProjection = function() {
+  var definition = AstroProjections.get(this.projection);
+  var pole = definition.pole;
+  if (!pole && !definition.splitAs) {
+    // orthographic, LAEA, ...: the pole nearer the view center
+    var centerLat = Number(this.getProjectionOptions(this.projection).centerLat);
+    if (centerLat > 0) {
+      pole = 'north';
+    } else if (centerLat < 0) {
+      pole = 'south';
+    }
+  }
+  return (pole) ? pole + '-polar stereographic' : definition.splitAs;
+};
+
+
+/*
+ * Pans to the homeLonLat and zooms to the specified level.
+ *
+ * Parameter: zoomLevel - the zoom level
+ * Returns: nothing
+ */
+AstroMap.prototype.zoom = function(zoomLevel) {
+  var view = this.map.getView();
+  if (this.homeLonLat) {
+    view.setCenter(this.homeLonLat);
+  }
+  view.setZoom(zoomLevel);
+};
+
+
+/*
+ * Converts a [lon, lat] in the given coordinate conventions to 0 to 360 positive east,
+ * planetocentric [lon, lat]. Longitudes may be in either domain.
+ *
+ * Parameters: lonLat             - [lon, lat]
+ *             longitudeDirection - 'PositiveEast' or 'PositiveWest'. Default: the map's (see getLongitudeConvention())
+ *             latitudeType       - 'Planetocentric' or 'Planetographic'. Default: the map's (see getLatitudeType())
+ * Returns: a new [lon, lat]
+ */
+AstroMap.prototype.fromCoordinateConvention = function(lonLat, longitudeDirection, latitudeType) {
+  var direction = longitudeDirection || this.getLongitudeConvention().direction;
+  var latType = latitudeType || this.getLatitudeType();
+  var point = [Number(lonLat[0]), Number(lonLat[1])];
+  if (direction == 'PositiveWest') {
+    point[0] = -point[0];
+  }
+  point[0] = AstroGeometry.transformLonTo0360(point[0]);
+  if (latType == 'Planetographic') {
+    point = AstroGeometry.transformOgraphicToOcentric(point, this.aAxisRadius, this.cAxisRadius);
+  }
+  return point;
+};
+
+
+/*
+ * Animates the view to a point given in planetary coordinates. In the cylindrical
+ * projection the view takes the short way around across the 0/360 seam.
+ *
+ * Parameter: options - hash with
+ *   lat, lon                 - the point to fly to. Required
+ *   zoom                     - zoom level to end at. Default: the current zoom
+ *   resolutionMetersPerPixel - scale to end at, instead of a zoom level
+ *   longitudeDirection       - direction of lon, 'PositiveEast' or 'PositiveWest'. Default: the map's
+ *   latitudeType             - type of lat, 'Planetocentric' or 'Planetographic'. Default: the map's
+ *   duration                 - length of the animation in milliseconds. Default: 1000
+ *   callback                 - function(complete) called when the animation ends. Default: none
+ * Returns: false if the point can't be seen in the current projection, true otherwise
+ */
+AstroMap.prototype.flyTo = function(options) {
+  var lonLat = this.fromCoordinateConvention([options.lon, options.lat], options.longitudeDirection, options.latitudeType);
+  if (!this.isVisibleInProjection(lonLat, this.projection)) {
+    this.reportError('AstroMap.flyTo: ' + lonLat[1] + ', ' + lonLat[0] + ' is not visible in the ' + this.projection + ' projection');
+    return false;
+  }
+
+  var view = this.map.getView();
+  var center = ol.proj.transform(lonLat, 'EPSG:4326', this.currentProj);
+  if (this.currentProj.getUnits() == 'degrees') {
+    center[0] = this.getNearestLongitude(center[0], view.getCenter()[0]);
+  }
+
+  var animation = {center: center, duration: (options.duration != null) ? options.duration : 1000};
+  if (options.resolutionMetersPerPixel != null) {
+    animation.resolution = view.constrainResolution(this.metersToViewUnits(options.resolutionMetersPerPixel));
+  } else if (options.zoom != null) {
+    animation.zoom = options.zoom;
+  }
+
+  var that = this;
+  view.animate(animation, function(complete) {
+    that.normalizeCenter();
+    if (options.callback) {
+      options.callback(complete);
+    }
+  });
+  return true;
+};
+
+
+/*
+ * Animates the view to fit a lat/lon box given in planetary coordinates. A box whose west
+ * edge is east of its east edge crosses the 0/360 seam.
+ *
+ * Parameters: bounds  - [west, south, east, north] or {left, bottom, right, top}, in the
+ *                       conventions given in options
+ *             options - hash with
+ *   longitudeDirection - direction of the longitudes, 'PositiveEast' or 'PositiveWest'. For
+ *                        positive west, west is the larger longitude. Default: the map's
+ *   latitudeType       - type of the latitudes, 'Planetocentric' or 'Planetographic'. Default: the map's
+ *   padding            - [top, right, bottom, left] padding in pixels. Default: [50, 50, 50, 50]
+ *   duration           - length of the animation in milliseconds. Default: 1000
+ *   callback           - function(complete) called when the animation ends. Default: none
+ * Returns: false if no part of the box can be seen in the current projection, true otherwise
+ */
+AstroMap.prototype.fitExtent = function(bounds, options) {
+  options = options || {};
+  if (!Array.isArray(bounds)) {
+    bounds = [bounds.left, bounds.bottom, bounds.right, bounds.top];
+  }
+  var southWest = this.fromCoordinateConvention([bounds[0], bounds[1]], options.longitudeDirection, options.latitudeType);
+  var northEast = this.fromCoordinateConvention([bounds[2], bounds[3]], options.longitudeDirection, options.latitudeType);
+  var west = southWest[0];
+  var east = northEast[0];
+  if (east <= west) {
+    east += 360;
+  }
+  var south = Math.min(southWest[1], northEast[1]);
+  var north = Math.max(southWest[1], northEast[1]);
+
+  // the outline of the box, projected, gives the extent in any projection
+  var extent = ol.extent.createEmpty();
+  var steps = 16;
+  for (var i = 0; i <= steps; i++) {
+    var lon = west + (east - west) * i / steps;
+    var lat = south + (north - south) * i / steps;
+    var outline = [[lon, south], [lon, north], [west, lat], [east, lat]];
+    for (var j = 0; j < outline.length; j++) {
+      var point = outline[j];
+      if (this.currentProj.getUnits() != 'degrees') {
+        point = ol.proj.transform([AstroGeometry.transformLonTo0360(point[0]), point[1]], 'EPSG:4326', this.currentProj);
+      }
+      if (isFinite(point[0]) && isFinite(point[1])) {
+        extent = [Math.min(extent[0], point[0]), Math.min(extent[1], point[1]),
+                  Math.max(extent[2], point[0]), Math.max(extent[3], point[1])];
+      }
+    }
+  }
+  if (ol.extent.isEmpty(extent)) {
+    this.reportError('AstroMap.fitExtent: the box is not visible in the ' + this.projection + ' projection');
+    return false;
+  }
+
+  var view = this.map.getView();
+  if (this.currentProj.getUnits() == 'degrees') {
+    var shift = this.getNearestLongitude(ol.extent.getCenter(extent)[0], view.getCenter()[0]) - ol.extent.getCenter(extent)[0];
+    extent = [extent[0] + shift, extent[1], extent[2] + shift, extent[3]];
+  }
+  var that = this;
+  view.fit(extent, {
+    size: this.map.getSize(),
+    padding: options.padding || [50, 50, 50, 50],
+    duration: (options.duration != null) ? options.duration : 1000,
+    callback: function(complete) {
+      that.normalizeCenter();
+      if (options.callback) {
+        options.callback(complete);
+      }
+    }
+  });
+  return true;
+};
+
+
+/*
+ * Returns the longitude equivalent to lon (give or take 360) that is closest to fromLon,
+ * so that animations take the short way around the seam.
+ *
+ * Parameters: lon     - longitude in degrees
+ *             fromLon - longitude in degrees the view is at
+ * Returns: longitude in degrees
+ */
+AstroMap.prototype.getNearestLongitude = function(lon, fromLon) {
+  return lon + 360 * Math.round((fromLon - lon) / 360);
+};
+
+
+/*
+ * Moves a cylindrical view that wandered past the 0/360 seam (see flyTo()) back to the
+ * equivalent view between 0 and 360, where the vectors are drawn. Views straddling the
+ * seam are left alone.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroMap.prototype.normalizeCenter = function() {
+  if (this.currentProj.getUnits() != 'degrees') {
+    return;
+  }
+  var view = this.map.getView();
+  var center = view.getCenter();
+  var extent = view.calculateExtent(this.map.getSize());
+  var shift = 360 * Math.floor(extent[0] / 360);
+  if ((shift != 0) && (extent[2] - shift <= 360)) {
+    view.setCenter([center[0] - shift, center[1]]);
+  }
+};
+
+
+/*
+ * Converts a scale in meters per pixel to a resolution of the current view.
+ *
+ * Parameter: metersPerPixel - the scale
+ * Returns: the resolution in view units per pixel
+ */
+AstroMap.prototype.metersToViewUnits = function(metersPerPixel) {
+  if (this.currentProj.getUnits() == 'degrees') {
+    return metersPerPixel / ((Math.PI * this.aAxisRadius * 1000) / 180);
   }
+  return metersPerPixel;
 };
 
@@ -0,0 +1,376 @@
+/*
+ * Map/AstroNomenclature.js
+ *
+ * Builds the nomenclature (feature names) layer from a WFS service, styles the
+ * features by feature type, labels them when they are large enough to be seen at
+ * the current resolution, and shows the feature attributes in the map popup when
+ * a feature is clicked.
+ *
+ * Dependencies: AstroMap.js, OpenLayers.js
+ */
+
+/*
+ * Constructor creates the nomenclature helper. The layer itself is created by
+ * createLayer() for each target/projection.
+ *
+ * Parameters: astroMap      - the map the nomenclature layer belongs to
+ *             nomenSettings - hash of options. If null, uses sensible defaults
+ *
+ * The following options may be set (AstroMap passes its mapSettings):
+ *   nomenWFSURL       - the WFS endpoint. '{target}' is replaced by the upper case target name.
+ *                       Default: the WFS entry in the target catalog, or the USGS nomenclature service
+ *   nomenServerType   - 'geoserver' (GeoJSON responses) or 'mapserver' (GML responses). Default: 'geoserver'
+ *   nomenFeatureNS    - the feature namespace URI (needed for GML responses). Default: none
+ *   nomenFeatureType  - the feature type name. Default: none (server default)
+ *   nomenLabelMinSize - the size (in pixels) a feature must be drawn at before it is labeled. Default: 12
+ */
+function AstroNomenclature(astroMap, nomenSettings) {
+  this.astroMap = astroMap;
+  this.layer = null;
+  this.popupMap = null;  // the OL map the popup click listener was registered on
+  this.popupFeature = null;
+
+  // defaults
+  this.defaultURL = 'https://astrocloud.wr.usgs.gov/dataset/data/nomenclature/{target}/WFS';
+  this.url = null;
+  this.serverType = 'geoserver';
+  this.featureNS = null;
+  this.featureType = null;
+  this.labelMinSize = 12;
+  this.settings = {};
+
+  if (nomenSettings) {
+    if (nomenSettings.nomenWFSURL) {
+      this.settings.url = nomenSettings.nomenWFSURL;
+    }
+    if (nomenSettings.nomenServerType) {
+      this.settings.serverType = nomenSettings.nomenServerType;
+    }
+    if (nomenSettings.nomenFeatureNS) {
+      this.settings.featureNS = nomenSettings.nomenFeatureNS;
+    }
+    if (nomenSettings.nomenFeatureType) {
+      this.settings.featureType = nomenSettings.nomenFeatureType;
+    }
+    if (nomenSettings.nomenLabelMinSize) {
+      this.labelMinSize = nomenSettings.nomenLabelMinSize;
+    }
+  }
+
+  // symbol styles for feature type categories (see getCategory())
+  this.symbols = {
+    crater: new ol.style.Circle({
+      radius: 5,
+      fill: new ol.style.Fill({color: 'rgba(255, 204, 51, 0.4)'}),
+      stroke: new ol.style.Stroke({color: '#ffcc33', width: 1.5})
+    }),
+    mountain: new ol.style.RegularShape({
+      points: 3,
+      radius: 6,
+      fill: new ol.style.Fill({color: 'rgba(255, 102, 0, 0.4)'}),
+      stroke: new ol.style.Stroke({color: '#ff6600', width: 1.5})
+    }),
+    depression: new ol.style.RegularShape({
+      points: 4,
+      radius: 6,
+      fill: new ol.style.Fill({color: 'rgba(51, 204, 255, 0.4)'}),
+      stroke: new ol.style.Stroke({color: '#33ccff', width: 1.5})
+    }),
+    plain: new ol.style.RegularShape({
+      points: 4,
+      radius: 5,
+      angle: Math.PI / 4,
+      fill: new ol.style.Fill({color: 'rgba(153, 255, 102, 0.4)'}),
+      stroke: new ol.style.Stroke({color: '#99ff66', width: 1.5})
+    }),
+    landing: new ol.style.RegularShape({
+      points: 5,
+      radius: 7,
+      radius2: 3,
+      fill: new ol.style.Fill({color: 'rgba(255, 51, 153, 0.6)'}),
+      stroke: new ol.style.Stroke({color: '#ff3399', width: 1.5})
+    }),
+    other: new ol.style.Circle({
+      radius: 3,
+      fill: new ol.style.Fill({color: 'rgba(255, 255, 255, 0.4)'}),
+      stroke: new ol.style.Stroke({color: '#ffffff', width: 1})
+    })
+  };
+  this.lineStroke = new ol.style.Stroke({
+    color: 'rgba(0, 0, 255, 1.0)',
+    width: 2
+  });
+}
+
+// feature type (first word, lower case) to symbol category
+AstroNomenclature.categories = {
+  crater: 'crater', craters: 'crater', catena: 'crater',
+  mons: 'mountain', montes: 'mountain', tholus: 'mountain', patera: 'mountain', collis: 'mountain', mensa: 'mountain',
+  dorsum: 'mountain', scopulus: 'mountain', rupes: 'mountain',
+  vallis: 'depression', fossa: 'depression', chasma: 'depression', rima: 'depression', sulcus: 'depression',
+  labyrinthus: 'depression', cavus: 'depression', fluctus: 'depression',
+  planitia: 'plain', planum: 'plain', terra: 'plain', regio: 'plain', mare: 'plain', palus: 'plain',
+  lacus: 'plain', sinus: 'plain', albedo: 'plain', vastitas: 'plain',
+  landing: 'landing'
+};
+
+/*
+ * Creates the nomenclature layer for a target. The WFS source settings come from
+ * the map settings first, then from the target's WFS catalog entry, then from the defaults.
+ *
+ * Parameters: targetName - the target name
+ *             wfsEntry   - the target's WFS catalog entry (may be null). Its url, serverType,
+ *                          featureNS and featureType fields are used
+ *             visible    - boolean indicating whether or not the layer is shown initially
+ * Returns: the OL vector layer
+ */
+AstroNomenclature.prototype.createLayer = function(targetName, wfsEntry, visible) {
+  var entry = wfsEntry || {};
+  this.url = this.settings.url || entry['url'] || this.defaultURL;
+  this.serverType = this.settings.serverType || entry['serverType'] || 'geoserver';
+  this.featureNS = this.settings.featureNS || entry['featureNS'] || null;
+  this.featureType = this.settings.featureType || entry['featureType'] || null;
+
+  var this_ = this;
+  var baseURL = this.url.replace(/\{target\}/g, targetName.toUpperCase());
+  var isGeoJSON = (this.serverType != 'mapserver');
+  var featureNS = this.featureNS;
+  var featureType = this.featureType;
+  var format;
+  if (isGeoJSON) {
+    format = new ol.format.GeoJSON();
+  } else {
+    format = new ol.format.WFS({
+      featureNS: featureNS,
+      featureType: featureType
+    });
+  }
+
+  var source = new ol.source.Vector({
+    format: format,
+    url: function(extent, resolution, projection) {
+      var bbox = this_.getLatLonExtent(extent, projection);
+      var url = baseURL + ((baseURL.indexOf('?') == -1) ? '?' : '&') +
+        'service=WFS&version=1.1.0&request=GetFeature&' +
+        'outputFormat=' + ((isGeoJSON) ? 'application/json' : encodeURIComponent('text/xml; subtype=gml/3.1.1')) +
+        '&srsname=EPSG:4326&bbox=' + bbox.join(',') + ',EPSG:4326';
+      if (featureType) {
+        var typeName = (featureNS && !isGeoJSON) ? 'feature:' + featureType : featureType;
+        url += '&typeName=' + encodeURIComponent(typeName);
+        if (featureNS && !isGeoJSON) {
+          url += '&namespace=' + encodeURIComponent('xmlns(feature=' + featureNS + ')');
+        }
+      }
+      return url;
+    },
+    strategy: ol.loadingstrategy.bbox
+  });
+
+  this.layer = new ol.layer.Vector({
+    title: 'Nomenclature',
+    visible: visible,
+    source: source,
+    style: function(feature, resolution) {
+      return this_.getStyle(feature, resolution);
+    }
+  });
+  this.layer.set('nomenclature', true);
+  return this.layer;
+};
+
+/*
+ * Converts a view extent to a lat/lon bbox for the WFS request. Polar extents always
+ * reach the pole, so their bbox covers all longitudes. Other projected views (orthographic,
+ * Mollweide, ...) wrap around the globe, so they ask for everything.
+ *
+ * Parameters: extent     - the extent in the view projection
+ *             projection - the view projection
+ * Returns: [minLon, minLat, maxLon, maxLat]
+ */
+AstroNomenclature.prototype.getLatLonExtent = function(extent, projection) {
+  if (projection.getUnits() == 'degrees') {
+    return extent;
+  }
+  var pole = AstroProjections.get(this.astroMap.projection).pole;
+  if (!pole) {
+    return [0, -90, 360, 90];
+  }
+  var latLon = ol.proj.transformExtent(extent, projection, 'EPSG:4326');
+  if (pole == 'south') {
+    return [0, -90, 360, latLon[3]];
+  }
+  return [0, latLon[1], 360, 90];
+};
+
+/*
+ * Returns the symbol category of a nomenclature feature (see AstroNomenclature.categories).
+ *
+ * Parameter: feature - the OL feature
+ * Returns: category string
+ */
+AstroNomenclature.prototype.getCategory = function(feature) {
+  var type = feature.get('type') || feature.get('feature_type') || feature.get('featuretype') || '';
+  var firstWord = String(type).toLowerCase().split(/[\s,]+/)[0];
+  var category = AstroNomenclature.categories[firstWord];
+  return (category) ? category : 'other';
+};
+
+/*
+ * Style function for the nomenclature layer. Points get a symbol for their feature type;
+ * lines and polygons get an outline. The name is shown once the feature (using its diameter)
+ * is at least labelMinSize pixels across.
+ *
+ * Parameters: feature    - the OL feature
+ *             resolution - the view resolution (map units per pixel)
+ * Returns: an OL style
+ */
+AstroNomenclature.prototype.getStyle = function(feature, resolution) {
+  var geometryType = feature.getGeometry().getType();
+  var style = new ol.style.Style({});
+  if ((geometryType == 'Point') || (geometryType == 'MultiPoint')) {
+    style.setImage(this.symbols[this.getCategory(feature)]);
+  } else {
+    style.setStroke(this.lineStroke);
+  }
+
+  var name = feature.get('name') || feature.get('clean_name');
+  if (name && this.isLabelVisible(feature, resolution)) {
+    style.setText(new ol.style.Text({
+      text: String(name),
+      font: '11px Calibri,sans-serif',
+      textAlign: 'left',
+      offsetX: 8,
+      fill: new ol.style.Fill({color: '#ffffff'}),
+      stroke: new ol.style.Stroke({color: '#000000', width: 3})
+    }));
+  }
+  return style;
+};
+
+/*
+ * Decides whether or not a feature is labeled at the given resolution.
+ *
+ * Parameters: feature    - the OL feature
+ *             resolution - the view resolution (map units per pixel)
+ * Returns: boolean
+ */
+AstroNomenclature.prototype.isLabelVisible = function(feature, resolution) {
+  var metersPerPixel = resolution;
+  if (AstroProjections.get(this.astroMap.projection).units == 'degrees') {
+    metersPerPixel = resolution * (2 * Math.PI * this.astroMap.aAxisRadius * 1000 / 360);
+  }
+  var diameter = Number(feature.get('diameter'));
+  if (!diameter) {
+    // no size to go by, so only label when zoomed in (under 1 km per pixel)
+    return (metersPerPixel < 1000);
+  }
+  return ((diameter * 1000 / metersPerPixel) >= this.labelMinSize);
+};
+
+/*
+ * Registers the click listener that shows nomenclature feature attributes in the map popup.
+ * Safe to call more than once; the listener is only added once per OL map.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroNomenclature.prototype.popupSetup = function() {
+  var map = this.astroMap.map;
+  if (!map || (this.popupMap == map)) {
+    return;
+  }
+  this.popupMap = map;
+
+  var this_ = this;
+  map.on('singleclick', function(evt) {
+    var feature = map.forEachFeatureAtPixel(evt.pixel, function(f) {
+      return f;
+    }, {
+      layerFilter: function(layer) {
+        return (layer == this_.layer);
+      }
+    });
+    if (feature) {
+      this_.showPopup(feature, evt.coordinate);
+    } else if (this_.popupFeature) {
+      this_.hidePopup();
+    }
+  });
+};
+
+/*
+ * Shows a nomenclature feature's attributes in the map popup.
+ *
+ * Parameters: feature    - the OL feature
+ *             coordinate - where to anchor the popup (view projection)
+ * Returns: nothing
+ */
+AstroNomenclature.prototype.showPopup = function(feature, coordinate) {
+  var overlay = this.astroMap.mapOverlay;
+  var element = overlay.getElement();
+  if (!element) {
+    return;
+  }
+  while (element.firstChild) {
+    element.removeChild(element.firstChild);
+  }
+
+  var this_ = this;
+  var closer = document.createElement('a');
+  closer.href = '#';
+  closer.className = 'astroMapPopupCloser';
+  closer.innerHTML = '&times;';
+  closer.addEventListener('click', function(e) {
+    e.preventDefault();
+    this_.hidePopup();
+  });
+  element.appendChild(closer);
+
+  var title = document.createElement('div');
+  title.className = 'astroMapPopupTitle';
+  title.textContent = feature.get('name') || feature.get('clean_name') || 'Unnamed feature';
+  element.appendChild(title);
+
+  var fields = [['type', 'Type'], ['diameter', 'Diameter (km)'], ['center_lat', 'Center Lat'],
+                ['center_lon', 'Center Lon'], ['origin', 'Origin'], ['approvaldate', 'Approved']];
+  var table = document.createElement('table');
+  for (var i = 0; i < fields.length; i++) {
+    var value = feature.get(fields[i][0]);
+    if ((value == null) || (value === '')) {
+      continue;
+    }
+    var row = document.createElement('tr');
+    var th = document.createElement('th');
+    th.textContent = fields[i][1];
+    var td = document.createElement('td');
+    td.textContent = String(value);
+    row.appendChild(th);
+    row.appendChild(td);
+    table.appendChild(row);
+  }
+  element.appendChild(table);
+
+  var link = feature.get('link');
+  if (link) {
+    var anchor = document.createElement('a');
+    anchor.href = link;
+    anchor.target = '_blank';
+    anchor.textContent = 'Gazetteer entry';
+    element.appendChild(anchor);
+  }
+
+  this.popupFeature = feature;
+  element.style.display = 'block';
+  overlay.setPosition(coordinate);
+};
+
+/*
+ * Hides the map popup.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroNomenclature.prototype.hidePopup = function() {
+  this.popupFeature = null;
+  this.astroMap.mapOverlay.setPosition(undefined);
+};
@@ -29,6 +29,9 @@ function AstroPoi(astroMap, layer) {
 					});
 
   this.savedIndex = -1;
+
+  // so the map can redraw us on projection switches
+  astroMap.vectorDrawers.push(this);
 };
 
 
@@ -71,6 +74,12 @@ AstroPoi.prototype.drawAndStore = function(lat, lon, attributes, id, center) {
   var poiState = this.draw(lat, lon, attributes, id, center);
   poiState.index = this.storedPois.length;
   this.storedPois.push(poiState);
+  this.astroMap.fire('poiadded', {
+    drawer: this,
+    id: id,
+    index: poiState.index,
+    lonLat: this.astroMap.toLongitudeConvention([Number(lon), Number(lat)])
+  });
   return poiState;
 };
 
@@ -88,6 +97,8 @@ AstroPoi.prototype.draw = function(lat, lon, attributes, id, center) {
   wktString = this.makePoint(lat, lon);
 
   // save state
+  poiState.lat = lat;
+  poiState.lon = lon;
   poiState.WKT = 'POINT(' + lon + ' ' + lat + ')';
   poiState.id = id;
   poiState.center = center;
@@ -97,14 +108,10 @@ AstroPoi.prototype.draw = function(lat, lon, attributes, id, center) {
 
   var format = new ol.format.WKT();
 
-  if (currentProjection != "cylindrical") {
-    //polar
+  if (AstroProjections.get(currentProjection).units != 'degrees') {
+    // projected (polar, orthographic, ...)
     geometry = format.readGeometry(poiState.WKT);
-    if (currentProjection == "north-polar stereographic") {
-      geometry = geometry.transform('EPSG:4326','EPSG:32661');
-    } else {
-      geometry = geometry.transform('EPSG:4326','EPSG:32761');
-    }
+    geometry = geometry.transform('EPSG:4326', this.astroMap.currentProj);
     wktLatLon = format.writeGeometry(geometry, {decimals: 2});
     poiState.WKT = wktLatLon;
   }
@@ -201,21 +208,14 @@ AstroPoi.prototype.highlightVector = function(vector) {
 //
 AstroPoi.prototype.isDrawable = function(geometry) {
 
-  var ex = geometry.getExtent();
-  var drawable = false;
-  switch(astroMap.projection) {
-  case 'cylindrical':
-    // always draw in cylindrical
-    drawable = true;
-    break;
-  case 'north-polar stereographic':
-    drawable = (ol.extent.getBottomRight(ex)[1]>60) ? true : false;
-    break;
-  case 'south-polar stereographic':
-    drawable = (ol.extent.getTopRight(ex)[1]<-60) ? true : false;
-    break;
+  var coordinates = geometry.getFlatCoordinates();
+  var stride = geometry.getStride();
+  for (var i = 0; i < coordinates.length; i += stride) {
+    if (!this.astroMap.isVisibleInProjection([coordinates[i], coordinates[i + 1]], this.astroMap.projection)) {
+      return false;
+    }
   }
-return drawable;
+  return true;
 
 };
 
@@ -226,29 +226,30 @@ AstroPoi.prototype.makePoint = function(lat, lon) {
 };
 
 /*
- * Redraws the stored vector features.
+ * Redraws the stored pois in the current projection. Any previous drawing of a
+ * stored poi is removed first. Pois that can't be seen in the current projection
+ * stay stored so they come back on the next projection switch.
  *
  * Parameters: none
  * Returns: nothing
  */
 AstroPoi.prototype.redraw = function() {
-  var currentLat = 0;
-  var draw = true;  // do we redraw the vector or not?
-
   for (var i = 0, len = this.storedPois.length; i < len; i++) {
     if (!this.storedPois[i]) {
       continue;
     }
 
-    var currentVector = this.storedPois[i];
-    var currentGeo = currentVector.vectorFeature.getGeometry();
+    var currentPoi = this.storedPois[i];
+    if (this.layer.getFeatures().indexOf(currentPoi.vectorFeature) != -1) {
+      this.layer.removeFeature(currentPoi.vectorFeature);
+    }
+    var currentGeo = new ol.geom.Point([currentPoi.lon, currentPoi.lat]);
     if (this.isDrawable(currentGeo)) {
-      //var color = (currentVector) ? currentVector.color : null;
-      var vectorState = this.draw(currentVector.searchWKT, currentVector.vectorFeature.attributes,
-                          currentVector.color, currentVector.id, currentVector.center,
-                          currentVector.datelineShift);
-      // update stored vector state
-      this.storedPois[i] = vectorState;
+      var poiState = this.draw(currentPoi.lat, currentPoi.lon, currentPoi.vectorFeature.attributes,
+                               currentPoi.id, currentPoi.center);
+      // update stored poi state
+      poiState.index = currentPoi.index;
+      this.storedPois[i] = poiState;
     }
   } //for
 };
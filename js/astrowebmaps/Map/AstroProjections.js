@@ -0,0 +1,329 @@
+/*
+ * Map/AstroProjections.js
+ *
+ * Registry of the map projections AstroMap can show. A projection is a forward/inverse
+ * pair of transforms (see AstroGeometry.js) plus a few properties. The registry turns a
+ * projection into an OL projection for a target's radii, so every target (and every map
+ * on the page) gets its own OL projection and coordinate transforms.
+ *
+ * Adding a projection:
+ *
+ *   AstroProjections.register('my projection', {
+ *     title: 'My Projection',
+ *     defaults: {centerLon: 180},
+ *     forward: function(point, radii, options) {...},  // [lon, lat] -> [x, y] meters
+ *     inverse: function(point, radii, options) {...},  // [x, y] meters -> [lon, lat]
+ *     extent: function(radii, options) {...}           // projected extent in meters
+ *   });
+ *
+ * Dependencies: OpenLayers.js, AstroGeometry.js
+ */
+function AstroProjections() {}
+
+// registered projections, by map projection string, and their names in registration order
+AstroProjections.definitions = {};
+AstroProjections.names = [];
+
+/*
+ * Registers a map projection.
+ *
+ * Parameters: name       - the map projection string (e.g. 'mollweide'). This is what the catalog
+ *                          layers, mapSettings.projection and switchProjection() use.
+ *             definition - hash describing the projection (see below)
+ *
+ * The definition may contain:
+ *   title          - display name (console buttons, tooltips). Default: the name
+ *   image          - console button image in the image path, without '.png' ('-hot' is added for
+ *                    the active projection). Default: none (a text button is used)
+ *   code           - fixed OL projection code. Only for projections that don't depend on the
+ *                    target (cylindrical is plain 'EPSG:4326'). Default: a code made from the name,
+ *                    the radii and the options
+ *   wmsCode        - the CRS that WMS servers know the projection by, for catalog layers in this
+ *                    projection (e.g. 'EPSG:32661'). Default: none
+ *   pole           - 'north' or 'south' for projections that only show a polar cap. The cap ends at
+ *                    the target's cutoff latitude (see AstroMap.computePolarSettings()). Default: none
+ *   splitAs        - projection string whose dateline rules split vectors before they are projected
+ *                    (see AstroGeometry.splitOnDateline()), or null to never split. Default: null
+ *   requiresLayers - true if the catalog needs layers in this projection. Otherwise the cylindrical
+ *                    layers are reprojected by OL. Default: false
+ *   defaults       - default options (e.g. the projection center). Default: {}
+ *   forward        - function(point, radii, options) -> [x, y] meters. radii is {a, b, c} in km
+ *   inverse        - function(point, radii, options) -> [lon, lat] degrees (NaN if not on the map)
+ *   extent         - function(radii, options) -> [minX, minY, maxX, maxY] meters
+ *   isVisible      - function(lonLat, radii, options) -> boolean. Default: everything is visible
+ *
+ * Returns: nothing
+ */
+AstroProjections.register = function(name, definition) {
+  if (!AstroProjections.definitions[name]) {
+    AstroProjections.names.push(name);
+  }
+  definition.name = name;
+  if (!definition.title) {
+    definition.title = name;
+  }
+  if (!definition.defaults) {
+    definition.defaults = {};
+  }
+  if (definition.splitAs === undefined) {
+    definition.splitAs = null;
+  }
+  definition.units = (definition.code == 'EPSG:4326') ? 'degrees' : 'm';
+  AstroProjections.definitions[name] = definition;
+};
+
+/*
+ * Returns the definition of a registered projection.
+ *
+ * Parameter: name - the map projection string
+ * Returns: the definition, or null if there is no such projection
+ */
+AstroProjections.get = function(name) {
+  var definition = AstroProjections.definitions[name];
+  return (definition) ? definition : null;
+};
+
+/*
+ * Returns the names of the registered projections, in registration order.
+ */
+AstroProjections.getNames = function() {
+  return AstroProjections.names.slice();
+};
+
+/*
+ * Returns the projection's default options overridden by the given options.
+ *
+ * Parameters: name    - the map projection string
+ *             options - hash of options (may be null)
+ * Returns: hash of options
+ */
+AstroProjections.getOptions = function(name, options) {
+  var definition = AstroProjections.get(name);
+  var merged = {};
+  var key;
+  for (key in definition.defaults) {
+    merged[key] = definition.defaults[key];
+  }
+  if (options) {
+    for (key in options) {
+      merged[key] = options[key];
+    }
+  }
+  return merged;
+};
+
+/*
+ * Returns the OL projection code for a projection, target radii, options and bounds, e.g.
+ * 'ASTRO:orthographic:3396.19:3396.19:3376.2:centerLat=0:centerLon=180'. Maps of the same
+ * target with different bounds (e.g. other polar layers) get different codes, so they
+ * never share an OL projection.
+ *
+ * Parameters: name    - the map projection string
+ *             radii   - {a, b, c} radii of the target in km
+ *             options - hash of options (see getOptions())
+ *             bounds  - optional {extent, worldExtent} (see getOLProjection())
+ * Returns: the code string
+ */
+AstroProjections.getCode = function(name, radii, options, bounds) {
+  var definition = AstroProjections.get(name);
+  if (definition.code) {
+    return definition.code;
+  }
+  var code = 'ASTRO:' + name + ':' + radii.a + ':' + radii.b + ':' + radii.c;
+  var keys = Object.keys(options).sort();
+  for (var i = 0; i < keys.length; i++) {
+    code += ':' + keys[i] + '=' + options[keys[i]];
+  }
+  if (bounds && bounds.extent) {
+    code += ':extent=' + bounds.extent.join(',');
+  }
+  if (bounds && bounds.worldExtent) {
+    code += ':worldExtent=' + bounds.worldExtent.join(',');
+  }
+  return code;
+};
+
+/*
+ * Returns the OL projection for a projection and target, registering it (and its transforms
+ * to and from EPSG:4326) with OL the first time it is asked for.
+ *
+ * Parameters: name    - the map projection string
+ *             radii   - {a, b, c} radii of the target in km
+ *             options - hash of options, may be null (see getOptions())
+ *             bounds  - optional {extent, worldExtent} overriding the definition's extent (the polar
+ *                       caps depend on the catalog layers, not only on the radii)
+ * Returns: the OL projection
+ */
+AstroProjections.getOLProjection = function(name, radii, options, bounds) {
+  var definition = AstroProjections.get(name);
+  if (definition.code) {
+    return ol.proj.get(definition.code);
+  }
+
+  options = AstroProjections.getOptions(name, options);
+  var code = AstroProjections.getCode(name, radii, options, bounds);
+  var extent = (bounds && bounds.extent) ? bounds.extent : definition.extent(radii, options);
+  var worldExtent = (bounds && bounds.worldExtent) ? bounds.worldExtent : [0, -90, 360, 90];
+
+  var projection = ol.proj.get(code);
+  if (projection) {
+    return projection;
+  }
+
+  projection = new ol.proj.Projection({
+    code: code,
+    extent: extent,
+    worldExtent: worldExtent,
+    units: 'm',
+    global: false
+  });
+  ol.proj.addProjection(projection);
+  ol.proj.addCoordinateTransforms('EPSG:4326', projection,
+                                  function(coordinate) {
+                                    return definition.forward([coordinate[0], coordinate[1]], radii, options);
+                                  },
+                                  function(coordinate) {
+                                    return definition.inverse([coordinate[0], coordinate[1]], radii, options);
+                                  });
+  return projection;
+};
+
+/*
+ * Returns the projection WMS requests should use for catalog layers in the given OL
+ * projection: a stand-in with the definition's wmsCode (so the servers get a CRS they know)
+ * that OL treats as the same projection. Without a wmsCode the OL projection itself is used.
+ *
+ * Parameters: name         - the map projection string
+ *             olProjection - the OL projection (from getOLProjection())
+ * Returns: an OL projection
+ */
+AstroProjections.getWMSProjection = function(name, olProjection) {
+  var definition = AstroProjections.get(name);
+  if (!definition.wmsCode || (definition.wmsCode == olProjection.getCode())) {
+    return olProjection;
+  }
+  var wmsProjection = new ol.proj.Projection({
+    code: definition.wmsCode,
+    extent: olProjection.getExtent(),
+    worldExtent: olProjection.getWorldExtent(),
+    units: olProjection.getUnits()
+  });
+  ol.proj.addEquivalentProjections([olProjection, wmsProjection]);
+  return wmsProjection;
+};
+
+/*
+ * Checks whether a lon/lat point can be seen in a (non-polar) projection.
+ *
+ * Parameters: name    - the map projection string
+ *             lonLat  - [lon, lat] (EPSG:4326)
+ *             radii   - {a, b, c} radii of the target in km
+ *             options - hash of options, may be null (see getOptions())
+ * Returns: boolean
+ */
+AstroProjections.isVisible = function(name, lonLat, radii, options) {
+  var definition = AstroProjections.get(name);
+  if (!definition.isVisible) {
+    return true;
+  }
+  return definition.isVisible(lonLat, radii, AstroProjections.getOptions(name, options));
+};
+
+
+// built-in projections
+
+AstroProjections.register('north-polar stereographic', {
+  title: 'North Polar Stereographic',
+  image: 'north-pole',
+  wmsCode: 'EPSG:32661',
+  pole: 'north',
+  splitAs: 'north-polar stereographic',
+  requiresLayers: true,
+  forward: function(point, radii) {
+    return AstroGeometry.transformLatLonToPolarMeters(point, 'north-polar stereographic', radii.c);
+  },
+  inverse: function(point, radii) {
+    return AstroGeometry.transformPolarMetersToLatLon(point, 'north-polar stereographic', radii.c);
+  },
+  extent: function(radii) {
+    var r = AstroGeometry.polarDistanceFromLat(60, radii.c);
+    return [-r, -r, r, r];
+  }
+});
+
+AstroProjections.register('cylindrical', {
+  title: 'Simple Cylindrical',
+  image: 'cylindrical',
+  code: 'EPSG:4326',
+  splitAs: 'cylindrical'
+});
+
+AstroProjections.register('south-polar stereographic', {
+  title: 'South Polar Stereographic',
+  image: 'south-pole',
+  wmsCode: 'EPSG:32761',
+  pole: 'south',
+  splitAs: 'south-polar stereographic',
+  requiresLayers: true,
+  forward: function(point, radii) {
+    return AstroGeometry.transformLatLonToPolarMeters(point, 'south-polar stereographic', radii.c);
+  },
+  inverse: function(point, radii) {
+    return AstroGeometry.transformPolarMetersToLatLon(point, 'south-polar stereographic', radii.c);
+  },
+  extent: function(radii) {
+    var r = AstroGeometry.polarDistanceFromLat(60, radii.c);
+    return [-r, -r, r, r];
+  }
+});
+
+AstroProjections.register('orthographic', {
+  title: 'Orthographic',
+  defaults: {centerLat: 0, centerLon: 180},
+  forward: function(point, radii, options) {
+    return AstroGeometry.transformLatLonToOrthographic(point, radii.a, options.centerLat, options.centerLon);
+  },
+  inverse: function(point, radii, options) {
+    return AstroGeometry.transformOrthographicToLatLon(point, radii.a, options.centerLat, options.centerLon);
+  },
+  extent: function(radii) {
+    var r = radii.a * 1000;
+    return [-r, -r, r, r];
+  },
+  isVisible: function(lonLat, radii, options) {
+    var projected = AstroGeometry.transformLatLonToOrthographic([lonLat[0], lonLat[1]], radii.a,
+                                                                options.centerLat, options.centerLon);
+    return !isNaN(projected[0]);
+  }
+});
+
+AstroProjections.register('lambert azimuthal equal-area', {
+  title: 'Lambert Azimuthal Equal-Area',
+  defaults: {centerLat: 0, centerLon: 180},
+  forward: function(point, radii, options) {
+    return AstroGeometry.transformLatLonToLambertAzimuthal(point, radii.a, options.centerLat, options.centerLon);
+  },
+  inverse: function(point, radii, options) {
+    return AstroGeometry.transformLambertAzimuthalToLatLon(point, radii.a, options.centerLat, options.centerLon);
+  },
+  extent: function(radii) {
+    var r = 2 * radii.a * 1000;
+    return [-r, -r, r, r];
+  }
+});
+
+// the seam is at 0/360 like the cylindrical map, so vectors are split the same way
+AstroProjections.register('mollweide', {
+  title: 'Mollweide',
+  splitAs: 'cylindrical',
+  forward: function(point, radii) {
+    return AstroGeometry.transformLatLonToMollweide(point, radii.a, 180);
+  },
+  inverse: function(point, radii) {
+    return AstroGeometry.transformMollweideToLatLon(point, radii.a, 180);
+  },
+  extent: function(radii) {
+    var r = radii.a * 1000;
+    return [-2 * Math.SQRT2 * r, -Math.SQRT2 * r, 2 * Math.SQRT2 * r, Math.SQRT2 * r];
+  }
+});
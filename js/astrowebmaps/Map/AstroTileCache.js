@@ -0,0 +1,753 @@
+/*
+ * Map/AstroTileCache.js
+ *
+ * Keeps the tiles of the WMS layers in the browser (IndexedDB), so the map can be
+ * used with little or no network. Tiles are requested from the server as usual and
+ * stored as they arrive; when a request fails the stored tile is shown instead.
+ * Whole regions can be downloaded ahead of time with prefetch().
+ *
+ * Tiles are stored by cache key (target, projection and layer, see getCacheKey()),
+ * so the tiles of different bodies never mix. The cache is kept under a quota: the
+ * oldest browsed tiles make room for new ones, prefetched tiles are only removed by
+ * clear().
+ *
+ * Dependencies: AstroMap.js, OpenLayers.js
+ */
+
+/*
+ * Constructor creates the tile cache. The database is opened on first use.
+ *
+ * Parameters: astroMap      - the map the cache belongs to
+ *             cacheSettings - hash of options. If null, uses sensible defaults
+ *
+ * The following options may be set (AstroMap passes its mapSettings):
+ *   tileCacheName        - name of the IndexedDB database. Default: 'AstroWebMapsTiles'
+ *   tileCacheQuota       - the most the cache may hold, in megabytes. Default: 200
+ *   tileCacheMaxPrefetch - the most tiles a single prefetch() may request. Default: 10000
+ */
+function AstroTileCache(astroMap, cacheSettings) {
+  this.astroMap = astroMap;
+
+  // defaults
+  this.name = 'AstroWebMapsTiles';
+  this.storeName = 'tiles';
+  this.quota = 200 * 1024 * 1024;
+  this.maxPrefetch = 10000;
+  this.maxRequests = 4;  // concurrent prefetch requests
+
+  if (cacheSettings) {
+    if (cacheSettings.tileCacheName) {
+      this.name = cacheSettings.tileCacheName;
+    }
+    if (cacheSettings.tileCacheQuota) {
+      this.quota = Number(cacheSettings.tileCacheQuota) * 1024 * 1024;
+    }
+    if (cacheSettings.tileCacheMaxPrefetch) {
+      this.maxPrefetch = Number(cacheSettings.tileCacheMaxPrefetch);
+    }
+  }
+
+  this.db = null;
+  this.dbFailed = false;
+  this.openCallbacks = null;  // callbacks waiting for the database to open
+  this.usage = 0;  // bytes held by the cache
+  this.putQueue = [];  // tiles waiting to be stored, one at a time (see put())
+  this.prefetchJob = null;  // the running prefetch (see prefetch())
+  this.progressDiv = null;
+}
+
+
+/*
+ * Returns whether or not the browser can hold the cache.
+ *
+ * Parameters: none
+ * Returns: boolean
+ */
+AstroTileCache.prototype.isSupported = function() {
+  return (typeof window.indexedDB != 'undefined') && (typeof window.Blob != 'undefined');
+};
+
+
+/*
+ * Opens the database (once) and totals the bytes it holds.
+ *
+ * Parameters: callback - function(db) called with the database, or null if it can't be opened
+ * Returns: nothing
+ */
+AstroTileCache.prototype.open = function(callback) {
+  if (this.db || this.dbFailed || !this.isSupported()) {
+    callback(this.db);
+    return;
+  }
+  if (this.openCallbacks) {
+    this.openCallbacks.push(callback);
+    return;
+  }
+  this.openCallbacks = [callback];
+
+  var that = this;
+  var finish = function(db) {
+    that.db = db;
+    that.dbFailed = (db == null);
+    var callbacks = that.openCallbacks;
+    that.openCallbacks = null;
+    for (var i = 0; i < callbacks.length; i++) {
+      callbacks[i](db);
+    }
+  };
+
+  var request = window.indexedDB.open(this.name, 1);
+  request.onupgradeneeded = function() {
+    var store = request.result.createObjectStore(that.storeName, {keyPath: 'key'});
+    store.createIndex('cacheKey', 'cacheKey', {unique: false});
+    store.createIndex('time', 'time', {unique: false});
+  };
+  request.onerror = function() {
+    that.astroMap.reportError('AstroTileCache: the tile database could not be opened: ' + request.error);
+    finish(null);
+  };
+  request.onsuccess = function() {
+    var db = request.result;
+    that.usage = 0;
+    var cursorRequest = db.transaction(that.storeName).objectStore(that.storeName).openCursor();
+    cursorRequest.onsuccess = function() {
+      var cursor = cursorRequest.result;
+      if (cursor) {
+        that.usage += cursor.value.size;
+        cursor.continue();
+      } else {
+        finish(db);
+      }
+    };
+    cursorRequest.onerror = function() {
+      finish(db);
+    };
+  };
+};
+
+
+/*
+ * Returns the cache key for the tiles of a layer.
+ *
+ * Parameters: target     - the target name
+ *             projection - the projection of the layer's tiles (e.g. 'cylindrical')
+ *             layer      - the layer name
+ * Returns: the key (string)
+ */
+AstroTileCache.prototype.getCacheKey = function(target, projection, layer) {
+  return target.toLowerCase() + '|' + projection + '|' + layer;
+};
+
+
+/*
+ * Makes a tile source go through the cache.
+ *
+ * Parameters: source   - the OL tile source (e.g. TileWMS)
+ *             cacheKey - the cache key for the source's tiles (see getCacheKey())
+ * Returns: nothing
+ */
+AstroTileCache.prototype.wrapSource = function(source, cacheKey) {
+  var that = this;
+  source.set('tileCacheKey', cacheKey);
+  source.setTileLoadFunction(function(imageTile, src) {
+    that.loadTile(imageTile.getImage(), src, cacheKey);
+  });
+};
+
+
+/*
+ * Loads a tile image from the server, storing it in the cache, or from the cache
+ * if the server can't be reached. If neither has the tile the image fails to load
+ * (so the map fires tileloaderror).
+ *
+ * Parameters: image    - the tile's image element
+ *             src      - the tile url
+ *             cacheKey - the cache key for the tile's layer
+ * Returns: nothing
+ */
+AstroTileCache.prototype.loadTile = function(image, src, cacheKey) {
+  var that = this;
+  var key = cacheKey + '|' + src;
+  this.requestTile(src, function(blob) {
+    if (blob) {
+      that.setImageBlob(image, blob);
+      that.put(key, cacheKey, blob, false);
+      return;
+    }
+    that.get(key, function(record) {
+      if (record) {
+        that.setImageBlob(image, record.blob);
+      } else {
+        image.src = '';
+      }
+    });
+  });
+};
+
+
+/*
+ * Requests a tile from the server.
+ *
+ * Parameters: src      - the tile url
+ *             callback - function(blob) called with the tile image, or null if the request
+ *                        failed or the server answered with something else than an image
+ *                        (e.g. a WMS service exception)
+ * Returns: nothing
+ */
+AstroTileCache.prototype.requestTile = function(src, callback) {
+  var request = new XMLHttpRequest();
+  request.open('GET', src, true);
+  request.responseType = 'blob';
+  request.onload = function() {
+    var blob = request.response;
+    var isImage = blob && (blob.type.indexOf('image/') == 0);
+    callback((request.status == 200 && isImage) ? blob : null);
+  };
+  request.onerror = function() {
+    callback(null);
+  };
+  request.send();
+};
+
+
+/*
+ * Shows a stored tile in a tile image.
+ *
+ * Parameters: image - the image element
+ *             blob  - the tile image
+ * Returns: nothing
+ */
+AstroTileCache.prototype.setImageBlob = function(image, blob) {
+  var objectUrl = URL.createObjectURL(blob);
+  var release = function() {
+    URL.revokeObjectURL(objectUrl);
+    image.removeEventListener('load', release);
+    image.removeEventListener('error', release);
+  };
+  image.addEventListener('load', release);
+  image.addEventListener('error', release);
+  image.src = objectUrl;
+};
+
+
+/*
+ * Reads a tile from the cache.
+ *
+ * Parameters: key      - the tile key (cache key and url)
+ *             callback - function(record) called with the stored record, or null
+ * Returns: nothing
+ */
+AstroTileCache.prototype.get = function(key, callback) {
+  var that = this;
+  this.open(function(db) {
+    if (db == null) {
+      callback(null);
+      return;
+    }
+    var request = db.transaction(that.storeName).objectStore(that.storeName).get(key);
+    request.onsuccess = function() {
+      callback(request.result || null);
+    };
+    request.onerror = function() {
+      callback(null);
+    };
+  });
+};
+
+
+/*
+ * Stores a tile, making room under the quota first (see evict()). Tiles are stored one
+ * at a time, in the order they come in, so each one sees the usage the one before it
+ * left (the prefetch and the browsed tiles put many at once).
+ *
+ * Parameters: key        - the tile key (cache key and url)
+ *             cacheKey   - the cache key for the tile's layer
+ *             blob       - the tile image
+ *             prefetched - boolean indicating whether or not the tile was prefetched. Prefetched
+ *                          tiles are kept until clear() and may evict browsed tiles
+ *             callback   - function(stored) called with whether or not the tile was stored.
+ *                          Default: none
+ * Returns: nothing
+ */
+AstroTileCache.prototype.put = function(key, cacheKey, blob, prefetched, callback) {
+  this.putQueue.push({key: key, cacheKey: cacheKey, blob: blob, prefetched: prefetched, callback: callback});
+  if (this.putQueue.length == 1) {
+    this.storeNext();
+  }
+};
+
+
+/*
+ * Stores the first tile waiting in the put queue, then moves on to the next one.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroTileCache.prototype.storeNext = function() {
+  var that = this;
+  var next = this.putQueue[0];
+  this.store(next.key, next.cacheKey, next.blob, next.prefetched, function(stored) {
+    that.putQueue.shift();
+    if (that.putQueue.length > 0) {
+      that.storeNext();
+    }
+    if (next.callback) {
+      next.callback(stored);
+    }
+  });
+};
+
+
+/*
+ * Stores a tile right away (see put(), which queues them).
+ *
+ * Parameters: key, cacheKey, blob, prefetched - see put()
+ *             callback - function(stored) called with whether or not the tile was stored
+ * Returns: nothing
+ */
+AstroTileCache.prototype.store = function(key, cacheKey, blob, prefetched, callback) {
+  var that = this;
+  this.open(function(db) {
+    if ((db == null) || (blob.size > that.quota)) {
+      callback(false);
+      return;
+    }
+    that.get(key, function(oldRecord) {
+      var oldSize = (oldRecord) ? oldRecord.size : 0;
+      // a browsed tile doesn't demote a prefetched one
+      prefetched = prefetched || (oldRecord != null && oldRecord.prefetched);
+      // the tile being replaced is already counted as freed
+      that.evict(that.usage - oldSize + blob.size - that.quota, key, function(hasRoom) {
+        if (!hasRoom) {
+          callback(false);
+          return;
+        }
+        var transaction = db.transaction(that.storeName, 'readwrite');
+        transaction.objectStore(that.storeName).put({
+          key: key,
+          cacheKey: cacheKey,
+          blob: blob,
+          size: blob.size,
+          time: Date.now(),
+          prefetched: prefetched
+        });
+        transaction.oncomplete = function() {
+          that.usage += blob.size - oldSize;
+          callback(true);
+        };
+        transaction.onerror = function() {
+          that.astroMap.reportError('AstroTileCache: a tile could not be stored: ' + transaction.error);
+          callback(false);
+        };
+      });
+    });
+  });
+};
+
+
+/*
+ * Removes the oldest browsed (not prefetched) tiles until enough bytes are freed.
+ *
+ * Parameters: bytes    - the number of bytes to free
+ *             keepKey  - key of a tile to leave alone (the one about to be replaced), may be null
+ *             callback - function(freed) called with whether or not enough bytes were freed
+ * Returns: nothing
+ */
+AstroTileCache.prototype.evict = function(bytes, keepKey, callback) {
+  if (bytes <= 0) {
+    callback(true);
+    return;
+  }
+  var that = this;
+  var freed = 0;
+  var transaction = this.db.transaction(this.storeName, 'readwrite');
+  var request = transaction.objectStore(this.storeName).index('time').openCursor();
+  request.onsuccess = function() {
+    var cursor = request.result;
+    if (cursor && (freed < bytes)) {
+      if (!cursor.value.prefetched && (cursor.value.key != keepKey)) {
+        freed += cursor.value.size;
+        cursor.delete();
+      }
+      cursor.continue();
+    }
+  };
+  transaction.oncomplete = function() {
+    that.usage -= freed;
+    callback(freed >= bytes);
+  };
+  transaction.onerror = function() {
+    callback(false);
+  };
+};
+
+
+/*
+ * Removes the stored tiles of a layer, or all stored tiles.
+ *
+ * Parameters: cacheKey - the cache key of the layer (see getCacheKey()). Default: all layers
+ *             callback - function() called once the tiles are removed. Default: none
+ * Returns: nothing
+ */
+AstroTileCache.prototype.clear = function(cacheKey, callback) {
+  var that = this;
+  callback = callback || function() {};
+  this.open(function(db) {
+    if (db == null) {
+      callback();
+      return;
+    }
+    var transaction = db.transaction(that.storeName, 'readwrite');
+    var store = transaction.objectStore(that.storeName);
+    var freed = 0;
+    var request = (cacheKey) ? store.index('cacheKey').openCursor(window.IDBKeyRange.only(cacheKey)) : store.openCursor();
+    request.onsuccess = function() {
+      var cursor = request.result;
+      if (cursor) {
+        freed += cursor.value.size;
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+    transaction.oncomplete = function() {
+      that.usage -= freed;
+      callback();
+    };
+    transaction.onerror = function() {
+      that.astroMap.reportError('AstroTileCache: the tiles could not be removed: ' + transaction.error);
+      callback();
+    };
+  });
+};
+
+
+/*
+ * Reports how much the cache holds.
+ *
+ * Parameters: callback - function(usage, quota) called with the bytes held and the quota in bytes
+ * Returns: nothing
+ */
+AstroTileCache.prototype.getUsage = function(callback) {
+  var that = this;
+  this.open(function() {
+    callback(that.usage, that.quota);
+  });
+};
+
+
+/*
+ * Downloads every tile of a layer over a lat/lon region and a range of zoom levels, so
+ * the region can be viewed offline. Only one prefetch runs at a time.
+ *
+ * Parameters: options - hash with
+ *   layer              - the layer: an OL layer or its title. Default: the visible base layer
+ *   bounds             - [west, south, east, north] or {left, bottom, right, top}, in the
+ *                        conventions given below. Default: the whole body
+ *   longitudeDirection - direction of the longitudes, 'PositiveEast' or 'PositiveWest'. Default: the map's
+ *   latitudeType       - type of the latitudes, 'Planetocentric' or 'Planetographic'. Default: the map's
+ *   minZoom            - first map zoom level to download. Default: the current zoom
+ *   maxZoom            - last map zoom level to download. Default: the map's deepest zoom
+ *   showProgress       - boolean indicating whether or not to show the progress on the map. Default: true
+ *   progress           - function(done, total, failed) called as tiles arrive. Default: none
+ *   callback           - function(result) called at the end with a hash of done, total, failed
+ *                        and stored tile counts and, if the prefetch stopped early, an error
+ *                        message. Default: none
+ * Returns: false if the prefetch could not be started, true otherwise
+ */
+AstroTileCache.prototype.prefetch = function(options) {
+  options = options || {};
+  var callback = options.callback || function() {};
+  var error = null;
+  if (this.prefetchJob) {
+    error = 'a prefetch is already running';
+  }
+
+  var layer = (error) ? null : this.findLayer(options.layer);
+  var source = (layer) ? layer.getSource() : null;
+  var cacheKey = (source) ? source.get('tileCacheKey') : null;
+  if (!error && !cacheKey) {
+    error = 'the layer is not cached (only WMS layers are)';
+  }
+  var tiles = (error) ? [] : this.getTileUrls(source, options);
+  if (!error && (tiles.length > this.maxPrefetch)) {
+    error = 'the region has ' + tiles.length + ' tiles, more than the ' + this.maxPrefetch + ' allowed';
+  }
+  if (error) {
+    this.astroMap.reportError('AstroTileCache.prefetch: ' + error);
+    callback({done: 0, total: 0, failed: 0, stored: 0, error: error});
+    return false;
+  }
+
+  var that = this;
+  var job = {
+    tiles: tiles,
+    next: 0,
+    active: 0,
+    result: {done: 0, total: tiles.length, failed: 0, stored: 0},
+    cancelled: false,
+    showProgress: (options.showProgress !== false)
+  };
+  this.prefetchJob = job;
+
+  var finish = function() {
+    that.prefetchJob = null;
+    that.hideProgress();
+    callback(job.result);
+  };
+  var update = function() {
+    if (job.showProgress) {
+      that.showProgress(job.result.done, job.result.total, job.result.failed);
+    }
+    if (options.progress) {
+      options.progress(job.result.done, job.result.total, job.result.failed);
+    }
+  };
+  var startNext = function() {
+    if (job.cancelled && !job.result.error) {
+      job.result.error = 'cancelled';
+    }
+    while (!job.result.error && (job.next < job.tiles.length) && (job.active < that.maxRequests)) {
+      fetchTile(job.tiles[job.next++]);
+    }
+    if (job.active == 0) {
+      finish();
+    }
+  };
+  var fetchTile = function(src) {
+    job.active++;
+    that.requestTile(src, function(blob) {
+      var done = function() {
+        job.active--;
+        job.result.done++;
+        update();
+        startNext();
+      };
+      if (!blob) {
+        job.result.failed++;
+        done();
+        return;
+      }
+      that.put(cacheKey + '|' + src, cacheKey, blob, true, function(stored) {
+        if (stored) {
+          job.result.stored++;
+        } else if (!job.result.error) {
+          job.result.error = 'the cache is full (quota ' + Math.round(that.quota / 1048576) + ' MB)';
+        }
+        done();
+      });
+    });
+  };
+
+  update();
+  this.open(function(db) {
+    if (db == null) {
+      job.result.error = 'the tile database is not available';
+    }
+    startNext();
+  });
+  return true;
+};
+
+
+/*
+ * Stops the running prefetch. Requests already sent are still stored.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroTileCache.prototype.cancelPrefetch = function() {
+  if (this.prefetchJob) {
+    this.prefetchJob.cancelled = true;
+  }
+};
+
+
+/*
+ * Finds a layer of the map.
+ *
+ * Parameters: layer - an OL layer or its title. Default: the visible base layer
+ * Returns: the OL layer, or null
+ */
+AstroTileCache.prototype.findLayer = function(layer) {
+  if (layer && (typeof layer != 'string')) {
+    return layer;
+  }
+  var found = null;
+  var groups = this.astroMap.map.getLayers().getArray();
+  for (var i = 0; i < groups.length; i++) {
+    if (!(groups[i] instanceof ol.layer.Group)) {
+      continue;
+    }
+    groups[i].getLayers().forEach(function(l) {
+      if (found) {
+        return;
+      }
+      if (layer) {
+        found = (l.get('title') == layer) ? l : null;
+      } else if ((l.get('type') == 'base') && l.getVisible()) {
+        found = l;
+      }
+    });
+  }
+  return found;
+};
+
+
+/*
+ * Lists the tile urls of a source over a region and range of zoom levels (see prefetch()).
+ *
+ * Parameters: source  - the OL tile source
+ *             options - the prefetch() options
+ * Returns: array of urls
+ */
+AstroTileCache.prototype.getTileUrls = function(source, options) {
+  var astroMap = this.astroMap;
+  var projection = source.getProjection();
+  var tileGrid = source.getTileGrid() || ol.tilegrid.createXYZ({extent: projection.getExtent()});
+  var tileUrlFunction = source.getTileUrlFunction();
+  var pixelRatio = window.devicePixelRatio || 1;
+  var view = astroMap.map.getView();
+  var zoomRange = astroMap.getZoomRange();
+
+  var extents = this.getSourceExtents(projection, options);
+  var minZoom = (options.minZoom != null) ? Number(options.minZoom) : Math.round(view.getZoom());
+  var maxZoom = (options.maxZoom != null) ? Number(options.maxZoom) : zoomRange.maxZoom;
+  minZoom = Math.max(minZoom, zoomRange.minZoom);
+  maxZoom = Math.min(maxZoom, zoomRange.maxZoom);
+
+  // resolutions of the view are converted to the units of the source
+  var metersPerDegree = Math.PI * astroMap.aAxisRadius * 1000 / 180;
+  var unitScale = 1;
+  if (astroMap.currentProj.getUnits() != projection.getUnits()) {
+    unitScale = (projection.getUnits() == 'degrees') ? 1 / metersPerDegree : metersPerDegree;
+  }
+
+  var urls = [];
+  var seen = {};
+  for (var zoom = minZoom; zoom <= maxZoom; zoom++) {
+    var z = tileGrid.getZForResolution(view.getResolutionForZoom(zoom) * unitScale);
+    var origin = tileGrid.getOrigin(z);
+    var tileSize = ol.size.toSize(tileGrid.getTileSize(z));
+    var tileWidth = tileSize[0] * tileGrid.getResolution(z);
+    var tileHeight = tileSize[1] * tileGrid.getResolution(z);
+    for (var i = 0; i < extents.length; i++) {
+      var extent = ol.extent.getIntersection(extents[i], tileGrid.getExtent() || projection.getExtent());
+      if (ol.extent.isEmpty(extent)) {
+        continue;
+      }
+      var minX = Math.floor((extent[0] - origin[0]) / tileWidth);
+      var maxX = Math.ceil((extent[2] - origin[0]) / tileWidth) - 1;
+      var minY = Math.floor((extent[1] - origin[1]) / tileHeight);
+      var maxY = Math.ceil((extent[3] - origin[1]) / tileHeight) - 1;
+      for (var x = minX; x <= maxX; x++) {
+        for (var y = minY; y <= maxY; y++) {
+          var url = tileUrlFunction([z, x, y], pixelRatio, projection);
+          if (url && !seen[url]) {
+            seen[url] = true;
+            urls.push(url);
+          }
+          if (urls.length > this.maxPrefetch) {
+            // no need to count further, it's too many
+            return urls;
+          }
+        }
+      }
+    }
+  }
+  return urls;
+};
+
+
+/*
+ * Returns the extents, in the projection of a source, covering a lat/lon region. Degree
+ * sources span -180 to 180, so a region crossing 180 gives two extents.
+ *
+ * Parameters: projection - the OL projection of the source
+ *             options    - the prefetch() options (bounds, longitudeDirection, latitudeType)
+ * Returns: array of extents
+ */
+AstroTileCache.prototype.getSourceExtents = function(projection, options) {
+  var bounds = options.bounds || [0, -90, 360, 90];
+  if (!Array.isArray(bounds)) {
+    bounds = [bounds.left, bounds.bottom, bounds.right, bounds.top];
+  }
+  var southWest = this.astroMap.fromCoordinateConvention([bounds[0], bounds[1]], options.longitudeDirection, options.latitudeType);
+  var northEast = this.astroMap.fromCoordinateConvention([bounds[2], bounds[3]], options.longitudeDirection, options.latitudeType);
+  var west = southWest[0];
+  var east = northEast[0];
+  if (east <= west) {
+    east += 360;
+  }
+  var south = Math.min(southWest[1], northEast[1]);
+  var north = Math.max(southWest[1], northEast[1]);
+
+  if (projection.getUnits() == 'degrees') {
+    // shift to start between -180 and 180, then split what runs past 180
+    var shift = 360 * Math.floor((west + 180) / 360);
+    west -= shift;
+    east -= shift;
+    var extents = [[west, south, Math.min(east, 180), north]];
+    if (east > 180) {
+      extents.push([-180, south, Math.min(east - 360, 180), north]);
+    }
+    return extents;
+  }
+
+  // the outline of the region, projected, gives the extent
+  var extent = ol.extent.createEmpty();
+  var steps = 16;
+  for (var i = 0; i <= steps; i++) {
+    var lon = west + (east - west) * i / steps;
+    var lat = south + (north - south) * i / steps;
+    var outline = [[lon, south], [lon, north], [west, lat], [east, lat]];
+    for (var j = 0; j < outline.length; j++) {
+      var point = ol.proj.transform([AstroGeometry.transformLonTo0360(outline[j][0]), outline[j][1]], 'EPSG:4326', projection);
+      if (isFinite(point[0]) && isFinite(point[1])) {
+        extent = [Math.min(extent[0], point[0]), Math.min(extent[1], point[1]),
+                  Math.max(extent[2], point[0]), Math.max(extent[3], point[1])];
+      }
+    }
+  }
+  return [extent];
+};
+
+
+/*
+ * Shows (or updates) the prefetch progress on the map.
+ *
+ * Parameters: done   - tiles handled so far
+ *             total  - tiles to download
+ *             failed - tiles that could not be downloaded
+ * Returns: nothing
+ */
+AstroTileCache.prototype.showProgress = function(done, total, failed) {
+  if (this.progressDiv == null) {
+    this.progressDiv = document.createElement('div');
+    this.progressDiv.className = 'astroTileCacheProgress';
+    this.progressDiv.innerHTML = '<div class="astroTileCacheProgressText"></div>' +
+      '<div class="astroTileCacheProgressBar"><div class="astroTileCacheProgressFill"></div></div>';
+    this.astroMap.map.getViewport().appendChild(this.progressDiv);
+  }
+  var text = 'Caching tiles: ' + done + ' of ' + total;
+  if (failed > 0) {
+    text += ' (' + failed + ' failed)';
+  }
+  this.progressDiv.firstChild.innerHTML = text;
+  this.progressDiv.lastChild.firstChild.style.width = ((total > 0) ? Math.round(100 * done / total) : 0) + '%';
+};
+
+
+/*
+ * Removes the prefetch progress from the map.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroTileCache.prototype.hideProgress = function() {
+  if (this.progressDiv) {
+    if (this.progressDiv.parentNode) {
+      this.progressDiv.parentNode.removeChild(this.progressDiv);
+    }
+    this.progressDiv = null;
+  }
+};
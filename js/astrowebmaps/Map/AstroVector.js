@@ -34,6 +34,15 @@ function AstroVector(astroMap, layer) {
   // Is -1 if currently modified vector isn't saved, or if we aren't modifying
   // anything
   this.savedIndex = -1;
+
+  // how far (in meters) a vector's edges may stray from their great circles when drawn
+  // in the polar projections (see AstroGeometry.densifyGreatCircle())
+  this.greatCircleTolerance = 100;
+
+  // so the map can redraw us on projection switches
+  if (astroMap) {
+    astroMap.vectorDrawers.push(this);
+  }
 };
 
 /*
@@ -141,9 +150,41 @@ AstroVector.prototype.drawAndStore = function(wktString, attributes, color, id,
   var vectorState = this.draw(wktString, attributes, color, id, center, datelineShift);
   vectorState.index = this.storedVectors.length;
   this.storedVectors.push(vectorState);
+  this.fireAdded(vectorState);
   return vectorState;
 };
 
+/*
+ * Fires the map event for a newly stored vector (see AstroMap.on()).
+ *
+ * Parameter: vectorState - the stored vector state
+ * Returns: nothing
+ */
+AstroVector.prototype.fireAdded = function(vectorState) {
+  this.astroMap.fire('vectoradded', {
+    drawer: this,
+    id: vectorState.id,
+    index: vectorState.index,
+    wkt: this.astroMap.wktToLongitudeConvention(vectorState.searchWKT),
+    splitWkt: this.astroMap.wktToLongitudeConvention(vectorState.splitWKT)
+  });
+};
+
+/*
+ * Fires the map event for a removed vector (see AstroMap.on()).
+ *
+ * Parameter: vectorState - the removed vector state, or null if all vectors were removed
+ * Returns: nothing
+ */
+AstroVector.prototype.fireRemoved = function(vectorState) {
+  this.astroMap.fire('vectorremoved', {
+    drawer: this,
+    id: (vectorState) ? vectorState.id : null,
+    index: (vectorState) ? vectorState.index : null,
+    wkt: (vectorState) ? this.astroMap.wktToLongitudeConvention(vectorState.searchWKT) : null
+  });
+};
+
 /*
  * Draws the vector, splitting and warping it if necessary.
  *
@@ -155,6 +196,7 @@ AstroVector.prototype.draw = function(wktString, attributes, color, id, center,
   var vector;
   var datelineShifted = false;  // keep track of whether or not it was dateline shifted to determine zoom level
   var currentProjection = this.astroMap.projection;
+  var definition = AstroProjections.get(currentProjection);
   var geometry;
 
   // clean up WKT in case there is extra unnecessary whitespace
@@ -174,7 +216,7 @@ AstroVector.prototype.draw = function(wktString, attributes, color, id, center,
 
   var format = new ol.format.WKT();
 
-  if (currentProjection == "cylindrical") {
+  if (definition.units == 'degrees') {
     geometry = format.readGeometry(wktString);
     var extent = geometry.getExtent();
     var brX = ol.extent.getBottomRight(extent)[0];
@@ -192,23 +234,33 @@ AstroVector.prototype.draw = function(wktString, attributes, color, id, center,
 	vectorState.drawWKT = AstroGeometry.datelineShift(wktString);
     }
   } else {
-    //polar
+    // projected (polar, orthographic, ...): warp in lat/lon, then project
     geometry = format.readGeometry(wktString);
-    wktLatLon = format.writeGeometry(geometry, {decimals: 2});
+    var wktLatLon = format.writeGeometry(geometry, {decimals: 2});
     var wktWarp = wktLatLon;
     vectorState.searchWKT = wktLatLon;
-    if (AstroGeometry.crossesDateline(wktString, currentProjection)) {
-      vectorState.splitWKT = AstroGeometry.splitOnDateline(wktLatLon, currentProjection);
-      wktWarp = AstroGeometry.warpWkt(vectorState.splitWKT);
-    } else {
-      wktWarp = AstroGeometry.warpWkt(wktLatLon);
+    // the polar caps are drawn with true (great circle) edges
+    var warpSettings = null;
+    if (definition.pole) {
+      var currentProj = this.astroMap.currentProj;
+      warpSettings = {
+        greatCircle: true,
+        aAxisRadius: Number(this.astroMap.aAxisRadius),
+        cAxisRadius: Number(this.astroMap.cAxisRadius),
+        tolerance: this.greatCircleTolerance,
+        transform: function(point) {
+          return ol.proj.transform(point, 'EPSG:4326', currentProj);
+        }
+      };
     }
-    var geometryWarp = format.readGeometry(wktWarp);
-    if (currentProjection == "north-polar stereographic") {
-      geometryWarp = geometryWarp.transform('EPSG:4326','EPSG:32661');
+    if (definition.splitAs && AstroGeometry.crossesDateline(wktString, definition.splitAs)) {
+      vectorState.splitWKT = AstroGeometry.splitOnDateline(wktLatLon, definition.splitAs);
+      wktWarp = AstroGeometry.warpWkt(vectorState.splitWKT, warpSettings);
     } else {
-      geometryWarp = geometryWarp.transform('EPSG:4326','EPSG:32761');
+      wktWarp = AstroGeometry.warpWkt(wktLatLon, warpSettings);
     }
+    var geometryWarp = format.readGeometry(wktWarp);
+    geometryWarp = geometryWarp.transform('EPSG:4326', this.astroMap.currentProj);
     vectorState.drawWKT = format.writeGeometry(geometryWarp, {decimals: 2});
   }
 
@@ -315,33 +367,28 @@ AstroVector.prototype.highlightVector = function(vector) {
 //
 AstroVector.prototype.isDrawable = function(geometry) {
 
-  var ex = geometry.getExtent();
-  var drawable = false;
-  switch(astroMap.projection) {
-  case 'cylindrical':
-    // always draw in cylindrical
-    drawable = true;
-    break;
-  case 'north-polar stereographic':
-    drawable = (ol.extent.getBottomRight(ex)[1]>60) ? true : false;
-    break;
-  case 'south-polar stereographic':
-    drawable = (ol.extent.getTopRight(ex)[1]<-60) ? true : false;
-    break;
+  // every vertex has to be on the map (polar caps, the near side of the globe, ...)
+  var coordinates = geometry.getFlatCoordinates();
+  var stride = geometry.getStride();
+  for (var i = 0; i < coordinates.length; i += stride) {
+    if (!this.astroMap.isVisibleInProjection([coordinates[i], coordinates[i + 1]], this.astroMap.projection)) {
+      return false;
+    }
   }
-return drawable;
+  return true;
 
 };
 
 /*
- * Redraws the stored vector features.
+ * Redraws the stored vector features in the current projection. Any previous
+ * drawing of a stored vector is removed first. Vectors that can't be seen in the
+ * current projection stay stored so they come back on the next projection switch.
  *
  * Parameters: none
  * Returns: nothing
  */
 AstroVector.prototype.redraw = function() {
-  var currentLat = 0;
-  var draw = true;  // do we redraw the vector or not?
+  var format = new ol.format.WKT();
 
   for (var i = 0, len = this.storedVectors.length; i < len; i++) {
     if (!this.storedVectors[i]) {
@@ -349,13 +396,18 @@ AstroVector.prototype.redraw = function() {
     }
 
     var currentVector = this.storedVectors[i];
-    var currentGeo = currentVector.vectorFeature.getGeometry();
+    if (this.layer.getFeatures().indexOf(currentVector.vectorFeature) != -1) {
+      this.layer.removeFeature(currentVector.vectorFeature);
+    }
+    var currentGeo = format.readGeometry(currentVector.searchWKT);
     if (this.isDrawable(currentGeo)) {
-      //var color = (currentVector) ? currentVector.color : null;
+      // don't center while redrawing, the map keeps its own center
       var vectorState = this.draw(currentVector.searchWKT, currentVector.vectorFeature.attributes,
-                          currentVector.color, currentVector.id, currentVector.center,
+                          currentVector.color, currentVector.id, false,
                           currentVector.datelineShift);
       // update stored vector state
+      vectorState.center = currentVector.center;
+      vectorState.index = currentVector.index;
       this.storedVectors[i] = vectorState;
     }
   } //for
@@ -386,10 +438,14 @@ AstroVector.prototype.remove = function(vector) {
  * Returns: nothing
  */
 AstroVector.prototype.removeAndUnstore = function(index) {
-  if (this.storedVectors[index] != null) {
-    this.remove(this.storedVectors[index].vectorFeature);
+  var vectorState = this.storedVectors[index];
+  if (vectorState != null) {
+    this.remove(vectorState.vectorFeature);
   }
   this.storedVectors[index] = null;
+  if (vectorState != null) {
+    this.fireRemoved(vectorState);
+  }
 };
 
 /*
@@ -423,8 +479,12 @@ AstroVector.prototype.removeAll = function() {
  */
 AstroVector.prototype.removeAndUnstoreAll = function() {
 
+  var hadVectors = (this.storedVectors.length > 0);
   this.layer.clear();
   this.storedVectors = [];
+  if (hadVectors) {
+    this.fireRemoved(null);
+  }
 };
 
 //
@@ -3,7 +3,7 @@
  *
  * Class to add OpenLayers controls.
  *
- * Dependencies: OpenLayers.js, AstroMap.js, OpenLayers/Controls/*
+ * Dependencies: OpenLayers.js, AstroMap.js, AstroWMSLoader.js, AstroTimeline.js, OpenLayers/Controls/*
  */
 
 /*
@@ -19,6 +19,8 @@
  *   featureSearch                       - turn feature search on or off (boolean). Default: false
  *   scaleLine                           - turn scale line on or off (boolean). Default: false
  *   overviewMap                         - turn overview map on or off (boolean). Default: false
+ *   attribution                         - turn the layer credits (catalog citations) on or off (boolean). The
+ *                                         credits are also written on downloaded maps. Default: true
  *   mousePosition                       - turn mouse lon/lat position on or off (boolean). Default: false
  *   zoomButton                          - turn zoom button on or off (boolean). Default: false
  *   boundingBoxDrawer                   - turn bounding box drawer button on or off (boolean). Default: false
@@ -27,15 +29,36 @@
  *   selectButton                        - turn feature select button on or off (boolean). Default: false
  *   rubberBandSelectButton              - turn rubberband feature select button on or off (boolean). Default: false
  *   homeButton                          - turn home button on or off (boolean). Default: false
+ *   measureTool                         - turn the measure button on or off (boolean, see measureTool()).
+ *                                         Default: false
+ *   measureType                         - what the measure button draws, 'polygon' (perimeter and area) or
+ *                                         'line' (length). Default: 'polygon'
+ *   queryButton                         - turn layer query (WMS GetFeatureInfo) button on or off (boolean).
+ *                                         Default: false
+ *   queryInfoFormat                     - the format layer queries ask for, 'text/plain', 'text/html' or
+ *                                         'application/json'. A layer's infoFormat in the catalog takes
+ *                                         precedence. Default: 'text/plain'
+ *   wmsLoader                           - turn the button for adding layers from other WMS services on or off
+ *                                         (boolean, see AstroWMSLoader.js). Default: false
+ *   wmsLoaderUrl                        - the WMS service URL that panel opens with. Default: ''
+ *   timeline                            - turn the timeline for layers with dimensions (TIME, ...) on or off
+ *                                         (boolean, see AstroTimeline.js). Default: false
+ *   timelineInterval                    - milliseconds between the timeline's steps while playing. Default: 1000
+ *   timelineLoop                        - boolean indicating whether or not the timeline starts over at the end
+ *                                         while playing. Default: true
  *   defaultLayerSwitcherBackgroundColor - the color of the layer switcher's background. Default: '#e3701a'
  *   defaultSelectStrokeColor            - the color of the stroke used when a feature is selected. Default: 'yellow'
  *   defaultSelectFillColor              - the color of the fill used when a feature is selected. Default: '#ff6600'
- *   boundingBoxDrawHandler              - callback function for when bounding boxes are drawn.
+ *   boundingBoxDrawHandler              - callback function for when bounding boxes are drawn with the control.
  *                                         Default: function that puts bbox WKT in form field and draws the bounding
  *                                         box on the map, zooming to it. (AstroBoundingBox.js)
  *   zoomEndHandler                      - callback function for when zooming has finished. Default: empty function
  *   selectHandler                       - callback function for when a feature select occurs. Default: empty function
  *   unselectHandler                     - callback function for when a feature unselect occurs. Default: empty function
+ *   queryHandler                        - callback function passed the results of a layer query (see
+ *                                         queryFeatureInfo()). Default: empty function
+ *   measureHandler                      - callback function passed the measurement of a shape drawn with the
+ *                                         measure button (see measureGeometry()). Default: empty function
  */
 
 //document.olLayerSwitcherHook = function () {console.log('yo');};
@@ -49,9 +72,11 @@ function AstroControls(astroMap, controlSettings) {
   this.buttonMargin = 30;
   this.imagePath = this.astroMap.imagePath;
   this.layersWithSliders = [];
-  this.mouseLonLatDiv = "astroConsoleLonLat";
+  this.mouseLonLatDiv = this.astroMap.getElementId("astroConsoleLonLat");
   this.scaleline = null;
   this.graticule=null;
+  this.layerSwitcherControl = null;
+  this.mousePositionControl = null;
 
   // default styles
   this.defaultLayerSwitcherBackgroundColor = '#e3701a';
@@ -66,6 +91,7 @@ function AstroControls(astroMap, controlSettings) {
   this.featureSearchOn = false;
   this.scaleLineOn = false;
   this.overviewMapOn = false;
+  this.attributionOn = true;
   this.mousePositionOn = false;
   this.dontConvertForm = false;
   this.navButtonOn = false;
@@ -74,6 +100,7 @@ function AstroControls(astroMap, controlSettings) {
   this.lineButton = false;
   this.pointButton = false;
   this.measureButton = false;
+  this.measureType = 'polygon';
   this.resizeGeometryButton = false;
   this.reshapeGeometryButton = false;
   this.transformGeometryButton = false;
@@ -82,6 +109,13 @@ function AstroControls(astroMap, controlSettings) {
   this.selectButtonoOn = false;
   this.rubberBandSelectButton = false;
   this.homeButtonOn = false;
+  this.queryButtonOn = false;
+  this.queryInfoFormat = 'text/plain';
+  this.queryListener = null;  // key of the map click listener while querying
+  this.wmsLoaderOn = false;
+  this.wmsLoader = null;  // AstroWMSLoader panel for adding layers from other WMS services
+  this.timelineOn = false;
+  this.timelineControl = null;  // AstroTimeline for the layer dimensions
   this.expandButtonOn = false;
   this.downloadButtonOn = false;
   this.panel = null;
@@ -92,12 +126,13 @@ function AstroControls(astroMap, controlSettings) {
 
   // event callbacks
   this.zoomEndHandler = function() {};
-  this.selectHandler = function() {console.log('here');};
+  this.selectHandler = function() {};
   this.boundingBoxDrawHandler = function() {};
   this.unselectHandler = function() {};
   this.editHandler = function() {};
   this.measureHandler = function() {};
   this.expandHandler = function() {};
+  this.queryHandler = function() {};
 
   // set up vars based on passed settings
   if (controlSettings) {
@@ -107,6 +142,7 @@ function AstroControls(astroMap, controlSettings) {
     if (controlSettings.featureSearch) {this.featureSearchOn = true;}
     if (controlSettings.scaleLine) {this.scaleLineOn = true;}
     if (controlSettings.overviewMap) {this.overviewMapOn = true;}
+    if ((controlSettings.attribution === false) || (controlSettings.attribution == 'false')) {this.attributionOn = false;}
     if (controlSettings.mousePosition) {this.mousePositionOn = true;}
     if (controlSettings.dontConvertForm) {this.dontConvertForm = true;}
     if (controlSettings.navButton) {this.navButtonOn = true;}
@@ -115,6 +151,7 @@ function AstroControls(astroMap, controlSettings) {
     if (controlSettings.lineDrawer) {this.lineButton = true;}
     if (controlSettings.pointDrawer) {this.pointButton = true;}
     if (controlSettings.measureTool) {this.measureButton = true;}
+    if (controlSettings.measureType) {this.measureType = controlSettings.measureType;}
     if (controlSettings.resizeGeometryButton) {this.resizeGeometryButton = true;}
     if (controlSettings.reshapeGeometryButton) {this.reshapeGeometryButton = true;}
     if (controlSettings.transformGeometryButton) {this.transformGeometryButton = true;}
@@ -122,6 +159,10 @@ function AstroControls(astroMap, controlSettings) {
     if (controlSettings.selectButton) {this.selectButtonOn = true;}
     if (controlSettings.rubberBandSelectButton) {this.rubberBandSelectButton = true;}
     if (controlSettings.homeButton) {this.homeButtonOn = true;}
+    if (controlSettings.queryButton) {this.queryButtonOn = true;}
+    if (controlSettings.queryInfoFormat) {this.queryInfoFormat = controlSettings.queryInfoFormat;}
+    if (controlSettings.wmsLoader) {this.wmsLoaderOn = true;}
+    if (controlSettings.timeline) {this.timelineOn = true;}
     if (controlSettings.expandButton) {this.expandButtonOn = true;}
     if (controlSettings.downloadButton) {this.downloadButtonOn = true;}
     if (controlSettings.defaultControl) {this.defaultControl = controlSettings.defaultControl;}
@@ -155,22 +196,57 @@ function AstroControls(astroMap, controlSettings) {
     if (controlSettings.expandHandler) {
       this.expandHandler = controlSettings.expandHandler;
     }
+    if (controlSettings.queryHandler) {
+      this.queryHandler = controlSettings.queryHandler;
+    }
     if (controlSettings.decimalPlaces) {this.decimalPlaces = controlSettings.decimalPlaces;}
   }
 
+  // the callbacks are map event listeners (see AstroMap.on())
+  var that = this;
+  var lastZoom = null;
+  this.astroMap.on('select', function(e) {
+    that.selectHandler(e.feature);
+  });
+  this.astroMap.on('unselect', function(e) {
+    that.unselectHandler(e.feature);
+  });
+  this.astroMap.on('bboxchange', function(e) {
+    if (e.wkt && e.fromControl) {
+      that.boundingBoxDrawHandler();
+    }
+  });
+  this.astroMap.on('featureinfo', function(e) {
+    that.queryHandler(e.results);
+  });
+  this.astroMap.on('measure', function(e) {
+    that.measureHandler(e);
+  });
+  this.astroMap.on('moveend', function(e) {
+    if ((lastZoom != null) && (e.zoom != lastZoom)) {
+      that.zoomEndHandler();
+    }
+    lastZoom = e.zoom;
+  });
+
   // create controls on map
   if (this.zoomBarOn) {this.zoomBar();}
   if (this.graticuleOn) {this.graticuleOption();}
   if (this.layerSwitcherOn) {this.layerSwitcher();}
   if (this.scaleLineOn) {this.scaleLine();}
   if (this.overviewMapOn) {this.overviewMap();}
+  if (this.attributionOn) {this.attribution();}
+  if (this.timelineOn) {this.timeline();}
   if (this.featureSearchOn) {this.featureSearch();}
   if (this.mousePositionOn) {this.mousePosition();}
   if (this.navButtonOn) {this.navigationButton();}
   if (this.homeButtonOn) {this.homeButton();}
   if (this.expandButtonOn) {this.expandButton();}
   if (this.selectButtonOn) {this.selectButton();}
+  if (this.queryButtonOn) {this.queryButton();}
+  if (this.wmsLoaderOn) {this.wmsLoaderButton();}
   if (this.boundingBoxButtonOn) {this.boundingBoxButton();}
+  if (this.measureButton) {this.measureTool();}
   if (this.downloadButtonOn) {this.downloadButton();}
 
 };
@@ -181,7 +257,7 @@ AstroControls.prototype.activateButton = function(name) {
 
   var e=null;
   for (var i = 0; i < this.buttons.length; i++) {
-    e = document.getElementById(this.buttons[i] + "Button");
+    e = document.getElementById(this.astroMap.getElementId(this.buttons[i] + "Button"));
     if ((this.buttons[i] == name) && (name != 'home') && (name != 'download')) {
       e.style.backgroundImage = 'url("' + this.imagePath + 'ol3buttons/' + name + '-hot.png")';
     } else {
@@ -224,7 +300,6 @@ AstroControls.prototype.boundingBoxButton = function() {
       });
       draw.on('drawend', function(e) {
 		drawnFeatures.push(e.feature);
-		this_.boundingBoxDrawHandler();
 		//console.log(features);
       });
       this_.astroMap.map.addInteraction(draw);
@@ -233,6 +308,69 @@ AstroControls.prototype.boundingBoxButton = function() {
   this.makeButton("polygon", handlePolygon, "Draw Bounding Box");
 };
 
+/*
+ * Adds the measure button. Shapes drawn with it (polygons, or lines if measureType
+ * is 'line') are measured on the target body (see measureGeometry()).
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroControls.prototype.measureTool = function() {
+
+  var this_ = this;
+  var handleMeasure = function(e) {
+    this_.deactivateButtons();
+    this_.activateButton("measure");
+    this_.draw = new ol.interaction.Draw({
+      type: (this_.measureType == 'line') ? 'LineString' : 'Polygon'
+    });
+    this_.draw.on('drawend', function(e) {
+      this_.measureGeometry(e.feature.getGeometry());
+    });
+    this_.astroMap.map.addInteraction(this_.draw);
+  };
+  this.makeButton("measure", handleMeasure, "Measure");
+};
+
+/*
+ * Measures a geometry on the target's spheroid (see AstroGeometry.getLengthOfLine() and
+ * AstroGeometry.getAreaOfPolygon()), shows the result in the map popup and fires a
+ * measure map event (see AstroMap.on()) with it.
+ *
+ * Parameter: geometry - the OL line or polygon, in the view projection
+ * Returns: hash with the length (km, the perimeter of polygons), area (square km, 0
+ *          for lines) and wkt (lat/lon, in the map's longitude convention)
+ */
+AstroControls.prototype.measureGeometry = function(geometry) {
+  var astroMap = this.astroMap;
+  var currentProj = astroMap.currentProj;
+
+  // the edges are drawn straight in the view projection, so they get points every
+  // few pixels to keep that shape in lat/lon
+  var drawn = {type: geometry.getType(), coordinates: geometry.getCoordinates()};
+  drawn = AstroGeometry.warpGeometry(drawn, astroMap.map.getView().getResolution() * 5);
+  var lonLat = AstroGeometry.transformGeometry(drawn, function(point) {
+    return ol.proj.transform(point, currentProj, 'EPSG:4326');
+  });
+
+  var measurement = {length: 0, area: 0, wkt: astroMap.wktToLongitudeConvention(AstroGeometry.writeWkt(lonLat))};
+  if (lonLat.type == 'Polygon') {
+    measurement.length = AstroGeometry.getLengthOfLine({type: 'LineString', coordinates: lonLat.coordinates[0]},
+                                                       astroMap.aAxisRadius, astroMap.cAxisRadius);
+    measurement.area = AstroGeometry.getAreaOfPolygon(lonLat, astroMap.aAxisRadius, astroMap.cAxisRadius, astroMap.getPoleProjection());
+  } else {
+    measurement.length = AstroGeometry.getLengthOfLine(lonLat, astroMap.aAxisRadius, astroMap.cAxisRadius);
+  }
+
+  var text = ((lonLat.type == 'Polygon') ? 'Perimeter: ' : 'Length: ') + measurement.length.toFixed(3) + ' km';
+  if (lonLat.type == 'Polygon') {
+    text += '\nArea: ' + measurement.area.toFixed(3) + ' km\u00b2';
+  }
+  this.showQueryPopup([{title: 'Measurement', text: text}], ol.extent.getCenter(geometry.getExtent()));
+  astroMap.fire('measure', measurement);
+  return measurement;
+};
+
 //
 //
 AstroControls.prototype.deactivateButtons = function() {
@@ -245,8 +383,15 @@ AstroControls.prototype.deactivateButtons = function() {
     this.astroMap.map.removeInteraction(this.select);
     this.select = null;
   }
+  if (this.queryListener) {
+    ol.Observable.unByKey(this.queryListener);
+    this.queryListener = null;
+  }
+  if (this.wmsLoader) {
+    this.wmsLoader.hide();
+  }
   for (var i = 0; i < this.buttons.length; i++) {
-    e = document.getElementById(this.buttons[i] + "Button");
+    e = document.getElementById(this.astroMap.getElementId(this.buttons[i] + "Button"));
     e.style.backgroundImage = 'url("' + this.imagePath + 'ol3buttons/' + this.buttons[i] + '.png")';
   }
 
@@ -272,8 +417,11 @@ AstroControls.prototype.downloadButton = function() {
 
     this_.deactivateButtons();
     this_.activateButton("download");
-    var canvas = document.getElementsByTagName('canvas')[0];
-    anchor = document.getElementById("downloadAnchor");
+    var canvas = this_.astroMap.map.getViewport().getElementsByTagName('canvas')[0];
+    if (this_.attributionOn) {
+      this_.writeAttributionsToCanvas(canvas);
+    }
+    var anchor = document.getElementById(this_.astroMap.getElementId("downloadAnchor"));
     anchor.download = "astro-download.png";
     //anchor.href = canvas.toDataURL('image/png')
     var imgData = canvas.toDataURL('image/png');
@@ -322,6 +470,7 @@ AstroControls.prototype.layerSwitcher = function() {
 						     tipLabel: 'Layers'
   });
   this.astroMap.map.addControl(layerSwitcher);
+  this.layerSwitcherControl = layerSwitcher;
 
 };
 
@@ -336,13 +485,13 @@ AstroControls.prototype.makeButton = function(name, handler, title) {
     var options = opt_options || {};
     var anchor = document.createElement('a');
     anchor.href = '#' + name;
-    anchor.id = name + 'Anchor';
+    anchor.id = this_.astroMap.getElementId(name + 'Anchor');
     anchor.addEventListener('click', handler, false);
     anchor.addEventListener('touchstart', handler, false);
 
     var element = document.createElement('div');
     element.className = 'control ' + name + '-control ol-unselectable';
-    element.id = name + "Button";
+    element.id = this_.astroMap.getElementId(name + "Button");
     element.style.backgroundImage = 'url("' + this_.imagePath + 'ol3buttons/' + name + '.png")';
     element.style.top = String(this_.buttonTop) + "px";
     element.setAttribute("title",title);
@@ -414,13 +563,12 @@ AstroControls.prototype.selectButton = function() {
 					     });
     this_.astroMap.map.addInteraction(this_.select);
     this_.select.on('select', function(e) {
-		      var selected = e.selected;
-		      if (selected.length) {
-			selected.forEach(function(feature){
-			  this_.astroMap.controls.selectHandler(feature);
-			});
-		      }
-
+		      e.selected.forEach(function(feature){
+			this_.astroMap.fire('select', {feature: feature, wkt: this_.astroMap.geometryToLonLatWKT(feature.getGeometry())});
+		      });
+		      e.deselected.forEach(function(feature){
+			this_.astroMap.fire('unselect', {feature: feature, wkt: this_.astroMap.geometryToLonLatWKT(feature.getGeometry())});
+		      });
 		    });
   };
   this.makeButton("select", handleSelect, "Select Footprint");
@@ -428,6 +576,341 @@ AstroControls.prototype.selectButton = function() {
 };
 
 
+/*
+ * Adds the query button. While it is active, clicking the map queries the visible
+ * layers at that point (see queryFeatureInfo()).
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroControls.prototype.queryButton = function() {
+
+  var this_ = this;
+  var handleQuery = function(e) {
+    this_.deactivateButtons();
+    this_.activateButton("query");
+    this_.queryListener = this_.astroMap.map.on('singleclick', function(evt) {
+      this_.queryFeatureInfo(evt.coordinate);
+    });
+  };
+  this.makeButton("query", handleQuery, "Query Layers");
+
+};
+
+/*
+ * Returns the visible layers that can be queried: WMS layers that aren't marked
+ * queryable: 'false' in the catalog.
+ *
+ * Parameters: none
+ * Returns: array of OL layers
+ */
+AstroControls.prototype.getQueryableLayers = function() {
+  var layers = [];
+  var view = this.astroMap.map.getView();
+  var resolution = view.getResolution();
+  var collect = function(layer) {
+    if (layer.getLayers) {
+      if (layer.getVisible()) {
+        layer.getLayers().forEach(collect);
+      }
+      return;
+    }
+    if (layer.getVisible() && layer.get('queryable') && (layer.getSource() instanceof ol.source.TileWMS) &&
+        (resolution <= layer.getMaxResolution()) && (resolution >= layer.getMinResolution())) {
+      layers.push(layer);
+    }
+  };
+  this.astroMap.map.getLayers().forEach(collect);
+  return layers;
+};
+
+/*
+ * Sends a WMS GetFeatureInfo request to every visible queryable layer (see
+ * getQueryableLayers()) at a point, shows the answers in the map popup and fires a
+ * featureinfo map event (see AstroMap.on()) once they are all in. The point is sent
+ * to each server in the projection of its layer.
+ *
+ * Parameters: coordinate - the point, in the view projection
+ * Returns: false if there was nothing to query, true otherwise
+ */
+AstroControls.prototype.queryFeatureInfo = function(coordinate) {
+  var astroMap = this.astroMap;
+  var view = astroMap.map.getView();
+  var viewProjection = view.getProjection();
+  var lonLat = ol.proj.transform(coordinate, viewProjection, 'EPSG:4326');
+  if (!isFinite(lonLat[0]) || !isFinite(lonLat[1])) {
+    return false;
+  }
+  lonLat[0] = AstroGeometry.transformLonTo0360(lonLat[0]);
+  var layers = this.getQueryableLayers();
+  if (layers.length == 0) {
+    return false;
+  }
+
+  var this_ = this;
+  var results = [];
+  var pending = layers.length;
+  var finish = function() {
+    pending--;
+    if (pending > 0) {
+      return;
+    }
+    this_.showQueryPopup(results, coordinate);
+    astroMap.fire('featureinfo', {
+      lonLat: astroMap.toLongitudeConvention(lonLat),
+      coordinate: coordinate,
+      results: results
+    });
+  };
+
+  // view resolutions are converted to the units of each layer
+  var metersPerDegree = (Math.PI * astroMap.aAxisRadius * 1000) / 180;
+  for (var i = 0; i < layers.length; i++) {
+    var layer = layers[i];
+    var source = layer.getSource();
+    var sourceProjection = source.getProjection() || viewProjection;
+    var point = ol.proj.transform(coordinate, viewProjection, sourceProjection);
+    var resolution = view.getResolution();
+    if (sourceProjection.getUnits() != viewProjection.getUnits()) {
+      resolution *= (sourceProjection.getUnits() == 'degrees') ? 1 / metersPerDegree : metersPerDegree;
+    }
+    if (sourceProjection.getUnits() == 'degrees') {
+      // the tiles are requested between -180 and 180
+      point[0] = ((point[0] + 180) % 360 + 360) % 360 - 180;
+    }
+    var format = layer.get('infoFormat') || this.queryInfoFormat;
+    var result = {layer: layer, title: layer.get('title'), format: format, text: null, html: null, json: null, error: null};
+    results.push(result);
+    var url = source.getGetFeatureInfoUrl(point, resolution, sourceProjection, {'INFO_FORMAT': format});
+    if (!url) {
+      result.error = 'The layer can not be queried at this zoom level';
+      finish();
+      continue;
+    }
+    this.requestFeatureInfo(url, result, finish);
+  }
+  return true;
+};
+
+/*
+ * Requests one layer's GetFeatureInfo answer and parses it into the result by the
+ * format the server answered with.
+ *
+ * Parameters: url      - the GetFeatureInfo url
+ *             result   - the layer's result hash, gets text, html (the body of HTML answers,
+ *                        cleaned by cleanFeatureInfoHtml()) or json, or an error message
+ *             callback - function() called once the result is filled in
+ * Returns: nothing
+ */
+AstroControls.prototype.requestFeatureInfo = function(url, result, callback) {
+  var this_ = this;
+  var request = new XMLHttpRequest();
+  request.open('GET', url, true);
+  request.onload = function() {
+    if (request.status != 200) {
+      result.error = 'The server answered with status ' + request.status;
+      callback();
+      return;
+    }
+    var contentType = (request.getResponseHeader('Content-Type') || result.format).toLowerCase();
+    var body = request.responseText;
+    if (contentType.indexOf('json') != -1) {
+      try {
+        result.json = JSON.parse(body);
+      } catch (err) {
+        result.error = 'The answer is not valid JSON';
+      }
+    } else if (contentType.indexOf('html') != -1) {
+      var holder = document.createElement('div');
+      holder.appendChild(this_.cleanFeatureInfoHtml(body));
+      result.html = holder.innerHTML;
+    } else if (body.indexOf('ServiceException') != -1) {
+      result.error = body.replace(/<[^>]*>/g, '').trim();
+    } else {
+      result.text = body;
+    }
+    callback();
+  };
+  request.onerror = function() {
+    result.error = 'The server could not be reached';
+    callback();
+  };
+  request.send();
+};
+
+// elements kept from GetFeatureInfo HTML answers; others are replaced by their content
+AstroControls.featureInfoElements = ['a', 'b', 'br', 'caption', 'code', 'dd', 'div', 'dl', 'dt', 'em', 'h1', 'h2',
+                                     'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'li', 'ol', 'p', 'pre', 'small', 'span',
+                                     'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+                                     'tr', 'u', 'ul'];
+// elements dropped from GetFeatureInfo HTML answers along with their content
+AstroControls.featureInfoDropped = ['embed', 'frame', 'frameset', 'head', 'iframe', 'math', 'noscript',
+                                    'object', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'title'];
+
+/*
+ * Rebuilds a GetFeatureInfo HTML answer from text, table and list elements only. The
+ * answer can come from any WMS server (see AstroWMSLoader.js), so no attributes are
+ * kept except http(s)/mailto link targets and table cell spans; event handlers,
+ * styles, images and frames never make it into the page.
+ *
+ * Parameter: html - the HTML answer
+ * Returns: a document fragment with the cleaned content
+ */
+AstroControls.prototype.cleanFeatureInfoHtml = function(html) {
+  // the parsed document is inert: nothing in it loads or runs
+  var doc = new DOMParser().parseFromString(html, 'text/html');
+  var fragment = document.createDocumentFragment();
+  var copy = function(source, target) {
+    for (var node = source.firstChild; node; node = node.nextSibling) {
+      if (node.nodeType == 3) {
+        target.appendChild(document.createTextNode(node.nodeValue));
+        continue;
+      }
+      if (node.nodeType != 1) {
+        continue;
+      }
+      var name = node.nodeName.toLowerCase();
+      if (AstroControls.featureInfoDropped.indexOf(name) != -1) {
+        continue;
+      }
+      if (AstroControls.featureInfoElements.indexOf(name) == -1) {
+        copy(node, target);
+        continue;
+      }
+      var element = document.createElement(name);
+      if (name == 'a') {
+        var href = (node.getAttribute('href') || '').trim();
+        if (/^(https?:|mailto:)/i.test(href)) {
+          element.setAttribute('href', href);
+          element.setAttribute('target', '_blank');
+          element.setAttribute('rel', 'noopener noreferrer');
+        }
+      } else if ((name == 'td') || (name == 'th')) {
+        var spans = ['colspan', 'rowspan'];
+        for (var i = 0; i < spans.length; i++) {
+          if (/^[0-9]+$/.test(node.getAttribute(spans[i]) || '')) {
+            element.setAttribute(spans[i], node.getAttribute(spans[i]));
+          }
+        }
+      }
+      copy(node, element);
+      target.appendChild(element);
+    }
+  };
+  copy(doc.body, fragment);
+  return fragment;
+};
+
+/*
+ * Shows layer query results in the map popup.
+ *
+ * Parameters: results    - the results (see queryFeatureInfo())
+ *             coordinate - where to anchor the popup (view projection)
+ * Returns: nothing
+ */
+AstroControls.prototype.showQueryPopup = function(results, coordinate) {
+  var overlay = this.astroMap.mapOverlay;
+  var element = overlay.getElement();
+  if (!element) {
+    return;
+  }
+  while (element.firstChild) {
+    element.removeChild(element.firstChild);
+  }
+
+  var closer = document.createElement('a');
+  closer.href = '#';
+  closer.className = 'astroMapPopupCloser';
+  closer.innerHTML = '&times;';
+  closer.addEventListener('click', function(e) {
+    e.preventDefault();
+    overlay.setPosition(undefined);
+  });
+  element.appendChild(closer);
+
+  for (var i = 0; i < results.length; i++) {
+    var result = results[i];
+    var title = document.createElement('div');
+    title.className = 'astroMapPopupTitle';
+    title.textContent = result.title;
+    element.appendChild(title);
+
+    var content = document.createElement('div');
+    content.className = 'astroMapPopupQuery';
+    if (result.error) {
+      content.textContent = result.error;
+    } else if (result.html != null) {
+      content.appendChild(this.cleanFeatureInfoHtml(result.html));
+    } else if (result.json != null) {
+      content.appendChild(this.featureInfoTable(result.json));
+    } else {
+      var pre = document.createElement('pre');
+      pre.textContent = result.text;
+      content.appendChild(pre);
+    }
+    element.appendChild(content);
+  }
+
+  element.style.display = 'block';
+  overlay.setPosition(coordinate);
+};
+
+/*
+ * Builds a table of the feature properties in a JSON (GeoJSON) GetFeatureInfo answer.
+ *
+ * Parameters: json - the parsed answer
+ * Returns: the table element
+ */
+AstroControls.prototype.featureInfoTable = function(json) {
+  var features = (json.features) ? json.features : [json];
+  var table = document.createElement('table');
+  for (var i = 0; i < features.length; i++) {
+    var properties = features[i].properties || features[i];
+    for (var key in properties) {
+      if ((properties[key] !== null) && (typeof properties[key] == 'object')) {
+        continue;
+      }
+      var row = document.createElement('tr');
+      var th = document.createElement('th');
+      th.textContent = key;
+      var td = document.createElement('td');
+      td.textContent = String(properties[key]);
+      row.appendChild(th);
+      row.appendChild(td);
+      table.appendChild(row);
+    }
+  }
+  if (features.length == 0) {
+    var empty = document.createElement('tr');
+    empty.textContent = 'Nothing found';
+    table.appendChild(empty);
+  }
+  return table;
+};
+
+/*
+ * Adds the button that opens the panel for adding layers from other WMS services
+ * (see AstroWMSLoader.js). Pressing it again, or any other button, closes the panel.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroControls.prototype.wmsLoaderButton = function() {
+
+  this.wmsLoader = new AstroWMSLoader(this.astroMap, this.controlSettings);
+  var this_ = this;
+  var handleWMSLoader = function(e) {
+    var shown = this_.wmsLoader.isShown();
+    this_.deactivateButtons();
+    if (!shown) {
+      this_.activateButton("wms");
+      this_.wmsLoader.show();
+    }
+  };
+  this.makeButton("wms", handleWMSLoader, "Add WMS Layers");
+
+};
+
 //
 AstroControls.prototype.toggleLayer = function(name) {
   var layerArray = this.astroMap.map.getLayersByName(name);
@@ -436,6 +919,84 @@ AstroControls.prototype.toggleLayer = function(name) {
   }
 };
 
+/*
+ * Adds the attribution control, which credits the visible layers (their catalog
+ * citations, see AstroMap.createLayerSource()).
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroControls.prototype.attribution = function() {
+  this.attributionOn = true;
+  this.astroMap.map.addControl(new ol.control.Attribution({collapsible: false}));
+};
+
+/*
+ * Returns the citations of the visible layers, without duplicates.
+ *
+ * Parameters: none
+ * Returns: array of strings
+ */
+AstroControls.prototype.getAttributions = function() {
+  var citations = [];
+  var collect = function(layer) {
+    if (!layer.getVisible()) {
+      return;
+    }
+    if (layer.getLayers) {
+      layer.getLayers().forEach(collect);
+      return;
+    }
+    var citation = layer.get('citation');
+    if (citation && (citations.indexOf(citation) == -1)) {
+      citations.push(citation);
+    }
+  };
+  this.astroMap.map.getLayers().forEach(collect);
+  return citations;
+};
+
+/*
+ * Writes the credits of the visible layers in the bottom right corner of the map
+ * canvas, so downloaded maps carry them.
+ *
+ * Parameters: canvas - the map canvas
+ * Returns: nothing
+ */
+AstroControls.prototype.writeAttributionsToCanvas = function(canvas) {
+  var citations = this.getAttributions();
+  if (citations.length == 0) {
+    return;
+  }
+  var ctx = canvas.getContext('2d');
+  var fontSize = 11 * (window.devicePixelRatio || 1);
+  ctx.save();
+  ctx.font = fontSize + 'px Arial';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'bottom';
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = '#ffffff';
+  ctx.fillStyle = '#000000';
+  var y = canvas.height - 4;
+  for (var i = citations.length - 1; i >= 0; i--) {
+    ctx.strokeText(citations[i], canvas.width - 6, y);
+    ctx.fillText(citations[i], canvas.width - 6, y);
+    y -= fontSize + 3;
+  }
+  ctx.restore();
+};
+
+/*
+ * Adds the timeline for layers with dimensions (see AstroTimeline.js).
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroControls.prototype.timeline = function() {
+  this.timelineOn = true;
+  this.timelineControl = new AstroTimeline(this.astroMap, this.controlSettings);
+};
+
 //
 // overview map
 AstroControls.prototype.overviewMap = function() {
@@ -500,6 +1061,38 @@ AstroControls.prototype.graticuleOption = function() {
   this.graticule.setMap(this.astroMap.map);
 };
 
+/*
+ * Returns whether or not the graticule is shown.
+ *
+ * Parameters: none
+ * Returns: boolean
+ */
+AstroControls.prototype.isGraticuleVisible = function() {
+  return ((this.graticule != null) && (this.graticule.getMap() != null));
+};
+
+/*
+ * Shows or hides the graticule (creating it if need be) and updates the layer switcher.
+ *
+ * Parameter: visible - boolean
+ * Returns: nothing
+ */
+AstroControls.prototype.setGraticuleVisible = function(visible) {
+  if (visible == this.isGraticuleVisible()) {
+    return;
+  }
+  if (!this.graticule) {
+    this.graticuleOption();
+  }
+  this.graticule.setMap((visible) ? this.astroMap.map : null);
+  if (this.layerSwitcherControl) {
+    this.layerSwitcherControl.renderPanel();
+  }
+  if (this.astroMap.hashSync) {
+    this.astroMap.writeHash();
+  }
+};
+
 //
 // feature search
 // TODO finish this? or get rid of it...
@@ -510,8 +1103,8 @@ AstroControls.prototype.featureSearch = function() {
   var featureSearch = new OpenLayers.Control.GetFeature({
     protocol: OpenLayers.Protocol.WFS({
       url: this.astroMap.nomenWFSURL,
-      featureType: "Nomenclature",
-      featureNS: "http://intraweb-dev/nomen"
+      featureType: this.astroMap.nomenclature.featureType || "Nomenclature",
+      featureNS: this.astroMap.nomenclature.featureNS
     }),
     box: true,
     hover: false,
@@ -530,13 +1123,18 @@ AstroControls.prototype.mousePosition = function() {
   this.mousePositionOn = true;
 
   var mouseDiv = (this.astroMap.console) ? this.astroMap.console.mouseLonLatDiv : this.mouseLonLatDiv;
+  var astroMap = this.astroMap;
   if (document.getElementById(mouseDiv)) {
     document.getElementById(mouseDiv).innerHTML = '';
     var mousePositionControl = new ol.control.MousePosition({
 							    coordinateFormat: function(coordinate) {
-							      var londom = (document.getElementById('astroConsoleLonDomSelect'));
-							      var londir = (document.getElementById('astroConsoleLonDirSelect'));
-							      var lattype = (document.getElementById('astroConsoleLatTypeSelect'));
+							      // off the globe (orthographic, Mollweide, ...)
+							      if (isNaN(coordinate[0]) || isNaN(coordinate[1])) {
+								return '&nbsp;';
+							      }
+							      var londom = (document.getElementById(astroMap.getElementId('astroConsoleLonDomSelect')));
+							      var londir = (document.getElementById(astroMap.getElementId('astroConsoleLonDirSelect')));
+							      var lattype = (document.getElementById(astroMap.getElementId('astroConsoleLatTypeSelect')));
 							      if (londir && londir.options[londir.selectedIndex].value == 'PositiveWest') {
 								coordinate = AstroGeometry.transformPosEastPosWest(coordinate);
 							      }
@@ -548,18 +1146,77 @@ AstroControls.prototype.mousePosition = function() {
 							      }
 							      return ol.coordinate.format(coordinate, '{y}, {x}', 2);
 							    },
-							    projection: this.astroMap.currentProj,
+							    projection: this.astroMap.displayProjection,
 							    className: 'custom-mouse-position',
 							    target: document.getElementById(mouseDiv),
 							    undefinedHTML: '&nbsp;'
 							  });
     this.astroMap.map.addControl(mousePositionControl);
+    this.mousePositionControl = mousePositionControl;
+  }
+};
+
+/*
+ * Brings the controls up to date after the map switched projections in place
+ * (see AstroMap.switchProjection()). Drawing/selecting stops, the graticule is
+ * recreated for the new projection (staying off if the user turned it off) and
+ * the layer switcher and timeline are updated for the new layers.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroControls.prototype.updateProjection = function() {
+  this.deactivateButtons();
+
+  if (this.graticule) {
+    var graticuleShown = (this.graticule.getMap() != null);
+    this.graticule.setMap(null);
+    this.graticuleOption();
+    if (!graticuleShown) {
+      this.graticule.setMap(null);
+    }
+  }
+  if (this.mousePositionControl) {
+    // the transform from the new view projection is looked up again on the next move
+    this.mousePositionControl.setProjection(this.astroMap.displayProjection);
+  }
+  this.updateLayers();
+};
+
+/*
+ * Brings the controls that list the map's layers (the layer switcher and the
+ * timeline) up to date after the layers were reloaded.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroControls.prototype.updateLayers = function() {
+  if (this.layerSwitcherControl) {
+    this.layerSwitcherControl.renderPanel();
+  }
+  if (this.timelineControl) {
+    this.timelineControl.update();
+  }
+};
+
+/*
+ * Brings the controls up to date after the map switched targets (see
+ * AstroMap.switchTarget()). The scale line picks up the radius of the new
+ * target; everything else is handled like a projection switch.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroControls.prototype.updateTarget = function() {
+  if (this.scaleline) {
+    this.scaleline.setRadius(this.astroMap.cAxisRadius * 1000);
   }
+  this.updateProjection();
 };
 
 //
 AstroControls.prototype.transformDecimalPlaces = function(point) {
-  return(AstroGeometry.transformDecimalPlaces(point, astroMap.controls.decimalPlaces));
+  return(AstroGeometry.transformDecimalPlaces(point, this.decimalPlaces));
 };
 
 
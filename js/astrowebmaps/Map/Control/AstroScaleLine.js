@@ -3,7 +3,7 @@
  *
  * Extends the standard OL scaleline to handle targets other than earth.
  *
- * Depends on OL and maps.js.
+ * Depends on OL and AstroTargetCatalog.js.
  *
  * Author: jrideout
  * Version: 08/18/2010
@@ -27,19 +27,18 @@ AstroScaleLine = ol.Class(ol.control.ScaleLine, {
    *
    * Params: target - the name of the target (string) - required
    *         options - An optional object whose properties will be used to extend the control.
+   *                   options.targetCatalog (AstroTargetCatalog) supplies the target radii.
    */
   initialize: function(target, options) {
     this.target = target.toLowerCase();
 
-    // get the equatorial and polar radii from maps.js for this target and compute the
+    // get the equatorial and polar radii from the target catalog and compute the
     // length of the equator
-    for (var i = 0; i < myJSONmaps.targets.length; i++) {
-      if (myJSONmaps.targets[i].name.toLowerCase() == this.target) {
-        this.equatorialRadius = myJSONmaps.targets[i].aaxisradius;
-        this.polarRadius = myJSONmaps.targets[i].caxisradius;
-        this.equatorLength = this.calculateEquatorLength(this.equatorialRadius);
-        break;
-      }
+    var currentTarget = (options && options.targetCatalog) ? options.targetCatalog.getTarget(this.target) : null;
+    if (currentTarget) {
+      this.equatorialRadius = currentTarget.aaxisradius;
+      this.polarRadius = currentTarget.caxisradius;
+      this.equatorLength = this.calculateEquatorLength(this.equatorialRadius);
     }
 
     OpenLayers.Control.ScaleLine.prototype.initialize.apply(this, [options]);
@@ -0,0 +1,304 @@
+/*
+ * Map/Control/AstroTimeline.js
+ *
+ * Timeline for layers with dimensions (see AstroTargetCatalog.js), e.g. time-series
+ * products with a WMS TIME dimension. A slider steps through the values of a
+ * dimension, with step and play buttons, and sets it on the layers' sources (see
+ * AstroMap.setDimension(), which fires the 'timechange' and 'dimensionchange' events).
+ * The timeline is only shown while the map has layers with dimensions.
+ *
+ * Dependencies: OpenLayers.js, AstroMap.js
+ */
+
+/*
+ * Constructor creates the timeline and adds it to the map.
+ *
+ * Parameters: astroMap         - the map whose layers the timeline drives
+ *             timelineSettings - hash of options. If null, uses sensible defaults
+ *
+ * The following options may be set (AstroControls passes its controlSettings):
+ *   timelineInterval - milliseconds between the steps while playing. Default: 1000
+ *   timelineLoop     - boolean indicating whether or not playing starts over at the end. Default: true
+ */
+function AstroTimeline(astroMap, timelineSettings) {
+  this.astroMap = astroMap;
+
+  // defaults
+  this.interval = 1000;
+  this.loop = true;
+  if (timelineSettings) {
+    if (timelineSettings.timelineInterval) {
+      this.interval = Number(timelineSettings.timelineInterval);
+    }
+    if ((timelineSettings.timelineLoop === false) || (timelineSettings.timelineLoop == 'false')) {
+      this.loop = false;
+    }
+  }
+
+  this.dimension = null;  // name of the dimension shown
+  this.values = [];       // its values
+  this.index = 0;         // index of the current value
+  this.timer = null;      // the play timeout
+
+  // panel elements (see createPanel())
+  this.element = null;
+  this.select = null;
+  this.slider = null;
+  this.label = null;
+  this.playButton = null;
+
+  this.createPanel();
+  this.control = new ol.control.Control({element: this.element});
+  this.astroMap.map.addControl(this.control);
+
+  // stay in step with values set elsewhere (e.g. setDimension() called by the page)
+  var that = this;
+  this.astroMap.on('dimensionchange', function(e) {
+    if (e.name == that.dimension) {
+      var index = that.values.indexOf(e.value);
+      if (index != -1) {
+        that.showValue(index);
+      }
+    }
+  });
+  this.update();
+}
+
+
+/*
+ * Builds the timeline: the dimension choice, the step/play buttons, the slider and the
+ * current value.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroTimeline.prototype.createPanel = function() {
+  var that = this;
+  var element = document.createElement('div');
+  element.className = 'astroTimeline ol-unselectable ol-control';
+  element.id = this.astroMap.getElementId('astroTimeline');
+  element.style.display = 'none';
+
+  this.select = document.createElement('select');
+  this.select.addEventListener('change', function(e) {
+    that.stop();
+    that.setDimensionName(that.select.value);
+  });
+  element.appendChild(this.select);
+
+  var makeButton = function(label, title, handler) {
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.innerHTML = label;
+    button.title = title;
+    button.addEventListener('click', handler);
+    element.appendChild(button);
+    return button;
+  };
+  makeButton('|&#9664;', 'Step back', function(e) {
+    that.stop();
+    that.step(-1);
+  });
+  this.playButton = makeButton('&#9654;', 'Play', function(e) {
+    if (that.isPlaying()) {
+      that.stop();
+    } else {
+      that.play();
+    }
+  });
+  makeButton('&#9654;|', 'Step forward', function(e) {
+    that.stop();
+    that.step(1);
+  });
+
+  this.slider = document.createElement('input');
+  this.slider.type = 'range';
+  this.slider.min = 0;
+  this.slider.step = 1;
+  // show the value while dragging, request the tiles when let go
+  this.slider.addEventListener('input', function(e) {
+    that.label.textContent = that.values[Number(that.slider.value)];
+  });
+  this.slider.addEventListener('change', function(e) {
+    that.stop();
+    that.goTo(Number(that.slider.value));
+  });
+  element.appendChild(this.slider);
+
+  this.label = document.createElement('span');
+  this.label.className = 'astroTimelineValue';
+  element.appendChild(this.label);
+
+  this.element = element;
+};
+
+
+/*
+ * Brings the timeline up to date with the map's layers. Called when the layers are
+ * reloaded (see AstroControls.updateLayers()). The dimension shown is kept if the
+ * layers still have it, otherwise TIME (or the first dimension) is shown.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroTimeline.prototype.update = function() {
+  var dimensions = this.astroMap.getDimensions();
+  var names = [];
+  for (var name in dimensions) {
+    names.push(name);
+  }
+  if (names.length == 0) {
+    this.stop();
+    this.dimension = null;
+    this.element.style.display = 'none';
+    return;
+  }
+
+  this.select.innerHTML = '';
+  for (var i = 0; i < names.length; i++) {
+    var option = document.createElement('option');
+    option.value = names[i];
+    option.textContent = names[i];
+    this.select.appendChild(option);
+  }
+  // only worth a dropdown if there's a choice
+  this.select.style.display = (names.length > 1) ? '' : 'none';
+
+  var shown = this.dimension;
+  if (!dimensions[shown]) {
+    shown = (dimensions['TIME']) ? 'TIME' : names[0];
+    this.stop();
+  }
+  this.element.style.display = 'block';
+  this.setDimensionName(shown, dimensions);
+};
+
+
+/*
+ * Shows a dimension in the timeline, at its current value.
+ *
+ * Parameters: name       - the dimension name
+ *             dimensions - the map's dimensions (see AstroMap.getDimensions()). Optional
+ * Returns: nothing
+ */
+AstroTimeline.prototype.setDimensionName = function(name, dimensions) {
+  if (!dimensions) {
+    dimensions = this.astroMap.getDimensions();
+  }
+  var dimension = dimensions[name];
+  if (!dimension) {
+    return;
+  }
+  this.dimension = name;
+  this.values = dimension.values;
+  this.select.value = name;
+  this.slider.max = this.values.length - 1;
+  var index = this.values.indexOf(dimension.value);
+  this.showValue((index != -1) ? index : this.values.length - 1);
+};
+
+
+/*
+ * Moves the slider and label to a value, without setting it on the layers.
+ *
+ * Parameters: index - index of the value
+ * Returns: nothing
+ */
+AstroTimeline.prototype.showValue = function(index) {
+  this.index = index;
+  this.slider.value = index;
+  this.label.textContent = this.values[index];
+};
+
+/*
+ * Sets the dimension shown to one of its values.
+ *
+ * Parameters: index - index of the value
+ * Returns: nothing
+ */
+AstroTimeline.prototype.goTo = function(index) {
+  if (!this.dimension || (index < 0) || (index >= this.values.length)) {
+    return;
+  }
+  this.showValue(index);
+  this.astroMap.setDimension(this.dimension, this.values[index]);
+};
+
+/*
+ * Steps through the values. Stepping past the end starts over if wrap is set,
+ * otherwise it stays at the end.
+ *
+ * Parameters: delta - number of values to step (negative steps back)
+ *             wrap  - boolean indicating whether or not to wrap around. Optional
+ * Returns: boolean indicating whether or not the value changed
+ */
+AstroTimeline.prototype.step = function(delta, wrap) {
+  var count = this.values.length;
+  var index = this.index + delta;
+  if (wrap) {
+    index = ((index % count) + count) % count;
+  } else {
+    index = Math.max(0, Math.min(count - 1, index));
+  }
+  if (index == this.index) {
+    return false;
+  }
+  this.goTo(index);
+  return true;
+};
+
+
+/*
+ * Returns whether or not the timeline is playing.
+ *
+ * Parameters: none
+ * Returns: boolean
+ */
+AstroTimeline.prototype.isPlaying = function() {
+  return (this.timer != null);
+};
+
+/*
+ * Plays the timeline: steps forward every interval until stopped (or the end is
+ * reached, unless it loops).
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroTimeline.prototype.play = function() {
+  var that = this;
+  if (this.isPlaying() || (this.values.length < 2)) {
+    return;
+  }
+  // playing from the end starts over
+  if (this.index == this.values.length - 1) {
+    this.goTo(0);
+  }
+  this.playButton.innerHTML = '&#10074;&#10074;';
+  this.playButton.title = 'Pause';
+  var next = function() {
+    if (!that.step(1, that.loop)) {
+      that.stop();
+      return;
+    }
+    that.timer = setTimeout(next, that.interval);
+  };
+  this.timer = setTimeout(next, this.interval);
+};
+
+/*
+ * Stops playing.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroTimeline.prototype.stop = function() {
+  if (this.timer) {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+  if (this.playButton) {
+    this.playButton.innerHTML = '&#9654;';
+    this.playButton.title = 'Play';
+  }
+};
@@ -0,0 +1,549 @@
+/*
+ * Map/Control/AstroWMSLoader.js
+ *
+ * Panel for adding layers from a WMS service that isn't in the target catalog,
+ * e.g. a researcher's own MapServer. The service's GetCapabilities document is
+ * read, the layers it offers in a CRS the map can show are listed, and the chosen
+ * layers are added to the map as overlays or base maps (see AstroMap.addUserLayers()).
+ *
+ * Only WMS 1.3.0 capabilities are read. The service has to allow cross-origin
+ * requests (CORS) for the capabilities to be read from the page.
+ *
+ * Dependencies: OpenLayers.js, AstroMap.js, AstroProjections.js, AstroTargetCatalog.js
+ */
+
+/*
+ * Constructor creates the panel (hidden) and adds it to the map.
+ *
+ * Parameters: astroMap       - the map the layers are added to
+ *             loaderSettings - hash of options. If null, uses sensible defaults
+ *
+ * The following options may be set (AstroControls passes its controlSettings):
+ *   wmsLoaderUrl - the service URL the panel opens with. Default: ''
+ */
+function AstroWMSLoader(astroMap, loaderSettings) {
+  this.astroMap = astroMap;
+
+  // defaults
+  this.defaultUrl = '';
+  if (loaderSettings && loaderSettings.wmsLoaderUrl) {
+    this.defaultUrl = loaderSettings.wmsLoaderUrl;
+  }
+
+  this.serviceUrl = null;    // GetMap URL of the loaded service
+  this.capabilities = null;  // the parsed capabilities of the loaded service
+  this.request = null;       // the capabilities request in progress
+  this.offeredLayers = [];   // the layers listed in the panel (see getOfferedLayers())
+
+  // panel elements (see createPanel())
+  this.element = null;
+  this.urlInput = null;
+  this.statusDiv = null;
+  this.layerList = null;
+  this.groupSelect = null;
+  this.addedList = null;
+
+  this.createPanel();
+  this.control = new ol.control.Control({element: this.element});
+  this.astroMap.map.addControl(this.control);
+}
+
+
+/*
+ * Builds the panel: the service URL, the layer list, the overlay/base map choice
+ * and the list of layers added so far.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroWMSLoader.prototype.createPanel = function() {
+  var that = this;
+  var element = document.createElement('div');
+  element.className = 'astroWMSLoader ol-unselectable ol-control';
+  element.id = this.astroMap.getElementId('astroWMSLoader');
+  element.style.display = 'none';
+
+  var closer = document.createElement('a');
+  closer.href = '#';
+  closer.className = 'astroWMSLoaderCloser';
+  closer.innerHTML = '&times;';
+  closer.addEventListener('click', function(e) {
+    e.preventDefault();
+    if (that.astroMap.controls) {
+      that.astroMap.controls.deactivateButtons();
+    } else {
+      that.hide();
+    }
+  });
+  element.appendChild(closer);
+
+  var title = document.createElement('div');
+  title.className = 'astroWMSLoaderTitle';
+  title.textContent = 'Add WMS Layers';
+  element.appendChild(title);
+
+  var form = document.createElement('form');
+  this.urlInput = document.createElement('input');
+  this.urlInput.type = 'text';
+  this.urlInput.placeholder = 'WMS service URL';
+  this.urlInput.value = this.defaultUrl;
+  form.appendChild(this.urlInput);
+  var loadButton = document.createElement('input');
+  loadButton.type = 'submit';
+  loadButton.value = 'Load';
+  form.appendChild(loadButton);
+  form.addEventListener('submit', function(e) {
+    e.preventDefault();
+    that.load(that.urlInput.value);
+  });
+  element.appendChild(form);
+
+  this.statusDiv = document.createElement('div');
+  this.statusDiv.className = 'astroWMSLoaderStatus';
+  element.appendChild(this.statusDiv);
+
+  this.layerList = document.createElement('div');
+  this.layerList.className = 'astroWMSLoaderLayers';
+  element.appendChild(this.layerList);
+
+  var addDiv = document.createElement('div');
+  addDiv.className = 'astroWMSLoaderAdd';
+  this.groupSelect = document.createElement('select');
+  this.groupSelect.innerHTML = '<option value="overlay">as overlays</option>' +
+    '<option value="base">as base maps</option>';
+  var addButton = document.createElement('input');
+  addButton.type = 'button';
+  addButton.value = 'Add';
+  addButton.addEventListener('click', function(e) {
+    that.addSelected();
+  });
+  addDiv.appendChild(addButton);
+  addDiv.appendChild(this.groupSelect);
+  element.appendChild(addDiv);
+
+  this.addedList = document.createElement('div');
+  this.addedList.className = 'astroWMSLoaderAdded';
+  element.appendChild(this.addedList);
+
+  this.element = element;
+};
+
+
+/*
+ * Returns whether or not the panel is shown.
+ *
+ * Parameters: none
+ * Returns: boolean
+ */
+AstroWMSLoader.prototype.isShown = function() {
+  return (this.element.style.display != 'none');
+};
+
+/*
+ * Shows the panel. The layer list is worked out again, since the map may have
+ * switched targets or projections since the service was loaded.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroWMSLoader.prototype.show = function() {
+  this.element.style.display = 'block';
+  this.renderLayerList();
+  this.renderAddedList();
+};
+
+/*
+ * Hides the panel.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroWMSLoader.prototype.hide = function() {
+  this.element.style.display = 'none';
+};
+
+
+/*
+ * Shows a message (progress or error) in the panel.
+ *
+ * Parameters: text    - the message, '' to clear it
+ *             isError - boolean indicating whether or not the message is an error
+ * Returns: nothing
+ */
+AstroWMSLoader.prototype.setStatus = function(text, isError) {
+  this.statusDiv.textContent = text;
+  this.statusDiv.className = 'astroWMSLoaderStatus' + ((isError) ? ' astroWMSLoaderError' : '');
+};
+
+
+/*
+ * Returns the GetCapabilities URL of a service.
+ *
+ * Parameters: url - the service URL (may already have parameters, e.g. '?map=...')
+ * Returns: the URL string
+ */
+AstroWMSLoader.prototype.getCapabilitiesUrl = function(url) {
+  var separator = (url.indexOf('?') == -1) ? '?' : '&';
+  if (/[?&]$/.test(url)) {
+    separator = '';
+  }
+  return url + separator + 'SERVICE=WMS&VERSION=1.3.0&REQUEST=GetCapabilities';
+};
+
+
+/*
+ * Requests and parses the capabilities of a service.
+ *
+ * Parameters: url      - the service URL
+ *             callback - function passed the parsed capabilities (see ol.format.WMSCapabilities),
+ *                        or null and an error message
+ * Returns: nothing
+ */
+AstroWMSLoader.prototype.loadCapabilities = function(url, callback) {
+  var that = this;
+  if (this.request) {
+    this.request.abort();
+  }
+  var request = new XMLHttpRequest();
+  this.request = request;
+  request.open('GET', this.getCapabilitiesUrl(url), true);
+  request.onload = function() {
+    that.request = null;
+    if (request.status != 200) {
+      callback(null, 'The service answered with status ' + request.status);
+      return;
+    }
+    var capabilities = null;
+    try {
+      capabilities = new ol.format.WMSCapabilities().read(request.responseText);
+    } catch (err) {
+      capabilities = null;
+    }
+    if (!capabilities || !capabilities['Capability'] || !capabilities['Capability']['Layer']) {
+      callback(null, 'The answer is not a WMS capabilities document');
+      return;
+    }
+    if (capabilities['version'] && (capabilities['version'].indexOf('1.3') != 0)) {
+      callback(null, 'The service only speaks WMS ' + capabilities['version'] + ' (1.3.0 is needed)');
+      return;
+    }
+    callback(capabilities);
+  };
+  request.onerror = function() {
+    that.request = null;
+    callback(null, 'The service could not be reached (it may not allow cross-origin requests)');
+  };
+  request.send();
+};
+
+
+/*
+ * Loads a service into the panel and lists its layers.
+ *
+ * Parameters: url - the service URL
+ * Returns: nothing
+ */
+AstroWMSLoader.prototype.load = function(url) {
+  var that = this;
+  url = url.trim();
+  if (url == '') {
+    this.setStatus('Enter the URL of a WMS service', true);
+    return;
+  }
+  this.capabilities = null;
+  this.serviceUrl = null;
+  this.layerList.innerHTML = '';
+  this.setStatus('Loading capabilities...', false);
+
+  this.loadCapabilities(url, function(capabilities, error) {
+    if (!capabilities) {
+      that.setStatus(error, true);
+      return;
+    }
+    that.capabilities = capabilities;
+    that.serviceUrl = url;
+    // the service may send the map requests somewhere else
+    var request = capabilities['Capability']['Request'];
+    try {
+      var getMapUrl = request['GetMap']['DCPType'][0]['HTTP']['Get']['OnlineResource'];
+      if (getMapUrl) {
+        that.serviceUrl = getMapUrl;
+      }
+    } catch (err) {
+      // no GetMap URL, use the one we were given
+    }
+    that.setStatus('', false);
+    that.renderLayerList();
+  });
+};
+
+
+/*
+ * Returns the layers of the loaded service that the map can show in its current
+ * projection: the named layers whose CRS (or bounding boxes) include one the map
+ * knows (see AstroMap.getUserLayerProjection()).
+ *
+ * Parameters: none
+ * Returns: array of hashes with name, title, abstract, crs, crsBounds, queryable,
+ *          opaque, legendUrl, dimensions and attribution
+ */
+AstroWMSLoader.prototype.getOfferedLayers = function() {
+  var that = this;
+  var offered = [];
+  if (!this.capabilities) {
+    return offered;
+  }
+
+  var visit = function(capLayer) {
+    if (capLayer['Name']) {
+      var crs = (capLayer['CRS']) ? capLayer['CRS'].slice() : [];
+      var boundingBoxes = capLayer['BoundingBox'] || [];
+      for (var i = 0; i < boundingBoxes.length; i++) {
+        if (boundingBoxes[i]['crs'] && (crs.indexOf(boundingBoxes[i]['crs']) == -1)) {
+          crs.push(boundingBoxes[i]['crs']);
+        }
+      }
+      if (that.astroMap.getUserLayerProjection(crs, that.astroMap.projection) != null) {
+        var legendUrl = null;
+        var style = (capLayer['Style']) ? capLayer['Style'][0] : null;
+        if (style && style['LegendURL'] && style['LegendURL'].length > 0) {
+          legendUrl = style['LegendURL'][0]['OnlineResource'];
+        }
+        offered.push({
+          name: capLayer['Name'],
+          title: capLayer['Title'] || capLayer['Name'],
+          abstract: capLayer['Abstract'] || '',
+          crs: crs,
+          crsBounds: that.getLayerBounds(capLayer),
+          queryable: capLayer['queryable'],
+          opaque: capLayer['opaque'],
+          legendUrl: legendUrl,
+          dimensions: that.getLayerDimensions(capLayer),
+          attribution: (capLayer['Attribution']) ? capLayer['Attribution']['Title'] : null
+        });
+      }
+    }
+    var children = capLayer['Layer'] || [];
+    for (var j = 0; j < children.length; j++) {
+      visit(children[j]);
+    }
+  };
+  visit(this.capabilities['Capability']['Layer']);
+  return offered;
+};
+
+
+/*
+ * Returns the bounds of a capabilities layer by CRS code. EPSG:4326 bounding boxes
+ * are lat/lon in WMS 1.3.0, so they are turned around; without one the geographic
+ * bounding box is used.
+ *
+ * Parameters: capLayer - the layer from the parsed capabilities
+ * Returns: hash of {left, bottom, right, top} by CRS code
+ */
+AstroWMSLoader.prototype.getLayerBounds = function(capLayer) {
+  var crsBounds = {};
+  var boundingBoxes = capLayer['BoundingBox'] || [];
+  for (var i = 0; i < boundingBoxes.length; i++) {
+    var extent = boundingBoxes[i]['extent'];
+    if (boundingBoxes[i]['crs'] == 'EPSG:4326') {
+      crsBounds['EPSG:4326'] = {left: extent[1], bottom: extent[0], right: extent[3], top: extent[2]};
+    } else if (boundingBoxes[i]['crs']) {
+      crsBounds[boundingBoxes[i]['crs']] = {left: extent[0], bottom: extent[1], right: extent[2], top: extent[3]};
+    }
+  }
+  var geographic = capLayer['EX_GeographicBoundingBox'];
+  if (!crsBounds['EPSG:4326'] && geographic) {
+    crsBounds['EPSG:4326'] = {left: geographic[0], bottom: geographic[1], right: geographic[2], top: geographic[3]};
+  }
+  return crsBounds;
+};
+
+
+/*
+ * Returns the dimensions (TIME, ELEVATION, ...) of a capabilities layer, the way the
+ * catalog has them (see AstroTargetCatalog.js). Dimensions whose values can't be read
+ * are left out.
+ *
+ * Parameters: capLayer - the layer from the parsed capabilities
+ * Returns: hash of {values, default, units} by dimension name, or null if there are none
+ */
+AstroWMSLoader.prototype.getLayerDimensions = function(capLayer) {
+  var dimensions = null;
+  var capDimensions = capLayer['Dimension'] || [];
+  for (var i = 0; i < capDimensions.length; i++) {
+    var values = AstroTargetCatalog.parseDimensionValues(capDimensions[i]['values']);
+    if (!capDimensions[i]['name'] || (values == null) || (values.length == 0)) {
+      continue;
+    }
+    dimensions = dimensions || {};
+    dimensions[capDimensions[i]['name'].toUpperCase()] = {
+      values: values,
+      'default': capDimensions[i]['default'] || values[values.length - 1],
+      units: capDimensions[i]['units']
+    };
+  }
+  return dimensions;
+};
+
+
+/*
+ * Lists the offered layers of the loaded service, each with a checkbox.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroWMSLoader.prototype.renderLayerList = function() {
+  this.layerList.innerHTML = '';
+  if (!this.capabilities) {
+    return;
+  }
+  var offered = this.getOfferedLayers();
+  if (offered.length == 0) {
+    var definition = AstroProjections.get(this.astroMap.projection);
+    this.setStatus('The service has no layers that can be shown in ' + definition.title +
+                   ' (' + this.getAcceptedCRS().join(', ') + ')', true);
+    return;
+  }
+  this.setStatus(offered.length + ' layer' + ((offered.length == 1) ? '' : 's') + ' for ' +
+                 this.astroMap.target.toUpperCase(), false);
+
+  var idPrefix = this.astroMap.getElementId('astroWMSLoaderLayer');
+  for (var i = 0; i < offered.length; i++) {
+    var row = document.createElement('div');
+    var checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = idPrefix + i;
+    checkbox.value = i;
+    var label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.textContent = offered[i].title;
+    label.title = offered[i].name + ((offered[i].abstract) ? ': ' + offered[i].abstract : '');
+    row.appendChild(checkbox);
+    row.appendChild(label);
+    this.layerList.appendChild(row);
+  }
+  this.offeredLayers = offered;
+};
+
+
+/*
+ * Lists the layers added to the current target so far, each with a remove link.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroWMSLoader.prototype.renderAddedList = function() {
+  var that = this;
+  this.addedList.innerHTML = '';
+  var userLayers = this.astroMap.userLayers.filter(function(entry) {
+    return (entry.target == that.astroMap.target);
+  });
+  if (userLayers.length == 0) {
+    return;
+  }
+  var title = document.createElement('div');
+  title.className = 'astroWMSLoaderTitle';
+  title.textContent = 'Added layers';
+  this.addedList.appendChild(title);
+
+  var addRow = function(entry) {
+    var row = document.createElement('div');
+    var remove = document.createElement('a');
+    remove.href = '#';
+    remove.innerHTML = '&times;';
+    remove.title = 'Remove';
+    remove.addEventListener('click', function(e) {
+      e.preventDefault();
+      that.astroMap.removeUserLayer(entry['displayname']);
+      that.renderAddedList();
+    });
+    row.appendChild(remove);
+    row.appendChild(document.createTextNode(' ' + entry['displayname']));
+    that.addedList.appendChild(row);
+  };
+  for (var i = 0; i < userLayers.length; i++) {
+    addRow(userLayers[i]);
+  }
+};
+
+
+/*
+ * Returns the CRS codes the map can show layers in, in its current projection.
+ *
+ * Parameters: none
+ * Returns: array of CRS codes
+ */
+AstroWMSLoader.prototype.getAcceptedCRS = function() {
+  var definition = AstroProjections.get(this.astroMap.projection);
+  var codes = [];
+  var code = definition.wmsCode || definition.code;
+  if (code) {
+    codes.push(code);
+  }
+  if (codes.indexOf('EPSG:4326') == -1) {
+    codes.push('EPSG:4326');
+  }
+  return codes;
+};
+
+
+/*
+ * Returns the catalog style entry (see AstroMap.addUserLayers()) for an offered layer.
+ *
+ * Parameters: offered     - the layer, from getOfferedLayers()
+ *             isBaseLayer - boolean indicating whether or not the layer is added as a base map
+ * Returns: the layer entry
+ */
+AstroWMSLoader.prototype.toLayerEntry = function(offered, isBaseLayer) {
+  var entry = {
+    type: 'WMS',
+    url: this.serviceUrl,
+    layer: offered.name,
+    displayname: offered.title,
+    transparent: (isBaseLayer) ? 'false' : 'true',
+    citation: offered.attribution || this.serviceUrl,
+    notes: offered.abstract,
+    queryable: (offered.queryable) ? 'true' : 'false',
+    crs: offered.crs,
+    crsBounds: offered.crsBounds
+  };
+  if (offered.legendUrl) {
+    entry.legendUrl = offered.legendUrl;
+  }
+  if (offered.dimensions) {
+    entry.dimensions = offered.dimensions;
+  }
+  return entry;
+};
+
+
+/*
+ * Adds the checked layers to the map, as overlays or base maps as chosen. Of several
+ * base maps, the last one is shown.
+ *
+ * Parameters: none
+ * Returns: nothing
+ */
+AstroWMSLoader.prototype.addSelected = function() {
+  if (!this.capabilities) {
+    this.setStatus('Load a WMS service first', true);
+    return;
+  }
+  var isBaseLayer = (this.groupSelect.value == 'base');
+  var entries = [];
+  var checkboxes = this.layerList.getElementsByTagName('input');
+  for (var i = 0; i < checkboxes.length; i++) {
+    if (checkboxes[i].checked) {
+      entries.push(this.toLayerEntry(this.offeredLayers[Number(checkboxes[i].value)], isBaseLayer));
+      checkboxes[i].checked = false;
+    }
+  }
+  if (entries.length == 0) {
+    this.setStatus('Check the layers to add', true);
+    return;
+  }
+  this.astroMap.addUserLayers(entries);
+  this.setStatus('Added ' + entries.length + ' layer' + ((entries.length == 1) ? '' : 's'), false);
+  this.renderAddedList();
+};
@@ -1,5 +1,5 @@
 
-//hook to insert code after renders (put in your own code)
+//hook called when a layer is shown or hidden (put in your own code, or use AstroMap.on("layervisibilitychange"))
 olLayerSwitcherHook = function (lyr) {};
 
 
@@ -242,7 +242,7 @@ var LayerSwitcher = function (_Control) {
 
 	      //insert graticule off/on
 	      if (this.graticule) {
-		var gUl = document.getElementById('ul_Overlays');
+		var gUl = document.getElementById(this_.astroMap.getElementId('ul_Overlays'));
 		if (!gUl){
 		  var grLi = document.createElement('li');
 		  var grLabel = document.createElement('label');
@@ -250,7 +250,7 @@ var LayerSwitcher = function (_Control) {
                   grLabel.innerHTML = 'Overlays';
                   grLi.appendChild(grLabel);
                   gUl = document.createElement('ul');
-                  gUl.id = 'ul_Overlays';
+                  gUl.id = this_.astroMap.getElementId('ul_Overlays');
 		  grLi.appendChild(gUl);
 		  ul.insertBefore(grLi,ul.childNodes[0]);
 		}
@@ -259,14 +259,11 @@ var LayerSwitcher = function (_Control) {
 		var gLbl = document.createElement('label');
 		gLbl.innerHTML = 'Graticule';
 		gInput.type = 'checkbox';
-		gInput.checked = true;
+		// the controls aren't hooked up to the map yet on the first render
+		var gControls = this_.astroMap.controls;
+		gInput.checked = (!gControls || (gControls.graticule.getMap() != null));
 		gInput.onchange = function (e) {
-		  var gOnMap = this_.astroMap.controls.graticule.getMap();
-		  if (gOnMap) {
-		    this_.astroMap.controls.graticule.setMap(null);
-		  } else {
-		    this_.astroMap.controls.graticule.setMap(this_.astroMap.map);
-		  }
+		  this_.astroMap.controls.setGraticuleVisible(e.target.checked);
 		};
 		gUl.insertBefore(li, gUl.childNodes[0]);
 		li.appendChild(gInput);
@@ -340,7 +337,7 @@ var LayerSwitcher = function (_Control) {
                 label.innerHTML = lyrTitle;
                 li.appendChild(label);
                 var ul = document.createElement('ul');
-                ul.id = 'ul_'+lyrTitle;
+                ul.id = this.astroMap.getElementId('ul_'+lyrTitle);
 		li.appendChild(ul);
 
                 this.renderLayers_(lyr, ul);
@@ -354,15 +351,15 @@ var LayerSwitcher = function (_Control) {
                 var input_o = document.createElement('input');
                 if (lyr.get('type') === 'base') {
                     input.type = 'radio';
-                    input.name = 'base';
+                    input.name = this.astroMap.getElementId('base');
                 } else {
                     input.type = 'checkbox';
                 }
                 input.id = lyrId;
                 input.checked = lyr.get('visible');
                 input.onchange = function (e) {
+                    // the map calls olLayerSwitcherHook (see AstroMap.on('layervisibilitychange'))
                     this_.setVisible_(lyr, e.target.checked);
-		    olLayerSwitcherHook(lyr);
                 };
                 span.appendChild(input);
 
@@ -378,6 +375,23 @@ var LayerSwitcher = function (_Control) {
                 span.appendChild(label);
                 li.appendChild(span);
 
+                // info expander (citation, notes, legend and bounds from the catalog)
+                var info = this.renderLayerInfo_(lyr);
+                if (info) {
+                    var infoToggle = document.createElement('a');
+                    infoToggle.href = '#';
+                    infoToggle.className = 'layer-info-toggle';
+                    infoToggle.title = 'Layer information';
+                    infoToggle.innerHTML = 'i';
+                    infoToggle.onclick = function (e) {
+                        e.preventDefault();
+                        var expanded = !lyr.get('infoExpanded');
+                        lyr.set('infoExpanded', expanded, true);
+                        this_.showLayerInfo_(info, expanded);
+                    };
+                    span.insertBefore(infoToggle, label);
+                }
+
               // opacity slider (true|false)
               if (lyr.get('enableOpacitySliders')) {
 		input_o.type = 'range';
@@ -396,6 +410,10 @@ var LayerSwitcher = function (_Control) {
                 };
                 li.appendChild(input_o);
               }
+              if (info) {
+                li.appendChild(info);
+                this.showLayerInfo_(info, lyr.get('infoExpanded'));
+              }
 
 
             }
@@ -403,6 +421,78 @@ var LayerSwitcher = function (_Control) {
             return li;
         }
 
+        /**
+        * Build the info panel of a layer: its citation, notes, legend and bounds.
+        * @private
+        * @param {ol.layer.Base} lyr Layer to describe.
+        * @return {Element} The panel (hidden), or null if there is nothing to show.
+        */
+
+    }, {
+        key: 'renderLayerInfo_',
+        value: function renderLayerInfo_(lyr) {
+
+            var citation = lyr.get('citation');
+            var notes = lyr.get('notes');
+            var legendUrl = lyr.get('legendUrl');
+            var bounds = lyr.get('bounds');
+            if (!citation && !notes && !legendUrl && !bounds) {
+                return null;
+            }
+
+            var div = document.createElement('div');
+            div.className = 'layer-info';
+            var addLine = function (label, text) {
+                var p = document.createElement('p');
+                var b = document.createElement('b');
+                b.textContent = label + ': ';
+                p.appendChild(b);
+                p.appendChild(document.createTextNode(text));
+                div.appendChild(p);
+            };
+            if (citation) {
+                addLine('Citation', citation);
+            }
+            if (notes) {
+                addLine('Notes', notes);
+            }
+            if (bounds) {
+                var units = (lyr.get('units') == 'm') ? ' m' : '\u00b0';
+                addLine('Bounds', 'W ' + bounds[0] + units + ', S ' + bounds[1] + units +
+                        ', E ' + bounds[2] + units + ', N ' + bounds[3] + units);
+            }
+            if (legendUrl) {
+                // the legend is requested when the panel is first opened
+                var legend = document.createElement('img');
+                legend.className = 'layer-legend';
+                legend.alt = 'Legend';
+                legend.setAttribute('data-src', legendUrl);
+                legend.onerror = function () {
+                    legend.style.display = 'none';
+                };
+                div.appendChild(legend);
+            }
+            return div;
+        }
+
+        /**
+        * Show or hide a layer info panel, loading its legend the first time it is shown.
+        * @private
+        * @param {Element} info The panel from renderLayerInfo_.
+        * @param {boolean} expanded Whether or not to show it.
+        */
+
+    }, {
+        key: 'showLayerInfo_',
+        value: function showLayerInfo_(info, expanded) {
+
+            info.style.display = (expanded) ? 'block' : 'none';
+            var legend = info.querySelector('img.layer-legend');
+            if (expanded && legend && !legend.getAttribute('src')) {
+                legend.src = legend.getAttribute('data-src');
+            }
+        }
+
         /**
         * Render all layers that are children of a group.
         * @private
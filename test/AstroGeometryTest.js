@@ -0,0 +1,360 @@
+/*
+ * test/AstroGeometryTest.js
+ *
+ * Tests for the AstroGeometry core (WKT/GeoJSON, dateline splitting, warping,
+ * areas and geodesics). AstroGeometry has no dependencies, so these run straight
+ * in Node:
+ *   node test/AstroGeometryTest.js   (or: make test)
+ *
+ * Exits with 1 if any test fails.
+ */
+
+var assert = require('assert');
+var AstroGeometry = require('../js/astrowebmaps/Helpers/AstroGeometry.js');
+
+var passed = 0;
+var failed = 0;
+
+// runs one test and reports it
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log('ok - ' + name);
+  } catch (e) {
+    failed++;
+    console.log('FAIL - ' + name + '\n  ' + e.message);
+  }
+}
+
+// asserts that two numbers are within tolerance of each other
+function assertClose(actual, expected, tolerance, what) {
+  assert.ok(Math.abs(actual - expected) <= tolerance,
+            (what || 'value') + ': expected ' + expected + ' (+/- ' + tolerance + '), got ' + actual);
+}
+
+
+// WKT and GeoJSON
+
+test('parseWkt reads every WKT type', function() {
+  assert.deepStrictEqual(AstroGeometry.parseWkt('POINT(10 20)'), {type: 'Point', coordinates: [10, 20]});
+  assert.deepStrictEqual(AstroGeometry.parseWkt(' MULTIPOINT ((10 10), (45 45)) ').coordinates, [[10, 10], [45, 45]]);
+  assert.deepStrictEqual(AstroGeometry.parseWkt('MULTIPOINT(10 10, 45 45)').coordinates, [[10, 10], [45, 45]]);
+  assert.deepStrictEqual(AstroGeometry.parseWkt('LINESTRING(0 0,10 10)').coordinates, [[0, 0], [10, 10]]);
+  assert.strictEqual(AstroGeometry.parseWkt('POLYGON((0 0,10 0,10 10,0 0),(2 2,4 2,4 4,2 2))').coordinates.length, 2);
+  assert.strictEqual(AstroGeometry.parseWkt('MULTIPOLYGON(((0 0,10 0,10 10,0 0)),((20 0,30 0,30 10,20 0)))').coordinates.length, 2);
+  var collection = AstroGeometry.parseWkt('GEOMETRYCOLLECTION(POINT(1 2),LINESTRING(0 0,1 1))');
+  assert.strictEqual(collection.type, 'GeometryCollection');
+  assert.deepStrictEqual(collection.geometries[0], {type: 'Point', coordinates: [1, 2]});
+});
+
+test('parseWkt returns null for bad WKT', function() {
+  assert.strictEqual(AstroGeometry.parseWkt('POLYGON((0 0,10 0'), null);
+  assert.strictEqual(AstroGeometry.parseWkt('CIRCLE(0 0)'), null);
+  assert.strictEqual(AstroGeometry.parseWkt(''), null);
+});
+
+test('writeWkt round-trips parseWkt', function() {
+  var wkts = [
+    'POINT(10 20)',
+    'MULTIPOINT((10 10),(45 45))',
+    'LINESTRING(0 0,10 10.5)',
+    'POLYGON((0 0,10 0,10 10,0 0),(2 2,4 2,4 4,2 2))',
+    'MULTIPOLYGON(((0 0,10 0,10 10,0 0)),((20 0,30 0,30 10,20 0)))',
+    'GEOMETRYCOLLECTION(POINT(1 2),LINESTRING(0 0,1 1))',
+    'GEOMETRYCOLLECTION EMPTY'
+  ];
+  for (var i = 0; i < wkts.length; i++) {
+    assert.strictEqual(AstroGeometry.writeWkt(AstroGeometry.parseWkt(wkts[i])), wkts[i]);
+  }
+});
+
+test('parseGeoJSON reads geometries, features and feature collections', function() {
+  var polygon = {type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]]]};
+  assert.deepStrictEqual(AstroGeometry.parseGeoJSON(JSON.stringify(polygon)), polygon);
+  assert.deepStrictEqual(AstroGeometry.parseGeoJSON({type: 'Feature', geometry: polygon, properties: {}}), polygon);
+  var collection = AstroGeometry.parseGeoJSON({type: 'FeatureCollection', features: [
+    {type: 'Feature', geometry: polygon}, {type: 'Feature', geometry: {type: 'Point', coordinates: [1, 2]}}
+  ]});
+  assert.strictEqual(collection.type, 'GeometryCollection');
+  assert.strictEqual(collection.geometries.length, 2);
+  assert.strictEqual(AstroGeometry.parseGeoJSON('{not json'), null);
+});
+
+test('writeGeoJSON and readGeometry take the same geometry either way', function() {
+  var wkt = 'POLYGON((0 0,10 0,10 10,0 0))';
+  var geojson = AstroGeometry.writeGeoJSON(AstroGeometry.parseWkt(wkt));
+  assert.deepStrictEqual(AstroGeometry.readGeometry(geojson), AstroGeometry.readGeometry(wkt));
+  assert.strictEqual(AstroGeometry.writeWkt(AstroGeometry.readGeometry(JSON.parse(geojson))), wkt);
+});
+
+test('getExtent covers every member', function() {
+  var geometry = AstroGeometry.parseWkt('GEOMETRYCOLLECTION(POINT(-5 2),LINESTRING(0 0,10 30))');
+  assert.deepStrictEqual(AstroGeometry.getExtent(geometry), [-5, 0, 10, 30]);
+});
+
+test('datelineShift adds copies 360 degrees either side', function() {
+  assert.strictEqual(AstroGeometry.datelineShift('LINESTRING(-10 0,10 5)'),
+                     'MULTILINESTRING((-10 0,10 5),(350 0,370 5),(-370 0,-350 5))');
+});
+
+
+// dateline splitting and warping
+
+test('splitOnDateline returns polygons that need no split unchanged', function() {
+  var wkts = [
+    'POLYGON((10 10,20 10,20 20,10 20,10 10))',
+    'POLYGON((10 10,20 10,20 20,10 20,10 10),(12 12,14 12,14 14,12 12))',
+    'LINESTRING(10 10,20 20)',
+    'POINT(359 10)'
+  ];
+  for (var i = 0; i < wkts.length; i++) {
+    assert.strictEqual(AstroGeometry.splitOnDateline(wkts[i], 'cylindrical'), wkts[i]);
+  }
+});
+
+test('splitOnDateline splits polygons and lines that cross', function() {
+  assert.strictEqual(AstroGeometry.splitOnDateline('POLYGON((350 10,10 10,10 20,350 20,350 10))', 'cylindrical'),
+                     'MULTIPOLYGON(((350 10,360 10,360 20,350 20,350 10)),((0 10,10 10,10 20,0 20,0 10)))');
+  var line = AstroGeometry.parseWkt(AstroGeometry.splitOnDateline('LINESTRING(-10 0,10 10)', 'cylindrical'));
+  assert.strictEqual(line.type, 'MultiLineString');
+  assert.deepStrictEqual(line.coordinates, [[[350, 0], [360, 5]], [[0, 5], [10, 10]]]);
+});
+
+test('splitOnDateline splits holes with their polygon', function() {
+  var split = AstroGeometry.parseWkt(AstroGeometry.splitOnDateline(
+    'POLYGON((340 -20,20 -20,20 20,340 20,340 -20),(350 -5,10 -5,10 5,350 5,350 -5))', 'cylindrical'));
+  assert.strictEqual(split.type, 'MultiPolygon');
+  assert.strictEqual(split.coordinates.length, 2);
+  for (var i = 0; i < split.coordinates.length; i++) {
+    // an outside ring and its piece of the hole, all within 0-360
+    assert.strictEqual(split.coordinates[i].length, 2);
+    var ex = AstroGeometry.getExtent({type: 'Polygon', coordinates: split.coordinates[i]});
+    assert.ok(ex[0] >= 0 && ex[2] <= 360);
+  }
+});
+
+test('splitOnDateline closes polygons around a pole along the pole', function() {
+  var split = AstroGeometry.splitOnDateline('POLYGON((0 80,90 80,180 80,270 80,0 80))', 'north-polar stereographic');
+  assert.strictEqual(split, 'MULTIPOLYGON(((0 80,90 80,180 80,270 80,360 80,360 90,0 90,0 80)))');
+  // already split: left alone
+  assert.strictEqual(AstroGeometry.parseWkt(AstroGeometry.splitOnDateline(split, 'north-polar stereographic')).coordinates.length, 1);
+});
+
+test('splitOnDateline splits each member of a multi geometry or collection', function() {
+  var split = AstroGeometry.parseWkt(AstroGeometry.splitOnDateline(
+    'MULTIPOLYGON(((10 10,20 10,20 20,10 10)),((350 10,10 10,10 20,350 10)))', 'cylindrical'));
+  assert.strictEqual(split.coordinates.length, 3);
+  var collection = AstroGeometry.parseWkt(AstroGeometry.splitOnDateline(
+    'GEOMETRYCOLLECTION(POINT(1 2),LINESTRING(-10 0,10 0))', 'cylindrical'));
+  assert.strictEqual(collection.geometries[0].type, 'Point');
+  assert.strictEqual(collection.geometries[1].type, 'MultiLineString');
+});
+
+test('crossesDateline', function() {
+  assert.strictEqual(AstroGeometry.crossesDateline('LINESTRING(-10 0,10 0)', 'cylindrical'), true);
+  assert.strictEqual(AstroGeometry.crossesDateline('LINESTRING(10 0,20 0)', 'cylindrical'), false);
+  assert.strictEqual(AstroGeometry.crossesDateline('POINT(0 0)', 'cylindrical'), false);
+  assert.strictEqual(AstroGeometry.crossesDateline('LINESTRING(-10 80,10 80)', 'north-polar stereographic'), true);
+  assert.strictEqual(AstroGeometry.crossesDateline('LINESTRING(170 80,190 80)', 'north-polar stereographic'), false);
+});
+
+test('warpWkt splits edges into steps of at most maxStep degrees', function() {
+  var warped = AstroGeometry.parseWkt(AstroGeometry.warpWkt('POLYGON((0 0,10 0,10 2,0 0),(1 0.5,2 0.5,2 1,1 0.5))', 2));
+  var outer = warped.coordinates[0];
+  assert.strictEqual(outer.length, 5 + 1 + 5 + 1);
+  for (var i = 1; i < outer.length; i++) {
+    assert.ok(Math.abs(outer[i][0] - outer[i - 1][0]) <= 2 + 1e-9);
+  }
+  // holes are warped too, points are not
+  assert.strictEqual(warped.coordinates[1].length, 4);
+  assert.strictEqual(AstroGeometry.warpWkt('POINT(1 2)'), 'POINT(1 2)');
+});
+
+
+// great circles
+
+test('greatCircleMidpoint', function() {
+  assert.deepStrictEqual(AstroGeometry.greatCircleMidpoint([0, 0], [90, 0], 1), [45, 0]);
+  // over the pole
+  assertClose(AstroGeometry.greatCircleMidpoint([0, 45], [180, 45], 1)[1], 90, 1e-9, 'lat');
+  // lon stays continuous with the start across the dateline
+  assertClose(AstroGeometry.greatCircleMidpoint([350, 0], [10, 0], 1)[0], 360, 1e-9, 'lon');
+  assert.strictEqual(AstroGeometry.greatCircleMidpoint([0, 0], [180, 0], 1), null);
+});
+
+test('haversineDistance and distanceToSegment', function() {
+  assertClose(AstroGeometry.haversineDistance([0, 0], [90, 0], 1), Math.PI / 2, 1e-12, 'quarter circle');
+  assertClose(AstroGeometry.haversineDistance([0, 0], [0, 90], 3396.19), 3396.19 * Math.PI / 2, 1e-9, 'equator to pole');
+  assert.strictEqual(AstroGeometry.distanceToSegment([5, 3], [0, 0], [10, 0]), 3);
+  assert.strictEqual(AstroGeometry.distanceToSegment([13, 4], [0, 0], [10, 0]), 5);
+});
+
+test('densifyGreatCircle keeps new points on the great circle within the tolerance', function() {
+  var radius = 3396.19;
+  var start = [0, 10];
+  var end = [100, 40];
+  var points = AstroGeometry.densifyGreatCircle([start, end], {aAxisRadius: radius, tolerance: 1000});
+  assert.ok(points.length > 2);
+  assert.deepStrictEqual(points[0], start);
+  assert.deepStrictEqual(points[points.length - 1], end);
+  // each point is on the great circle: distances add up along the arc
+  var total = AstroGeometry.haversineDistance(start, end, radius);
+  for (var i = 1; i < points.length - 1; i++) {
+    var along = AstroGeometry.haversineDistance(start, points[i], radius) + AstroGeometry.haversineDistance(points[i], end, radius);
+    assertClose(along, total, 1e-6, 'point ' + i);
+  }
+  // a tighter tolerance needs more points
+  var finer = AstroGeometry.densifyGreatCircle([start, end], {aAxisRadius: radius, tolerance: 10});
+  assert.ok(finer.length > points.length);
+});
+
+test('warpWkt follows great circles when asked', function() {
+  var warped = AstroGeometry.parseWkt(AstroGeometry.warpWkt('LINESTRING(0 60,180 60)',
+    {greatCircle: true, aAxisRadius: 3396.19, cAxisRadius: 3376.2}));
+  // the great circle between them runs over the pole
+  assertClose(AstroGeometry.getExtent(warped)[3], 90, 1e-6, 'top lat');
+});
+
+
+// areas
+
+var MARS_A = 3396.19;
+var MARS_C = 3376.2;
+
+// area (km^2) of the band between two planetographic latitudes across dLon degrees of
+// an oblate spheroid, by integrating the area element M N cos(lat) over lat
+function spheroidBandArea(a, c, lat1, lat2, dLon) {
+  var e2 = 1 - (c * c) / (a * a);
+  var steps = 2000;
+  var h = (lat2 - lat1) * Math.PI / 180 / steps;
+  var element = function(lat) {
+    var w = 1 - e2 * Math.sin(lat) * Math.sin(lat);
+    return a * a * (1 - e2) * Math.cos(lat) / (w * w);
+  };
+  var sum = 0;
+  for (var i = 0; i < steps; i++) {
+    var lat = lat1 * Math.PI / 180 + i * h;
+    sum = sum + (h / 6) * (element(lat) + 4 * element(lat + h / 2) + element(lat + h));
+  }
+  return sum * dLon * Math.PI / 180;
+}
+
+test('getAreaOfPolygon on a sphere', function() {
+  var radius = 1737.4;
+  // a hemisphere, and a band 0-30 N over 90 degrees of lon
+  assertClose(AstroGeometry.getAreaOfPolygon('POLYGON((0 0,90 0,180 0,270 0,0 0))', radius, radius, 'north-polar stereographic'), 2 * Math.PI * radius * radius, 1e-3, 'hemisphere');
+  assertClose(AstroGeometry.getSphericalAreaOfPolygon('POLYGON((0 0,90 0,90 30,0 30,0 0))', radius),
+              radius * radius * (Math.PI / 2) * 0.5, 1e-3, 'band');
+});
+
+test('getAreaOfPolygon matches the area of the whole spheroid', function() {
+  var e2 = 1 - (MARS_C * MARS_C) / (MARS_A * MARS_A);
+  var e = Math.sqrt(e2);
+  var expected = 2 * Math.PI * MARS_A * MARS_A * (1 + ((1 - e2) / (2 * e)) * Math.log((1 + e) / (1 - e)));
+  assertClose(AstroGeometry.getAreaOfPolygon('POLYGON((0 -90,360 -90,360 90,0 90,0 -90))', MARS_A, MARS_C), expected, 1e-3, 'area');
+});
+
+test('getAreaOfPolygon takes planetocentric latitudes on a spheroid', function() {
+  // 30-60 planetocentric across 90 degrees of lon
+  var lat1 = AstroGeometry.transformOcentricToOgraphic([0, 30], MARS_A, MARS_C)[1];
+  var lat2 = AstroGeometry.transformOcentricToOgraphic([0, 60], MARS_A, MARS_C)[1];
+  var expected = spheroidBandArea(MARS_A, MARS_C, lat1, lat2, 90);
+  var area = AstroGeometry.getAreaOfPolygon('POLYGON((0 30,90 30,90 60,0 60,0 30))', MARS_A, MARS_C);
+  assertClose(area, expected, expected * 1e-9, 'area');
+  // taking the lats as planetographic is measurably off
+  assert.ok(Math.abs(spheroidBandArea(MARS_A, MARS_C, 30, 60, 90) - expected) > 1000);
+});
+
+test('getAreaOfPolygon takes out holes and adds up parts', function() {
+  var outer = AstroGeometry.getAreaOfPolygon('POLYGON((0 0,20 0,20 20,0 20,0 0))', MARS_A, MARS_C);
+  var hole = AstroGeometry.getAreaOfPolygon('POLYGON((5 5,10 5,10 10,5 10,5 5))', MARS_A, MARS_C);
+  assertClose(AstroGeometry.getAreaOfPolygon('POLYGON((0 0,20 0,20 20,0 20,0 0),(5 5,10 5,10 10,5 10,5 5))', MARS_A, MARS_C),
+              outer - hole, 1e-6, 'with hole');
+  assertClose(AstroGeometry.getAreaOfPolygon('MULTIPOLYGON(((0 0,20 0,20 20,0 20,0 0)),((5 5,10 5,10 10,5 10,5 5)))', MARS_A, MARS_C),
+              outer + hole, 1e-6, 'multipolygon');
+  assert.strictEqual(AstroGeometry.getAreaOfPolygon('LINESTRING(0 0,10 10)', MARS_A, MARS_C), 0);
+});
+
+test('getAreaOfPolygon across the dateline and around a pole', function() {
+  var straddle = AstroGeometry.getAreaOfPolygon('POLYGON((350 0,10 0,10 10,350 10,350 0))', MARS_A, MARS_C);
+  var inside = AstroGeometry.getAreaOfPolygon('POLYGON((10 0,30 0,30 10,10 10,10 0))', MARS_A, MARS_C);
+  assertClose(straddle, inside, 1e-6, 'dateline');
+  // the cap north of 80 N
+  var cap = AstroGeometry.getAreaOfPolygon('POLYGON((0 80,90 80,180 80,270 80,0 80))', MARS_A, MARS_C, 'north-polar stereographic');
+  var expected = spheroidBandArea(MARS_A, MARS_C, AstroGeometry.transformOcentricToOgraphic([0, 80], MARS_A, MARS_C)[1], 90, 360);
+  assertClose(cap, expected, expected * 1e-9, 'cap');
+});
+
+
+// geodesics
+
+// WGS84, for the published Vincenty test case (Flinders Peak to Buninyong)
+var EARTH_A = 6378.137;
+var EARTH_C = 6356.752314245;
+var FLINDERS = AstroGeometry.transformOgraphicToOcentric([144.42486789, -37.95103342], EARTH_A, EARTH_C);
+var BUNINYONG = AstroGeometry.transformOgraphicToOcentric([143.92649554, -37.65282114], EARTH_A, EARTH_C);
+
+test('geodesicInverse matches the Vincenty reference case', function() {
+  var result = AstroGeometry.geodesicInverse(FLINDERS[1], FLINDERS[0], BUNINYONG[1], BUNINYONG[0], EARTH_A, EARTH_C);
+  assertClose(result.distance, 54.972271, 1e-6, 'distance');
+  assertClose(result.initialAzimuth, 306.868159, 1e-5, 'initial azimuth');
+  assertClose(result.finalAzimuth, 307.173631, 1e-5, 'final azimuth');
+  assertClose(AstroGeometry.getInitialAzimuth(FLINDERS[1], FLINDERS[0], BUNINYONG[1], BUNINYONG[0], EARTH_A, EARTH_C),
+              result.initialAzimuth, 0, 'getInitialAzimuth');
+  assertClose(AstroGeometry.getFinalAzimuth(FLINDERS[1], FLINDERS[0], BUNINYONG[1], BUNINYONG[0], EARTH_A, EARTH_C),
+              result.finalAzimuth, 0, 'getFinalAzimuth');
+});
+
+test('geodesicDirect matches the Vincenty reference case', function() {
+  var result = AstroGeometry.geodesicDirect(FLINDERS[1], FLINDERS[0], 306.86815920, 54.972271, EARTH_A, EARTH_C);
+  assertClose(result.lat, BUNINYONG[1], 1e-8, 'lat');
+  assertClose(result.lon, BUNINYONG[0], 1e-8, 'lon');
+  assertClose(result.finalAzimuth, 307.173631, 1e-5, 'final azimuth');
+  var point = AstroGeometry.getDestinationPoint(FLINDERS, 306.86815920, 54.972271, EARTH_A, EARTH_C);
+  assertClose(point[0], BUNINYONG[0], 1e-8, 'getDestinationPoint lon');
+  assertClose(point[1], BUNINYONG[1], 1e-8, 'getDestinationPoint lat');
+});
+
+test('geodesicDirect and geodesicInverse undo each other on Mars', function() {
+  var start = [20, 35];
+  var end = AstroGeometry.getDestinationPoint(start, 70, 2500, MARS_A, MARS_C);
+  var back = AstroGeometry.geodesicInverse(start[1], start[0], end[1], end[0], MARS_A, MARS_C);
+  assertClose(back.distance, 2500, 1e-6, 'distance');
+  assertClose(back.initialAzimuth, 70, 1e-7, 'azimuth');
+});
+
+test('LatLonToKM gives meridian arcs and great circles', function() {
+  // equator to pole along a meridian of the WGS84 spheroid
+  assertClose(AstroGeometry.LatLonToKM(0, 0, 90, 0, EARTH_A, EARTH_C), 10001.965729, 1e-5, 'quarter meridian');
+  // on a sphere it is the great circle distance
+  assertClose(AstroGeometry.LatLonToKM(10, 20, -30, 150, 1737.4, 1737.4),
+              AstroGeometry.haversineDistance([20, 10], [150, -30], 1737.4), 1e-6, 'sphere');
+  assert.strictEqual(typeof AstroGeometry.LatLonToKM('10', '20', '30', '40', MARS_A, MARS_C), 'number');
+  assert.strictEqual(AstroGeometry.LatLonToKM(10, 20, 10, 20, MARS_A, MARS_C), 0);
+});
+
+test('geodesicInverse falls back to the sphere for nearly antipodal points', function() {
+  var result = AstroGeometry.geodesicInverse(0, 0, 0.5, 179.7, EARTH_A, EARTH_C);
+  assert.ok(isFinite(result.distance) && isFinite(result.initialAzimuth));
+  // within the flattening of the true distance
+  assertClose(result.distance, 19950.3, 19950.3 / 298, 'distance');
+});
+
+test('getLengthOfLine adds up lines and multi-lines', function() {
+  var first = AstroGeometry.LatLonToKM(0, 0, 10, 10, MARS_A, MARS_C);
+  var second = AstroGeometry.LatLonToKM(10, 10, 20, 10, MARS_A, MARS_C);
+  assertClose(AstroGeometry.getLengthOfLine('LINESTRING(0 0,10 10,10 20)', MARS_A, MARS_C), first + second, 1e-9, 'line');
+  assertClose(AstroGeometry.getLengthOfLine('MULTILINESTRING((0 0,10 10),(10 10,10 20))', MARS_A, MARS_C), first + second, 1e-9, 'multi-line');
+  // across the dateline the short way
+  assertClose(AstroGeometry.getLengthOfLine('LINESTRING(359 0,1 0)', MARS_A, MARS_C),
+              AstroGeometry.LatLonToKM(0, 0, 0, 2, MARS_A, MARS_C), 1e-9, 'dateline');
+  assert.strictEqual(AstroGeometry.getLengthOfLine('POINT(0 0)', MARS_A, MARS_C), 0);
+});
+
+
+// summary
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+if (failed > 0) {
+  process.exit(1);
+}